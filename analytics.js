@@ -0,0 +1,179 @@
+/**
+ * Aggregations for the analytics dashboard.
+ * Everything is computed from the models (usage ledgers, archived periods,
+ * carryover instances and minimum spends), never from the rendered DOM.
+ *
+ * Terms used throughout:
+ *   used      - usage ledger entries dated within the range
+ *   forfeited - value left unused when a period ended within the range
+ *   available - value that can still be used as of the current date
+ *   locked    - value waiting on an unmet minimum spend as of the current date
+ */
+const Analytics = {
+    /**
+     * Collects the dated usage and forfeiture events of a benefit.
+     * @param {Benefit} benefit - The benefit
+     * @param {Date} currentDate - The reference date (usually "today")
+     * @returns {{usage: Array<{date: Date, amount: number}>, forfeits: Array<{date: Date, amount: number}>}}
+     */
+    collectBenefitEvents(benefit, currentDate) {
+        const usage = benefit.getAllUsageEntries().map(entry => ({ date: new Date(entry.date), amount: entry.amount }));
+
+        const forfeits = [];
+        const addForfeit = (date, amount) => {
+            if (amount > 0) forfeits.push({ date: new Date(date), amount: amount });
+        };
+
+        // Periods that were closed by a reset (or expired carryover instances that were archived)
+        benefit.periodHistory.forEach(record => {
+            addForfeit(record.periodEnd, record.totalAmount - record.usedAmount);
+        });
+
+        if (benefit.isCarryoverBenefit()) {
+            // Expired instances that have not been archived yet
+            const active = benefit.getActiveCarryoverInstances(currentDate);
+            benefit.earnedInstances
+                .filter(instance => !active.includes(instance))
+                .forEach(instance => {
+                    addForfeit(benefit.getCarryoverInstanceExpiryDate(instance),
+                        benefit.totalAmount - (instance.usedAmount || 0));
+                });
+        } else if (benefit.isOneTime()) {
+            if (benefit.expiryDate && new Date(benefit.expiryDate) < currentDate) {
+                addForfeit(benefit.expiryDate, benefit.getRemainingAmount());
+            }
+        } else if (benefit.needsReset(currentDate)) {
+            // The period has ended but the reset has not been applied yet
+            const periodEnd = benefit.getNextResetDate(currentDate);
+            periodEnd.setDate(periodEnd.getDate() - 1);
+            addForfeit(periodEnd, benefit.getRemainingAmount());
+        }
+
+        return { usage, forfeits };
+    },
+
+    /**
+     * Gets the value of a benefit that can still be used, split into available and locked.
+     * @param {Benefit} benefit - The benefit
+     * @param {Card} card - The card owning the benefit (for minimum spend lookups)
+     * @param {Date} currentDate - The reference date
+     * @returns {{available: number, locked: number}}
+     */
+    getOutstandingValue(benefit, card, currentDate) {
+        const isLocked = card.isBenefitLocked(benefit);
+
+        if (benefit.isCarryoverBenefit()) {
+            // Earned instances are already unlocked; the minimum spend gates the next one
+            const available = benefit.getTotalCarryoverRemaining(currentDate);
+            const locked = isLocked && benefit.canEarnCarryoverThisYear(currentDate) ? benefit.totalAmount : 0;
+            return { available, locked };
+        }
+
+        let remaining = Math.max(benefit.getRemainingAmount(), 0);
+        if (benefit.isOneTime() && benefit.expiryDate && new Date(benefit.expiryDate) < currentDate) {
+            remaining = 0;
+        } else if (benefit.needsReset(currentDate) || !benefit.isAvailable(currentDate)) {
+            // Unreset periods are forfeited; month-list credits cannot be used outside their months
+            remaining = 0;
+        }
+        return isLocked ? { available: 0, locked: remaining } : { available: remaining, locked: 0 };
+    },
+
+    /**
+     * Aggregates used, forfeited, available and locked value per card and overall.
+     * @param {Array<Card>} cards - The cards
+     * @param {Date} rangeStart - First day of the range (inclusive)
+     * @param {Date} rangeEnd - Last day of the range (inclusive)
+     * @param {Date} currentDate - The reference date for available/locked value
+     * @returns {{cards: Array<Object>, totals: Object}}
+     */
+    summarize(cards, rangeStart, rangeEnd, currentDate) {
+        const { start, end } = this._normalizeRange(rangeStart, rangeEnd);
+        const inRange = event => event.date >= start && event.date < end;
+        const sum = events => Math.round(events.filter(inRange).reduce((total, e) => total + e.amount, 0) * 100) / 100;
+
+        const totals = { used: 0, forfeited: 0, available: 0, locked: 0 };
+        const cardSummaries = cards.map(card => {
+            const summary = { cardId: card.id, name: card.name, used: 0, forfeited: 0, available: 0, locked: 0 };
+            const isClosed = card.isClosed(currentDate);
+            card.getBenefitsWithHistory().forEach(benefit => {
+                const events = this.collectBenefitEvents(benefit, currentDate);
+                summary.used += sum(events.usage);
+                summary.forfeited += sum(events.forfeits);
+                // Retired benefits and closed cards have nothing left to use
+                if (isClosed || !card.benefits.includes(benefit)) return;
+                const outstanding = this.getOutstandingValue(benefit, card, currentDate);
+                summary.available += outstanding.available;
+                summary.locked += outstanding.locked;
+            });
+            Object.keys(totals).forEach(key => {
+                summary[key] = Math.round(summary[key] * 100) / 100;
+                totals[key] += summary[key];
+            });
+            return summary;
+        });
+        Object.keys(totals).forEach(key => {
+            totals[key] = Math.round(totals[key] * 100) / 100;
+        });
+
+        return { cards: cardSummaries, totals };
+    },
+
+    /**
+     * Buckets used and forfeited value by calendar month across all cards.
+     * @param {Array<Card>} cards - The cards
+     * @param {Date} rangeStart - First day of the range (inclusive)
+     * @param {Date} rangeEnd - Last day of the range (inclusive)
+     * @param {Date} currentDate - The reference date
+     * @returns {Array<{label: string, start: Date, used: number, forfeited: number}>}
+     */
+    getMonthlySeries(cards, rangeStart, rangeEnd, currentDate) {
+        const { start, end } = this._normalizeRange(rangeStart, rangeEnd);
+        const months = [];
+        const cursor = new Date(start.getFullYear(), start.getMonth(), 1);
+        while (cursor < end) {
+            months.push({
+                label: cursor.toLocaleDateString(undefined, { month: 'short', year: '2-digit' }),
+                start: new Date(cursor.getTime()),
+                used: 0,
+                forfeited: 0
+            });
+            cursor.setMonth(cursor.getMonth() + 1);
+        }
+
+        const bucketOf = date => months.findIndex(month =>
+            month.start.getFullYear() === date.getFullYear() && month.start.getMonth() === date.getMonth());
+
+        cards.forEach(card => {
+            card.getBenefitsWithHistory().forEach(benefit => {
+                const events = this.collectBenefitEvents(benefit, currentDate);
+                [['used', events.usage], ['forfeited', events.forfeits]].forEach(([key, list]) => {
+                    list.forEach(event => {
+                        if (event.date < start || event.date >= end) return;
+                        const index = bucketOf(event.date);
+                        if (index > -1) months[index][key] += event.amount;
+                    });
+                });
+            });
+        });
+
+        months.forEach(month => {
+            month.used = Math.round(month.used * 100) / 100;
+            month.forfeited = Math.round(month.forfeited * 100) / 100;
+        });
+        return months;
+    },
+
+    /**
+     * Converts an inclusive day range into [start, end) boundaries at midnight.
+     * @private
+     */
+    _normalizeRange(rangeStart, rangeEnd) {
+        const start = new Date(rangeStart);
+        start.setHours(0, 0, 0, 0);
+        const end = new Date(rangeEnd);
+        end.setHours(0, 0, 0, 0);
+        end.setDate(end.getDate() + 1);
+        return { start, end };
+    }
+};
@@ -3,6 +3,11 @@
  * Coordinates Data (Store), Logic (Models), and View (UIRenderer).
  */
 
+// How many times saveState re-fetches, merges and retries after a save conflict
+const MAX_SAVE_ATTEMPTS = 3;
+const MIN_PASSPHRASE_LENGTH = 8;
+const LOCKED_MESSAGE = 'Your data stays locked and nothing is saved. Reload the page to enter the passphrase.';
+
 class BenefitTrackerApp {
     constructor() {
         /** @type {StorageInterface} */
@@ -10,6 +15,8 @@ class BenefitTrackerApp {
         this.ui = new UIRenderer(this); // Pass controller to View
         /** @type {Array<Card>} */
         this.cards = [];
+        /** @type {Household} */
+        this.household = new Household();
         this.today = new Date();
         this.expiringDays = 30;
         this.expiringMinAmount = 0;
@@ -17,17 +24,35 @@ class BenefitTrackerApp {
         this.collapseSections = false; // Setting to group fully utilized/ignored items into sections
         this.hideMonthlyExpiring = false; // Setting to hide monthly benefits from Expiring Soon
         this.userSelectedThreshold = false; // Track if user manually selected a threshold
+        this.holderFilter = null; // Cardholder ID the card list and Expiring Soon are limited to (null for everyone)
 
         // Concurrency Control
         this.pollAbortController = null;
         this.isSaving = false;
+        this.isUnlocking = false; // Waiting for the passphrase after a re-key on another device
+        this.isLocked = false; // The passphrase prompt was cancelled: nothing is loaded or saved until reload
+        this.syncBase = null; // Serialized state as last loaded/saved; the base for three-way merges
+        /** @type {SnapshotManager} */
+        this.snapshots = null;
+        this.snapshotPreview = null; // {snapshot, state} selected in the restore screen
+        this.statementImport = null; // {cardId, fileName, rows} of the statement being imported
+        this.history = new HistoryManager(typeof sessionStorage !== 'undefined' ? sessionStorage : null);
+        this.historyBase = null; // Serialized state as of the last recorded change; the "before" of the next one
+        this.toastTimer = null;
+        this.renderDeferred = false; // A remote update arrived while the user was typing
         this.lastProgressState = new Map();
+        this.openDetailKeys = new Set(); // Open ledger/history <details> elements, keyed by data-detail-key
+        this.currentView = 'cards'; // 'cards' or 'dashboard'
+        this.dashboardRange = null; // {start, end}; defaults to the last 12 months
 
         // Core References
         this.loadingIndicator = document.getElementById('loading-indicator');
         this.cardListContainer = document.getElementById('card-list-container');
+        this.dashboardContainer = document.getElementById('dashboard-container');
+        this.addCardContainer = document.querySelector('.add-card-container');
         this.expiringDaysSelect = document.getElementById('expiring-days-select');
         this.expiringMinAmountInput = document.getElementById('expiring-min-amount');
+        this.holderFilterSelect = document.getElementById('holder-filter-select');
 
         // Add Card Form Logic
         this.addCardFormContainer = document.querySelector('.card-form-container');
@@ -35,6 +60,15 @@ class BenefitTrackerApp {
         this.showAddCardBtn = document.getElementById('show-add-card-btn');
         this.newCardNameInput = document.getElementById('new-card-name');
         this.newCardAnniversaryInput = document.getElementById('new-card-anniversary');
+        this.newCardAnnualFeeInput = document.getElementById('new-card-annual-fee');
+        this.newCardFeeDateInput = document.getElementById('new-card-fee-date');
+        this.newCardHolderSelect = document.getElementById('new-card-holder');
+        this.newCardHolderNameInput = document.getElementById('new-card-holder-name');
+        this.newCardTemplateGroup = document.getElementById('new-card-template-group');
+        this.newCardTemplateSelect = document.getElementById('new-card-template');
+        this.newCardTemplateItems = document.getElementById('new-card-template-items');
+        this.catalog = null; // Loaded when the add card form is first shown
+        this.templateDiff = null; // {cardId, template, changes} while the diff dialog is open
 
         // Settings References
         this.settingsSaveBtn = document.getElementById('settings-save');
@@ -42,6 +76,37 @@ class BenefitTrackerApp {
         this.pollIntervalInput = document.getElementById('poll-interval-input');
         this.currentStorageLabel = document.getElementById('current-storage-type');
 
+        // Encryption References
+        this.encryptionStatusLabel = document.getElementById('encryption-status');
+        this.encryptionCurrentGroup = document.getElementById('encryption-current-group');
+        this.encryptionCurrentInput = document.getElementById('encryption-current-passphrase');
+        this.encryptionNewInput = document.getElementById('encryption-new-passphrase');
+        this.encryptionConfirmInput = document.getElementById('encryption-confirm-passphrase');
+        this.encryptionSetBtn = document.getElementById('encryption-set-btn');
+        this.encryptionDisableBtn = document.getElementById('encryption-disable-btn');
+
+        // Backup References
+        this.importModeSelect = document.getElementById('import-mode-select');
+        this.importFileInput = document.getElementById('import-file-input');
+
+        // Snapshot References
+        this.snapshotList = document.getElementById('snapshot-list');
+        this.snapshotDiff = document.getElementById('snapshot-diff');
+        this.snapshotRestoreBtn = document.getElementById('snapshot-restore');
+
+        // Statement Import References
+        this.statementFileInput = document.getElementById('statement-file-input');
+        this.statementColumnSelects = {
+            date: document.getElementById('statement-date-column'),
+            description: document.getElementById('statement-description-column'),
+            amount: document.getElementById('statement-amount-column'),
+            debit: document.getElementById('statement-debit-column'),
+            credit: document.getElementById('statement-credit-column')
+        };
+        this.statementDateFormatSelect = document.getElementById('statement-date-format');
+        this.statementSpendSignSelect = document.getElementById('statement-spend-sign');
+        this.statementImportBtn = document.getElementById('statement-import');
+
         // Custom Date References
         this.customDateInput = document.getElementById('custom-date-input');
         this.clearCustomDateBtn = document.getElementById('clear-custom-date-btn');
@@ -69,9 +134,21 @@ class BenefitTrackerApp {
             });
         }
 
+        if (this.holderFilterSelect) {
+            this.holderFilterSelect.addEventListener('change', (e) => this.handleHolderFilterChange(e.target.value));
+        }
+
         this.showAddCardBtn.addEventListener('click', () => {
             this.showAddCardBtn.style.display = 'none';
             this.addCardFormContainer.style.display = 'block';
+            this.ui.fillHolderSelect(this.newCardHolderSelect, this.newCardHolderNameInput, this.holderFilter);
+            this.loadCatalog();
+        });
+        this.newCardTemplateSelect.addEventListener('change', () => this.handleTemplateSelect());
+
+        // View Tabs
+        document.querySelectorAll('.view-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.switchView(tab.dataset.view));
         });
 
         // Modal & Settings Listeners
@@ -89,11 +166,48 @@ class BenefitTrackerApp {
             this.collapseSectionsCheckbox.checked = this.collapseSections;
             // Populate hide monthly expiring checkbox
             this.hideMonthlyExpiringCheckbox.checked = this.hideMonthlyExpiring;
+            this.updateEncryptionSettings();
+            this.ui.renderHouseholdSettings(document.getElementById('household-list'));
+            // The date range only applies to the usage sheet
+            document.getElementById('csv-range-group').style.display = CsvExport.hasUsageHistory(this.cards) ? 'block' : 'none';
             document.getElementById('settings-modal').style.display = 'flex';
         };
+        document.getElementById('conflict-ok').onclick = () => {
+            document.getElementById('conflict-modal').style.display = 'none';
+        };
         document.getElementById('settings-cancel').onclick = () => document.getElementById('settings-modal').style.display = 'none';
         document.getElementById('settings-save').onclick = this.handleConnectCloud.bind(this);
         document.getElementById('use-local-storage-btn').onclick = this.handleSwitchToLocal.bind(this);
+        this.encryptionSetBtn.onclick = this.handleSetPassphrase.bind(this);
+        this.encryptionDisableBtn.onclick = this.handleDisableEncryption.bind(this);
+        document.getElementById('export-btn').onclick = this.handleExport.bind(this);
+        document.getElementById('csv-export-btn').onclick = this.handleCsvExport.bind(this);
+        document.getElementById('import-btn').onclick = () => this.importFileInput.click();
+        this.importFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow importing the same file again
+            if (file) this.handleImport(file);
+        });
+        document.getElementById('open-snapshots-btn').onclick = this.openSnapshotModal.bind(this);
+        document.getElementById('snapshot-cancel').onclick = () => {
+            document.getElementById('snapshot-modal').style.display = 'none';
+        };
+        this.snapshotRestoreBtn.onclick = this.handleRestoreSnapshot.bind(this);
+        this.statementFileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Allow importing the same statement again
+            if (file) this.handleStatementFile(file);
+        });
+        [...Object.values(this.statementColumnSelects), this.statementDateFormatSelect, this.statementSpendSignSelect]
+            .forEach(select => select.addEventListener('change', () => this.updateStatementPreview()));
+        document.getElementById('statement-cancel').onclick = () => {
+            document.getElementById('statement-modal').style.display = 'none';
+        };
+        this.statementImportBtn.onclick = this.handleStatementImport.bind(this);
+        document.getElementById('template-diff-cancel').onclick = () => {
+            document.getElementById('template-diff-modal').style.display = 'none';
+        };
+        document.getElementById('template-diff-apply').onclick = this.handleApplyTemplateChanges.bind(this);
 
         // Custom Date Listeners
         this.customDateInput.addEventListener('change', this.handleCustomDateChange.bind(this));
@@ -104,6 +218,27 @@ class BenefitTrackerApp {
         
         // Hide monthly in expiring widget listener
         this.hideMonthlyExpiringCheckbox.addEventListener('change', this.handleHideMonthlyExpiringChange.bind(this));
+
+        // Undo/redo shortcuts; form fields keep their own text undo
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z' || this.isEditingInput()) return;
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        });
+
+        // Render remote updates that arrived while typing once focus leaves the inputs
+        document.addEventListener('focusout', () => {
+            setTimeout(() => {
+                if (this.renderDeferred && !this.isEditingInput()) {
+                    this.renderDeferred = false;
+                    this.render();
+                }
+            }, 0);
+        });
     }
 
     // ... (init and initLiveSync unchanged) ...
@@ -134,21 +269,35 @@ class BenefitTrackerApp {
         const storedHideMonthlyExpiring = localStorage.getItem('creditCardBenefitTracker_hideMonthlyExpiring');
         this.hideMonthlyExpiring = storedHideMonthlyExpiring === 'true';
 
+        // Load the cardholder filter (checked against the household once the cards are loaded)
+        this.holderFilter = localStorage.getItem('creditCardBenefitTracker_holderFilter') || null;
+
         const cloudConfig = localStorage.getItem('creditCardBenefitTracker_config');
+        let store;
         if (cloudConfig) {
-            this.storage = new CloudStore(cloudConfig);
+            store = new CloudStore(cloudConfig);
             this.currentStorageLabel.textContent = 'Cloud Object Storage';
             this.s3UrlInput.value = cloudConfig;
+        } else if (IndexedDBStore.isSupported()) {
+            store = new IndexedDBStore();
+            this.currentStorageLabel.textContent = 'Browser Database (IndexedDB)';
         } else {
-            this.storage = new LocalStorageStore();
+            store = new LocalStorageStore();
             this.currentStorageLabel.textContent = 'Local Storage';
         }
+        // Transparent until a passphrase is set; then data is encrypted before it reaches the store
+        this.storage = new EncryptedStore(store);
+        this.snapshots = new SnapshotManager(this.storage, {
+            cloudUrl: cloudConfig ? SnapshotManager.getSiblingUrl(cloudConfig) : null
+        });
 
         this.toggleLoading(true);
         try {
-            const rawData = await this.storage.loadData();
+            const rawData = await this.loadWithPassphrase();
             // Convert raw data to Card instances
-            this.cards = rawData.map(cardData => Card.fromJSON(cardData));
+            this.restoreState(rawData);
+            this.syncBase = this.serializeState();
+            this.historyBase = this.syncBase;
         } catch (e) {
             console.error(e);
             alert("Error loading data. Please check settings.");
@@ -175,16 +324,16 @@ class BenefitTrackerApp {
 
     initLiveSync() {
         window.addEventListener('storage', (e) => {
-            if (e.key === 'creditCardBenefitTracker') this.checkForUpdates();
+            // IndexedDBStore touches IDB_CHANGE_KEY after each save since IndexedDB has no change event
+            if (e.key === 'creditCardBenefitTracker' || e.key === IDB_CHANGE_KEY) this.checkForUpdates();
         });
-        if (this.storage instanceof CloudStore) {
+        if (this.storage.store instanceof CloudStore) {
             setInterval(() => this.checkForUpdates(), this.pollInterval);
         }
     }
 
     async checkForUpdates() {
-        if (document.activeElement && document.activeElement.tagName === 'INPUT') return;
-        if (this.isSaving) return;
+        if (this.isSaving || this.isUnlocking || this.isLocked) return;
 
         this.pollAbortController = new AbortController();
 
@@ -192,17 +341,30 @@ class BenefitTrackerApp {
             const remoteData = await this.storage.loadData({signal: this.pollAbortController.signal});
             this.pollAbortController = null;
 
-            // Convert to Card instances for comparison
-            const remoteCards = remoteData.map(cardData => Card.fromJSON(cardData));
-            const currentJSON = JSON.stringify(this.cards.map(c => c.toJSON()));
-            const remoteJSON = JSON.stringify(remoteCards.map(c => c.toJSON()));
-            
-            if (currentJSON !== remoteJSON) {
-                this.cards = remoteCards;
-                this.render();
+            // Normalize through the models so comparisons ignore legacy formatting
+            const remoteJSON = this.normalizeState(remoteData);
+            const localJSON = this.serializeState();
+            const baseString = JSON.stringify(this.syncBase);
+
+            if (JSON.stringify(remoteJSON) === baseString) return; // Nothing new remotely
+
+            if (JSON.stringify(localJSON) === baseString) {
+                // No local edits pending: adopt the remote state
+                this.restoreState(remoteJSON);
+                this.syncBase = remoteJSON;
+                this.historyBase = remoteJSON; // Remote changes are not undoable here
+                this.renderWhenIdle();
+                return;
             }
+
+            // Both sides changed since the last sync: merge and push the result
+            this.applyMerge(localJSON, remoteJSON);
+            this.renderWhenIdle();
+            await this.saveState();
         } catch (e) {
-            if (e.name !== 'AbortError') {
+            if (e instanceof PassphraseRequiredError) {
+                await this.unlockAfterRekey();
+            } else if (e.name !== 'AbortError') {
                 console.warn('Background poll failed:', e.message);
             }
         }
@@ -212,18 +374,52 @@ class BenefitTrackerApp {
         this.loadingIndicator.style.display = isLoading ? 'block' : 'none';
     }
 
-    async saveState() {
+    /**
+     * Saves the cards, merging and retrying when another device saved first.
+     * @param {Object} [options]
+     * @param {string} [options.snapshotReason] - Always snapshot the replaced state, labelled with this reason
+     * @param {string} [options.historyLabel] - Record the change for undo under this label
+     */
+    async saveState(options = {}) {
+        if (this.isLocked) {
+            alert(LOCKED_MESSAGE);
+            return;
+        }
         if (this.pollAbortController) {
             this.pollAbortController.abort();
             this.pollAbortController = null;
         }
 
+        // Record before anything is awaited so later changes are not folded into this one
+        this.recordHistory(options.historyLabel || null);
+
         this.isSaving = true;
         this.toggleLoading(true);
+        const previous = this.syncBase;
         try {
-            // Convert Card instances to plain objects for storage
-            const dataToSave = this.cards.map(card => card.toJSON());
-            await this.storage.saveData(dataToSave);
+            // Record which entities changed since the last sync so merges can tell the latest edit
+            const now = new Date();
+            SyncMerge.stampChanges(this.syncBase ? this.syncBase.cards : null, this.cards, now);
+            SyncMerge.stampHousehold(this.syncBase ? this.syncBase.household : null, this.household, now);
+            for (let attempt = 1; ; attempt++) {
+                try {
+                    // Convert Card instances to plain objects for storage
+                    const dataToSave = this.serializeState();
+                    await this.storage.saveData(dataToSave);
+                    this.syncBase = dataToSave;
+                    break;
+                } catch (e) {
+                    // Local snapshots make way when the data no longer fits next to them
+                    if (e.name === 'QuotaExceededError' && this.snapshots && this.snapshots.releaseLocal()) continue;
+                    if (!(e instanceof StorageConflictError) || attempt >= MAX_SAVE_ATTEMPTS) throw e;
+                    // Another device saved first: re-fetch (which refreshes the ETag), merge and retry
+                    const remoteData = await this.storage.loadData();
+                    this.applyMerge(this.serializeState(), this.normalizeState(remoteData));
+                    this.renderWhenIdle();
+                }
+            }
+            // Keep a point-in-time copy of the state this save replaced, in the background so saving never waits on it
+            this.captureSnapshot(previous, options.snapshotReason || null);
         } catch (e) {
             alert(`Save failed: ${e.message}`);
         } finally {
@@ -232,6 +428,575 @@ class BenefitTrackerApp {
         }
     }
 
+    /**
+     * Serializes the cards and household for storage, merges and history.
+     * @returns {{cards: Array<Object>, household: Object}}
+     */
+    serializeState() {
+        return {
+            cards: this.cards.map(card => card.toJSON()),
+            household: this.household.toJSON()
+        };
+    }
+
+    /**
+     * Replaces the cards and household with serialized state.
+     * @param {{cards: Array<Object>, household: Object|null}} state
+     */
+    restoreState(state) {
+        this.cards = state.cards.map(cardData => Card.fromJSON(cardData));
+        this.household = Household.fromJSON(state.household);
+    }
+
+    /**
+     * Normalizes loaded state through the models so comparisons ignore legacy formatting.
+     * @param {{cards: Array<Object>, household: Object|null}} state
+     * @returns {{cards: Array<Object>, household: Object}}
+     */
+    normalizeState(state) {
+        return {
+            cards: state.cards.map(cardData => Card.fromJSON(cardData).toJSON()),
+            household: Household.fromJSON(state.household).toJSON()
+        };
+    }
+
+    /**
+     * Three-way merges local and remote state against the last-synced base,
+     * replaces the cards with the result and reports any conflicts.
+     * The remote state becomes the new base.
+     * @param {Object} localData - Serialized local state
+     * @param {Object} remoteData - Serialized remote state
+     */
+    applyMerge(localData, remoteData) {
+        const { merged, conflicts } = SyncMerge.mergeState(this.syncBase, localData, remoteData);
+        this.restoreState(merged);
+        this.syncBase = remoteData;
+        this.historyBase = merged;
+        if (conflicts.length > 0) {
+            this.showConflictReport(conflicts);
+        }
+    }
+
+    /**
+     * Shows how conflicting edits from another device were resolved.
+     * @param {Array<Object>} conflicts - Conflicts from SyncMerge.mergeState
+     */
+    showConflictReport(conflicts) {
+        const list = document.getElementById('conflict-list');
+        list.innerHTML = '';
+        conflicts.forEach(conflict => {
+            const li = document.createElement('li');
+            li.textContent = SyncMerge.describeConflict(conflict);
+            list.appendChild(li);
+        });
+        document.getElementById('conflict-modal').style.display = 'flex';
+    }
+
+    /**
+     * Checks if the user is typing in a form field.
+     * @returns {boolean}
+     */
+    isEditingInput() {
+        const active = document.activeElement;
+        return !!active && ['INPUT', 'SELECT', 'TEXTAREA'].includes(active.tagName);
+    }
+
+    /**
+     * Renders now, or once the user leaves the focused input so their typing is not lost.
+     */
+    renderWhenIdle() {
+        if (this.isEditingInput()) {
+            this.renderDeferred = true;
+        } else {
+            this.render();
+        }
+    }
+
+    // ==================== ENCRYPTION ====================
+
+    /**
+     * Loads the data, asking for the passphrase if it is encrypted.
+     * @returns {Promise<{cards: Array<Object>, household: Object|null}>} Empty while the data stays locked
+     */
+    async loadWithPassphrase() {
+        try {
+            return await this.storage.loadData();
+        } catch (e) {
+            if (!(e instanceof PassphraseRequiredError)) throw e;
+        }
+        // Nothing is loaded yet, so the encrypted data can be forgotten to start over
+        const data = await this.unlockStorage('Your data is encrypted. Enter your passphrase to unlock it.', { allowForget: true });
+        return data || { cards: [], household: null };
+    }
+
+    /**
+     * Prompts for the passphrase until it unlocks the stored data, the user forgets the
+     * encrypted data, or the user cancels (which locks the session; see isLocked).
+     * @param {string} message - Explanation shown in the prompt
+     * @param {Object} [options]
+     * @param {boolean} [options.allowForget] - Offer to delete the encrypted data instead
+     * @returns {Promise<Object|null>} The decrypted state; null if cancelled
+     */
+    async unlockStorage(message, { allowForget = false } = {}) {
+        for (;;) {
+            this.toggleLoading(false);
+            const { action, passphrase } = await this.requestPassphrase(message, { allowForget });
+            if (action === 'cancel') {
+                this.isLocked = true;
+                alert(LOCKED_MESSAGE);
+                return null;
+            }
+            if (action === 'forget'
+                && !confirm('Delete the encrypted data? Without the passphrase it cannot be recovered, and other devices '
+                    + 'that sync with this storage lose it too. Encrypted snapshots are kept.')) {
+                continue;
+            }
+            this.toggleLoading(true);
+            try {
+                if (action === 'forget') return await this.storage.forgetData();
+                return await this.storage.unlock(passphrase);
+            } catch (e) {
+                if (e instanceof StorageConflictError) {
+                    // Another device saved since the encrypted data was loaded: reload instead of deleting its changes
+                    const data = await this.storage.loadData().catch(loadError => {
+                        if (!(loadError instanceof PassphraseRequiredError)) throw loadError;
+                        return null;
+                    });
+                    if (data) return data;
+                    message = 'The encrypted data was changed on another device and was not deleted. Enter the passphrase to unlock it.';
+                    continue;
+                }
+                if (!(e instanceof IncorrectPassphraseError)) throw e;
+                message = 'Incorrect passphrase. Please try again.';
+            } finally {
+                this.toggleLoading(false);
+            }
+        }
+    }
+
+    /**
+     * Asks for the new passphrase after the data was re-keyed on another device, then syncs.
+     */
+    async unlockAfterRekey() {
+        if (this.isUnlocking) return;
+        this.isUnlocking = true;
+        try {
+            await this.unlockStorage('The passphrase was changed on another device. Enter the new passphrase to keep syncing.');
+        } catch (e) {
+            console.warn('Unlock failed:', e.message);
+        } finally {
+            this.isUnlocking = false;
+        }
+        await this.checkForUpdates();
+    }
+
+    /**
+     * Shows the passphrase prompt.
+     * @param {string} message - Explanation shown in the prompt
+     * @param {Object} [options]
+     * @param {boolean} [options.allowForget] - Show the button that forgets the encrypted data
+     * @returns {Promise<{action: string, passphrase: string}>} action is 'unlock', 'cancel' or 'forget'
+     */
+    requestPassphrase(message, { allowForget = false } = {}) {
+        const modal = document.getElementById('passphrase-modal');
+        const form = document.getElementById('passphrase-form');
+        const input = document.getElementById('passphrase-input');
+        const cancelBtn = document.getElementById('passphrase-cancel');
+        const forgetBtn = document.getElementById('passphrase-forget');
+        document.getElementById('passphrase-message').textContent = message;
+        forgetBtn.style.display = allowForget ? 'inline-block' : 'none';
+        input.value = '';
+        modal.style.display = 'flex';
+        input.focus();
+
+        return new Promise(resolve => {
+            const close = (action) => {
+                form.onsubmit = null;
+                cancelBtn.onclick = null;
+                forgetBtn.onclick = null;
+                modal.style.display = 'none';
+                resolve({ action, passphrase: input.value });
+            };
+            form.onsubmit = (e) => {
+                e.preventDefault();
+                close('unlock');
+            };
+            cancelBtn.onclick = () => close('cancel');
+            forgetBtn.onclick = () => close('forget');
+        });
+    }
+
+    /**
+     * Populates the encryption section of the settings modal.
+     */
+    updateEncryptionSettings() {
+        const supported = EncryptedStore.isSupported();
+        const encrypted = this.storage.isEncrypted;
+        this.encryptionStatusLabel.textContent = !supported
+            ? 'Unavailable (requires HTTPS)'
+            : (encrypted ? 'On' : 'Off');
+        this.encryptionCurrentGroup.style.display = encrypted ? 'block' : 'none';
+        this.encryptionDisableBtn.style.display = encrypted ? 'inline-block' : 'none';
+        this.encryptionSetBtn.textContent = encrypted ? 'Change Passphrase' : 'Enable Encryption';
+        this.encryptionSetBtn.disabled = !supported;
+        [this.encryptionCurrentInput, this.encryptionNewInput, this.encryptionConfirmInput].forEach(input => {
+            input.value = '';
+        });
+    }
+
+    /**
+     * Enables encryption, or re-keys the data with a new passphrase.
+     */
+    async handleSetPassphrase() {
+        const passphrase = this.encryptionNewInput.value;
+        if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            alert(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long.`);
+            return;
+        }
+        if (passphrase !== this.encryptionConfirmInput.value) {
+            alert('The passphrases do not match.');
+            return;
+        }
+        if (this.storage.isEncrypted && !(await this.storage.verifyPassphrase(this.encryptionCurrentInput.value))) {
+            alert('The current passphrase is incorrect.');
+            return;
+        }
+
+        const enabling = !this.storage.isEncrypted;
+        const saved = await this.rewriteStorage(
+            data => this.resealSnapshots(() => this.storage.changePassphrase(passphrase, data)),
+            enabling ? 'Could not enable encryption' : 'Could not change the passphrase'
+        );
+        if (saved) {
+            this.updateEncryptionSettings();
+            alert(enabling
+                ? 'Encryption is on. You will need this passphrase to open your data on any device.'
+                : 'The passphrase was changed. Other devices will ask for the new passphrase.');
+        }
+    }
+
+    /**
+     * Turns encryption off after confirming the current passphrase.
+     */
+    async handleDisableEncryption() {
+        if (!(await this.storage.verifyPassphrase(this.encryptionCurrentInput.value))) {
+            alert('Enter your current passphrase to turn off encryption.');
+            return;
+        }
+        if (!confirm('Turn off encryption? Your data will be saved unencrypted.')) return;
+
+        const saved = await this.rewriteStorage(
+            data => this.resealSnapshots(() => this.storage.removePassphrase(data)),
+            'Could not turn off encryption'
+        );
+        if (saved) this.updateEncryptionSettings();
+    }
+
+    /**
+     * Rewrites the stored data through a custom write (e.g. re-encryption), outside of the poll.
+     * @param {function(Object): Promise<void>} write - Writes the serialized state
+     * @param {string} failureMessage - Prefix of the alert shown on failure
+     * @returns {Promise<boolean>} Whether the write succeeded
+     */
+    async rewriteStorage(write, failureMessage) {
+        if (this.isLocked) {
+            alert(LOCKED_MESSAGE);
+            return false;
+        }
+        if (this.pollAbortController) {
+            this.pollAbortController.abort();
+            this.pollAbortController = null;
+        }
+
+        this.isSaving = true;
+        this.toggleLoading(true);
+        try {
+            const dataToSave = this.serializeState();
+            await write(dataToSave);
+            this.syncBase = dataToSave;
+            return true;
+        } catch (e) {
+            alert(`${failureMessage}: ${e.message}`);
+            return false;
+        } finally {
+            this.toggleLoading(false);
+            this.isSaving = false;
+        }
+    }
+
+    // ==================== BACKUP ====================
+
+    /**
+     * Downloads the full tracker state as a JSON backup.
+     */
+    handleExport() {
+        const now = new Date();
+        const backup = Backup.createDocument(this.serializeState(), now);
+        this.downloadFile(Backup.getFileName(now), JSON.stringify(backup, null, 2), 'application/json');
+    }
+
+    /**
+     * Downloads the cards, benefits, minimum spends and usage sheets as CSV files.
+     * Figures are as of the current (or custom) date.
+     */
+    handleCsvExport() {
+        const toDate = value => {
+            if (!value) return null;
+            const [year, month, day] = value.split('-').map(Number);
+            return new Date(year, month - 1, day);
+        };
+        const rangeStart = toDate(document.getElementById('csv-range-start').value);
+        const rangeEnd = toDate(document.getElementById('csv-range-end').value);
+        if (rangeStart && rangeEnd && rangeStart > rangeEnd) {
+            alert('The usage start date must be on or before the end date.');
+            return;
+        }
+
+        CsvExport.createFiles(this.cards, this.today, { rangeStart, rangeEnd, household: this.household }).forEach(file => {
+            // The byte order mark makes spreadsheet apps read the file as UTF-8
+            this.downloadFile(file.name, `\uFEFF${file.content}`, 'text/csv;charset=utf-8');
+        });
+    }
+
+    /**
+     * Saves text as a file through a temporary download link.
+     * @param {string} fileName
+     * @param {string} content
+     * @param {string} type - MIME type
+     */
+    downloadFile(fileName, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Imports a JSON backup, replacing or merging into the current cards.
+     * @param {File} file - The selected backup file
+     */
+    async handleImport(file) {
+        let imported;
+        try {
+            imported = Backup.parse(await file.text());
+        } catch (e) {
+            alert(`Import failed: ${e.message}`);
+            return;
+        }
+
+        const mode = this.importModeSelect.value;
+        const cardCount = imported.cards.length;
+        const count = `${cardCount} card${cardCount === 1 ? '' : 's'}`;
+        const question = mode === 'replace'
+            ? `Replace all current data with ${count} from "${file.name}"? This cannot be undone.`
+            : `Merge ${count} from "${file.name}" into your current data? Items with matching IDs will be overwritten.`;
+        if (!confirm(question)) return;
+
+        const state = mode === 'replace'
+            ? imported
+            : Backup.mergeById(this.serializeState(), imported);
+        this.restoreState(state);
+
+        document.getElementById('settings-modal').style.display = 'none';
+        await this.saveState({ snapshotReason: `Before importing "${file.name}"`, historyLabel: `Import "${file.name}"` });
+        this.refreshBenefitsAndRender();
+    }
+
+    // ==================== UNDO / REDO ====================
+
+    /**
+     * Records the change since the last recorded state, if it has a label.
+     * Unlabelled saves (automatic resets, sync merges, undo itself) only move the base.
+     * @param {string|null} label - What the change did
+     */
+    recordHistory(label) {
+        const current = this.serializeState();
+        if (label && this.historyBase && this.history.record(label, this.historyBase, current)) {
+            this.showHistoryToast(label, 'Undo', () => this.undo());
+        }
+        this.historyBase = current;
+    }
+
+    /**
+     * Reverts the latest recorded change.
+     */
+    undo() {
+        const result = this.history.undo(this.serializeState());
+        if (!result) {
+            this.showHistoryToast('Nothing to undo');
+            return;
+        }
+        this.applyHistoryState(result.state);
+        this.showHistoryToast(`Undid: ${result.label}`, 'Redo', () => this.redo());
+    }
+
+    /**
+     * Re-applies the latest undone change.
+     */
+    redo() {
+        const result = this.history.redo(this.serializeState());
+        if (!result) {
+            this.showHistoryToast('Nothing to redo');
+            return;
+        }
+        this.applyHistoryState(result.state);
+        this.showHistoryToast(`Redid: ${result.label}`, 'Undo', () => this.undo());
+    }
+
+    /**
+     * Replaces the cards and household with a state from the history and saves it.
+     * @param {Object} state - Serialized state
+     */
+    applyHistoryState(state) {
+        this.restoreState(state);
+        this.saveState();
+        this.render();
+    }
+
+    /**
+     * Shows a short-lived message with an optional action button.
+     * @param {string} message
+     * @param {string|null} actionLabel - Button text (no button when null)
+     * @param {Function|null} action - Called when the button is clicked
+     */
+    showHistoryToast(message, actionLabel = null, action = null) {
+        const toast = document.getElementById('history-toast');
+        const button = document.getElementById('history-toast-action');
+        document.getElementById('history-toast-message').textContent = message;
+        button.textContent = actionLabel || '';
+        button.style.display = actionLabel ? 'inline-block' : 'none';
+        button.onclick = () => {
+            toast.style.display = 'none';
+            if (action) action();
+        };
+        toast.style.display = 'flex';
+
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => {
+            toast.style.display = 'none';
+        }, 6000);
+    }
+
+    // ==================== SNAPSHOTS ====================
+
+    /**
+     * Takes a snapshot without ever failing the caller.
+     * @param {Object|null} state - Serialized state (nothing is captured when null)
+     * @param {string|null} reason - Label for an explicit snapshot; null for an automatic one
+     */
+    async captureSnapshot(state, reason) {
+        if (!this.snapshots || !state) return;
+        try {
+            await this.snapshots.capture(state, reason);
+        } catch (e) {
+            console.warn('Snapshot failed:', e.message);
+        }
+    }
+
+    /**
+     * Runs a key change so that snapshots stay readable with the new key.
+     * @param {function(): Promise<void>} changeKey
+     * @returns {Promise<void>}
+     */
+    resealSnapshots(changeKey) {
+        return this.snapshots ? this.snapshots.reseal(changeKey) : changeKey();
+    }
+
+    /**
+     * Shows the restore screen with the available snapshots.
+     */
+    async openSnapshotModal() {
+        document.getElementById('settings-modal').style.display = 'none';
+        document.getElementById('snapshot-modal').style.display = 'flex';
+        this.snapshotPreview = null;
+        this.snapshotRestoreBtn.disabled = true;
+        this.snapshotList.innerHTML = '<li>Loading snapshots...</li>';
+        this.showSnapshotDiffMessage('Select a snapshot to preview what restoring it would change.');
+
+        const snapshots = this.snapshots ? await this.snapshots.list() : [];
+        this.snapshotList.innerHTML = '';
+        if (snapshots.length === 0) {
+            this.snapshotList.innerHTML = '<li>No snapshots yet. One is taken before your data is overwritten.</li>';
+            return;
+        }
+        snapshots.forEach(snapshot => {
+            const li = document.createElement('li');
+            li.className = 'snapshot-item';
+            const { cards, benefits } = snapshot.counts;
+            li.textContent = `${new Date(snapshot.takenAt).toLocaleString()} — ${snapshot.reason} (${cards} cards, ${benefits} benefits)`;
+            li.onclick = () => {
+                this.snapshotList.querySelectorAll('.snapshot-item').forEach(item => item.classList.remove('selected'));
+                li.classList.add('selected');
+                this.previewSnapshot(snapshot);
+            };
+            this.snapshotList.appendChild(li);
+        });
+    }
+
+    /**
+     * Shows the differences between a snapshot and the current state.
+     * @param {Object} snapshot - A snapshot from SnapshotManager#list
+     */
+    async previewSnapshot(snapshot) {
+        this.snapshotPreview = null;
+        this.snapshotRestoreBtn.disabled = true;
+        let state;
+        try {
+            state = await this.snapshots.open(snapshot);
+        } catch (e) {
+            this.showSnapshotDiffMessage(`This snapshot cannot be opened: ${e.message}`);
+            return;
+        }
+
+        const changes = SnapshotManager.diff(this.serializeState(), state);
+        this.snapshotPreview = { snapshot, state };
+        this.snapshotRestoreBtn.disabled = false;
+        if (changes.length === 0) {
+            this.showSnapshotDiffMessage('No differences from the current state.');
+            return;
+        }
+
+        const icons = { restored: '↩️ Restored', removed: '🗑️ Removed', changed: '✏️ Changed' };
+        this.snapshotDiff.innerHTML = '';
+        changes.forEach(change => {
+            const li = document.createElement('li');
+            li.className = `snapshot-diff-${change.change}`;
+            const fields = change.fields.length > 0 ? ` (${change.fields.join(', ')})` : '';
+            li.textContent = `${icons[change.change]}: ${change.label}${fields}`;
+            this.snapshotDiff.appendChild(li);
+        });
+    }
+
+    /**
+     * Replaces the diff preview with a message.
+     * @param {string} message
+     */
+    showSnapshotDiffMessage(message) {
+        this.snapshotDiff.innerHTML = '';
+        const li = document.createElement('li');
+        li.textContent = message;
+        this.snapshotDiff.appendChild(li);
+    }
+
+    /**
+     * Restores the previewed snapshot after confirmation.
+     */
+    async handleRestoreSnapshot() {
+        if (!this.snapshotPreview) return;
+        const { snapshot, state } = this.snapshotPreview;
+        const takenAt = new Date(snapshot.takenAt).toLocaleString();
+        if (!confirm(`Restore the snapshot from ${takenAt}? The current state will be kept as a snapshot.`)) return;
+
+        this.restoreState(state);
+        this.snapshotPreview = null;
+        document.getElementById('snapshot-modal').style.display = 'none';
+        await this.saveState({ snapshotReason: `Before restoring the snapshot from ${takenAt}`, historyLabel: `Restore the snapshot from ${takenAt}` });
+        this.refreshBenefitsAndRender();
+    }
+
     // ==================== TYPE CHECK HELPERS ====================
 
     /**
@@ -258,6 +1023,18 @@ class BenefitTrackerApp {
             : benefit.frequency === 'one-time';
     }
     
+    /**
+     * Helper to get the credit amount of a benefit's current period.
+     * Works with both Benefit instances and plain objects.
+     * @param {Benefit|Object} benefit
+     * @returns {number}
+     */
+    _getPeriodAmount(benefit) {
+        return benefit.getPeriodAmount
+            ? benefit.getPeriodAmount()
+            : benefit.totalAmount;
+    }
+
     /**
      * Helper to check if a benefit is a monthly recurring benefit.
      * Excludes carryover and one-time benefits.
@@ -272,11 +1049,12 @@ class BenefitTrackerApp {
      * Checks if auto-claim is active for a benefit.
      * Delegates to Benefit.isAutoClaimActive().
      * @param {Benefit|Object} benefit - The benefit instance or object
+     * @param {Date} [date] - The reference date (today by default)
      * @returns {boolean}
      */
-    isAutoClaimActive(benefit) {
+    isAutoClaimActive(benefit, date = this.today) {
         if (benefit instanceof Benefit) {
-            return benefit.isAutoClaimActive(this.today);
+            return benefit.isAutoClaimActive(date);
         }
         // Fallback for plain objects
         if (benefit.frequency === 'one-time') return false;
@@ -284,18 +1062,19 @@ class BenefitTrackerApp {
         if (!benefit.autoClaimEndDate) return false;
         const endDate = new Date(benefit.autoClaimEndDate);
         endDate.setHours(0, 0, 0, 0);
-        return endDate >= this.today;
+        return endDate >= date;
     }
 
     /**
      * Checks if a benefit is ignored.
      * Delegates to Benefit.isIgnoredActive().
      * @param {Benefit|Object} benefit - The benefit instance or object
+     * @param {Date} [date] - The reference date (today by default)
      * @returns {boolean}
      */
-    isIgnoredActive(benefit) {
+    isIgnoredActive(benefit, date = this.today) {
         if (benefit instanceof Benefit) {
-            return benefit.isIgnoredActive(this.today);
+            return benefit.isIgnoredActive(date);
         }
         // Fallback for plain objects
         if (benefit.frequency === 'one-time') return false;
@@ -303,7 +1082,7 @@ class BenefitTrackerApp {
         if (!benefit.ignoredEndDate) return false;
         const endDate = new Date(benefit.ignoredEndDate);
         endDate.setHours(0, 0, 0, 0);
-        return endDate >= this.today;
+        return endDate >= date;
     }
 
     /**
@@ -333,6 +1112,19 @@ class BenefitTrackerApp {
         return DateUtils.canEarnCarryoverThisYear(benefit, this.today);
     }
 
+    /**
+     * Gets the last day an earned carryover instance can be used.
+     * Delegates to Benefit.getCarryoverInstanceExpiryDate().
+     * @param {Benefit|Object} benefit - The benefit object
+     * @param {Object} instance - The earned instance {earnedDate, usedAmount}
+     * @returns {Date}
+     */
+    getCarryoverInstanceExpiryDate(benefit, instance) {
+        return benefit.getCarryoverInstanceExpiryDate
+            ? benefit.getCarryoverInstanceExpiryDate(instance)
+            : CarryoverCycle.calculateExpiryDate(instance.earnedDate, benefit.carryoverRule);
+    }
+
     /**
      * Gets all active (non-expired) earned instances for a carryover benefit.
      * Delegates to Benefit.getActiveCarryoverInstances().
@@ -387,11 +1179,18 @@ class BenefitTrackerApp {
         let stateChanged = false;
 
         this.cards.forEach(card => {
+            // A closed card's benefits and minimum spends reset until its last open day, and no longer after it
+            let asOf = this.today;
+            if (card.isClosed && card.isClosed(this.today)) {
+                asOf = card.getClosedDate();
+                asOf.setDate(asOf.getDate() - 1);
+            }
+
             // Reset recurring minimum spends if needed
             if (card.minimumSpends) {
                 card.minimumSpends.forEach(minSpend => {
-                    if (minSpend.shouldReset && minSpend.shouldReset(this.today)) {
-                        minSpend.reset(this.today);
+                    if (minSpend.shouldReset && minSpend.shouldReset(asOf)) {
+                        minSpend.reset(asOf);
                         stateChanged = true;
                     }
                 });
@@ -400,24 +1199,15 @@ class BenefitTrackerApp {
             card.benefits.forEach(benefit => {
                 // Handle carryover benefits separately
                 if (this._isCarryoverBenefit(benefit)) {
-                    // Migrate legacy single earnedDate to earnedInstances array
-                    if (benefit.earnedDate && !benefit.earnedInstances) {
-                        benefit.earnedInstances = [{
-                            earnedDate: benefit.earnedDate,
-                            usedAmount: benefit.usedAmount || 0
-                        }];
-                        benefit.earnedDate = null; // Clear legacy field
-                        benefit.usedAmount = 0;
-                        stateChanged = true;
-                    }
-
                     // Initialize earnedInstances if not present
                     if (!benefit.earnedInstances) {
                         benefit.earnedInstances = [];
                     }
 
-                    // Update lastEarnReset for calendar year tracking
-                    const resetDate = CarryoverCycle.getResetDate(this.today);
+                    // Update lastEarnReset for earning year tracking (calendar or card year)
+                    const resetDate = benefit.getCarryoverEarnWindowStart
+                        ? benefit.getCarryoverEarnWindowStart(asOf)
+                        : CarryoverCycle.getResetDate(asOf);
                     const lastEarnReset = benefit.lastEarnReset ? new Date(benefit.lastEarnReset) : null;
                     
                     if (!lastEarnReset || lastEarnReset < resetDate) {
@@ -425,14 +1215,8 @@ class BenefitTrackerApp {
                         stateChanged = true;
                     }
 
-                    // Remove expired instances
-                    const carryoverCycle = new CarryoverCycle({
-                        earnedInstances: benefit.earnedInstances
-                    });
-                    const activeInstances = carryoverCycle.getActiveInstances(this.today);
-                    
-                    if (activeInstances.length !== benefit.earnedInstances.length) {
-                        benefit.earnedInstances = activeInstances;
+                    // Archive and remove expired instances
+                    if (benefit.archiveExpiredCarryoverInstances(asOf) > 0) {
                         stateChanged = true;
                     }
 
@@ -441,27 +1225,26 @@ class BenefitTrackerApp {
 
                 if (this._isOneTimeBenefit(benefit)) return;
 
-                if (this.isAutoClaimActive(benefit) && benefit.usedAmount < benefit.totalAmount) {
-                    benefit.usedAmount = benefit.totalAmount;
+                if (this.isAutoClaimActive(benefit, asOf) && benefit.usedAmount < this._getPeriodAmount(benefit)) {
+                    benefit.markFullyClaimed(asOf);
                     stateChanged = true;
                 }
 
                 // Use Benefit method if available, otherwise use DateUtils
                 const nextReset = benefit.getNextResetDate 
-                    ? benefit.getNextResetDate(this.today)
-                    : DateUtils.calculateNextResetDate(benefit, card, this.today);
+                    ? benefit.getNextResetDate(asOf)
+                    : DateUtils.calculateNextResetDate(benefit, card, asOf);
 
-                if (nextReset <= this.today) {
-                    if (this.isAutoClaimActive(benefit)) {
-                        benefit.lastReset = this.today.toISOString();
-                        benefit.usedAmount = benefit.totalAmount;
+                if (nextReset <= asOf) {
+                    if (this.isAutoClaimActive(benefit, asOf)) {
+                        benefit.reset(asOf);
+                        benefit.markFullyClaimed(asOf);
                         stateChanged = true;
-                    } else if (this.isIgnoredActive(benefit)) {
-                        benefit.lastReset = this.today.toISOString();
-                        benefit.usedAmount = 0;
+                    } else if (this.isIgnoredActive(benefit, asOf)) {
+                        benefit.reset(asOf);
                         stateChanged = true;
                     } else {
-                        pendingManualResets.push({cardName: card.name, benefit: benefit});
+                        pendingManualResets.push({cardName: card.name, benefit: benefit, date: asOf});
                     }
                 }
             });
@@ -485,11 +1268,8 @@ class BenefitTrackerApp {
     }
 
     async applyResets(pending) {
-        pending.forEach(p => {
-            p.benefit.usedAmount = 0;
-            p.benefit.lastReset = this.today.toISOString();
-        });
-        await this.saveState();
+        pending.forEach(p => p.benefit.reset(p.date || this.today));
+        await this.saveState({ historyLabel: `Reset ${pending.length} benefit${pending.length === 1 ? '' : 's'}` });
         document.getElementById('reset-modal').style.display = 'none';
         this.render();
     }
@@ -526,11 +1306,18 @@ class BenefitTrackerApp {
     handleReorderCards(oldIndex, newIndex) {
         if (oldIndex === newIndex) return;
 
-        // Remove from old index and insert at new
-        const [movedCard] = this.cards.splice(oldIndex, 1);
-        this.cards.splice(newIndex, 0, movedCard);
+        // The indexes are positions in the displayed list, which may be filtered by cardholder
+        const visibleCards = this.getVisibleCards();
+        const movedCard = visibleCards[oldIndex];
+        const targetCard = visibleCards[newIndex];
+        if (!movedCard || !targetCard) return;
 
-        this.saveState();
+        // Remove from old index and insert where the target card was
+        this.cards.splice(this.cards.indexOf(movedCard), 1);
+        const targetIndex = this.cards.indexOf(targetCard);
+        this.cards.splice(newIndex > oldIndex ? targetIndex + 1 : targetIndex, 0, movedCard);
+
+        this.saveState({ historyLabel: 'Reorder cards' });
         // No need to re-render, SortableJS moved the DOM.
         // But saving state ensures refresh works.
     }
@@ -547,7 +1334,7 @@ class BenefitTrackerApp {
                 const [movedBenefit] = card.benefits.splice(oldIndex, 1);
                 card.benefits.splice(newIndex, 0, movedBenefit);
             }
-            this.saveState();
+            this.saveState({ historyLabel: `Reorder benefits on "${card.name}"` });
         }
     }
 
@@ -563,7 +1350,9 @@ class BenefitTrackerApp {
         const limitDate = new Date(this.today.getTime());
         limitDate.setDate(this.today.getDate() + days);
 
-        this.cards.forEach(card => {
+        this.getVisibleCards().forEach(card => {
+            if (card.isClosed && card.isClosed(this.today)) return;
+
             // Count actionable minimum spends
             if (card.minimumSpends) {
                 card.minimumSpends.forEach(minSpend => {
@@ -590,7 +1379,7 @@ class BenefitTrackerApp {
                 if (this._isCarryoverBenefit(benefit)) {
                     const activeInstances = this.getActiveCarryoverInstances(benefit);
                     activeInstances.forEach(instance => {
-                        const expiryDate = CarryoverCycle.calculateExpiryDate(instance.earnedDate);
+                        const expiryDate = this.getCarryoverInstanceExpiryDate(benefit, instance);
                         const rem = benefit.totalAmount - (instance.usedAmount || 0);
                         
                         // Only count if within limit, has remaining amount, and not ignored
@@ -601,11 +1390,11 @@ class BenefitTrackerApp {
                     return;
                 }
 
-                const rem = benefit.totalAmount - benefit.usedAmount;
+                const rem = this._getPeriodAmount(benefit) - benefit.usedAmount;
                 if (this._isOneTimeBenefit(benefit)) return;
 
-                const next = benefit.getNextResetDate 
-                    ? benefit.getNextResetDate(this.today)
+                const next = benefit.getAvailableUntil
+                    ? benefit.getAvailableUntil(this.today)
                     : DateUtils.calculateNextResetDate(benefit, card, this.today);
 
                 // Only count if within limit, has remaining amount, and not ignored
@@ -665,7 +1454,7 @@ class BenefitTrackerApp {
             return item.remainingAmount;
         }
         if (item.benefit && typeof item.benefit.totalAmount === 'number') {
-            return item.benefit.totalAmount;
+            return this._getPeriodAmount(item.benefit);
         }
         if (typeof item.remainingAmount === 'number') return item.remainingAmount;
         return 0;
@@ -695,6 +1484,12 @@ class BenefitTrackerApp {
         });
         this.lastProgressState = progressState;
 
+        const openDetailKeys = new Set();
+        this.cardListContainer.querySelectorAll('details[data-detail-key][open]').forEach(el => {
+            openDetailKeys.add(el.dataset.detailKey);
+        });
+        this.openDetailKeys = openDetailKeys;
+
         // 1. SNAPSHOT UI STATE
         const cardState = new Map();
         const benefitState = new Map();
@@ -745,7 +1540,9 @@ class BenefitTrackerApp {
         const limitDate = new Date(this.today.getTime());
         limitDate.setDate(this.today.getDate() + this.expiringDays);
 
-        this.cards.forEach(card => {
+        this.getVisibleCards().forEach(card => {
+            if (card.isClosed && card.isClosed(this.today)) return;
+
             // Process minimum spends
             if (card.minimumSpends) {
                 card.minimumSpends.forEach(minSpend => {
@@ -766,7 +1563,8 @@ class BenefitTrackerApp {
                                 cardId: card.id,
                                 minSpend: minSpend,
                                 remainingAmount: minSpend.targetAmount - minSpend.currentAmount,
-                                deadline: deadline
+                                deadline: deadline,
+                                pace: minSpend.getPaceProjection ? minSpend.getPaceProjection(this.today) : null
                             });
                         }
                     }
@@ -780,7 +1578,7 @@ class BenefitTrackerApp {
                 if (this._isCarryoverBenefit(benefit)) {
                     const activeInstances = this.getActiveCarryoverInstances(benefit);
                     activeInstances.forEach((instance, index) => {
-                        const expiryDate = CarryoverCycle.calculateExpiryDate(instance.earnedDate);
+                        const expiryDate = this.getCarryoverInstanceExpiryDate(benefit, instance);
                         const rem = benefit.totalAmount - (instance.usedAmount || 0);
                         
                         // Only show in expiring list if the expiry is within the limit
@@ -792,6 +1590,7 @@ class BenefitTrackerApp {
                                 remainingAmount: rem, 
                                 nextResetDate: expiryDate,
                                 instanceIndex: index,
+                                instance: instance,
                                 earnYear: earnYear
                             };
                             if (rem <= 0) {
@@ -808,12 +1607,12 @@ class BenefitTrackerApp {
 
                 if (this.hideMonthlyExpiring && this._isMonthlyRecurring(benefit)) return;
 
-                const rem = benefit.totalAmount - benefit.usedAmount;
+                const rem = this._getPeriodAmount(benefit) - benefit.usedAmount;
                 if (this._isOneTimeBenefit(benefit)) return;
 
                 // Use Benefit method if available
-                const next = benefit.getNextResetDate 
-                    ? benefit.getNextResetDate(this.today)
+                const next = benefit.getAvailableUntil
+                    ? benefit.getAvailableUntil(this.today)
                     : DateUtils.calculateNextResetDate(benefit, card, this.today);
 
                 if (next > this.today && next <= limitDate) {
@@ -843,10 +1642,12 @@ class BenefitTrackerApp {
         this.ui.renderExpiringSoon(filteredActive, filteredIgnored, filteredFullyUsed, filteredMinSpends, this.expiringDays, mainWidgetOpen, ignoredSectionOpen, fullyUsedSectionOpen, minSpendSectionOpen);
 
         // 4. Render Cards
+        this.ui.renderHolderFilter(this.holderFilterSelect, this.holderFilter);
+        const visibleCards = this.getVisibleCards();
         this.cardListContainer.innerHTML = '';
         if (this.cards.length === 0) this.cardListContainer.innerHTML = '<p>No cards added yet.</p>';
 
-        this.cards.forEach(card => {
+        visibleCards.forEach(card => {
             // Use Card method if available
             const allUsed = card.isAllBenefitsUsed 
                 ? card.isAllBenefitsUsed(this.today)
@@ -966,6 +1767,64 @@ class BenefitTrackerApp {
         });
 
         this.initSortables();
+
+        // 5. Render Dashboard
+        if (this.currentView === 'dashboard') {
+            this.renderDashboard();
+        }
+    }
+
+    // ==================== DASHBOARD ====================
+
+    /**
+     * Switches between the card list and the analytics dashboard.
+     * @param {string} view - 'cards' or 'dashboard'
+     */
+    switchView(view) {
+        this.currentView = view === 'dashboard' ? 'dashboard' : 'cards';
+        const showDashboard = this.currentView === 'dashboard';
+        this.cardListContainer.style.display = showDashboard ? 'none' : '';
+        this.addCardContainer.style.display = showDashboard ? 'none' : '';
+        this.dashboardContainer.style.display = showDashboard ? 'block' : 'none';
+        document.querySelectorAll('.view-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === this.currentView);
+        });
+        this.render();
+    }
+
+    /**
+     * Gets the dashboard date range, defaulting to the 12 months ending today.
+     * @returns {{start: Date, end: Date}}
+     */
+    getDashboardRange() {
+        if (this.dashboardRange) return this.dashboardRange;
+        const start = new Date(this.today.getFullYear(), this.today.getMonth() - 11, 1);
+        return { start, end: new Date(this.today.getTime()) };
+    }
+
+    /**
+     * Updates the dashboard date range.
+     * @param {Date} start
+     * @param {Date} end
+     */
+    handleDashboardRangeChange(start, end) {
+        if (start > end) {
+            alert('The start date must be before the end date.');
+            this.render();
+            return;
+        }
+        this.dashboardRange = { start, end };
+        this.render();
+    }
+
+    /**
+     * Aggregates the models over the selected range and renders the dashboard.
+     */
+    renderDashboard() {
+        const range = this.getDashboardRange();
+        const summary = Analytics.summarize(this.cards, range.start, range.end, this.today);
+        const monthlySeries = Analytics.getMonthlySeries(this.cards, range.start, range.end, this.today);
+        this.ui.renderDashboard(summary, monthlySeries, range);
     }
 
     // ... (Handlers same as before) ...
@@ -974,27 +1833,55 @@ class BenefitTrackerApp {
         const name = this.newCardNameInput.value.trim();
         const date = this.newCardAnniversaryInput.value;
         if (!name || !date) return;
-        
-        // Create a new Card instance
-        const newCard = new Card({
-            id: `card-${Math.random().toString(36).substr(2, 9)}`,
-            name: name,
-            anniversaryDate: date,
-            benefits: []
-        });
+
+        const template = CardCatalog.findTemplate(this.catalog, this.newCardTemplateSelect.value);
+        let newCard;
+        if (template) {
+            const excludedKeys = [...this.newCardTemplateItems.querySelectorAll('input[type="checkbox"]')]
+                .filter(checkbox => !checkbox.checked)
+                .map(checkbox => checkbox.value);
+            newCard = CardCatalog.createCard(template, {
+                name,
+                anniversaryDate: date,
+                annualFee: parseFloat(this.newCardAnnualFeeInput.value) || 0,
+                feePostingDate: this.newCardFeeDateInput.value || null,
+                excludedKeys
+            }, this.today);
+        } else {
+            // Create a new Card instance
+            newCard = new Card({
+                id: `card-${Math.random().toString(36).substr(2, 9)}`,
+                name: name,
+                anniversaryDate: date,
+                annualFee: parseFloat(this.newCardAnnualFeeInput.value) || 0,
+                feePostingDate: this.newCardFeeDateInput.value || null,
+                benefits: []
+            });
+        }
+        newCard.addLifecycleEvent('opened', date);
+        const holderId = this.resolveHolder(this.ui.readHolderSelect(this.newCardHolderSelect, this.newCardHolderNameInput));
+        if (holderId) newCard.setPrimaryHolder(holderId);
         this.cards.push(newCard);
-        this.saveState();
+        this.saveState({ historyLabel: template ? `Add card "${name}" from template` : `Add card "${name}"` });
         this.render();
         this.newCardNameInput.value = '';
         this.newCardAnniversaryInput.value = '';
+        this.newCardAnnualFeeInput.value = '';
+        this.newCardFeeDateInput.value = '';
+        this.newCardHolderNameInput.value = '';
+        this.newCardTemplateSelect.value = '';
+        this.newCardTemplateItems.innerHTML = '';
+        document.getElementById('new-card-template-note').textContent = '';
         this.addCardFormContainer.style.display = 'none';
         this.showAddCardBtn.style.display = 'block';
     }
 
     handleDeleteCard(id) {
         if (!confirm('Delete card?')) return;
+        const card = this.cards.find(c => c.id === id);
+        const cardName = card ? card.name : id;
         this.cards = this.cards.filter(c => c.id !== id);
-        this.saveState();
+        this.saveState({ snapshotReason: `Before deleting card "${cardName}"`, historyLabel: `Delete card "${cardName}"` });
         this.render();
     }
 
@@ -1014,6 +1901,7 @@ class BenefitTrackerApp {
                 benefitData.lastEarnReset = CarryoverCycle.getResetDate(this.today).toISOString();
             }
             
+            const requirementsBefore = this.getCarryoverRequirementStates(card);
             // Use Card.addBenefit if available
             let newBenefit;
             if (card.addBenefit) {
@@ -1024,14 +1912,13 @@ class BenefitTrackerApp {
             }
             
             if (this.isAutoClaimActive(newBenefit)) {
-                newBenefit.usedAmount = newBenefit.totalAmount;
+                newBenefit.markFullyClaimed(this.today);
             }
             if (newBenefit.autoClaim && newBenefit.ignored) {
                 newBenefit.ignored = false;
                 newBenefit.ignoredEndDate = null;
             }
-            this.saveState();
-            this.render();
+            this.saveCarryoverRequirementChange(card, requirementsBefore, { historyLabel: `Add benefit "${newBenefit.description}"` });
         }
     }
 
@@ -1041,13 +1928,13 @@ class BenefitTrackerApp {
             if (b) {
                 // Use Benefit method if available
                 if (b.setUsedAmount) {
-                    b.setUsedAmount(val);
+                    b.setUsedAmount(val, this.today);
                 } else {
                     if (isNaN(val) || val < 0) val = 0;
                     if (val > b.totalAmount) val = b.totalAmount;
                     b.usedAmount = val;
                 }
-                this.saveState();
+                this.saveState({ historyLabel: `Update usage of "${b.description}"` });
                 // Note: render() re-inits sortables, which is fine.
                 this.render();
                 return;
@@ -1067,26 +1954,157 @@ class BenefitTrackerApp {
             if (b && this._isCarryoverBenefit(b) && b.earnedInstances && b.earnedInstances[instanceIndex]) {
                 // Use Benefit method if available
                 if (b.setCarryoverInstanceUsage) {
-                    b.setCarryoverInstanceUsage(instanceIndex, val);
+                    b.setCarryoverInstanceUsage(instanceIndex, val, this.today);
                 } else {
                     if (isNaN(val) || val < 0) val = 0;
                     if (val > b.totalAmount) val = b.totalAmount;
                     b.earnedInstances[instanceIndex].usedAmount = val;
                 }
-                this.saveState();
+                this.saveState({ historyLabel: `Update usage of "${b.description}"` });
+                this.render();
+                return;
+            }
+        }
+    }
+
+    /**
+     * Records a dated usage entry on a benefit or one of its carryover instances.
+     * @param {string} bId - The benefit ID
+     * @param {Object} entryData - {amount, date, merchant, note, holderId}
+     * @param {number|null} instanceIndex - Carryover instance index, or null for the benefit itself
+     */
+    handleAddUsageEntry(bId, entryData, instanceIndex = null) {
+        for (const c of this.cards) {
+            const b = c.findBenefit(bId);
+            if (b) {
+                if (!b.addUsageEntry(entryData, instanceIndex)) {
+                    alert('Nothing recorded: the amount must be positive and the credit must have a remaining balance.');
+                    return;
+                }
+                this.saveState({ historyLabel: `Record usage on "${b.description}"` });
+                this.render();
+                return;
+            }
+        }
+    }
+
+    /**
+     * Edits a usage entry on a benefit or one of its carryover instances.
+     * @param {string} bId - The benefit ID
+     * @param {string} entryId - The usage entry ID
+     * @param {Object} changes - {amount, date, merchant, note, holderId}
+     * @param {number|null} instanceIndex - Carryover instance index, or null for the benefit itself
+     */
+    handleUpdateUsageEntry(bId, entryId, changes, instanceIndex = null) {
+        for (const c of this.cards) {
+            const b = c.findBenefit(bId);
+            if (b) {
+                if (b.updateUsageEntry(entryId, changes, instanceIndex)) {
+                    this.saveState({ historyLabel: `Edit usage entry on "${b.description}"` });
+                }
+                this.render();
+                return;
+            }
+        }
+    }
+
+    /**
+     * Deletes a usage entry from a benefit or one of its carryover instances.
+     * @param {string} bId - The benefit ID
+     * @param {string} entryId - The usage entry ID
+     * @param {number|null} instanceIndex - Carryover instance index, or null for the benefit itself
+     */
+    handleDeleteUsageEntry(bId, entryId, instanceIndex = null) {
+        if (!confirm('Delete usage entry?')) return;
+        for (const c of this.cards) {
+            const b = c.findBenefit(bId);
+            if (b) {
+                if (b.removeUsageEntry(entryId, instanceIndex)) {
+                    this.saveState({ historyLabel: `Delete usage entry on "${b.description}"` });
+                    this.render();
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * Removes a usage entry that a matching rule recorded by mistake.
+     * The transaction is remembered so importing the statement again does not re-match it.
+     * @param {string} bId - The benefit ID
+     * @param {string} entryId - The usage entry ID
+     * @param {number|null} instanceIndex - Carryover instance index, or null for the benefit itself
+     */
+    handleUnlinkTransaction(bId, entryId, instanceIndex = null) {
+        if (!confirm('Unlink this transaction? It will not be matched to this benefit again.')) return;
+        for (const c of this.cards) {
+            const b = c.findBenefit(bId);
+            if (b) {
+                if (b.unlinkTransaction(entryId, instanceIndex)) {
+                    this.saveState({ historyLabel: `Unlink transaction from "${b.description}"` });
+                    this.render();
+                }
+                return;
+            }
+        }
+    }
+
+    /**
+     * Adds a statement matching rule to a benefit.
+     * @param {string} bId - The benefit ID
+     * @param {Object} ruleData - {merchantPattern, transactionType, minAmount, maxAmount, activeFrom, activeUntil}
+     */
+    handleAddMatchRule(bId, ruleData) {
+        try {
+            new RegExp(ruleData.merchantPattern, 'i');
+        } catch (e) {
+            alert(`The merchant pattern is not a valid regular expression: ${e.message}`);
+            return;
+        }
+        if (ruleData.minAmount !== null && ruleData.maxAmount !== null && ruleData.minAmount > ruleData.maxAmount) {
+            alert('The minimum amount must not be greater than the maximum amount.');
+            return;
+        }
+        for (const c of this.cards) {
+            const b = c.findBenefit(bId);
+            if (b) {
+                b.addMatchRule(ruleData);
+                this.saveState({ historyLabel: `Add matching rule to "${b.description}"` });
                 this.render();
                 return;
             }
         }
     }
 
+    /**
+     * Deletes a statement matching rule from a benefit.
+     * @param {string} bId - The benefit ID
+     * @param {string} ruleId - The rule ID
+     */
+    handleDeleteMatchRule(bId, ruleId) {
+        for (const c of this.cards) {
+            const b = c.findBenefit(bId);
+            if (b) {
+                if (b.removeMatchRule(ruleId)) {
+                    this.saveState({ historyLabel: `Delete matching rule from "${b.description}"` });
+                    this.render();
+                }
+                return;
+            }
+        }
+    }
+
     handleDeleteBenefit(bId) {
         if (!confirm('Delete benefit?')) return;
+        const benefit = this.cards.flatMap(c => c.benefits).find(b => b.id === bId);
+        const description = benefit ? benefit.description : bId;
+        const snapshotReason = `Before deleting benefit "${description}"`;
+        const historyLabel = `Delete benefit "${description}"`;
         for (const c of this.cards) {
             // Use Card method if available
             if (c.removeBenefit) {
                 if (c.removeBenefit(bId)) {
-                    this.saveState();
+                    this.saveState({ snapshotReason, historyLabel });
                     this.render();
                     return;
                 }
@@ -1094,7 +2112,7 @@ class BenefitTrackerApp {
                 const idx = c.benefits.findIndex(ben => ben.id === bId);
                 if (idx > -1) {
                     c.benefits.splice(idx, 1);
-                    this.saveState();
+                    this.saveState({ snapshotReason, historyLabel });
                     this.render();
                     return;
                 }
@@ -1102,25 +2120,57 @@ class BenefitTrackerApp {
         }
     }
 
-    handleUpdateCard(id, name, date) {
+    handleUpdateCard(id, name, date, details = {}) {
         const c = this.cards.find(card => card.id === id);
         if (c) {
             // Use Card method if available
             if (c.update) {
-                c.update(name, date);
+                c.update(name, date, details);
             } else {
                 c.name = name;
                 c.anniversaryDate = date;
+                Object.assign(c, details);
             }
-            this.saveState();
+            this.saveState({ historyLabel: `Edit card "${c.name}"` });
         }
         this.render();
     }
 
+    /**
+     * Upgrades or downgrades a card to another product, swapping its benefits.
+     * @param {string} cardId - The card ID
+     * @param {Object} change - {type, date, name, annualFee, keepBenefitIds, templateId}; the
+     *   benefits of the catalog template (if any) are added to the card
+     */
+    handleProductChange(cardId, change) {
+        const card = this.cards.find(c => c.id === cardId);
+        if (!card) return;
+        const previousName = card.name;
+        const date = new Date(`${change.date}T00:00:00`);
+        const template = change.templateId ? CardCatalog.findTemplate(this.catalog, change.templateId) : null;
+        const event = card.changeProduct({
+            type: change.type,
+            date: change.date,
+            name: change.name,
+            annualFee: change.annualFee,
+            keepBenefitIds: change.keepBenefitIds,
+            benefits: template ? CardCatalog.getBenefitData(template, card, date) : [],
+            template: template ? { id: template.id, version: template.version, excludedKeys: [] } : null
+        });
+        if (!event) return;
+        const verb = change.type === 'upgraded' ? 'Upgrade' : 'Downgrade';
+        this.saveState({
+            snapshotReason: `Before changing product of "${previousName}"`,
+            historyLabel: `${verb} "${previousName}" to "${card.name}"`
+        });
+        this.render();
+    }
+
     handleUpdateBenefit(bId, data) {
         for (const c of this.cards) {
             const b = c.findBenefit ? c.findBenefit(bId) : c.benefits.find(ben => ben.id === bId);
             if (b) {
+                const requirementsBefore = this.getCarryoverRequirementStates(c);
                 // Use Benefit method if available
                 if (b.update) {
                     b.update(data);
@@ -1132,12 +2182,11 @@ class BenefitTrackerApp {
                     b.ignoredEndDate = null;
                 }
                 if (this.isAutoClaimActive(b)) {
-                    b.usedAmount = b.totalAmount;
-                } else if (b.usedAmount > b.totalAmount) {
-                    b.usedAmount = b.totalAmount;
+                    b.markFullyClaimed(this.today);
+                } else if (b.usedAmount > this._getPeriodAmount(b)) {
+                    b.setUsedAmount(this._getPeriodAmount(b), this.today);
                 }
-                this.saveState();
-                this.render();
+                this.saveCarryoverRequirementChange(c, requirementsBefore, { historyLabel: `Edit benefit "${b.description}"` });
                 return;
             }
         }
@@ -1170,7 +2219,7 @@ class BenefitTrackerApp {
                 card.minimumSpends.push(minSpend);
             }
             
-            this.saveState();
+            this.saveState({ historyLabel: `Add minimum spend "${minSpendData.description}"` });
             this.render();
         }
     }
@@ -1181,10 +2230,14 @@ class BenefitTrackerApp {
      */
     handleDeleteMinimumSpend(minSpendId) {
         if (!confirm('Delete minimum spend? Any linked benefits will be unlinked.')) return;
+        const minSpend = this.findMinimumSpend(minSpendId);
+        const description = minSpend ? minSpend.description : minSpendId;
+        const snapshotReason = `Before deleting minimum spend "${description}"`;
+        const historyLabel = `Delete minimum spend "${description}"`;
         for (const c of this.cards) {
             if (c.removeMinimumSpend) {
                 if (c.removeMinimumSpend(minSpendId)) {
-                    this.saveState();
+                    this.saveState({ snapshotReason, historyLabel });
                     this.render();
                     return;
                 }
@@ -1197,8 +2250,12 @@ class BenefitTrackerApp {
                         if (benefit.requiredMinimumSpendId === minSpendId) {
                             benefit.requiredMinimumSpendId = null;
                         }
+                        if (benefit.minimumSpendRequirement) {
+                            benefit.minimumSpendRequirement = SpendRequirement.withoutMinimumSpend(
+                                SpendRequirement.normalize(benefit.minimumSpendRequirement), minSpendId);
+                        }
                     });
-                    this.saveState();
+                    this.saveState({ snapshotReason, historyLabel });
                     this.render();
                     return;
                 }
@@ -1208,7 +2265,8 @@ class BenefitTrackerApp {
 
     /**
      * Updates the current spend amount for a minimum spend.
-     * When a minimum spend is met, any linked carryover benefits will earn an instance.
+     * When the minimum spend (or one of its tiers) is met, linked carryover benefits whose
+     * requirement is now satisfied earn an instance; when it is reduced again, those instances are taken back.
      * @param {string} minSpendId - The minimum spend ID
      * @param {number} val - The new current amount
      */
@@ -1217,7 +2275,7 @@ class BenefitTrackerApp {
             const ms = c.findMinimumSpend ? c.findMinimumSpend(minSpendId) : 
                 (c.minimumSpends || []).find(m => m.id === minSpendId);
             if (ms) {
-                const wasMetBefore = ms.isMet;
+                const requirementsBefore = this.getCarryoverRequirementStates(c);
                 
                 if (ms.setCurrentAmount) {
                     ms.setCurrentAmount(val, this.today);
@@ -1233,31 +2291,439 @@ class BenefitTrackerApp {
                     }
                 }
                 
-                // If minimum spend just became met, check for linked carryover benefits
-                if (!wasMetBefore && ms.isMet) {
-                    c.benefits.forEach(benefit => {
-                        if (benefit.requiredMinimumSpendId === minSpendId && 
-                            this._isCarryoverBenefit(benefit) &&
-                            this.canEarnCarryoverThisYear(benefit)) {
-                            // Earn a new carryover instance
-                            if (!benefit.earnedInstances) {
-                                benefit.earnedInstances = [];
-                            }
-                            benefit.earnedInstances.push({
-                                earnedDate: this.today.toISOString(),
-                                usedAmount: 0
-                            });
-                        }
-                    });
+                this.saveCarryoverRequirementChange(c, requirementsBefore, { historyLabel: `Update progress of "${ms.description}"` });
+                return;
+            }
+        }
+    }
+
+    /**
+     * Logs a purchase toward a minimum spend.
+     * @param {string} minSpendId - The minimum spend ID
+     * @param {Object} entryData - {amount, date, merchant, note, holderId}
+     */
+    handleAddMinimumSpendEntry(minSpendId, entryData) {
+        for (const c of this.cards) {
+            const ms = c.findMinimumSpend(minSpendId);
+            if (ms) {
+                const amount = parseFloat(entryData.amount);
+                if (isNaN(amount) || amount <= 0) {
+                    alert('Nothing recorded: the amount must be positive.');
+                    return;
+                }
+                const requirementsBefore = this.getCarryoverRequirementStates(c);
+                ms.addSpend(amount, this.today, {
+                    date: entryData.date || this.today,
+                    merchant: entryData.merchant,
+                    note: entryData.note,
+                    holderId: entryData.holderId || null
+                });
+                this.saveCarryoverRequirementChange(c, requirementsBefore, { historyLabel: `Add $${amount.toFixed(2)} spend to "${ms.description}"` });
+                return;
+            }
+        }
+    }
+
+    /**
+     * Removes a purchase from a minimum spend's spend log.
+     * @param {string} minSpendId - The minimum spend ID
+     * @param {string} entryId - The spend entry ID
+     */
+    handleDeleteMinimumSpendEntry(minSpendId, entryId) {
+        for (const c of this.cards) {
+            const ms = c.findMinimumSpend(minSpendId);
+            if (ms) {
+                const requirementsBefore = this.getCarryoverRequirementStates(c);
+                if (ms.removeSpendEntry(entryId, this.today)) {
+                    this.saveCarryoverRequirementChange(c, requirementsBefore, { historyLabel: `Delete spend from "${ms.description}"` });
                 }
-                
-                this.saveState();
-                this.render();
                 return;
             }
         }
     }
 
+    /**
+     * Saves a change that can satisfy or break carryover benefits' minimum spend requirements
+     * (spend, targets, tiers, links). Linked carryover credits are earned or taken back first,
+     * and the user is told which.
+     * @param {Card} card - The changed card
+     * @param {Object<string, boolean>} requirementsBefore - From getCarryoverRequirementStates() before the change
+     * @param {Object} saveOptions - Options for saveState()
+     */
+    saveCarryoverRequirementChange(card, requirementsBefore, saveOptions) {
+        const notices = this.updateLinkedCarryovers(card, requirementsBefore);
+        this.saveState(saveOptions);
+        this.render();
+        if (notices.length > 0) {
+            alert(notices.join('\n'));
+        }
+    }
+
+    /**
+     * Lists whether each carryover benefit's minimum spend requirement is satisfied.
+     * Delegates to Card.getCarryoverRequirementStates().
+     * @param {Card} card - The card
+     * @returns {Object<string, boolean>} By benefit ID
+     */
+    getCarryoverRequirementStates(card) {
+        return card.getCarryoverRequirementStates ? card.getCarryoverRequirementStates() : {};
+    }
+
+    /**
+     * Earns a credit on each carryover benefit whose requirement became satisfied, dated when it was
+     * satisfied, and takes back the unused credits of requirements that broke. Delegates to
+     * Card.updateLinkedCarryovers().
+     * @param {Card} card - The changed card
+     * @param {Object<string, boolean>} requirementsBefore - From getCarryoverRequirementStates() before the change
+     * @returns {Array<string>} What happened to each credit, for the user
+     */
+    updateLinkedCarryovers(card, requirementsBefore) {
+        if (!card.updateLinkedCarryovers) return [];
+        const { earned, reversed, kept } = card.updateLinkedCarryovers(requirementsBefore);
+        return [
+            ...earned.map(benefit => `"${benefit.description}" credit earned`),
+            ...reversed.map(benefit => `"${benefit.description}" credit removed`),
+            ...kept.map(benefit => `"${benefit.description}" credit kept (already used)`)
+        ];
+    }
+
+    /**
+     * Earns a new instance of each carryover benefit unlocked by a minimum spend that was just met.
+     * @param {Card} card - The card owning the minimum spend
+     * @param {string} minSpendId - The minimum spend ID
+     * @returns {Array<Benefit>} Benefits that earned a credit
+     */
+    earnLinkedCarryovers(card, minSpendId) {
+        const minSpend = card.findMinimumSpend(minSpendId);
+        return card.getBenefitsRequiringMinimumSpend(minSpendId).filter(benefit =>
+            this._isCarryoverBenefit(benefit) &&
+            !!benefit.earnCarryoverInstance(this.today, {
+                minimumSpendId: minSpendId,
+                minimumSpendPeriod: minSpend ? minSpend.lastReset || null : null
+            }));
+    }
+
+    // ==================== HOUSEHOLD ====================
+
+    /**
+     * Gets the cards shown in the card list and Expiring Soon: those of the selected cardholder, or all cards.
+     * A filter naming a cardholder who is no longer in the household shows all cards.
+     * @returns {Array<Card>}
+     */
+    getVisibleCards() {
+        if (!this.holderFilter || !this.household.findHolder(this.holderFilter)) return this.cards;
+        return this.cards.filter(card => Household.matchesCard(card, this.holderFilter));
+    }
+
+    /**
+     * Limits the card list and Expiring Soon to one cardholder's cards.
+     * @param {string} holderId - The cardholder ID, or '' for everyone
+     */
+    handleHolderFilterChange(holderId) {
+        this.holderFilter = holderId || null;
+        if (this.holderFilter) {
+            localStorage.setItem('creditCardBenefitTracker_holderFilter', this.holderFilter);
+        } else {
+            localStorage.removeItem('creditCardBenefitTracker_holderFilter');
+        }
+        this.userSelectedThreshold = false; // The nearest threshold with entries depends on the cards shown
+        this.render();
+    }
+
+    /**
+     * Gets the cardholder chosen in a form: an existing household member, or a new one added to the household.
+     * @param {{holderId: string|null, newName: string}} selection - See UIRenderer#readHolderSelect
+     * @returns {string|null} The cardholder ID; null when no cardholder was chosen
+     */
+    resolveHolder(selection) {
+        if (!selection) return null;
+        if (selection.newName) {
+            const holder = this.household.addHolder(selection.newName);
+            return holder ? holder.id : null;
+        }
+        return selection.holderId && this.household.findHolder(selection.holderId) ? selection.holderId : null;
+    }
+
+    /**
+     * Renames a household member.
+     * @param {string} holderId - The cardholder ID
+     * @param {string} name - The new name
+     */
+    handleRenameCardholder(holderId, name) {
+        const holder = this.household.findHolder(holderId);
+        if (!holder || !name.trim() || holder.name === name.trim()) return;
+        this.household.renameHolder(holderId, name);
+        this.saveState({ historyLabel: `Rename cardholder "${holder.name}" to "${name.trim()}"` });
+        this.render();
+    }
+
+    /**
+     * Removes a household member from every card. Usage they were credited with is kept, without their name.
+     * @param {string} holderId - The cardholder ID
+     */
+    handleRemoveCardholder(holderId) {
+        const holder = this.household.findHolder(holderId);
+        if (!holder) return;
+        if (!confirm(`Remove ${holder.name} from the household? Their cards and usage are kept without their name.`)) return;
+        this.household.removeHolder(holderId, this.cards);
+        this.saveState({ historyLabel: `Remove cardholder "${holder.name}"` });
+        this.render();
+    }
+
+    // ==================== CARD CATALOG ====================
+
+    /**
+     * Loads the card catalog into the template picker. The picker stays hidden if the
+     * catalog cannot be loaded (e.g. when the app is opened from the file system).
+     */
+    async loadCatalog() {
+        if (this.catalog) return;
+        try {
+            this.catalog = await CardCatalog.load();
+        } catch (e) {
+            console.warn('Card catalog unavailable:', e.message);
+            return;
+        }
+        this.catalog.cards.forEach(template => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = `${template.issuer} ${template.name}`;
+            this.newCardTemplateSelect.appendChild(option);
+        });
+        this.newCardTemplateGroup.style.display = '';
+    }
+
+    /**
+     * Prefills the add card form from the chosen template and lists its items, all selected.
+     */
+    handleTemplateSelect() {
+        const template = CardCatalog.findTemplate(this.catalog, this.newCardTemplateSelect.value);
+        const note = document.getElementById('new-card-template-note');
+        this.newCardTemplateItems.innerHTML = '';
+        note.textContent = '';
+        if (!template) return;
+
+        this.newCardNameInput.value = template.name;
+        this.newCardAnnualFeeInput.value = template.annualFee;
+        const items = [
+            ...template.minimumSpends.map(item => [item.key, `${item.description} — $${item.targetAmount} minimum spend`]),
+            ...template.benefits.map(item => [item.key, `${item.description} — $${item.totalAmount} ${item.frequency}`])
+        ];
+        items.forEach(([key, text]) => {
+            const label = document.createElement('label');
+            label.className = 'template-item';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = key;
+            checkbox.checked = true;
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${text}`));
+            this.newCardTemplateItems.appendChild(label);
+        });
+        note.textContent = `Catalog amounts as of ${this.catalog.asOf} may be out of date. Check them against your card's terms.`;
+    }
+
+    /**
+     * Compares a card with the current version of the template it was created from.
+     * @param {string} cardId - The card ID
+     */
+    async openTemplateDiff(cardId) {
+        const card = this.cards.find(c => c.id === cardId);
+        if (!card || !card.template) return;
+        await this.loadCatalog();
+        const template = CardCatalog.findTemplate(this.catalog, card.template.id);
+        if (!template) {
+            alert('The template this card was created from is not in the card catalog.');
+            return;
+        }
+
+        const changes = CardCatalog.diff(card, template);
+        this.templateDiff = { cardId, template, changes };
+        const list = document.getElementById('template-diff-list');
+        list.innerHTML = '';
+        const verbs = { added: 'Add', removed: 'Remove', changed: 'Update' };
+        changes.forEach(change => {
+            const li = document.createElement('li');
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = change.id;
+            checkbox.checked = change.change !== 'removed'; // Deleting loses history, so opt in
+            label.appendChild(checkbox);
+            const details = change.fields
+                .map(({ field, current, template: value }) => `${field}: ${current} → ${value}`)
+                .join(', ');
+            label.appendChild(document.createTextNode(` ${verbs[change.change]} "${change.label}"${details ? ` (${details})` : ''}`));
+            li.appendChild(label);
+            list.appendChild(li);
+        });
+        if (changes.length === 0) {
+            list.innerHTML = '<li>This card matches the template.</li>';
+        }
+
+        document.getElementById('template-diff-title').textContent = `Compare with Template — ${card.name}`;
+        document.getElementById('template-diff-summary').textContent =
+            `${template.issuer} ${template.name}, catalog version ${template.version} (card created from version ${card.template.version}).`;
+        document.getElementById('template-diff-apply').disabled = changes.length === 0;
+        document.getElementById('template-diff-modal').style.display = 'flex';
+    }
+
+    /**
+     * Applies the template changes selected in the diff dialog.
+     */
+    handleApplyTemplateChanges() {
+        const { cardId, template, changes } = this.templateDiff;
+        const card = this.cards.find(c => c.id === cardId);
+        if (!card) return;
+        const selectedIds = [...document.querySelectorAll('#template-diff-list input[type="checkbox"]')]
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => checkbox.value);
+        const selected = changes.filter(change => selectedIds.includes(change.id));
+
+        document.getElementById('template-diff-modal').style.display = 'none';
+        if (selected.length === 0) return;
+        CardCatalog.applyChanges(card, template, selected, this.today);
+        this.saveState({
+            snapshotReason: selected.some(change => change.change === 'removed') ? `Before updating "${card.name}" from its template` : null,
+            historyLabel: `Update "${card.name}" from its template`
+        });
+        this.render();
+    }
+
+    // ==================== STATEMENT IMPORT ====================
+
+    /**
+     * Asks for a CSV statement to apply to a card's minimum spends and benefit matching rules.
+     * @param {string} cardId - The card ID
+     */
+    openStatementImport(cardId) {
+        this.statementImport = { cardId, fileName: null, rows: null };
+        this.statementFileInput.click();
+    }
+
+    /**
+     * Reads the chosen statement and shows the column mapping, prefilled from the
+     * mapping saved on the card (or guessed from the headers the first time).
+     * @param {File} file - The selected CSV file
+     */
+    async handleStatementFile(file) {
+        const card = this.cards.find(c => c.id === this.statementImport.cardId);
+        if (!card) return;
+
+        const rows = StatementImport.parseCsv(await file.text());
+        if (rows.length < 2) {
+            alert('The statement has no transactions. Expected a CSV file with a header row.');
+            return;
+        }
+        this.statementImport = { cardId: card.id, fileName: file.name, rows };
+
+        const headers = rows[0];
+        const saved = card.statementMapping;
+        // A saved mapping only applies if this file has the same columns
+        const mapping = saved && [saved.date, saved.amount, saved.debit].some(column => column && headers.includes(column))
+            ? saved
+            : StatementImport.guessMapping(headers);
+
+        Object.entries(this.statementColumnSelects).forEach(([field, select]) => {
+            select.innerHTML = '';
+            ['', ...headers].forEach(header => {
+                const option = document.createElement('option');
+                option.value = header;
+                option.textContent = header || '— None —';
+                select.appendChild(option);
+            });
+            select.value = headers.includes(mapping[field]) ? mapping[field] : '';
+        });
+        this.statementDateFormatSelect.value = mapping.dateFormat || 'MM/DD/YYYY';
+        this.statementSpendSignSelect.value = mapping.spendSign || 'negative';
+
+        document.getElementById('statement-title').textContent = `Import Statement — ${card.name}`;
+        document.getElementById('statement-file-name').textContent = file.name;
+        document.getElementById('statement-modal').style.display = 'flex';
+        this.updateStatementPreview();
+    }
+
+    /**
+     * Reads the column mapping from the statement dialog.
+     * @returns {Object}
+     */
+    getStatementMapping() {
+        const mapping = {};
+        Object.entries(this.statementColumnSelects).forEach(([field, select]) => {
+            mapping[field] = select.value || null;
+        });
+        mapping.dateFormat = this.statementDateFormatSelect.value;
+        mapping.spendSign = this.statementSpendSignSelect.value;
+        return mapping;
+    }
+
+    /**
+     * Shows what importing with the current mapping would add to each minimum spend and benefit.
+     */
+    updateStatementPreview() {
+        const card = this.cards.find(c => c.id === this.statementImport.cardId);
+        const preview = document.getElementById('statement-preview');
+        preview.innerHTML = '';
+        const addLine = text => {
+            const li = document.createElement('li');
+            li.textContent = text;
+            preview.appendChild(li);
+        };
+
+        const { transactions, errors } = StatementImport.readTransactions(this.statementImport.rows, this.getStatementMapping());
+        errors.slice(0, 3).forEach(addLine);
+        if (errors.length > 3) addLine(`...and ${errors.length - 3} more lines could not be read`);
+
+        let qualifyingCount = 0;
+        card.minimumSpends.forEach(minSpend => {
+            const { qualifying, duplicates, outOfPeriod } = StatementImport.selectQualifying(minSpend, transactions, this.today);
+            const total = qualifying.reduce((sum, t) => sum + t.amount, 0);
+            qualifyingCount += qualifying.length;
+            addLine(`${minSpend.description}: ${qualifying.length} new purchase(s), $${total.toFixed(2)}`
+                + (duplicates > 0 ? ` — ${duplicates} already imported` : '')
+                + (outOfPeriod > 0 ? ` — ${outOfPeriod} outside the current period` : ''));
+        });
+        card.benefits.filter(benefit => benefit.matchRules.length > 0).forEach(benefit => {
+            // Match against a copy so the preview records nothing
+            const copy = Benefit.fromJSON(JSON.parse(JSON.stringify(benefit.toJSON())), card.anniversaryDate);
+            const { matched, total, outOfPeriod } = StatementImport.matchBenefit(copy, transactions, this.today);
+            qualifyingCount += matched.length;
+            addLine(`${benefit.description}: ${matched.length} matching transaction(s), $${total.toFixed(2)} usage`
+                + (outOfPeriod > 0 ? ` — ${outOfPeriod} outside the current period` : ''));
+        });
+        this.statementImportBtn.disabled = qualifyingCount === 0;
+    }
+
+    /**
+     * Applies the statement to every minimum spend and matching benefit on the card,
+     * and saves the mapping for next time.
+     */
+    handleStatementImport() {
+        const card = this.cards.find(c => c.id === this.statementImport.cardId);
+        if (!card) return;
+        const mapping = this.getStatementMapping();
+        const { transactions } = StatementImport.readTransactions(this.statementImport.rows, mapping);
+
+        card.setStatementMapping(mapping);
+        const requirementsBefore = this.getCarryoverRequirementStates(card);
+        const summary = card.minimumSpends.map(minSpend => {
+            const result = StatementImport.apply(minSpend, transactions, this.today);
+            return `${minSpend.description}: +$${result.total.toFixed(2)} from ${result.added} purchase(s)`
+                + (result.isNewlyMet ? ' — now met!' : '');
+        });
+        summary.push(...this.updateLinkedCarryovers(card, requirementsBefore));
+        card.benefits.filter(benefit => benefit.matchRules.length > 0).forEach(benefit => {
+            const { matched, total, outOfPeriod } = StatementImport.matchBenefit(benefit, transactions, this.today);
+            summary.push(`${benefit.description}: $${total.toFixed(2)} usage from ${matched.length} matched transaction(s)`
+                + (outOfPeriod > 0 ? ` — ${outOfPeriod} outside the current period skipped` : ''));
+        });
+
+        document.getElementById('statement-modal').style.display = 'none';
+        this.saveState({ historyLabel: `Import statement "${this.statementImport.fileName}" for "${card.name}"` });
+        this.render();
+        alert(`Statement imported.\n\n${summary.join('\n')}`);
+    }
+
     /**
      * Updates minimum spend properties.
      * @param {string} minSpendId - The minimum spend ID
@@ -1268,13 +2734,13 @@ class BenefitTrackerApp {
             const ms = c.findMinimumSpend ? c.findMinimumSpend(minSpendId) : 
                 (c.minimumSpends || []).find(m => m.id === minSpendId);
             if (ms) {
+                const requirementsBefore = this.getCarryoverRequirementStates(c);
                 if (ms.update) {
-                    ms.update(data);
+                    ms.update(data, this.today);
                 } else {
                     Object.assign(ms, data);
                 }
-                this.saveState();
-                this.render();
+                this.saveCarryoverRequirementChange(c, requirementsBefore, { historyLabel: `Edit minimum spend "${ms.description}"` });
                 return;
             }
         }
@@ -1289,9 +2755,17 @@ class BenefitTrackerApp {
         for (const c of this.cards) {
             const b = c.findBenefit ? c.findBenefit(benefitId) : c.benefits.find(ben => ben.id === benefitId);
             if (b) {
-                b.requiredMinimumSpendId = minSpendId || null;
-                this.saveState();
-                this.render();
+                const requirementsBefore = this.getCarryoverRequirementStates(c);
+                if (b.setRequiredMinimumSpendId) {
+                    b.setRequiredMinimumSpendId(minSpendId);
+                } else {
+                    b.requiredMinimumSpendId = minSpendId || null;
+                    b.minimumSpendRequirement = null;
+                }
+                const historyLabel = minSpendId
+                    ? `Link "${b.description}" to a minimum spend`
+                    : `Unlink "${b.description}" from its minimum spend`;
+                this.saveCarryoverRequirementChange(c, requirementsBefore, { historyLabel });
                 return;
             }
         }
@@ -1341,30 +2815,38 @@ class BenefitTrackerApp {
     }
 
     /**
-     * Checks if a benefit is locked by an unmet minimum spend.
+     * Checks if a benefit is locked by an unsatisfied minimum spend requirement
+     * (a single minimum spend, or an AND/OR of minimum spends and tiers).
      * @param {Benefit|Object} benefit - The benefit
      * @returns {boolean}
      */
     isBenefitLockedByMinimumSpend(benefit) {
-        const minSpendId = benefit.requiredMinimumSpendId;
-        if (!minSpendId) return false;
-        
-        const minSpend = this.findMinimumSpend(minSpendId);
-        if (!minSpend) return false;
+        const requirement = SpendRequirement.fromBenefit(benefit);
+        if (!requirement) return false;
         
-        return !minSpend.isMet;
+        return !SpendRequirement.isMet(requirement, id => this.findMinimumSpend(id));
     }
 
     /**
-     * Gets the minimum spend that locks a benefit, if any.
+     * Gets the minimum spend that locks a benefit: the first unmet one its requirement names.
      * @param {Benefit|Object} benefit - The benefit
      * @returns {MinimumSpend|null}
      */
     getLockedByMinimumSpend(benefit) {
-        const minSpendId = benefit.requiredMinimumSpendId;
-        if (!minSpendId) return null;
+        const progress = this.getMinimumSpendRequirementProgress(benefit);
+        if (progress.length === 0) return null;
         
-        return this.findMinimumSpend(minSpendId);
+        const unmet = progress.find(item => !item.isMet);
+        return (unmet || progress[0]).minSpend;
+    }
+
+    /**
+     * Gets the progress of each minimum spend (or tier) a benefit's requirement names.
+     * @param {Benefit|Object} benefit - The benefit
+     * @returns {Array<{minSpend: MinimumSpend, tier: Object|null, isMet: boolean, metDate: string|null, targetAmount: number, description: string}>}
+     */
+    getMinimumSpendRequirementProgress(benefit) {
+        return SpendRequirement.resolve(SpendRequirement.fromBenefit(benefit), id => this.findMinimumSpend(id));
     }
 
     async handleConnectCloud() {
@@ -0,0 +1,185 @@
+/**
+ * JSON backup documents for exporting and importing the full tracker state.
+ *
+ * Document shape:
+ *   { format: 'credit-card-benefit-tracker', version: 1, schemaVersion: n, exportedAt: ISO string,
+ *     cards: [Card#toJSON], household: Household#toJSON or null }
+ * A bare array of cards (e.g. copied from the localStorage key) is accepted as a legacy backup.
+ * Imported data goes through the same SchemaMigrations as stored data.
+ */
+const Backup = {
+    FORMAT: 'credit-card-benefit-tracker',
+    VERSION: 1,
+
+    /**
+     * Builds a backup document from the serialized state.
+     * @param {{cards: Array<Object>, household: Object|null}} state - Serialized cards and household
+     * @param {Date} now - Export timestamp
+     * @returns {Object}
+     */
+    createDocument({ cards, household = null }, now) {
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            schemaVersion: SchemaMigrations.CURRENT_VERSION,
+            exportedAt: now.toISOString(),
+            cards: cards,
+            household: household
+        };
+    },
+
+    /**
+     * Suggested file name for a backup taken on the given date.
+     * @param {Date} now
+     * @returns {string}
+     */
+    getFileName(now) {
+        const pad = n => String(n).padStart(2, '0');
+        return `benefit-tracker-backup-${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}.json`;
+    },
+
+    /**
+     * Parses and validates a backup file, then migrates it to the current format.
+     * @param {string} text - File contents
+     * @returns {{cards: Array<Object>, household: Object|null}} Serialized cards and household in the current format
+     * @throws {Error} If the file is not a valid backup
+     */
+    parse(text) {
+        let document;
+        try {
+            document = JSON.parse(text);
+        } catch (e) {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        let cards;
+        let household = null;
+        let schemaVersion = 0;
+        if (Array.isArray(document)) {
+            cards = document; // Legacy: raw card array
+        } else if (document && document.format === this.FORMAT) {
+            if (typeof document.version !== 'number' || document.version > this.VERSION
+                || document.schemaVersion > SchemaMigrations.CURRENT_VERSION) {
+                throw new Error('The backup was created by a newer version of the tracker.');
+            }
+            cards = document.cards;
+            household = document.household || null;
+            schemaVersion = document.schemaVersion || 0;
+        } else {
+            throw new Error('The file is not a Credit Card Benefit Tracker backup.');
+        }
+
+        const problems = [...this.validateCards(cards), ...this.validateHousehold(household)];
+        if (problems.length > 0) {
+            const shown = problems.slice(0, 5).join('\n');
+            const more = problems.length > 5 ? `\n...and ${problems.length - 5} more` : '';
+            throw new Error(`The backup contains invalid data:\n${shown}${more}`);
+        }
+
+        // Same migrations as loading, then normalize through the models
+        const migrated = SchemaMigrations.migrate({ schemaVersion, cards, household });
+        return {
+            cards: migrated.cards.map(data => Card.fromJSON(data).toJSON()),
+            household: migrated.household ? Household.fromJSON(migrated.household).toJSON() : null
+        };
+    },
+
+    /**
+     * Checks the structure of imported cards.
+     * @param {*} cards - The cards from a backup
+     * @returns {Array<string>} Problems found (empty when valid)
+     */
+    validateCards(cards) {
+        if (!Array.isArray(cards)) return ['"cards" must be a list.'];
+
+        const problems = [];
+        const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+        const checkIds = (items, where) => {
+            const seen = new Set();
+            items.forEach(item => {
+                if (item.id === undefined) return; // Missing ids are generated by the models
+                if (typeof item.id !== 'string') problems.push(`${where}: id must be text.`);
+                else if (seen.has(item.id)) problems.push(`${where}: duplicate id "${item.id}".`);
+                seen.add(item.id);
+            });
+        };
+
+        cards.forEach((card, cardIndex) => {
+            const cardWhere = `Card ${cardIndex + 1}`;
+            if (!isObject(card)) {
+                problems.push(`${cardWhere} is not an object.`);
+                return;
+            }
+            if (typeof card.name !== 'string' || !card.name.trim()) problems.push(`${cardWhere}: missing name.`);
+
+            [['benefits', 'Benefit'], ['minimumSpends', 'Minimum spend']].forEach(([field, label]) => {
+                if (card[field] === undefined) return;
+                if (!Array.isArray(card[field])) {
+                    problems.push(`${cardWhere}: "${field}" must be a list.`);
+                    return;
+                }
+                card[field].forEach((item, index) => {
+                    const where = `${cardWhere}, ${label} ${index + 1}`;
+                    if (!isObject(item)) {
+                        problems.push(`${where} is not an object.`);
+                        return;
+                    }
+                    if (typeof item.description !== 'string') problems.push(`${where}: missing description.`);
+                    const amountField = field === 'benefits' ? 'totalAmount' : 'targetAmount';
+                    if (typeof item[amountField] !== 'number' || isNaN(item[amountField])) {
+                        problems.push(`${where}: "${amountField}" must be a number.`);
+                    }
+                });
+                checkIds(card[field].filter(isObject), `${cardWhere} ${field}`);
+            });
+        });
+        checkIds(cards.filter(isObject), 'Cards');
+        return problems;
+    },
+
+    /**
+     * Checks the structure of an imported household.
+     * @param {*} household - The household from a backup (null if it has none)
+     * @returns {Array<string>} Problems found (empty when valid)
+     */
+    validateHousehold(household) {
+        if (household === null) return [];
+        if (!household || typeof household !== 'object' || Array.isArray(household)) return ['"household" must be an object.'];
+        return Array.isArray(household.holders) ? [] : ['Household: "holders" must be a list.'];
+    },
+
+    /**
+     * Merges imported cards into existing ones by id.
+     * Matching cards take the imported fields; their benefits and minimum spends are merged by id
+     * the same way, as are the household's cardholders. Items only present on one side are kept,
+     * new ones are appended.
+     * @param {{cards: Array<Object>, household: Object|null}} existing - Serialized current state
+     * @param {{cards: Array<Object>, household: Object|null}} imported - Serialized imported state
+     * @returns {{cards: Array<Object>, household: Object|null}}
+     */
+    mergeById(existing, imported) {
+        const mergeList = (current, incoming, mergeItem) => {
+            const result = current.map(item => {
+                const match = incoming.find(other => other.id === item.id);
+                return match ? mergeItem(item, match) : item;
+            });
+            incoming.forEach(item => {
+                if (!current.some(other => other.id === item.id)) result.push(item);
+            });
+            return result;
+        };
+
+        const cards = mergeList(existing.cards, imported.cards, (card, importedCard) => ({
+            ...card,
+            ...importedCard,
+            benefits: mergeList(card.benefits || [], importedCard.benefits || [], (_, item) => item),
+            minimumSpends: mergeList(card.minimumSpends || [], importedCard.minimumSpends || [], (_, item) => item)
+        }));
+        const household = existing.household && imported.household ? {
+            ...existing.household,
+            ...imported.household,
+            holders: mergeList(existing.household.holders || [], imported.household.holders || [], (_, item) => item)
+        } : existing.household || imported.household || null;
+        return { cards, household };
+    }
+};
@@ -0,0 +1,240 @@
+/**
+ * Catalog of common cards used as templates when adding a card.
+ *
+ * The catalog is a JSON data file shipped with the app (data/card-catalog.json):
+ *   { format, version, asOf, cards: [{ id, issuer, name, version, annualFee, benefits, minimumSpends }] }
+ * Template benefits and minimum spends are identified by a `key` that is unique within
+ * the template. Benefits may name the minimum spend that unlocks them with `requiresMinimumSpend`
+ * (carryover benefits may also give their `carryoverRule`, see CarryoverCycle),
+ * and minimum spends may list reward `tiers` ({targetAmount, description}, see MinimumSpend).
+ * One-time minimum spends give their deadline in months after the card was opened.
+ *
+ * Cards created from a template remember it ({id, version, excludedKeys}) and every
+ * created item keeps its templateKey, so a card can later be compared with an updated template.
+ */
+
+const CATALOG_URL = 'data/card-catalog.json';
+
+const CardCatalog = {
+    FORMAT: 'credit-card-benefit-tracker-catalog',
+
+    // Fields compared between a card's items and the template
+    BENEFIT_FIELDS: ['description', 'totalAmount', 'frequency', 'resetType'],
+    MINIMUM_SPEND_FIELDS: ['description', 'targetAmount', 'frequency', 'resetType'],
+
+    /**
+     * Fetches and validates the catalog.
+     * @param {string} [url]
+     * @returns {Promise<Object>}
+     * @throws {Error} If the catalog cannot be loaded or is not a catalog
+     */
+    async load(url = CATALOG_URL) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        return this.parse(await response.json());
+    },
+
+    /**
+     * Validates catalog data.
+     * @param {*} data - Parsed catalog JSON
+     * @returns {Object} The catalog
+     * @throws {Error} If the data is not a catalog
+     */
+    parse(data) {
+        if (!data || data.format !== this.FORMAT || !Array.isArray(data.cards)) {
+            throw new Error('Not a card catalog');
+        }
+        data.cards.forEach(template => {
+            template.benefits = template.benefits || [];
+            template.minimumSpends = template.minimumSpends || [];
+        });
+        return data;
+    },
+
+    /**
+     * Finds a template by id.
+     * @param {Object} catalog
+     * @param {string} templateId
+     * @returns {Object|null}
+     */
+    findTemplate(catalog, templateId) {
+        return (catalog && catalog.cards.find(template => template.id === templateId)) || null;
+    },
+
+    /**
+     * Creates a card with the template's benefits and minimum spends.
+     * @param {Object} template - A catalog card
+     * @param {Object} details
+     * @param {string} details.name - Card name (defaults to the template name)
+     * @param {string} details.anniversaryDate - ISO date string
+     * @param {number} [details.annualFee] - Defaults to the template fee
+     * @param {string|null} [details.feePostingDate]
+     * @param {Array<string>} [details.excludedKeys] - Template items the user deselected
+     * @param {Date} currentDate - Start of the first period of the created items
+     * @returns {Card}
+     */
+    createCard(template, { name, anniversaryDate, annualFee, feePostingDate = null, excludedKeys = [] }, currentDate) {
+        const card = new Card({
+            name: name || template.name,
+            anniversaryDate: anniversaryDate,
+            annualFee: annualFee !== undefined && annualFee !== null ? annualFee : template.annualFee,
+            feePostingDate: feePostingDate,
+            template: { id: template.id, version: template.version, excludedKeys: [...excludedKeys] },
+            benefits: []
+        });
+
+        template.minimumSpends
+            .filter(item => !excludedKeys.includes(item.key))
+            .forEach(item => card.addMinimumSpend(this._minimumSpendData(item, card, currentDate)));
+        template.benefits
+            .filter(item => !excludedKeys.includes(item.key))
+            .forEach(item => card.addBenefit(this._benefitData(item, card, currentDate)));
+        return card;
+    },
+
+    /**
+     * Builds the benefit data of a template for an existing card (e.g. after a product change).
+     * Benefits link to the card's minimum spends created from the same template, if any.
+     * @param {Object} template - A catalog card
+     * @param {Card} card - The card that gets the benefits
+     * @param {Date} currentDate - Start of the first period of the benefits
+     * @returns {Array<Object>} Benefit data for Card.addBenefit()
+     */
+    getBenefitData(template, card, currentDate) {
+        return template.benefits.map(item => this._benefitData(item, card, currentDate));
+    },
+
+    // ==================== TEMPLATE DIFF ====================
+
+    /**
+     * Compares a card created from a template with (a newer version of) that template.
+     * Items the user deselected when adding the card are not reported as missing, and
+     * items added by hand (without a templateKey) are ignored.
+     * @param {Card} card
+     * @param {Object} template - The catalog card the card was created from
+     * @returns {Array<{id: string, change: string, kind: string, key: string|null, label: string, fields: Array<Object>}>}
+     *   change is 'added' (new in the template), 'removed' (dropped from the template) or 'changed';
+     *   fields lists {field, current, template} for changed items
+     */
+    diff(card, template) {
+        const excluded = (card.template && card.template.excludedKeys) || [];
+        const changes = [];
+
+        if (card.annualFee !== template.annualFee) {
+            changes.push({
+                id: 'card:annualFee', change: 'changed', kind: 'card', key: null, label: 'Annual fee',
+                fields: [{ field: 'annualFee', current: card.annualFee, template: template.annualFee }]
+            });
+        }
+
+        const compare = (kind, items, templateItems, fields) => {
+            templateItems.forEach(templateItem => {
+                const item = items.find(other => other.templateKey === templateItem.key);
+                if (!item) {
+                    if (!excluded.includes(templateItem.key)) {
+                        changes.push({ id: `${kind}:${templateItem.key}`, change: 'added', kind, key: templateItem.key, label: templateItem.description, fields: [] });
+                    }
+                    return;
+                }
+                const changed = fields
+                    .filter(field => (item[field] || null) !== (templateItem[field] || null))
+                    .map(field => ({ field, current: item[field], template: templateItem[field] }));
+                if (changed.length > 0) {
+                    changes.push({ id: `${kind}:${templateItem.key}`, change: 'changed', kind, key: templateItem.key, label: item.description, fields: changed });
+                }
+            });
+            items
+                .filter(item => item.templateKey && !templateItems.some(templateItem => templateItem.key === item.templateKey))
+                .forEach(item => {
+                    changes.push({ id: `${kind}:${item.templateKey}`, change: 'removed', kind, key: item.templateKey, label: item.description, fields: [] });
+                });
+        };
+        compare('minimumSpend', card.minimumSpends, template.minimumSpends, this.MINIMUM_SPEND_FIELDS);
+        compare('benefit', card.benefits, template.benefits, this.BENEFIT_FIELDS);
+        return changes;
+    },
+
+    /**
+     * Applies selected template changes to a card and records the template version.
+     * Usage and progress of changed items are kept; removed items are deleted.
+     * @param {Card} card
+     * @param {Object} template
+     * @param {Array<Object>} changes - Entries from diff()
+     * @param {Date} currentDate - Start of the first period of added items
+     */
+    applyChanges(card, template, changes, currentDate) {
+        // Minimum spends first so added benefits can link to them
+        const ordered = [...changes.filter(c => c.kind !== 'benefit'), ...changes.filter(c => c.kind === 'benefit')];
+        ordered.forEach(change => {
+            if (change.kind === 'card') {
+                card.annualFee = template.annualFee;
+                return;
+            }
+            const isBenefit = change.kind === 'benefit';
+            const items = isBenefit ? card.benefits : card.minimumSpends;
+            const item = items.find(other => other.templateKey === change.key);
+            const templateItem = (isBenefit ? template.benefits : template.minimumSpends).find(other => other.key === change.key);
+
+            if (change.change === 'removed' && item) {
+                if (isBenefit) card.removeBenefit(item.id);
+                else card.removeMinimumSpend(item.id);
+            } else if (change.change === 'added' && templateItem && !item) {
+                if (isBenefit) card.addBenefit(this._benefitData(templateItem, card, currentDate));
+                else card.addMinimumSpend(this._minimumSpendData(templateItem, card, currentDate));
+            } else if (change.change === 'changed' && item && templateItem) {
+                const updates = {};
+                change.fields.forEach(({ field }) => { updates[field] = templateItem[field]; });
+                item.update(updates);
+            }
+        });
+        card.template = { ...(card.template || { excludedKeys: [] }), id: template.id, version: template.version };
+    },
+
+    // ==================== INTERNALS ====================
+
+    /**
+     * Builds benefit data for a template item.
+     * @private
+     */
+    _benefitData(item, card, currentDate) {
+        const isCarryover = item.frequency === 'carryover';
+        const requiredMinSpend = item.requiresMinimumSpend
+            ? card.minimumSpends.find(minSpend => minSpend.templateKey === item.requiresMinimumSpend)
+            : null;
+        return {
+            description: item.description,
+            totalAmount: item.totalAmount,
+            frequency: item.frequency,
+            resetType: item.frequency === 'one-time' || isCarryover ? null : (item.resetType || 'calendar'),
+            lastReset: currentDate.toISOString(),
+            isCarryover: isCarryover,
+            earnedInstances: isCarryover ? [] : undefined,
+            lastEarnReset: isCarryover ? CarryoverCycle.getResetDate(currentDate).toISOString() : null,
+            carryoverRule: isCarryover ? (item.carryoverRule || null) : null,
+            requiredMinimumSpendId: requiredMinSpend ? requiredMinSpend.id : null,
+            templateKey: item.key
+        };
+    },
+
+    /**
+     * Builds minimum spend data for a template item. One-time deadlines count from the card's anniversary (opening) date.
+     * @private
+     */
+    _minimumSpendData(item, card, currentDate) {
+        let deadline = null;
+        if (item.frequency === 'one-time' && item.deadlineMonths) {
+            const opened = card.getAnniversaryDate();
+            deadline = new Date(opened.getFullYear(), opened.getMonth() + item.deadlineMonths, opened.getDate());
+        }
+        return {
+            description: item.description,
+            targetAmount: item.targetAmount,
+            frequency: item.frequency,
+            resetType: item.frequency === 'one-time' ? null : (item.resetType || 'calendar'),
+            deadline: deadline,
+            lastReset: currentDate.toISOString(),
+            tiers: item.tiers || [],
+            templateKey: item.key
+        };
+    }
+};
@@ -1,17 +1,22 @@
 /**
  * Cloud Object Storage Implementation.
  * Uses simple GET and PUT requests to a pre-authenticated URL.
+ * Writes are conditional on the ETag of the last load so concurrent edits
+ * from another device are detected instead of silently overwritten.
  */
 class CloudStore extends StorageInterface {
     constructor(url) {
         super();
         this.url = url;
+        this.etag = null;    // ETag of the object as last loaded/saved
+        this.exists = null;  // Whether the object existed at the last load (null = unknown)
     }
 
     /**
      * @param {Object} options - { signal: AbortSignal }
+     * @returns {Promise<Object|Array|null>} The stored payload, or null if the object does not exist yet
      */
-    async loadData(options = {}) {
+    async loadPayload(options = {}) {
         try {
             // timestamp prevents caching on some aggressive browsers/proxies
             const fetchUrl = `${this.url}${this.url.includes('?') ? '&' : '?'}t=${new Date().getTime()}`;
@@ -23,8 +28,10 @@ class CloudStore extends StorageInterface {
             });
 
             if (response.status === 404) {
-                // File doesn't exist yet on the cloud, return empty array
-                return [];
+                // File doesn't exist yet on the cloud
+                this.etag = null;
+                this.exists = false;
+                return null;
             }
 
             if (!response.ok) {
@@ -32,28 +39,51 @@ class CloudStore extends StorageInterface {
             }
 
             const data = await response.json();
-            return Array.isArray(data) ? data : [];
+            this.etag = response.headers.get('ETag');
+            this.exists = true;
+            return data;
         } catch (error) {
             // Rethrow so App can handle AbortError specifically
             throw error;
         }
     }
 
-    async saveData(data) {
+    /**
+     * Saves the payload, failing with StorageConflictError if the object changed since the last load.
+     * @param {Object} payload
+     * @returns {Promise<void>}
+     */
+    async savePayload(payload) {
+        const headers = {
+            'Content-Type': 'application/json',
+        };
+        if (this.etag) {
+            headers['If-Match'] = this.etag;
+        } else if (this.exists === false) {
+            // Only create the object if no other device has created it in the meantime
+            headers['If-None-Match'] = '*';
+        }
+
+        let response;
         try {
-            const response = await fetch(this.url, {
+            response = await fetch(this.url, {
                 method: 'PUT',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(data)
+                headers: headers,
+                body: JSON.stringify(payload)
             });
-
-            if (!response.ok) {
-                throw new Error(`Failed to save data: ${response.status} ${response.statusText}`);
-            }
         } catch (error) {
             throw new Error(`Cloud Save Error: ${error.message}`);
         }
+
+        if (response.status === 412) {
+            throw new StorageConflictError();
+        }
+        if (!response.ok) {
+            throw new Error(`Cloud Save Error: Failed to save data: ${response.status} ${response.statusText}`);
+        }
+
+        // May be null if the server does not expose the ETag header (CORS); later saves are then unconditional
+        this.etag = response.headers.get('ETag');
+        this.exists = true;
     }
 }
@@ -0,0 +1,292 @@
+/**
+ * CSV export of the tracker state for reconciling credits in spreadsheets.
+ *
+ * Produces one file per sheet: cards, benefits, minimum spends and, when any usage
+ * has been recorded, the usage ledger (optionally limited to a date range).
+ * Fields are escaped per RFC 4180; text that a spreadsheet would run as a formula
+ * is prefixed with an apostrophe.
+ */
+const CsvExport = {
+    /**
+     * Escapes a single field.
+     * @param {*} value - Text, number, boolean or nothing
+     * @returns {string}
+     */
+    escape(value) {
+        if (value === null || value === undefined) return '';
+        let text = String(value);
+        // Formatted amounts (e.g. "-95.00") are numbers, not formulas
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) || text !== text.trim()
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+    },
+
+    /**
+     * Builds CSV text from a header row and data rows.
+     * @param {Array<string>} headers
+     * @param {Array<Array<*>>} rows
+     * @returns {string}
+     */
+    toCsv(headers, rows) {
+        return [headers, ...rows]
+            .map(row => row.map(value => this.escape(value)).join(','))
+            .join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Builds every sheet.
+     * @param {Array<Card>} cards - The cards
+     * @param {Date} currentDate - The reference date for remaining amounts, statuses and deadlines
+     * @param {Object} [options]
+     * @param {Date|null} [options.rangeStart] - First day of usage to include (inclusive)
+     * @param {Date|null} [options.rangeEnd] - Last day of usage to include (inclusive)
+     * @param {Household|null} [options.household] - Names the cardholders credited with usage
+     * @returns {Array<{name: string, content: string}>} Files to download
+     */
+    createFiles(cards, currentDate, { rangeStart = null, rangeEnd = null, household = null } = {}) {
+        const files = [
+            { name: this.getFileName('cards', currentDate), content: this.buildCards(cards, currentDate) },
+            { name: this.getFileName('benefits', currentDate), content: this.buildBenefits(cards, currentDate) },
+            { name: this.getFileName('minimum-spends', currentDate), content: this.buildMinimumSpends(cards, currentDate) }
+        ];
+        if (this.hasUsageHistory(cards)) {
+            files.push({
+                name: this.getFileName('usage', currentDate),
+                content: this.buildUsage(cards, rangeStart, rangeEnd, household)
+            });
+        }
+        return files;
+    },
+
+    /**
+     * Suggested file name for a sheet exported on the given date.
+     * @param {string} sheet - e.g. 'benefits'
+     * @param {Date} now
+     * @returns {string}
+     */
+    getFileName(sheet, now) {
+        return `benefit-tracker-${sheet}-${this._formatDate(now)}.csv`;
+    },
+
+    /**
+     * Checks if any usage has been recorded.
+     * @param {Array<Card>} cards
+     * @returns {boolean}
+     */
+    hasUsageHistory(cards) {
+        return cards.some(card => card.benefits.some(benefit => benefit.getAllUsageEntries().length > 0));
+    },
+
+    // ==================== SHEETS ====================
+
+    /**
+     * One row per card.
+     * @param {Array<Card>} cards
+     * @param {Date} currentDate
+     * @returns {string}
+     */
+    buildCards(cards, currentDate) {
+        const headers = ['Card', 'Anniversary', 'Annual Fee', 'Next Fee Date', 'Value Captured (Card Year)', 'Net Value', 'Benefits', 'Minimum Spends'];
+        const rows = cards.map(card => [
+            card.name,
+            this._formatDate(card.anniversaryDate ? card.getAnniversaryDate() : null),
+            this._formatAmount(card.annualFee),
+            this._formatDate(card.annualFee > 0 ? card.getNextFeeDate(currentDate) : null),
+            this._formatAmount(card.getValueCaptured(currentDate)),
+            this._formatAmount(card.getNetValue(currentDate)),
+            card.benefits.length,
+            card.minimumSpends.length
+        ]);
+        return this.toCsv(headers, rows);
+    },
+
+    /**
+     * One row per benefit, with its current period figures.
+     * @param {Array<Card>} cards
+     * @param {Date} currentDate
+     * @returns {string}
+     */
+    buildBenefits(cards, currentDate) {
+        const headers = ['Card', 'Benefit', 'Frequency', 'Reset Type', 'Amount', 'Used', 'Remaining', 'Next Reset', 'Expires', 'Status', 'Required Minimum Spend'];
+        const rows = [];
+        cards.forEach(card => {
+            card.benefits.forEach(benefit => {
+                const requirement = benefit.getMinimumSpendRequirement();
+                const isCarryover = benefit.isCarryoverBenefit();
+                rows.push([
+                    card.name,
+                    benefit.description,
+                    this._formatFrequency(benefit),
+                    benefit.resetType,
+                    this._formatAmount(isCarryover ? benefit.totalAmount : benefit.getPeriodAmount()),
+                    this._formatAmount(isCarryover
+                        ? benefit.getActiveCarryoverInstances(currentDate).reduce((sum, i) => sum + (i.usedAmount || 0), 0)
+                        : benefit.usedAmount),
+                    this._formatAmount(isCarryover
+                        ? benefit.getTotalCarryoverRemaining(currentDate)
+                        : Math.max(benefit.getRemainingAmount(), 0)),
+                    this._formatDate(benefit.getNextResetDate(currentDate)),
+                    this._formatDate(isCarryover ? benefit.getCarryoverExpiryDate(currentDate) : benefit.expiryDate),
+                    this.getBenefitStatus(benefit, card.isBenefitLocked(benefit), currentDate),
+                    SpendRequirement.describe(requirement, id => card.findMinimumSpend(id))
+                ]);
+            });
+        });
+        return this.toCsv(headers, rows);
+    },
+
+    /**
+     * One row per minimum spend, with progress toward the current period's target.
+     * @param {Array<Card>} cards
+     * @param {Date} currentDate
+     * @returns {string}
+     */
+    buildMinimumSpends(cards, currentDate) {
+        const headers = ['Card', 'Minimum Spend', 'Frequency', 'Reset Type', 'Target', 'Current', 'Remaining', 'Progress %', 'Deadline', 'Met Date', 'Status'];
+        const rows = [];
+        cards.forEach(card => {
+            card.minimumSpends.forEach(minSpend => {
+                rows.push([
+                    card.name,
+                    minSpend.description,
+                    this._formatFrequency(minSpend),
+                    minSpend.resetType,
+                    this._formatAmount(minSpend.targetAmount),
+                    this._formatAmount(minSpend.currentAmount),
+                    this._formatAmount(minSpend.getRemainingAmount()),
+                    Math.round(minSpend.getProgressPercent()),
+                    this._formatDate(minSpend.getDeadline(currentDate)),
+                    this._formatDate(minSpend.metDate),
+                    this.getMinimumSpendStatus(minSpend, currentDate)
+                ]);
+            });
+        });
+        return this.toCsv(headers, rows);
+    },
+
+    /**
+     * One row per usage entry, oldest first: current periods, earned carryover credits and archived periods.
+     * Entries credited to a cardholder name them in the Used By column.
+     * @param {Array<Card>} cards
+     * @param {Date|null} rangeStart - First day to include (inclusive); null for no lower bound
+     * @param {Date|null} rangeEnd - Last day to include (inclusive); null for no upper bound
+     * @param {Household|null} [household] - Names the cardholders credited with usage
+     * @returns {string}
+     */
+    buildUsage(cards, rangeStart = null, rangeEnd = null, household = null) {
+        const start = rangeStart ? this._startOfDay(rangeStart) : null;
+        const end = rangeEnd ? this._startOfDay(rangeEnd) : null;
+        if (end) end.setDate(end.getDate() + 1);
+        const inRange = entry => {
+            const date = new Date(entry.date);
+            return (!start || date >= start) && (!end || date < end);
+        };
+
+        const headers = ['Date', 'Card', 'Benefit', 'Period', 'Amount', 'Used By', 'Merchant', 'Note'];
+        const rows = [];
+        cards.forEach(card => {
+            card.benefits.forEach(benefit => {
+                const ledgers = [
+                    ['Current', benefit.usageEntries],
+                    ...(benefit.earnedInstances || []).map(instance =>
+                        [`Earned ${this._formatDate(instance.earnedDate)}`, instance.usageEntries || []]),
+                    ...benefit.periodHistory.map(record =>
+                        [`${this._formatDate(record.periodStart)} to ${this._formatDate(record.periodEnd)}`, record.usageEntries || []])
+                ];
+                ledgers.forEach(([period, entries]) => {
+                    entries.filter(inRange).forEach(entry => {
+                        rows.push([entry.date, card.name, benefit.description, period, entry.amount,
+                            household ? household.getEntryHolderName(entry) : null, entry.merchant, entry.note]);
+                    });
+                });
+            });
+        });
+
+        rows.sort((a, b) => new Date(a[0]) - new Date(b[0]));
+        rows.forEach(row => {
+            row[0] = this._formatDate(row[0]);
+            row[4] = this._formatAmount(row[4]);
+        });
+        return this.toCsv(headers, rows);
+    },
+
+    // ==================== STATUS ====================
+
+    /**
+     * Summarizes the state of a benefit as of the reference date.
+     * @param {Benefit} benefit
+     * @param {boolean} isLocked - Whether the benefit's minimum spend requirement is unmet
+     * @param {Date} currentDate
+     * @returns {string}
+     */
+    getBenefitStatus(benefit, isLocked, currentDate) {
+        if (benefit.isCarryoverBenefit()) {
+            if (benefit.hasActiveCarryoverInstances(currentDate)) {
+                return benefit.isFullyUsed(currentDate) ? 'Used' : 'Available';
+            }
+            return isLocked ? 'Locked' : 'Not earned';
+        }
+        if (isLocked) return 'Locked';
+        if (benefit.isIgnoredActive(currentDate)) return 'Ignored';
+        if (benefit.isFullyUsed(currentDate)) return 'Used';
+        if (benefit.isOneTime() && benefit.expiryDate && new Date(benefit.expiryDate) < currentDate) return 'Expired';
+        if (benefit.isAutoClaimActive(currentDate)) return 'Auto-claim';
+        return 'Available';
+    },
+
+    /**
+     * Summarizes the state of a minimum spend as of the reference date.
+     * @param {MinimumSpend} minSpend
+     * @param {Date} currentDate
+     * @returns {string}
+     */
+    getMinimumSpendStatus(minSpend, currentDate) {
+        if (minSpend.isMet) return 'Met';
+        if (minSpend.isIgnoredActive(currentDate)) return 'Ignored';
+        if (minSpend.isExpired(currentDate)) return 'Missed';
+        return 'In progress';
+    },
+
+    // ==================== FORMATTING ====================
+
+    /**
+     * Formats a date as YYYY-MM-DD in local time (empty for no date).
+     * @private
+     */
+    _formatDate(value) {
+        if (!value) return '';
+        // Date-only strings (e.g. expiry dates from date inputs) are already local dates
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+        const date = new Date(value);
+        if (isNaN(date)) return '';
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    },
+
+    /**
+     * Names a frequency, spelling out custom schedules (e.g. "every 2 months").
+     * @private
+     */
+    _formatFrequency(item) {
+        return item.frequency === 'custom' ? ExpiryCycle.describeSchedule(item.schedule) : item.frequency;
+    },
+
+    /**
+     * @private
+     */
+    _formatAmount(amount) {
+        return (parseFloat(amount) || 0).toFixed(2);
+    },
+
+    /**
+     * @private
+     */
+    _startOfDay(value) {
+        const date = new Date(value);
+        date.setHours(0, 0, 0, 0);
+        return date;
+    }
+};
@@ -39,23 +39,12 @@ const DateUtils = {
             return benefit.getActiveCarryoverInstances(referenceDate);
         }
         
-        // Handle plain object (backward compatibility)
+        // Handle plain object (legacy shapes are upgraded by SchemaMigrations on load)
         if (!benefit.isCarryover) return [];
-        
-        // Handle legacy single earnedDate format
-        if (benefit.earnedDate && !benefit.earnedInstances) {
-            const legacyInstance = {
-                earnedDate: benefit.earnedDate,
-                usedAmount: benefit.usedAmount || 0
-            };
-            if (this.isCarryoverInstanceActive(legacyInstance, referenceDate)) {
-                return [legacyInstance];
-            }
-            return [];
-        }
-        
+
         const cycle = new CarryoverCycle({
-            earnedInstances: benefit.earnedInstances || []
+            earnedInstances: benefit.earnedInstances || [],
+            rule: benefit.carryoverRule
         });
         return cycle.getActiveInstances(referenceDate);
     },
@@ -83,7 +72,8 @@ const DateUtils = {
         }
         
         const cycle = new CarryoverCycle({
-            earnedInstances: benefit.earnedInstances || []
+            earnedInstances: benefit.earnedInstances || [],
+            rule: benefit.carryoverRule
         });
         return cycle.getTotalRemaining(benefit.totalAmount, referenceDate);
     },
@@ -111,16 +101,10 @@ const DateUtils = {
         }
         
         if (!benefit.isCarryover) return false;
-        
-        const currentYear = new Date(referenceDate).getFullYear();
-        
-        // Handle legacy format
-        if (benefit.earnedDate && !benefit.earnedInstances) {
-            return this.getEarnYear(benefit.earnedDate) !== currentYear;
-        }
-        
+
         const cycle = new CarryoverCycle({
-            earnedInstances: benefit.earnedInstances || []
+            earnedInstances: benefit.earnedInstances || [],
+            rule: benefit.carryoverRule
         });
         return cycle.canEarnThisYear(referenceDate);
     },
@@ -175,7 +159,8 @@ const DateUtils = {
             frequency: benefit.frequency,
             resetType: benefit.resetType,
             lastReset: benefit.lastReset,
-            anniversaryDate: anniversaryDate
+            anniversaryDate: anniversaryDate,
+            schedule: benefit.schedule
         });
         
         return cycle.calculateNextResetDate(referenceDate);
@@ -0,0 +1,291 @@
+/**
+ * Optional end-to-end encryption layer that wraps any StorageInterface implementation.
+ * A key is derived from the user's passphrase in the browser (PBKDF2) and used to
+ * encrypt the serialized cards (AES-GCM) before they reach the wrapped store.
+ * Neither the passphrase nor the key is ever persisted.
+ *
+ * Without a passphrase the wrapper is transparent: plaintext is loaded and saved as-is.
+ * With one, the wrapped store holds an encrypted payload {schemaVersion, encrypted} in place
+ * of {schemaVersion, cards, household}; the data (and its schema version) is only inside the ciphertext.
+ */
+
+const PBKDF2_ITERATIONS = 600000;
+
+/**
+ * Thrown when the stored data is encrypted and no matching key is unlocked.
+ */
+class PassphraseRequiredError extends Error {
+    constructor(message = 'The stored data is encrypted. Enter the passphrase to unlock it.') {
+        super(message);
+        this.name = 'PassphraseRequiredError';
+    }
+}
+
+/**
+ * Thrown when a passphrase does not decrypt the stored data.
+ */
+class IncorrectPassphraseError extends Error {
+    constructor(message = 'Incorrect passphrase') {
+        super(message);
+        this.name = 'IncorrectPassphraseError';
+    }
+}
+
+class EncryptedStore extends StorageInterface {
+    /**
+     * @param {StorageInterface} store - The store that persists the (encrypted) payload
+     * @param {Object} [options]
+     * @param {number} [options.iterations] - PBKDF2 iterations for newly derived keys
+     */
+    constructor(store, { iterations = PBKDF2_ITERATIONS } = {}) {
+        super();
+        this.store = store;
+        this.iterations = iterations;
+        this.key = null;   // {cryptoKey, salt, iterations} of the unlocked passphrase
+        this.isEncrypted = false; // Whether the stored data was encrypted when last seen
+    }
+
+    /**
+     * Checks if the WebCrypto API is available (it requires a secure context).
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    /**
+     * Checks if a stored payload is encrypted.
+     * @param {*} payload - A payload as stored
+     * @returns {boolean}
+     */
+    static isEncryptedPayload(payload) {
+        return !!payload && !!payload.encrypted && typeof payload.encrypted.ciphertext === 'string';
+    }
+
+    /**
+     * Loads the stored payload, decrypted.
+     * @param {Object} options - Passed through to the wrapped store
+     * @returns {Promise<Object|Array|null>} The plaintext payload
+     * @throws {PassphraseRequiredError} If the data is encrypted with a key that is not unlocked
+     */
+    async loadPayload(options = {}) {
+        const payload = await this.store.loadPayload(options);
+        this.isEncrypted = EncryptedStore.isEncryptedPayload(payload);
+        if (!this.isEncrypted) return payload;
+
+        const envelope = payload.encrypted;
+        // Another device may have re-keyed since this key was unlocked
+        if (!this.key || this.key.salt !== envelope.kdf.salt) {
+            throw new PassphraseRequiredError();
+        }
+        return this._decrypt(envelope, this.key.cryptoKey);
+    }
+
+    /**
+     * Encrypts (when a passphrase is set) and saves a payload.
+     * @param {Object} payload - The plaintext payload
+     * @returns {Promise<void>}
+     */
+    async savePayload(payload) {
+        if (!this.key) {
+            // Never overwrite encrypted data with plaintext from a locked session
+            if (this.isEncrypted) throw new PassphraseRequiredError();
+            await this.store.savePayload(payload);
+            return;
+        }
+        await this.store.savePayload(await this._encryptPayload(payload, this.key));
+        this.isEncrypted = true;
+    }
+
+    // ==================== PASSPHRASE MANAGEMENT ====================
+
+    /**
+     * Unlocks the stored data with a passphrase.
+     * @param {string} passphrase
+     * @returns {Promise<{cards: Array<Object>, household: Object|null}>} The decrypted data
+     * @throws {IncorrectPassphraseError} If the passphrase does not decrypt the data
+     */
+    async unlock(passphrase) {
+        const payload = await this.store.loadPayload();
+        this.isEncrypted = EncryptedStore.isEncryptedPayload(payload);
+        if (!this.isEncrypted) return this.decodePayload(payload);
+
+        const envelope = payload.encrypted;
+        const key = await this._deriveKey(passphrase, envelope.kdf.salt, envelope.kdf.iterations);
+        const cards = this.decodePayload(await this._decrypt(envelope, key.cryptoKey));
+        this.key = key;
+        return cards;
+    }
+
+    /**
+     * Checks a passphrase against the currently unlocked key.
+     * @param {string} passphrase
+     * @returns {Promise<boolean>}
+     */
+    async verifyPassphrase(passphrase) {
+        if (!this.key) return false;
+        const candidate = await this._deriveKey(passphrase, this.key.salt, this.key.iterations);
+        // Keys are not extractable, so compare by decrypting a probe encrypted with the unlocked key
+        const probe = await this._encrypt(this.encodePayload({ cards: [] }), this.key);
+        try {
+            await this._decrypt(probe, candidate.cryptoKey);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Sets a new passphrase (with a fresh salt) and re-encrypts the data with it.
+     * The previous key stays active if saving fails.
+     * @param {string} passphrase - The new passphrase
+     * @param {{cards: Array<Object>, household: Object|null}} data - The data to re-encrypt
+     * @returns {Promise<void>}
+     */
+    async changePassphrase(passphrase, data) {
+        const salt = this._toBase64(crypto.getRandomValues(new Uint8Array(16)));
+        const key = await this._deriveKey(passphrase, salt, this.iterations);
+        await this.store.savePayload(await this._encryptPayload(this.encodePayload(data), key));
+        this.key = key;
+        this.isEncrypted = true;
+    }
+
+    /**
+     * Deletes the encrypted data that could not be unlocked, leaving the store empty and unencrypted.
+     * Encrypted snapshots are kept. Like any save, the write is conditional on the data last loaded
+     * where the wrapped store supports it, so data another device saved in the meantime is not deleted.
+     * @returns {Promise<{cards: Array<Object>, household: Object|null}>} The (empty) data
+     * @throws {StorageConflictError} If the stored data changed since it was last loaded
+     */
+    async forgetData() {
+        await this.store.savePayload(this.encodePayload({ cards: [] }));
+        this.key = null;
+        this.isEncrypted = false;
+        return { cards: [], household: null };
+    }
+
+    /**
+     * Turns encryption off and saves the data as plaintext.
+     * @param {{cards: Array<Object>, household: Object|null}} data - The data to save
+     * @returns {Promise<void>}
+     */
+    async removePassphrase(data) {
+        await this.store.savePayload(this.encodePayload(data));
+        this.key = null;
+        this.isEncrypted = false;
+    }
+
+    // ==================== SEALED VALUES ====================
+
+    /**
+     * Prepares data for storage outside the wrapped store (e.g. snapshots):
+     * an encrypted payload with the unlocked key, or a plain versioned payload without a passphrase.
+     * @param {{cards: Array<Object>, household: Object|null}} data - Serialized cards and household
+     * @returns {Promise<Object>}
+     */
+    async seal(data) {
+        const payload = this.encodePayload(data);
+        return this.key ? this._encryptPayload(payload, this.key) : payload;
+    }
+
+    /**
+     * Opens a value produced by seal(), migrating it to the current schema.
+     * @param {Object} sealed
+     * @returns {Promise<{cards: Array<Object>, household: Object|null}>}
+     * @throws {PassphraseRequiredError} If it was encrypted with a key that is not unlocked
+     */
+    async open(sealed) {
+        if (!EncryptedStore.isEncryptedPayload(sealed)) return this.decodePayload(sealed);
+        if (!this.key || this.key.salt !== sealed.encrypted.kdf.salt) {
+            throw new PassphraseRequiredError('This data was encrypted with a different passphrase.');
+        }
+        return this.decodePayload(await this._decrypt(sealed.encrypted, this.key.cryptoKey));
+    }
+
+    // ==================== INTERNALS ====================
+
+    /**
+     * Derives an AES-GCM key from a passphrase.
+     * @private
+     * @returns {Promise<{cryptoKey: CryptoKey, salt: string, iterations: number}>}
+     */
+    async _deriveKey(passphrase, salt, iterations) {
+        if (!EncryptedStore.isSupported()) {
+            throw new Error('Encryption requires a secure (HTTPS) connection');
+        }
+        const material = await crypto.subtle.importKey(
+            'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+        );
+        const cryptoKey = await crypto.subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: this._fromBase64(salt), iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+        return { cryptoKey, salt, iterations };
+    }
+
+    /**
+     * Wraps a plaintext payload in an encrypted payload.
+     * @private
+     * @returns {Promise<{schemaVersion: number, encrypted: Object}>}
+     */
+    async _encryptPayload(payload, key) {
+        return { schemaVersion: SchemaMigrations.CURRENT_VERSION, encrypted: await this._encrypt(payload, key) };
+    }
+
+    /**
+     * Encrypts a payload into an envelope; every save uses a fresh IV.
+     * @private
+     */
+    async _encrypt(payload, key) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key.cryptoKey,
+            new TextEncoder().encode(JSON.stringify(payload))
+        );
+        return {
+            version: 1,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', salt: key.salt, iterations: key.iterations },
+            cipher: { name: 'AES-GCM', iv: this._toBase64(iv) },
+            ciphertext: this._toBase64(new Uint8Array(ciphertext))
+        };
+    }
+
+    /**
+     * Decrypts an envelope back into the payload it was made from (not yet migrated).
+     * @private
+     * @throws {IncorrectPassphraseError} If authentication fails (wrong key or tampered data)
+     */
+    async _decrypt(envelope, cryptoKey) {
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this._fromBase64(envelope.cipher.iv) },
+                cryptoKey,
+                this._fromBase64(envelope.ciphertext)
+            );
+        } catch (e) {
+            throw new IncorrectPassphraseError();
+        }
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    }
+
+    /**
+     * @private
+     */
+    _toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+        return btoa(binary);
+    }
+
+    /**
+     * @private
+     */
+    _fromBase64(text) {
+        return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * Undo/redo history of user changes.
+ *
+ * Every recorded change keeps the serialized state (cards and household) before and after it. Undo and
+ * redo are applied as three-way merges (SyncMerge) against the current state, so
+ * edits made since then, including those synced from other devices, are kept.
+ * The history lives in sessionStorage: it survives reloads but not the browser session.
+ */
+
+const HISTORY_STORAGE_KEY = 'creditCardBenefitTracker_history';
+const HISTORY_LIMIT = 50;
+
+class HistoryManager {
+    /**
+     * @param {Storage} storage - Where the history is persisted (sessionStorage)
+     * @param {number} [limit] - Maximum number of undo steps
+     */
+    constructor(storage, limit = HISTORY_LIMIT) {
+        this.storage = storage;
+        this.limit = limit;
+        this.undoStack = [];
+        this.redoStack = [];
+        this._restore();
+    }
+
+    /**
+     * Records a change. Clears the redo history.
+     * @param {string} label - What the change did (e.g. 'Delete benefit "Lounge"')
+     * @param {{cards: Array<Object>, household: Object|null}} before - Serialized state before the change
+     * @param {{cards: Array<Object>, household: Object|null}} after - Serialized state after the change
+     * @returns {boolean} Whether anything was recorded (false if nothing changed)
+     */
+    record(label, before, after) {
+        if (JSON.stringify(before) === JSON.stringify(after)) return false;
+        this.undoStack.push({ label, before, after });
+        if (this.undoStack.length > this.limit) this.undoStack.shift();
+        this.redoStack = [];
+        this._persist();
+        return true;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Reverts the latest change on top of the current state.
+     * @param {{cards: Array<Object>, household: Object|null}} current - Serialized current state
+     * @returns {{label: string, state: Object}|null} The reverted state, or null if there is nothing to undo
+     */
+    undo(current) {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+        this.redoStack.push(entry);
+        this._persist();
+        return { label: entry.label, state: SyncMerge.mergeState(entry.after, current, entry.before).merged };
+    }
+
+    /**
+     * Re-applies the latest undone change on top of the current state.
+     * @param {{cards: Array<Object>, household: Object|null}} current - Serialized current state
+     * @returns {{label: string, state: Object}|null} The new state, or null if there is nothing to redo
+     */
+    redo(current) {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+        this.undoStack.push(entry);
+        this._persist();
+        return { label: entry.label, state: SyncMerge.mergeState(entry.before, current, entry.after).merged };
+    }
+
+    // ==================== INTERNALS ====================
+
+    /**
+     * Saves the stacks, dropping the oldest steps if the storage quota is exceeded.
+     * @private
+     */
+    _persist() {
+        if (!this.storage) return;
+        for (;;) {
+            try {
+                this.storage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({
+                    undo: this.undoStack,
+                    redo: this.redoStack
+                }));
+                return;
+            } catch (e) {
+                if (this.undoStack.length > 0) {
+                    this.undoStack.shift();
+                } else if (this.redoStack.length > 0) {
+                    this.redoStack.shift();
+                } else {
+                    console.warn('Could not persist undo history:', e.message);
+                    return;
+                }
+            }
+        }
+    }
+
+    /**
+     * @private
+     */
+    _restore() {
+        if (!this.storage) return;
+        try {
+            const stored = JSON.parse(this.storage.getItem(HISTORY_STORAGE_KEY));
+            if (stored) {
+                this.undoStack = stored.undo || [];
+                this.redoStack = stored.redo || [];
+            }
+        } catch (e) {
+            console.warn('Ignoring unreadable undo history:', e.message);
+        }
+    }
+}
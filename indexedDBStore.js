@@ -0,0 +1,214 @@
+/**
+ * A persistence layer implementation using the browser's IndexedDB.
+ * Cards, benefits and minimum spends live in separate object stores so the
+ * state is no longer limited by the localStorage quota. The other fields of the
+ * payload (the household, or an encrypted payload's ciphertext) are kept in the meta store.
+ */
+
+const IDB_NAME = 'creditCardBenefitTracker';
+const IDB_VERSION = 1;
+// localStorage key touched after each save so other tabs get a 'storage' event
+const IDB_CHANGE_KEY = 'creditCardBenefitTracker_idbChanged';
+
+class IndexedDBStore extends StorageInterface {
+    constructor() {
+        super();
+        this._dbPromise = null;
+    }
+
+    /**
+     * Checks if IndexedDB is available in this browser.
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Loads the stored payload from IndexedDB.
+     * On first load, data saved by LocalStorageStore is moved over.
+     * @param {Object} options - { signal: AbortSignal }
+     * @returns {Promise<Object>}
+     */
+    async loadPayload(options = {}) {
+        const { signal } = options;
+        this._throwIfAborted(signal);
+        const db = await this._openDb();
+        this._throwIfAborted(signal);
+
+        await this._migrateFromLocalStorage(db);
+        this._throwIfAborted(signal);
+
+        const tx = db.transaction(['cards', 'benefits', 'minimumSpends', 'meta'], 'readonly');
+        const abort = () => tx.abort();
+        if (signal) signal.addEventListener('abort', abort);
+        try {
+            const [cards, benefits, minimumSpends, version, fields] = await Promise.all([
+                this._request(tx.objectStore('cards').getAll()),
+                this._request(tx.objectStore('benefits').getAll()),
+                this._request(tx.objectStore('minimumSpends').getAll()),
+                this._request(tx.objectStore('meta').get('schemaVersion')),
+                this._request(tx.objectStore('meta').get('payloadFields'))
+            ]);
+            return {
+                ...(fields ? fields.value : {}),
+                schemaVersion: version ? version.value : 0,
+                cards: IndexedDBStore.joinRecords({ cards, benefits, minimumSpends })
+            };
+        } catch (error) {
+            this._throwIfAborted(signal);
+            throw error;
+        } finally {
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Replaces the stored payload in a single transaction.
+     * @param {Object} payload
+     * @returns {Promise<void>}
+     */
+    async savePayload(payload) {
+        const db = await this._openDb();
+        await this._writeAll(db, payload);
+        localStorage.setItem(IDB_CHANGE_KEY, Date.now().toString());
+    }
+
+    // ==================== RECORD MAPPING ====================
+
+    /**
+     * Splits serialized cards into flat records for the object stores.
+     * Benefits and minimum spends get a cardId; every record keeps its position for ordering.
+     * @param {Array<Object>} data - Serialized cards (Card#toJSON)
+     * @returns {{cards: Array<Object>, benefits: Array<Object>, minimumSpends: Array<Object>}}
+     */
+    static splitCards(data) {
+        const records = { cards: [], benefits: [], minimumSpends: [] };
+        data.forEach((cardData, cardPosition) => {
+            const { benefits = [], minimumSpends = [], ...card } = cardData;
+            records.cards.push({ ...card, position: cardPosition });
+            benefits.forEach((benefit, position) => {
+                records.benefits.push({ ...benefit, cardId: card.id, position });
+            });
+            minimumSpends.forEach((minSpend, position) => {
+                records.minimumSpends.push({ ...minSpend, cardId: card.id, position });
+            });
+        });
+        return records;
+    }
+
+    /**
+     * Rebuilds serialized cards from object store records (inverse of splitCards).
+     * @param {{cards: Array<Object>, benefits: Array<Object>, minimumSpends: Array<Object>}} records
+     * @returns {Array<Object>}
+     */
+    static joinRecords({ cards, benefits, minimumSpends }) {
+        const byPosition = (a, b) => a.position - b.position;
+        const childrenOf = (items, cardId) => items
+            .filter(item => item.cardId === cardId)
+            .sort(byPosition)
+            .map(({ cardId: _cardId, position: _position, ...item }) => item);
+
+        return [...cards].sort(byPosition).map(({ position: _position, ...card }) => ({
+            ...card,
+            benefits: childrenOf(benefits, card.id),
+            minimumSpends: childrenOf(minimumSpends, card.id)
+        }));
+    }
+
+    // ==================== INTERNALS ====================
+
+    /**
+     * Opens (and on first use creates) the database.
+     * @private
+     * @returns {Promise<IDBDatabase>}
+     */
+    _openDb() {
+        if (!this._dbPromise) {
+            this._dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(IDB_NAME, IDB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('cards', { keyPath: 'id' });
+                    db.createObjectStore('benefits', { keyPath: 'id' }).createIndex('cardId', 'cardId');
+                    db.createObjectStore('minimumSpends', { keyPath: 'id' }).createIndex('cardId', 'cardId');
+                    db.createObjectStore('meta', { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB is blocked by another open tab'));
+            });
+            // Allow a retry after a failed open
+            this._dbPromise.catch(() => { this._dbPromise = null; });
+        }
+        return this._dbPromise;
+    }
+
+    /**
+     * Moves data saved by LocalStorageStore into IndexedDB the first time the database is used.
+     * @private
+     * @param {IDBDatabase} db
+     */
+    async _migrateFromLocalStorage(db) {
+        const tx = db.transaction('meta', 'readonly');
+        const migrated = await this._request(tx.objectStore('meta').get('migratedFromLocalStorage'));
+        if (migrated) return;
+
+        const legacy = localStorage.getItem(STORAGE_KEY);
+        const payload = legacy ? JSON.parse(legacy) : this.encodePayload({ cards: [] });
+        // Copied as stored; loading migrates it like any other payload
+        await this._writeAll(db, Array.isArray(payload) ? { schemaVersion: 0, cards: payload } : payload, {
+            migratedFromLocalStorage: true
+        });
+        // Only drop the old copy once the migration transaction has committed
+        if (legacy) localStorage.removeItem(STORAGE_KEY);
+    }
+
+    /**
+     * Replaces the contents of all data stores in one transaction.
+     * Fields of the payload other than its cards replace the stored ones as a whole.
+     * @private
+     * @param {IDBDatabase} db
+     * @param {Object} payload - A versioned payload
+     * @param {Object} [meta] - Extra meta entries to write in the same transaction
+     * @returns {Promise<void>}
+     */
+    _writeAll(db, payload, meta = {}) {
+        const { schemaVersion = 0, cards = [], ...payloadFields } = payload;
+        const records = IndexedDBStore.splitCards(cards);
+        const metaEntries = { ...meta, schemaVersion, payloadFields };
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['cards', 'benefits', 'minimumSpends', 'meta'], 'readwrite');
+            ['cards', 'benefits', 'minimumSpends'].forEach(storeName => {
+                const store = tx.objectStore(storeName);
+                store.clear();
+                records[storeName].forEach(record => store.put(record));
+            });
+            Object.entries(metaEntries).forEach(([key, value]) => tx.objectStore('meta').put({ key, value }));
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    /**
+     * Wraps an IDBRequest in a promise.
+     * @private
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Throws an AbortError (like fetch does) if the signal has been aborted.
+     * @private
+     */
+    _throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw new DOMException('The operation was aborted.', 'AbortError');
+        }
+    }
+}
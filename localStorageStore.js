@@ -7,21 +7,21 @@ const STORAGE_KEY = 'creditCardBenefitTracker';
 class LocalStorageStore extends StorageInterface {
 
     /**
-     * Loads the card data from localStorage.
+     * Loads the stored payload from localStorage.
      * @param {Object} options - Ignored for localStorage
-     * @returns {Promise<Array<Object>>}
+     * @returns {Promise<Object|Array|null>}
      */
-    async loadData(options = {}) {
+    async loadPayload(options = {}) {
         const data = localStorage.getItem(STORAGE_KEY);
-        return data ? JSON.parse(data) : [];
+        return data ? JSON.parse(data) : null;
     }
 
     /**
-     * Saves the provided card data to localStorage.
-     * @param {Array<Object>} data
+     * Saves the payload to localStorage.
+     * @param {Object} payload
      * @returns {Promise<void>}
      */
-    async saveData(data) {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    async savePayload(payload) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
     }
 }
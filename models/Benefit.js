@@ -8,8 +8,11 @@ class Benefit {
      * @param {string} data.id - Unique identifier
      * @param {string} data.description - Benefit description
      * @param {number} data.totalAmount - Total credit amount
-     * @param {number} data.usedAmount - Amount used
-     * @param {string} data.frequency - 'monthly', 'quarterly', 'biannual', 'annual', 'every-4-years', 'one-time', or 'carryover'
+     * @param {Array<Object>} data.amountSchedule - Credit amounts of particular periods [{months, amount}] (see getPeriodAmount)
+     * @param {number} data.usedAmount - Amount used (legacy scalar, migrated into usageEntries)
+     * @param {Array<Object>} data.usageEntries - Dated usage ledger [{id, amount, date, merchant, note}]
+     * @param {string} data.frequency - 'monthly', 'quarterly', 'biannual', 'annual', 'every-4-years', 'custom', 'one-time', or 'carryover'
+     * @param {Object|null} data.schedule - Schedule of the 'custom' frequency {interval, unit, months} (see ExpiryCycle)
      * @param {string|null} data.resetType - 'calendar' or 'anniversary'
      * @param {string|null} data.lastReset - ISO date string of last reset
      * @param {boolean} data.autoClaim - Whether to auto-claim
@@ -18,18 +21,33 @@ class Benefit {
      * @param {string|null} data.ignoredEndDate - End date for ignored status
      * @param {string|null} data.expiryDate - Expiry date for one-time benefits
      * @param {boolean} data.isCarryover - Whether this is a carryover benefit
-     * @param {Array|null} data.earnedInstances - Earned instances for carryover
+     * @param {Array|null} data.earnedInstances - Earned instances for carryover [{id, earnedDate, usedAmount, usageEntries, minimumSpendId, minimumSpendPeriod}];
+     *   instances earned automatically name the minimum spend and its period (lastReset) that earned them
      * @param {string|null} data.lastEarnReset - Last earn reset date for carryover (for backward compatibility)
+     * @param {Object|null} data.carryoverRule - When carryover credits expire and how often they can be earned (see CarryoverCycle)
      * @param {string|null} data.requiredMinimumSpendId - ID of the minimum spend that must be met to unlock/earn this benefit
+     * @param {Object|null} data.minimumSpendRequirement - AND/OR requirement across minimum spends and tiers (see SpendRequirement);
+     *   null when the benefit needs at most requiredMinimumSpendId
+     * @param {Array<Object>} data.periodHistory - Archived periods [{periodStart, periodEnd, totalAmount, usedAmount, autoClaimed, ignored, usageEntries}];
+     *   only the latest keep every usage entry (see UsageLedger.compactArchive)
+     * @param {Array<Object>} data.matchRules - Statement matching rules [{id, merchantPattern, transactionType, minAmount, maxAmount, activeFrom, activeUntil}]
+     * @param {Array<string>} data.unlinkedTransactionKeys - Statement transactions unlinked as false matches; never matched again
+     * @param {string|null} data.templateKey - Key of the catalog template item this benefit was created from (see CardCatalog)
+     * @param {string|null} data.updatedAt - ISO timestamp of the last saved change (used to resolve sync conflicts)
      * @param {Date|string|null} anniversaryDate - Card anniversary date (for anniversary-based resets)
      */
     constructor(data, anniversaryDate = null) {
         this.id = data.id || `benefit-${Math.random().toString(36).substr(2, 9)}`;
         this.description = data.description;
         this.totalAmount = data.totalAmount;
-        this.usedAmount = data.usedAmount || 0;
+        this.setAmountSchedule(data.amountSchedule);
+        // usedAmount is derived from the ledger; older data only has the scalar
+        this.usageEntries = Array.isArray(data.usageEntries)
+            ? data.usageEntries
+            : UsageLedger.fromLegacyAmount(data.usedAmount, data.lastReset);
         this.frequency = data.frequency;
         this.resetType = data.resetType || null;
+        this.schedule = data.frequency === 'custom' ? ExpiryCycle.normalizeSchedule(data.schedule, data.resetType) : null;
         this.lastReset = data.lastReset || null;
         this.autoClaim = data.autoClaim || false;
         this.autoClaimEndDate = data.autoClaimEndDate || null;
@@ -39,12 +57,28 @@ class Benefit {
         
         // Carryover-specific fields
         this.isCarryover = data.isCarryover || false;
-        this.earnedInstances = data.earnedInstances || [];
+        this.earnedInstances = (data.earnedInstances || []).map(instance => {
+            if (!instance.id) instance.id = CarryoverCycle.createInstanceId();
+            return UsageLedger.ensureInstanceLedger(instance);
+        });
         this.lastEarnReset = data.lastEarnReset || null;
+        this.carryoverRule = this.isCarryover ? CarryoverCycle.normalizeRule(data.carryoverRule) : null;
 
         // Minimum spend precondition - links benefit to a minimum spend requirement
-        // For carryover benefits, this replaces the old earnThreshold field
+        // For carryover benefits, this replaces the old earnThreshold field (see SchemaMigrations)
         this.requiredMinimumSpendId = data.requiredMinimumSpendId || null;
+        this.minimumSpendRequirement = null;
+        if (data.minimumSpendRequirement) this.setMinimumSpendRequirement(data.minimumSpendRequirement);
+
+        // Archive of completed periods (and expired carryover instances), oldest first
+        this.periodHistory = data.periodHistory || [];
+
+        // Rules that record usage from imported statement transactions (see StatementImport)
+        this.matchRules = data.matchRules || [];
+        this.unlinkedTransactionKeys = data.unlinkedTransactionKeys || [];
+
+        this.templateKey = data.templateKey || null;
+        this.updatedAt = data.updatedAt || null;
 
         // Store anniversary date for cycle calculations
         this._anniversaryDate = anniversaryDate;
@@ -53,18 +87,37 @@ class Benefit {
         if (this.isCarryover) {
             this._carryoverCycle = new CarryoverCycle({
                 earnedInstances: this.earnedInstances,
-                lastEarnReset: this.lastEarnReset
+                lastEarnReset: this.lastEarnReset,
+                rule: this.carryoverRule,
+                anniversaryDate: this._anniversaryDate
             });
         } else {
             this._expiryCycle = new ExpiryCycle({
                 frequency: this.frequency,
                 resetType: this.resetType,
                 lastReset: this.lastReset,
-                anniversaryDate: this._anniversaryDate
+                anniversaryDate: this._anniversaryDate,
+                schedule: this.schedule
             });
         }
     }
 
+    /**
+     * Amount used in the current period, derived from the usage ledger.
+     * @returns {number}
+     */
+    get usedAmount() {
+        return UsageLedger.getTotal(this.usageEntries);
+    }
+
+    /**
+     * Assigning a used amount records an adjustment entry for the difference.
+     * @param {number} amount
+     */
+    set usedAmount(amount) {
+        this.setUsedAmount(amount);
+    }
+
     /**
      * Updates the anniversary date (when the parent card's anniversary changes).
      * @param {Date|string} anniversaryDate
@@ -76,7 +129,8 @@ class Benefit {
                 frequency: this.frequency,
                 resetType: this.resetType,
                 lastReset: this.lastReset,
-                anniversaryDate: this._anniversaryDate
+                anniversaryDate: this._anniversaryDate,
+                schedule: this.schedule
             });
         }
     }
@@ -159,6 +213,36 @@ class Benefit {
      */
     setRequiredMinimumSpendId(minSpendId) {
         this.requiredMinimumSpendId = minSpendId || null;
+        this.minimumSpendRequirement = null;
+    }
+
+    /**
+     * Gets the minimum spend requirement, whether an expression or a single linked minimum spend.
+     * @returns {Object|null} {op, items} (see SpendRequirement)
+     */
+    getMinimumSpendRequirement() {
+        return SpendRequirement.fromBenefit(this);
+    }
+
+    /**
+     * Sets the minimum spend requirement. A single minimum spend without a tier is stored
+     * as requiredMinimumSpendId alone; otherwise requiredMinimumSpendId names the first item.
+     * @param {Object|null} requirement - {op, items} (see SpendRequirement), or null to remove it
+     */
+    setMinimumSpendRequirement(requirement) {
+        const normalized = SpendRequirement.normalize(requirement);
+        const isSingle = !!normalized && normalized.items.length === 1 && !normalized.items[0].tierId;
+        this.minimumSpendRequirement = normalized && !isSingle ? normalized : null;
+        this.requiredMinimumSpendId = normalized ? normalized.items[0].minimumSpendId : null;
+    }
+
+    /**
+     * Checks if the benefit's requirement names a minimum spend.
+     * @param {string} minSpendId
+     * @returns {boolean}
+     */
+    requiresMinimumSpend(minSpendId) {
+        return SpendRequirement.references(this.getMinimumSpendRequirement(), minSpendId);
     }
 
     /**
@@ -166,7 +250,64 @@ class Benefit {
      * @returns {number}
      */
     getRemainingAmount() {
-        return this.totalAmount - this.usedAmount;
+        return this.getPeriodAmount() - this.usedAmount;
+    }
+
+    // ==================== PERIOD AMOUNTS ====================
+
+    /**
+     * Gets the credit amount of a period. A recurring benefit's amount schedule overrides
+     * totalAmount for periods that include one of an entry's months (the first matching
+     * entry wins), e.g. [{months: [12], amount: 35}] for a larger December credit.
+     * @param {Date|string|null} [periodStart] - Start of the period; defaults to the current period
+     * @returns {number}
+     */
+    getPeriodAmount(periodStart = this.lastReset) {
+        if (!this.isRecurring() || this.amountSchedule.length === 0 || !periodStart) return this.totalAmount;
+        const months = this._getPeriodMonths(periodStart);
+        const entry = this.amountSchedule.find(item => item.months.some(month => months.includes(month)));
+        return entry ? entry.amount : this.totalAmount;
+    }
+
+    /**
+     * Replaces the amount schedule. Entries without months or a valid amount are dropped.
+     * @param {Array<{months: Array<number>, amount: number}>} entries
+     */
+    setAmountSchedule(entries) {
+        this.amountSchedule = (entries || [])
+            .map(entry => ({
+                months: [...new Set((entry.months || []).map(month => parseInt(month, 10)))]
+                    .filter(month => month >= 1 && month <= 12)
+                    .sort((a, b) => a - b),
+                amount: parseFloat(entry.amount)
+            }))
+            .filter(entry => entry.months.length > 0 && !isNaN(entry.amount) && entry.amount >= 0);
+    }
+
+    /**
+     * Lists the months (1-12) a period starting on the given date covers.
+     * @private
+     */
+    _getPeriodMonths(periodStart) {
+        const start = new Date(periodStart);
+        start.setHours(0, 0, 0, 0);
+        const cycle = new ExpiryCycle({
+            frequency: this.frequency,
+            resetType: this.resetType,
+            lastReset: start,
+            anniversaryDate: this._anniversaryDate,
+            schedule: this.schedule
+        });
+        const nextReset = cycle.calculateNextResetDate(start);
+        const end = nextReset && nextReset > start ? new Date(nextReset.getTime() - 1) : start;
+
+        const months = [];
+        const month = new Date(start.getFullYear(), start.getMonth(), 1);
+        while (month <= end && months.length < 12) {
+            months.push(month.getMonth() + 1);
+            month.setMonth(month.getMonth() + 1);
+        }
+        return months;
     }
 
     /**
@@ -227,6 +368,39 @@ class Benefit {
         return this._carryoverCycle.canEarnThisYear(currentDate);
     }
 
+    /**
+     * Earns a carryover credit, if the earning year it falls in has room for another.
+     * Under a fixed-date rule the credit keeps that date, so changing the rule only affects later credits.
+     * @param {Date|string} earnedDate - When the credit was earned
+     * @param {Object} [details] - Extra fields of the instance (e.g. the minimum spend that earned it)
+     * @returns {Object|null} The earned instance, or null if the year is used up
+     */
+    earnCarryoverInstance(earnedDate, details = {}) {
+        const date = new Date(earnedDate);
+        if (!this.canEarnCarryoverThisYear(date)) return null;
+        const instance = {
+            id: CarryoverCycle.createInstanceId(),
+            earnedDate: date.toISOString(),
+            usedAmount: 0,
+            ...details
+        };
+        const rule = CarryoverCycle.normalizeRule(this.carryoverRule);
+        if (rule.expiry === 'date') instance.expiryDate = rule.date;
+        this.earnedInstances.push(UsageLedger.ensureInstanceLedger(instance));
+        return instance;
+    }
+
+    /**
+     * Gets how many more carryover credits can be earned this earning year.
+     * @param {Date} currentDate - The reference date
+     * @returns {number}
+     */
+    getCarryoverEarnsRemaining(currentDate) {
+        if (!this.isCarryoverBenefit()) return 0;
+        this._syncCarryoverCycle();
+        return this._carryoverCycle.getRemainingEarns(currentDate);
+    }
+
     /**
      * Gets the earliest expiry date for carryover instances.
      * @param {Date} currentDate - The reference date
@@ -238,6 +412,28 @@ class Benefit {
         return this._carryoverCycle.getEarliestExpiryDate(currentDate);
     }
 
+    /**
+     * Gets the last day an earned carryover instance can be used, under the benefit's carryover rule.
+     * @param {Object} instance - The earned instance {earnedDate, usedAmount}
+     * @returns {Date|null}
+     */
+    getCarryoverInstanceExpiryDate(instance) {
+        if (!this.isCarryoverBenefit()) return null;
+        this._syncCarryoverCycle();
+        return this._carryoverCycle.getInstanceExpiryDate(instance);
+    }
+
+    /**
+     * Gets the start of the current carryover earning year (calendar or card year).
+     * @param {Date} currentDate - The reference date
+     * @returns {Date|null}
+     */
+    getCarryoverEarnWindowStart(currentDate) {
+        if (!this.isCarryoverBenefit()) return null;
+        this._syncCarryoverCycle();
+        return this._carryoverCycle.getEarnWindowStart(currentDate);
+    }
+
     /**
      * Gets the earn deadline for carryover benefits.
      * @param {Date} currentDate - The reference date
@@ -268,7 +464,9 @@ class Benefit {
     _syncCarryoverCycle() {
         this._carryoverCycle = new CarryoverCycle({
             earnedInstances: this.earnedInstances,
-            lastEarnReset: this.lastEarnReset
+            lastEarnReset: this.lastEarnReset,
+            rule: this.carryoverRule,
+            anniversaryDate: this._anniversaryDate
         });
     }
 
@@ -296,6 +494,28 @@ class Benefit {
         return this._expiryCycle.isExpired(currentDate);
     }
 
+    /**
+     * Checks if the benefit can be used on a date (false outside the months of a month-list schedule).
+     * @param {Date} currentDate - The reference date
+     * @returns {boolean}
+     */
+    isAvailable(currentDate) {
+        if (!this.isRecurring()) return true;
+        this._syncExpiryCycle();
+        return this._expiryCycle.isAvailable(currentDate);
+    }
+
+    /**
+     * Gets the date the current period's credit lapses (the next reset, or the end of a month-list window).
+     * @param {Date} currentDate - The reference date
+     * @returns {Date|null} Null for non-recurring benefits and outside the months of a month-list schedule
+     */
+    getAvailableUntil(currentDate) {
+        if (!this.isRecurring()) return null;
+        this._syncExpiryCycle();
+        return this._expiryCycle.getAvailableUntil(currentDate);
+    }
+
     /**
      * Checks if the benefit expires within a given number of days.
      * @param {Date} currentDate - The reference date
@@ -321,49 +541,282 @@ class Benefit {
             frequency: this.frequency,
             resetType: this.resetType,
             lastReset: this.lastReset,
-            anniversaryDate: this._anniversaryDate
+            anniversaryDate: this._anniversaryDate,
+            schedule: this.schedule
         });
     }
 
     // ==================== MUTATION METHODS ====================
 
     /**
-     * Resets the benefit usage.
+     * Resets the benefit usage, archiving the period that just ended.
      * @param {Date} currentDate - The current date for lastReset
      */
     reset(currentDate) {
-        this.usedAmount = 0;
+        this.archiveCurrentPeriod(currentDate);
+        this.usageEntries = [];
         this.lastReset = currentDate.toISOString();
     }
 
+    /**
+     * Appends a record of the current period to the history.
+     * The period ends the day before its scheduled reset, even if the reset is applied later.
+     * @param {Date} currentDate - The date the period is being closed
+     * @returns {Object} The archived record
+     */
+    archiveCurrentPeriod(currentDate) {
+        const nextReset = this.getNextResetDate(currentDate);
+        const periodEnd = new Date(nextReset && nextReset <= currentDate ? nextReset : currentDate);
+        periodEnd.setDate(periodEnd.getDate() - 1);
+
+        const record = {
+            periodStart: this.lastReset ? new Date(this.lastReset).toISOString() : null,
+            periodEnd: periodEnd.toISOString(),
+            totalAmount: this.getPeriodAmount(),
+            usedAmount: this.usedAmount,
+            autoClaimed: this.isAutoClaimActive(currentDate),
+            ignored: this.isIgnoredActive(currentDate),
+            usageEntries: this.usageEntries
+        };
+        this.periodHistory.push(record);
+        UsageLedger.compactArchive(this.periodHistory, 'usageEntries');
+        return record;
+    }
+
+    /**
+     * Removes expired carryover instances, archiving each one to the history.
+     * @param {Date} currentDate - The reference date
+     * @returns {number} Number of instances archived
+     */
+    archiveExpiredCarryoverInstances(currentDate) {
+        if (!this.isCarryoverBenefit()) return 0;
+        const active = this.getActiveCarryoverInstances(currentDate);
+        const expired = this.earnedInstances.filter(instance => !active.includes(instance));
+
+        expired.forEach(instance => {
+            UsageLedger.ensureInstanceLedger(instance);
+            this.periodHistory.push({
+                // Credits earned on the same day also share their period dates
+                id: instance.id,
+                periodStart: new Date(instance.earnedDate).toISOString(),
+                periodEnd: this.getCarryoverInstanceExpiryDate(instance).toISOString(),
+                totalAmount: this.totalAmount,
+                usedAmount: instance.usedAmount,
+                autoClaimed: false,
+                ignored: this.isIgnoredActive(currentDate),
+                usageEntries: instance.usageEntries
+            });
+        });
+
+        if (expired.length > 0) UsageLedger.compactArchive(this.periodHistory, 'usageEntries');
+        this.earnedInstances = active;
+        this._syncCarryoverCycle();
+        return expired.length;
+    }
+
+    /**
+     * Gets archived periods, most recent first.
+     * @returns {Array<Object>}
+     */
+    getPeriodHistory() {
+        return [...this.periodHistory].sort((a, b) => new Date(b.periodEnd) - new Date(a.periodEnd));
+    }
+
     /**
      * Marks the benefit as fully claimed.
+     * @param {Date} [currentDate] - Date recorded on the ledger entry
      */
-    markFullyClaimed() {
-        this.usedAmount = this.totalAmount;
+    markFullyClaimed(currentDate = new Date()) {
+        UsageLedger.adjustTo(this.usageEntries, this.getPeriodAmount(), currentDate, 'Auto-claim');
     }
 
     /**
-     * Updates the used amount.
+     * Updates the used amount by recording an adjustment entry for the difference.
      * @param {number} amount
+     * @param {Date} [currentDate] - Date recorded on the ledger entry
      */
-    setUsedAmount(amount) {
+    setUsedAmount(amount, currentDate = new Date()) {
         if (isNaN(amount) || amount < 0) amount = 0;
-        if (amount > this.totalAmount) amount = this.totalAmount;
-        this.usedAmount = amount;
+        const periodAmount = this.getPeriodAmount();
+        if (amount > periodAmount) amount = periodAmount;
+        UsageLedger.adjustTo(this.usageEntries, amount, currentDate);
+    }
+
+    /**
+     * Gets the usage ledger sorted by date.
+     * @param {number|null} instanceIndex - Carryover instance index, or null for the benefit itself
+     * @returns {Array<Object>}
+     */
+    getUsageEntries(instanceIndex = null) {
+        const ledger = this._getLedger(instanceIndex);
+        return ledger ? UsageLedger.sortByDate(ledger) : [];
+    }
+
+    /**
+     * Records a dated usage entry.
+     * @param {Object} entryData - {amount, date, merchant, note, holderId}
+     * @param {number|null} instanceIndex - Carryover instance index, or null for the benefit itself
+     * @returns {Object|null} The created entry
+     */
+    addUsageEntry(entryData, instanceIndex = null) {
+        const ledger = this._getLedger(instanceIndex);
+        if (!ledger) return null;
+        const entry = UsageLedger.addEntry(ledger, entryData, instanceIndex === null ? this.getPeriodAmount() : this.totalAmount);
+        this._syncInstanceUsage(instanceIndex);
+        return entry;
+    }
+
+    /**
+     * Edits a usage entry.
+     * @param {string} entryId
+     * @param {Object} changes - {amount, date, merchant, note, holderId}
+     * @param {number|null} instanceIndex - Carryover instance index, or null for the benefit itself
+     * @returns {Object|null} The updated entry
+     */
+    updateUsageEntry(entryId, changes, instanceIndex = null) {
+        const ledger = this._getLedger(instanceIndex);
+        if (!ledger) return null;
+        const entry = UsageLedger.updateEntry(ledger, entryId, changes, instanceIndex === null ? this.getPeriodAmount() : this.totalAmount);
+        this._syncInstanceUsage(instanceIndex);
+        return entry;
+    }
+
+    /**
+     * Deletes a usage entry.
+     * @param {string} entryId
+     * @param {number|null} instanceIndex - Carryover instance index, or null for the benefit itself
+     * @returns {boolean} True if removed
+     */
+    removeUsageEntry(entryId, instanceIndex = null) {
+        const ledger = this._getLedger(instanceIndex);
+        if (!ledger) return false;
+        const removed = UsageLedger.removeEntry(ledger, entryId);
+        this._syncInstanceUsage(instanceIndex);
+        return removed;
     }
 
     /**
      * Updates usage for a specific carryover instance.
      * @param {number} instanceIndex
      * @param {number} amount
+     * @param {Date} [currentDate] - Date recorded on the ledger entry
      */
-    setCarryoverInstanceUsage(instanceIndex, amount) {
+    setCarryoverInstanceUsage(instanceIndex, amount, currentDate = new Date()) {
         if (!this.isCarryoverBenefit()) return;
         if (!this.earnedInstances || !this.earnedInstances[instanceIndex]) return;
         if (isNaN(amount) || amount < 0) amount = 0;
         if (amount > this.totalAmount) amount = this.totalAmount;
-        this.earnedInstances[instanceIndex].usedAmount = amount;
+        const instance = UsageLedger.ensureInstanceLedger(this.earnedInstances[instanceIndex]);
+        UsageLedger.adjustTo(instance.usageEntries, amount, currentDate);
+        this._syncInstanceUsage(instanceIndex);
+    }
+
+    /**
+     * Gets every usage entry ever recorded: the current ledger,
+     * every carryover instance and all archived periods.
+     * @returns {Array<Object>}
+     */
+    getAllUsageEntries() {
+        return [
+            this.usageEntries,
+            ...(this.earnedInstances || []).map(instance => instance.usageEntries || []),
+            ...this.periodHistory.map(record => record.usageEntries || [])
+        ].flat();
+    }
+
+    /**
+     * Sums usage recorded within a date window (see getAllUsageEntries).
+     * @param {Date} start - Window start (inclusive)
+     * @param {Date} end - Window end (exclusive)
+     * @returns {number}
+     */
+    getValueCapturedBetween(start, end) {
+        const entries = this.getAllUsageEntries().filter(entry => {
+            const date = new Date(entry.date);
+            return date >= start && date < end;
+        });
+        return UsageLedger.getTotal(entries);
+    }
+
+    /**
+     * Gets the ledger array for the benefit or one of its carryover instances.
+     * @private
+     */
+    _getLedger(instanceIndex) {
+        if (instanceIndex === null || instanceIndex === undefined) {
+            return this.usageEntries;
+        }
+        const instance = this.earnedInstances && this.earnedInstances[instanceIndex];
+        if (!instance) return null;
+        return UsageLedger.ensureInstanceLedger(instance).usageEntries;
+    }
+
+    /**
+     * Re-derives a carryover instance's usedAmount from its ledger.
+     * @private
+     */
+    _syncInstanceUsage(instanceIndex) {
+        if (instanceIndex === null || instanceIndex === undefined) return;
+        const instance = this.earnedInstances && this.earnedInstances[instanceIndex];
+        if (instance) UsageLedger.ensureInstanceLedger(instance);
+    }
+
+    // ==================== TRANSACTION MATCHING ====================
+
+    /**
+     * Adds a statement matching rule.
+     * @param {Object} ruleData - {merchantPattern, transactionType, minAmount, maxAmount, activeFrom, activeUntil}
+     *   (activeFrom/activeUntil: absolute dates of a limited-time offer; see StatementImport.ruleMatches)
+     * @returns {Object} The created rule
+     */
+    addMatchRule(ruleData) {
+        const toAmount = value => (isNaN(parseFloat(value)) ? null : parseFloat(value));
+        const rule = {
+            id: `rule-${Math.random().toString(36).substring(2, 11)}`,
+            merchantPattern: ruleData.merchantPattern,
+            transactionType: ruleData.transactionType || 'purchase',
+            minAmount: toAmount(ruleData.minAmount),
+            maxAmount: toAmount(ruleData.maxAmount),
+            activeFrom: ruleData.activeFrom || null,
+            activeUntil: ruleData.activeUntil || null
+        };
+        this.matchRules.push(rule);
+        return rule;
+    }
+
+    /**
+     * Removes a statement matching rule. Usage already matched by it is kept.
+     * @param {string} ruleId
+     * @returns {boolean} True if removed
+     */
+    removeMatchRule(ruleId) {
+        const index = this.matchRules.findIndex(rule => rule.id === ruleId);
+        if (index === -1) return false;
+        this.matchRules.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Checks if a statement transaction was already matched (in any period) or unlinked.
+     * @param {string} transactionKey
+     * @returns {boolean}
+     */
+    hasTransaction(transactionKey) {
+        return this.unlinkedTransactionKeys.includes(transactionKey)
+            || this.getAllUsageEntries().some(entry => entry.transactionKey === transactionKey);
+    }
+
+    /**
+     * Removes a matched usage entry and remembers its transaction so it is not matched again.
+     * @param {string} entryId
+     * @param {number|null} instanceIndex - Carryover instance index, or null for the benefit itself
+     * @returns {boolean} True if unlinked
+     */
+    unlinkTransaction(entryId, instanceIndex = null) {
+        const entry = this.getUsageEntries(instanceIndex).find(e => e.id === entryId);
+        if (!entry || !entry.transactionKey) return false;
+        this.unlinkedTransactionKeys.push(entry.transactionKey);
+        return this.removeUsageEntry(entryId, instanceIndex);
     }
 
     /**
@@ -372,6 +825,10 @@ class Benefit {
      */
     update(data) {
         Object.assign(this, data);
+        this.schedule = this.frequency === 'custom' ? ExpiryCycle.normalizeSchedule(this.schedule, this.resetType) : null;
+        this.setAmountSchedule(this.amountSchedule);
+        this.carryoverRule = this.isCarryover ? CarryoverCycle.normalizeRule(this.carryoverRule) : null;
+        if ('minimumSpendRequirement' in data) this.setMinimumSpendRequirement(data.minimumSpendRequirement);
         
         // Re-create cycles after update
         if (this.isCarryover) {
@@ -392,9 +849,12 @@ class Benefit {
             id: this.id,
             description: this.description,
             totalAmount: this.totalAmount,
+            amountSchedule: this.amountSchedule,
             usedAmount: this.usedAmount,
+            usageEntries: this.usageEntries,
             frequency: this.frequency,
             resetType: this.resetType,
+            schedule: this.schedule,
             lastReset: this.lastReset,
             autoClaim: this.autoClaim,
             autoClaimEndDate: this.autoClaimEndDate,
@@ -404,7 +864,14 @@ class Benefit {
             isCarryover: this.isCarryover,
             earnedInstances: this.earnedInstances,
             lastEarnReset: this.lastEarnReset,
-            requiredMinimumSpendId: this.requiredMinimumSpendId
+            carryoverRule: this.carryoverRule,
+            requiredMinimumSpendId: this.requiredMinimumSpendId,
+            minimumSpendRequirement: this.minimumSpendRequirement,
+            periodHistory: this.periodHistory,
+            matchRules: this.matchRules,
+            unlinkedTransactionKeys: this.unlinkedTransactionKeys,
+            templateKey: this.templateKey,
+            updatedAt: this.updatedAt
         };
         return data;
     }
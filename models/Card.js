@@ -1,19 +1,48 @@
 /**
  * Represents a credit card with associated benefits.
+ *
+ * A card keeps lifecycle events (see CARD_LIFECYCLE_TYPES) with their dates: when it was opened,
+ * upgraded or downgraded to another product, and closed. A product change keeps the account's
+ * anniversary date, so the card-year windows of ExpiryCycle carry on unchanged; benefits it drops
+ * are kept as retired benefits so their usage stays in the history. A closed card's benefits stop resetting.
+ *
+ * A card may name its cardholders by their household profile ID (see Household): one primary
+ * cardholder and any authorized users.
  */
+
+const CARD_LIFECYCLE_TYPES = ['opened', 'upgraded', 'downgraded', 'closed'];
+const CARDHOLDER_ROLES = ['primary', 'authorized'];
+
 class Card {
     /**
      * @param {Object} data - Card data
      * @param {string} data.id - Unique identifier
      * @param {string} data.name - Card name
      * @param {string} data.anniversaryDate - Card anniversary date (ISO date string)
+     * @param {number} data.annualFee - Annual fee amount (0 for no-fee cards)
+     * @param {string|null} data.feePostingDate - Date the annual fee posts (ISO date string); defaults to the anniversary
+     * @param {Object|null} data.statementMapping - Column mapping of this card's CSV statements (see StatementImport)
+     * @param {Object|null} data.template - Catalog template the card was created from {id, version, excludedKeys} (see CardCatalog)
+     * @param {Array<Object>} data.cardholders - People who hold the card [{holderId, role}]; role is 'primary' or 'authorized'
      * @param {Array<Object>} data.benefits - Array of benefit data objects
      * @param {Array<Object>} data.minimumSpends - Array of minimum spend data objects
+     * @param {Array<Object>} data.lifecycle - Lifecycle events [{id, type, date, name, annualFee, previousName,
+     *   previousAnnualFee, retiredBenefitIds}]; dates are YYYY-MM-DD, product details only on upgrades/downgrades
+     * @param {Array<Object>} data.retiredBenefits - Benefit data of benefits dropped by a product change
+     * @param {string|null} data.updatedAt - ISO timestamp of the last saved change (used to resolve sync conflicts)
      */
     constructor(data) {
         this.id = data.id || `card-${Math.random().toString(36).substr(2, 9)}`;
         this.name = data.name;
         this.anniversaryDate = data.anniversaryDate;
+        this.annualFee = parseFloat(data.annualFee) || 0;
+        this.feePostingDate = data.feePostingDate || null;
+        this.statementMapping = data.statementMapping || null;
+        this.template = data.template || null;
+        this.cardholders = (data.cardholders || [])
+            .filter(holder => holder && holder.holderId && CARDHOLDER_ROLES.includes(holder.role))
+            .map(holder => ({ holderId: holder.holderId, role: holder.role }));
+        this.updatedAt = data.updatedAt || null;
         
         // Convert benefit data to Benefit instances
         this.benefits = (data.benefits || []).map(benefitData => 
@@ -24,6 +53,11 @@ class Card {
         this.minimumSpends = (data.minimumSpends || []).map(minSpendData => 
             MinimumSpend.fromJSON(minSpendData, this.anniversaryDate)
         );
+
+        this.lifecycle = (data.lifecycle || []).filter(event => CARD_LIFECYCLE_TYPES.includes(event.type));
+        this.retiredBenefits = (data.retiredBenefits || []).map(benefitData =>
+            Benefit.fromJSON(benefitData, this.anniversaryDate)
+        );
     }
 
     /**
@@ -108,13 +142,39 @@ class Card {
      * Updates card properties.
      * @param {string} name
      * @param {string} anniversaryDate
+     * @param {Object} [details] - Optional extra properties
+     * @param {number} [details.annualFee]
+     * @param {string|null} [details.feePostingDate]
+     * @param {string|null} [details.openedDate] - YYYY-MM-DD; null removes the opened event
+     * @param {string|null} [details.closedDate] - YYYY-MM-DD; null reopens the card
+     * @param {string|null} [details.primaryHolderId] - Cardholder ID (see Household); null for none
+     * @param {Array<string>} [details.authorizedUserIds] - Cardholder IDs of the authorized users
      */
-    update(name, anniversaryDate) {
+    update(name, anniversaryDate, details = {}) {
         this.name = name;
         this.anniversaryDate = anniversaryDate;
+        if (details.annualFee !== undefined) {
+            this.annualFee = parseFloat(details.annualFee) || 0;
+        }
+        if (details.feePostingDate !== undefined) {
+            this.feePostingDate = details.feePostingDate || null;
+        }
+        
+        if (details.openedDate !== undefined) {
+            this._setEventDate('opened', details.openedDate);
+        }
+        if (details.closedDate !== undefined) {
+            this._setEventDate('closed', details.closedDate);
+        }
+        if (details.primaryHolderId !== undefined) {
+            this.setPrimaryHolder(details.primaryHolderId);
+        }
+        if (details.authorizedUserIds !== undefined) {
+            this.setAuthorizedUsers(details.authorizedUserIds);
+        }
         
         // Update anniversary date for all benefits
-        this.benefits.forEach(benefit => {
+        [...this.benefits, ...this.retiredBenefits].forEach(benefit => {
             benefit.setAnniversaryDate(anniversaryDate);
         });
 
@@ -124,6 +184,14 @@ class Card {
         });
     }
 
+    /**
+     * Remembers how this card's statements are laid out for the next import.
+     * @param {Object} mapping - Column mapping (see StatementImport)
+     */
+    setStatementMapping(mapping) {
+        this.statementMapping = { ...mapping };
+    }
+
     /**
      * Reorders benefits.
      * @param {number} oldIndex
@@ -150,7 +218,7 @@ class Card {
 
     /**
      * Removes a minimum spend by ID.
-     * Also clears the requiredMinimumSpendId from any benefits that reference it.
+     * Also removes it from the requirement of any benefits that reference it.
      * @param {string} minSpendId
      * @returns {boolean} True if removed
      */
@@ -160,8 +228,9 @@ class Card {
             this.minimumSpends.splice(index, 1);
             // Clear references from benefits
             this.benefits.forEach(benefit => {
-                if (benefit.requiredMinimumSpendId === minSpendId) {
-                    benefit.requiredMinimumSpendId = null;
+                if (benefit.requiresMinimumSpend(minSpendId)) {
+                    benefit.setMinimumSpendRequirement(
+                        SpendRequirement.withoutMinimumSpend(benefit.getMinimumSpendRequirement(), minSpendId));
                 }
             });
             return true;
@@ -213,27 +282,161 @@ class Card {
     }
 
     /**
-     * Gets benefits that require a specific minimum spend.
+     * Gets benefits whose requirement names a specific minimum spend.
      * @param {string} minSpendId - The minimum spend ID
      * @returns {Array<Benefit>}
      */
     getBenefitsRequiringMinimumSpend(minSpendId) {
-        return this.benefits.filter(benefit => 
-            benefit.requiredMinimumSpendId === minSpendId
-        );
+        return this.benefits.filter(benefit => benefit.requiresMinimumSpend(minSpendId));
     }
 
     /**
-     * Checks if a minimum spend is met and returns the associated benefits that are now unlocked.
+     * Checks if a benefit's minimum spend requirement is not yet satisfied.
+     * @param {Benefit} benefit
+     * @returns {boolean}
+     */
+    isBenefitLocked(benefit) {
+        return !SpendRequirement.isMet(benefit.getMinimumSpendRequirement(), id => this.findMinimumSpend(id));
+    }
+
+    /**
+     * Returns the benefits requiring a minimum spend whose requirement is now satisfied.
      * @param {string} minSpendId - The minimum spend ID
      * @returns {Array<Benefit>} Benefits that are now unlocked
      */
     getUnlockedBenefits(minSpendId) {
+        return this.getBenefitsRequiringMinimumSpend(minSpendId).filter(benefit => !this.isBenefitLocked(benefit));
+    }
+
+    /**
+     * Earns a credit on every carryover benefit whose requirement names the minimum spend and is
+     * now satisfied, dated when it was satisfied. Earned instances remember the minimum spend
+     * (and its period) that completed the requirement, so each period earns once.
+     * @param {string} minSpendId - The minimum spend ID
+     * @returns {Array<Benefit>} Benefits that earned a credit
+     */
+    earnLinkedCarryovers(minSpendId) {
         const minSpend = this.findMinimumSpend(minSpendId);
-        if (!minSpend || !minSpend.isMet) {
-            return [];
-        }
-        return this.getBenefitsRequiringMinimumSpend(minSpendId);
+        if (!minSpend) return [];
+        return this.getBenefitsRequiringMinimumSpend(minSpendId)
+            .filter(benefit => this._earnLinkedCarryover(benefit, minSpend));
+    }
+
+    /**
+     * Takes back the credits earned in the current periods of a benefit's minimum spends once its
+     * requirement is no longer satisfied. Credits that already have usage recorded are kept.
+     * @param {string} minSpendId - The minimum spend ID
+     * @returns {{reversed: Array<Benefit>, kept: Array<Benefit>}} Benefits that lost or kept their credit
+     */
+    reverseLinkedCarryovers(minSpendId) {
+        const result = { reversed: [], kept: [] };
+        this.getBenefitsRequiringMinimumSpend(minSpendId).forEach(benefit => this._reverseLinkedCarryover(benefit, result));
+        return result;
+    }
+
+    /**
+     * Lists whether the minimum spend requirement of each carryover benefit that has one is satisfied.
+     * Taken before a change and handed to updateLinkedCarryovers after it.
+     * @returns {Object<string, boolean>} By benefit ID
+     */
+    getCarryoverRequirementStates() {
+        const findMinimumSpend = id => this.findMinimumSpend(id);
+        const states = {};
+        this.benefits.forEach(benefit => {
+            const requirement = benefit.getMinimumSpendRequirement();
+            if (!benefit.isCarryoverBenefit() || SpendRequirement.resolve(requirement, findMinimumSpend).length === 0) return;
+            states[benefit.id] = SpendRequirement.isMet(requirement, findMinimumSpend);
+        });
+        return states;
+    }
+
+    /**
+     * Earns or takes back carryover credits after any change that can satisfy or break a requirement
+     * (spend, targets, tiers, links): benefits whose requirement became satisfied earn a credit as in
+     * earnLinkedCarryovers, and those whose requirement broke lose theirs as in reverseLinkedCarryovers.
+     * @param {Object<string, boolean>} before - getCarryoverRequirementStates() from before the change
+     * @returns {{earned: Array<Benefit>, reversed: Array<Benefit>, kept: Array<Benefit>}}
+     */
+    updateLinkedCarryovers(before) {
+        const after = this.getCarryoverRequirementStates();
+        const result = { earned: [], reversed: [], kept: [] };
+        this.benefits.forEach(benefit => {
+            const wasMet = before[benefit.id] === true;
+            const isMet = after[benefit.id] === true;
+            if (isMet && !wasMet) {
+                const minSpend = this._getCompletingMinimumSpend(benefit);
+                if (minSpend && this._earnLinkedCarryover(benefit, minSpend)) result.earned.push(benefit);
+            } else if (wasMet && after[benefit.id] === false) {
+                this._reverseLinkedCarryover(benefit, result);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Earns a carryover benefit's credit for a satisfied requirement, unless the current period
+     * of one of its minimum spends already did.
+     * @private
+     * @param {Benefit} benefit
+     * @param {MinimumSpend} minSpend - The minimum spend credited with earning it
+     * @returns {boolean} Whether a credit was earned
+     */
+    _earnLinkedCarryover(benefit, minSpend) {
+        if (!benefit.isCarryoverBenefit()) return false;
+        const metDate = SpendRequirement.getMetDate(benefit.getMinimumSpendRequirement(), id => this.findMinimumSpend(id));
+        if (!metDate || this._getCurrentPeriodInstances(benefit).length > 0) return false;
+        return !!benefit.earnCarryoverInstance(metDate, {
+            minimumSpendId: minSpend.id,
+            minimumSpendPeriod: minSpend.lastReset || null
+        });
+    }
+
+    /**
+     * Takes back a carryover benefit's unused credits of the current period if its requirement is not satisfied.
+     * @private
+     * @param {Benefit} benefit
+     * @param {{reversed: Array<Benefit>, kept: Array<Benefit>}} result - Collects the benefit
+     */
+    _reverseLinkedCarryover(benefit, result) {
+        if (!benefit.isCarryoverBenefit()) return;
+        if (SpendRequirement.isMet(benefit.getMinimumSpendRequirement(), id => this.findMinimumSpend(id))) return;
+        const earned = this._getCurrentPeriodInstances(benefit);
+        if (earned.length === 0) return;
+        const unused = earned.filter(instance => !(instance.usedAmount > 0));
+        benefit.earnedInstances = benefit.earnedInstances.filter(instance => !unused.includes(instance));
+        if (unused.length > 0) result.reversed.push(benefit);
+        if (unused.length < earned.length) result.kept.push(benefit);
+    }
+
+    /**
+     * Gets the minimum spend that completed a satisfied requirement: the one met when the requirement was.
+     * @private
+     * @param {Benefit} benefit
+     * @returns {MinimumSpend|null}
+     */
+    _getCompletingMinimumSpend(benefit) {
+        const findMinimumSpend = id => this.findMinimumSpend(id);
+        const requirement = benefit.getMinimumSpendRequirement();
+        const metDate = SpendRequirement.getMetDate(requirement, findMinimumSpend);
+        const met = SpendRequirement.resolve(requirement, findMinimumSpend).filter(item => item.isMet);
+        const completing = met.find(item => item.metDate === metDate) || met[0];
+        return completing ? completing.minSpend : null;
+    }
+
+    /**
+     * Gets a carryover benefit's instances earned automatically in the current period of one
+     * of the minimum spends its requirement names.
+     * @private
+     * @param {Benefit} benefit
+     * @returns {Array<Object>}
+     */
+    _getCurrentPeriodInstances(benefit) {
+        const requirement = benefit.getMinimumSpendRequirement();
+        return benefit.earnedInstances.filter(instance => {
+            if (!instance.minimumSpendId || !SpendRequirement.references(requirement, instance.minimumSpendId)) return false;
+            const minSpend = this.findMinimumSpend(instance.minimumSpendId);
+            return !!minSpend && (instance.minimumSpendPeriod || null) === (minSpend.lastReset || null);
+        });
     }
 
     /**
@@ -245,16 +448,330 @@ class Card {
         return this.benefits.length > 0 && 
             this.benefits.every(benefit => {
                 // Check if locked by minimum spend
-                if (benefit.requiredMinimumSpendId) {
-                    const minSpend = this.findMinimumSpend(benefit.requiredMinimumSpendId);
-                    if (minSpend && !minSpend.isMet) {
-                        return true; // Locked, so count as "handled"
-                    }
+                if (this.isBenefitLocked(benefit)) {
+                    return true; // Locked, so count as "handled"
                 }
                 return benefit.isFullyUsed(currentDate);
             });
     }
 
+    // ==================== ANNUAL FEE METHODS ====================
+
+    /**
+     * Gets the card-year window containing the given date.
+     * The card year runs from one anniversary up to (not including) the next.
+     * @param {Date} currentDate - The reference date
+     * @returns {{start: Date, end: Date}}
+     */
+    getCardYear(currentDate) {
+        const cycle = new ExpiryCycle({
+            frequency: 'annual',
+            resetType: 'anniversary',
+            lastReset: currentDate,
+            anniversaryDate: this.anniversaryDate
+        });
+        const end = cycle.calculateNextResetDate(currentDate);
+        const start = new Date(end.getTime());
+        start.setFullYear(start.getFullYear() - 1);
+        return { start, end };
+    }
+
+    /**
+     * Gets the next date the annual fee posts (after the given date).
+     * @param {Date} currentDate - The reference date
+     * @returns {Date}
+     */
+    getNextFeeDate(currentDate) {
+        const cycle = new ExpiryCycle({
+            frequency: 'annual',
+            resetType: 'anniversary',
+            lastReset: currentDate,
+            anniversaryDate: this.feePostingDate || this.anniversaryDate
+        });
+        return cycle.calculateNextResetDate(currentDate);
+    }
+
+    /**
+     * Gets the number of days until the annual fee posts.
+     * @param {Date} currentDate - The reference date
+     * @returns {number}
+     */
+    daysUntilFee(currentDate) {
+        const today = new Date(currentDate);
+        today.setHours(0, 0, 0, 0);
+        return Math.ceil((this.getNextFeeDate(currentDate) - today) / (1000 * 60 * 60 * 24));
+    }
+
+    /**
+     * Sums the benefit value used during the current card year.
+     * @param {Date} currentDate - The reference date
+     * @returns {number}
+     */
+    getValueCaptured(currentDate) {
+        const { start, end } = this.getCardYear(currentDate);
+        const total = this.getBenefitsWithHistory().reduce((sum, benefit) =>
+            sum + benefit.getValueCapturedBetween(start, end), 0);
+        return Math.round(total * 100) / 100;
+    }
+
+    /**
+     * Gets the value captured this card year minus the annual fee.
+     * @param {Date} currentDate - The reference date
+     * @returns {number}
+     */
+    getNetValue(currentDate) {
+        return Math.round((this.getValueCaptured(currentDate) - this.annualFee) * 100) / 100;
+    }
+
+    /**
+     * Checks if the card has not yet earned back its fee and the fee posts within a given number of days.
+     * @param {Date} currentDate - The reference date
+     * @param {number} days - How far ahead of the fee date to start flagging
+     * @returns {boolean}
+     */
+    isBelowFeeBeforeRenewal(currentDate, days = 60) {
+        if (this.annualFee <= 0 || this.isClosed(currentDate)) return false;
+        return this.getNetValue(currentDate) < 0 && this.daysUntilFee(currentDate) <= days;
+    }
+
+    // ==================== LIFECYCLE METHODS ====================
+
+    /**
+     * Gets the lifecycle events, oldest first.
+     * @returns {Array<Object>}
+     */
+    getLifecycleEvents() {
+        return [...this.lifecycle].sort((a, b) => Card._parseDay(a.date) - Card._parseDay(b.date));
+    }
+
+    /**
+     * Records a lifecycle event.
+     * @param {string} type - One of CARD_LIFECYCLE_TYPES
+     * @param {Date|string} date - When it happened
+     * @param {Object} [details] - Extra fields (e.g. name and annualFee of a product change)
+     * @returns {Object|null} The event, or null for an unknown type
+     */
+    addLifecycleEvent(type, date, details = {}) {
+        if (!CARD_LIFECYCLE_TYPES.includes(type)) return null;
+        const event = {
+            ...details,
+            id: `lifecycle-${Math.random().toString(36).substr(2, 9)}`,
+            type,
+            date: Card._toDay(date)
+        };
+        this.lifecycle.push(event);
+        return event;
+    }
+
+    /**
+     * Removes a lifecycle event by ID (e.g. to reopen a card).
+     * @param {string} eventId
+     * @returns {boolean} True if removed
+     */
+    removeLifecycleEvent(eventId) {
+        const index = this.lifecycle.findIndex(event => event.id === eventId);
+        if (index === -1) return false;
+        this.lifecycle.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Gets when the card was opened: its opened event, or else its anniversary date.
+     * @returns {Date}
+     */
+    getOpenedDate() {
+        const opened = this.getLifecycleEvents().find(event => event.type === 'opened');
+        return opened ? Card._parseDay(opened.date) : this.getAnniversaryDate();
+    }
+
+    /**
+     * Gets when the card was closed.
+     * @returns {Date|null}
+     */
+    getClosedDate() {
+        const closed = this.getLifecycleEvents().filter(event => event.type === 'closed').pop();
+        return closed ? Card._parseDay(closed.date) : null;
+    }
+
+    /**
+     * Checks if the card has been closed as of a date.
+     * @param {Date} currentDate - The reference date
+     * @returns {boolean}
+     */
+    isClosed(currentDate) {
+        const closedDate = this.getClosedDate();
+        if (!closedDate) return false;
+        const today = new Date(currentDate);
+        today.setHours(0, 0, 0, 0);
+        return closedDate <= today;
+    }
+
+    /**
+     * Closes the card. Its benefits and minimum spends stay as they were on that date.
+     * @param {Date|string} date - When the card was closed
+     * @returns {Object|null} The closed event, or null if the card is already closed
+     */
+    close(date) {
+        if (this.getClosedDate()) return null;
+        return this.addLifecycleEvent('closed', date);
+    }
+
+    /**
+     * Upgrades or downgrades the card to another product. The anniversary date is kept (the
+     * account stays the same), so kept benefits continue their cycles; dropped benefits are retired.
+     * @param {Object} change
+     * @param {string} change.type - 'upgraded' or 'downgraded'
+     * @param {Date|string} change.date - When the product changed
+     * @param {string} change.name - The new product name
+     * @param {number} change.annualFee - The new annual fee
+     * @param {Array<string>} [change.keepBenefitIds] - Benefits the new product keeps
+     * @param {Array<Object>} [change.benefits] - Benefit data of the new product's benefits
+     * @param {Object|null} [change.template] - Catalog template of the new product {id, version, excludedKeys}
+     * @returns {Object|null} The event, or null if the type is not a product change
+     */
+    changeProduct({ type, date, name, annualFee, keepBenefitIds = [], benefits = [], template = null }) {
+        if (type !== 'upgraded' && type !== 'downgraded') return null;
+        const retired = this.benefits.filter(benefit => !keepBenefitIds.includes(benefit.id));
+        const event = this.addLifecycleEvent(type, date, {
+            name,
+            annualFee: parseFloat(annualFee) || 0,
+            previousName: this.name,
+            previousAnnualFee: this.annualFee,
+            retiredBenefitIds: retired.map(benefit => benefit.id)
+        });
+
+        this.benefits = this.benefits.filter(benefit => !retired.includes(benefit));
+        this.retiredBenefits.push(...retired);
+        const lastReset = Card._parseDay(event.date).toISOString();
+        benefits.forEach(benefitData => this.addBenefit({ lastReset, ...benefitData }));
+
+        this.name = name;
+        this.annualFee = event.annualFee;
+        this.template = template;
+        return event;
+    }
+
+    /**
+     * Gets the current benefits followed by those retired by product changes.
+     * @returns {Array<Benefit>}
+     */
+    getBenefitsWithHistory() {
+        return [...this.benefits, ...this.retiredBenefits];
+    }
+
+    /**
+     * Sets the date of the latest event of a type, adding it if missing; null removes it.
+     * @private
+     * @param {string} type
+     * @param {string|null} date - YYYY-MM-DD
+     */
+    _setEventDate(type, date) {
+        const event = this.getLifecycleEvents().filter(e => e.type === type).pop();
+        if (!date) {
+            if (event) this.removeLifecycleEvent(event.id);
+        } else if (event) {
+            event.date = Card._toDay(date);
+        } else {
+            this.addLifecycleEvent(type, date);
+        }
+    }
+
+    /**
+     * Formats a date as YYYY-MM-DD in local time; date-only strings are kept as they are.
+     * @private
+     * @param {Date|string} value
+     * @returns {string}
+     */
+    static _toDay(value) {
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+        const date = new Date(value);
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Parses a YYYY-MM-DD date as local midnight.
+     * @private
+     * @param {string} value
+     * @returns {Date}
+     */
+    static _parseDay(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    // ==================== CARDHOLDER METHODS ====================
+
+    /**
+     * Gets the primary cardholder.
+     * @returns {string|null} The cardholder ID
+     */
+    getPrimaryHolderId() {
+        const primary = this.cardholders.find(holder => holder.role === 'primary');
+        return primary ? primary.holderId : null;
+    }
+
+    /**
+     * Gets the authorized users.
+     * @returns {Array<string>} Cardholder IDs
+     */
+    getAuthorizedUserIds() {
+        return this.cardholders.filter(holder => holder.role === 'authorized').map(holder => holder.holderId);
+    }
+
+    /**
+     * Checks if a person holds this card, as primary cardholder or authorized user.
+     * @param {string} holderId
+     * @returns {boolean}
+     */
+    hasCardholder(holderId) {
+        return this.cardholders.some(holder => holder.holderId === holderId);
+    }
+
+    /**
+     * Sets the primary cardholder. A person who was an authorized user becomes the primary cardholder instead.
+     * @param {string|null} holderId - A cardholder ID (see Household), or null for none
+     */
+    setPrimaryHolder(holderId) {
+        this.cardholders = this.cardholders.filter(other =>
+            other.role !== 'primary' && other.holderId !== holderId);
+        if (holderId) {
+            this.cardholders.unshift({ holderId, role: 'primary' });
+        }
+    }
+
+    /**
+     * Adds an authorized user.
+     * @param {string} holderId - A cardholder ID (see Household)
+     * @returns {Object|null} The cardholder entry, or null if the person already holds the card
+     */
+    addAuthorizedUser(holderId) {
+        if (!holderId || this.hasCardholder(holderId)) return null;
+        const entry = { holderId, role: 'authorized' };
+        this.cardholders.push(entry);
+        return entry;
+    }
+
+    /**
+     * Replaces the authorized users. The primary cardholder is never added as an authorized user.
+     * @param {Array<string>} holderIds - Cardholder IDs
+     */
+    setAuthorizedUsers(holderIds) {
+        this.cardholders = this.cardholders.filter(holder => holder.role !== 'authorized');
+        holderIds.forEach(holderId => this.addAuthorizedUser(holderId));
+    }
+
+    /**
+     * Removes a person from the card's cardholders.
+     * @param {string} holderId
+     * @returns {boolean} True if removed
+     */
+    removeCardholder(holderId) {
+        const count = this.cardholders.length;
+        this.cardholders = this.cardholders.filter(holder => holder.holderId !== holderId);
+        return this.cardholders.length !== count;
+    }
+
     // ==================== FILTERING METHODS ====================
 
     /**
@@ -328,6 +845,14 @@ class Card {
             id: this.id,
             name: this.name,
             anniversaryDate: this.anniversaryDate,
+            annualFee: this.annualFee,
+            feePostingDate: this.feePostingDate,
+            statementMapping: this.statementMapping,
+            template: this.template,
+            cardholders: this.cardholders,
+            updatedAt: this.updatedAt,
+            lifecycle: this.lifecycle,
+            retiredBenefits: this.retiredBenefits.map(benefit => benefit.toJSON()),
             benefits: this.benefits.map(benefit => benefit.toJSON()),
             minimumSpends: this.minimumSpends.map(minSpend => minSpend.toJSON())
         };
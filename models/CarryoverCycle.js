@@ -1,37 +1,166 @@
 /**
  * Represents a carryover expiry cycle for benefits.
- * Carryover benefits can be earned once per year and are valid until the end of the following year.
+ * Carryover benefits can be earned once (or up to maxEarns times) per earning year and by default are valid until the end of the following year.
  * The earning requirement (minimum spend) is now handled separately by linking to a MinimumSpend object.
  * Uses dependency-injected current datetime for testability.
+ *
+ * A carryover rule changes when credits expire and what counts as an earning year:
+ *   { expiry: 'following-year', earnWindow } - until the end of the earning year after the one earned in (default)
+ *   { expiry: 'months', months: N, earnWindow } - N months after the earned date (e.g. free night awards)
+ *   { expiry: 'date', date: 'YYYY-MM-DD', earnWindow } - a fixed date printed on the certificate; each credit
+ *     keeps the date in force when it was earned (its expiryDate), and none can be earned after the date
+ * earnWindow is 'calendar' (Jan 1 - Dec 31, default) or 'anniversary' (card years), and maxEarns
+ * (default 1) is how many credits can be earned in one earning year, e.g. one per spend threshold.
  */
+
+const CARRYOVER_EXPIRY_TYPES = ['following-year', 'months', 'date'];
+
 class CarryoverCycle {
     /**
      * @param {Object} config
-     * @param {Array<Object>} config.earnedInstances - Array of earned instances [{earnedDate, usedAmount}]
+     * @param {Array<Object>} config.earnedInstances - Array of earned instances [{id, earnedDate, usedAmount}]
      * @param {Date|string|null} config.lastEarnReset - When the earn progress was last reset (for backward compatibility)
+     * @param {Object|null} [config.rule] - Carryover rule {expiry, months, date, earnWindow, maxEarns}; null for the default
+     * @param {Date|string|null} [config.anniversaryDate] - Card anniversary date (for anniversary earning windows)
      */
-    constructor({ earnedInstances = [], lastEarnReset = null }) {
+    constructor({ earnedInstances = [], lastEarnReset = null, rule = null, anniversaryDate = null }) {
         this.earnedInstances = earnedInstances || [];
         this.lastEarnReset = lastEarnReset ? new Date(lastEarnReset) : null;
+        this.rule = CarryoverCycle.normalizeRule(rule);
+        this.anniversaryDate = CarryoverCycle._parseAnniversary(anniversaryDate);
         
         if (this.lastEarnReset) {
             this.lastEarnReset.setHours(0, 0, 0, 0);
         }
     }
 
+    /**
+     * Fills in and validates a carryover rule.
+     * @param {Object|null} rule
+     * @returns {{expiry: string, months: number|null, date: string|null, earnWindow: string, maxEarns: number}}
+     */
+    static normalizeRule(rule) {
+        const source = rule || {};
+        let expiry = CARRYOVER_EXPIRY_TYPES.includes(source.expiry) ? source.expiry : 'following-year';
+        const months = parseInt(source.months, 10);
+        const date = typeof source.date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(source.date) ? source.date : null;
+        const maxEarns = parseInt(source.maxEarns, 10);
+        if ((expiry === 'months' && !(months >= 1)) || (expiry === 'date' && !date)) expiry = 'following-year';
+        return {
+            expiry,
+            months: expiry === 'months' ? months : null,
+            date: expiry === 'date' ? date : null,
+            earnWindow: source.earnWindow === 'anniversary' ? 'anniversary' : 'calendar',
+            maxEarns: maxEarns >= 1 ? maxEarns : 1
+        };
+    }
+
+    /**
+     * Checks if a rule is the default (one credit per calendar year, expiring at the end of the following year).
+     * @param {Object|null} rule
+     * @returns {boolean}
+     */
+    static isDefaultRule(rule) {
+        const normalized = CarryoverCycle.normalizeRule(rule);
+        return normalized.expiry === 'following-year' && normalized.earnWindow === 'calendar' && normalized.maxEarns === 1;
+    }
+
+    /**
+     * Describes a rule in words, e.g. "expires 12 months after earning".
+     * @param {Object|null} rule
+     * @returns {string}
+     */
+    static describeRule(rule) {
+        const { expiry, months, date, earnWindow, maxEarns } = CarryoverCycle.normalizeRule(rule);
+        const year = earnWindow === 'anniversary' ? 'card year' : 'year';
+        let text;
+        if (expiry === 'months') text = `expires ${months} month${months === 1 ? '' : 's'} after earning`;
+        else if (expiry === 'date') text = `expires ${date}`;
+        else text = `earn in ${year} X, use until the end of ${year} X+1`;
+        if (maxEarns > 1) return `${text} (up to ${maxEarns} per ${year})`;
+        return expiry !== 'following-year' && earnWindow === 'anniversary' ? `${text} (earned once per card year)` : text;
+    }
+
+    /**
+     * Creates the ID of a newly earned instance. Several credits can share an earned date, so
+     * instances are told apart (e.g. when syncing) by their ID.
+     * @returns {string}
+     */
+    static createInstanceId() {
+        return `earned-${Math.random().toString(36).substr(2, 9)}`;
+    }
+
     /**
      * Calculates the expiry date for an earned instance.
-     * Credits earned in year X expire at the end of year X+1.
+     * By default credits earned in year X expire at the end of year X+1.
      * @param {Date|string} earnedDate - The date when the benefit was earned
-     * @returns {Date} The expiry date (Dec 31 of the following year)
+     * @param {Object|null} [rule] - Carryover rule (see normalizeRule)
+     * @param {Date|string|null} [anniversaryDate] - Card anniversary date (for anniversary earning windows)
+     * @returns {Date} The last day the credit can be used
      */
-    static calculateExpiryDate(earnedDate) {
+    static calculateExpiryDate(earnedDate, rule = null, anniversaryDate = null) {
         const earned = new Date(earnedDate);
         earned.setHours(0, 0, 0, 0);
+        const { expiry, months, date, earnWindow } = CarryoverCycle.normalizeRule(rule);
+        const anniversary = CarryoverCycle._parseAnniversary(anniversaryDate);
+
+        if (expiry === 'date') {
+            return CarryoverCycle._parseDay(date);
+        }
+        if (expiry === 'months') {
+            const target = new Date(earned.getFullYear(), earned.getMonth() + months, 1);
+            const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+            target.setDate(Math.min(earned.getDate(), lastDay) - 1);
+            return target;
+        }
+        if (earnWindow === 'anniversary' && anniversary) {
+            const windowStart = CarryoverCycle.getEarnWindowStart(earned, earnWindow, anniversary);
+            const end = CarryoverCycle._addAnniversaryYears(windowStart, anniversary, 2);
+            end.setDate(end.getDate() - 1);
+            return end;
+        }
         const expiryYear = earned.getFullYear() + 1;
         return new Date(expiryYear, 11, 31); // Dec 31 of next year
     }
 
+    /**
+     * Gets the start of the earning window (calendar or card year) containing a date.
+     * @param {Date|string} date
+     * @param {string} [earnWindow] - 'calendar' or 'anniversary'
+     * @param {Date|string|null} [anniversaryDate]
+     * @returns {Date}
+     */
+    static getEarnWindowStart(date, earnWindow = 'calendar', anniversaryDate = null) {
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+        const anniversary = CarryoverCycle._parseAnniversary(anniversaryDate);
+        if (earnWindow !== 'anniversary' || !anniversary) {
+            return new Date(day.getFullYear(), 0, 1);
+        }
+        let start = CarryoverCycle._addAnniversaryYears(new Date(day.getFullYear(), 0, 1), anniversary, 0);
+        if (start > day) start = CarryoverCycle._addAnniversaryYears(new Date(day.getFullYear() - 1, 0, 1), anniversary, 0);
+        return start;
+    }
+
+    /**
+     * Gets the expiry date of an earned instance: the fixed date it was earned with, or else under this cycle's rule.
+     * @param {Object} instance - The earned instance {earnedDate, usedAmount, expiryDate}
+     * @returns {Date}
+     */
+    getInstanceExpiryDate(instance) {
+        if (instance.expiryDate) return CarryoverCycle._parseDay(instance.expiryDate);
+        return CarryoverCycle.calculateExpiryDate(instance.earnedDate, this.rule, this.anniversaryDate);
+    }
+
+    /**
+     * Gets the start of the current earning window.
+     * @param {Date} currentDate - The reference date
+     * @returns {Date}
+     */
+    getEarnWindowStart(currentDate) {
+        return CarryoverCycle.getEarnWindowStart(currentDate, this.rule.earnWindow, this.anniversaryDate);
+    }
+
     /**
      * Checks if a specific earned instance is still active (not expired).
      * @param {Object} instance - The earned instance {earnedDate, usedAmount}
@@ -42,7 +171,7 @@ class CarryoverCycle {
         if (!instance || !instance.earnedDate) {
             return false;
         }
-        const expiryDate = CarryoverCycle.calculateExpiryDate(instance.earnedDate);
+        const expiryDate = this.getInstanceExpiryDate(instance);
         const today = new Date(currentDate);
         today.setHours(0, 0, 0, 0);
         return today <= expiryDate;
@@ -92,27 +221,55 @@ class CarryoverCycle {
     }
 
     /**
-     * Checks if a new credit can be earned in the current year.
-     * Only one credit can be earned per calendar year.
+     * Gets the instances earned in the current earning year.
+     * @param {Date} currentDate - The reference date
+     * @returns {Array<Object>}
+     */
+    getEarnedThisYear(currentDate) {
+        const windowStart = this.getEarnWindowStart(currentDate).getTime();
+        return this.earnedInstances.filter(instance =>
+            this.getEarnWindowStart(instance.earnedDate).getTime() === windowStart
+        );
+    }
+
+    /**
+     * Gets how many more credits can be earned in the current earning year.
+     * @param {Date} currentDate - The reference date
+     * @returns {number}
+     */
+    getRemainingEarns(currentDate) {
+        return Math.max(0, this.rule.maxEarns - this.getEarnedThisYear(currentDate).length);
+    }
+
+    /**
+     * Checks if a new credit can be earned in the current earning year.
+     * Only maxEarns credits (one by default) can be earned per calendar (or card) year, and none after a fixed expiry date.
      * @param {Date} currentDate - The reference date
      * @returns {boolean}
      */
     canEarnThisYear(currentDate) {
-        const currentYear = new Date(currentDate).getFullYear();
-        const earnedThisYear = this.earnedInstances.some(instance =>
-            CarryoverCycle.getEarnYear(instance.earnedDate) === currentYear
-        );
-        return !earnedThisYear;
+        if (this.rule.expiry === 'date') {
+            const today = new Date(currentDate);
+            today.setHours(0, 0, 0, 0);
+            // A credit earned after the certificate date would already be expired
+            if (today > CarryoverCycle._parseDay(this.rule.date)) return false;
+        }
+        return this.getRemainingEarns(currentDate) > 0;
     }
 
     /**
-     * Gets the earn deadline for the current year (Dec 31).
+     * Gets the earn deadline for the current earning year (Dec 31, or the day before the next anniversary).
      * @param {Date} currentDate - The reference date
      * @returns {Date}
      */
     getEarnDeadline(currentDate) {
         const today = new Date(currentDate);
         today.setHours(0, 0, 0, 0);
+        if (this.rule.earnWindow === 'anniversary' && this.anniversaryDate) {
+            const deadline = CarryoverCycle._addAnniversaryYears(this.getEarnWindowStart(today), this.anniversaryDate, 1);
+            deadline.setDate(deadline.getDate() - 1);
+            return deadline;
+        }
         return new Date(today.getFullYear(), 11, 31);
     }
 
@@ -138,9 +295,7 @@ class CarryoverCycle {
             return null;
         }
         
-        const expiryDates = activeInstances.map(instance =>
-            CarryoverCycle.calculateExpiryDate(instance.earnedDate)
-        );
+        const expiryDates = activeInstances.map(instance => this.getInstanceExpiryDate(instance));
         return expiryDates.reduce((earliest, date) =>
             date < earliest ? date : earliest
         );
@@ -174,7 +329,7 @@ class CarryoverCycle {
         limitDate.setDate(limitDate.getDate() + days);
         
         return activeInstances.some(instance => {
-            const expiryDate = CarryoverCycle.calculateExpiryDate(instance.earnedDate);
+            const expiryDate = this.getInstanceExpiryDate(instance);
             return expiryDate > currentDate && expiryDate <= limitDate;
         });
     }
@@ -193,7 +348,7 @@ class CarryoverCycle {
         return activeInstances
             .map(instance => ({
                 instance,
-                expiryDate: CarryoverCycle.calculateExpiryDate(instance.earnedDate)
+                expiryDate: this.getInstanceExpiryDate(instance)
             }))
             .filter(({ expiryDate }) => expiryDate > currentDate && expiryDate <= limitDate);
     }
@@ -205,7 +360,8 @@ class CarryoverCycle {
     toJSON() {
         return {
             earnedInstances: this.earnedInstances,
-            lastEarnReset: this.lastEarnReset ? this.lastEarnReset.toISOString() : null
+            lastEarnReset: this.lastEarnReset ? this.lastEarnReset.toISOString() : null,
+            rule: this.rule
         };
     }
 
@@ -217,7 +373,48 @@ class CarryoverCycle {
     static fromJSON(data) {
         return new CarryoverCycle({
             earnedInstances: data.earnedInstances || [],
-            lastEarnReset: data.lastEarnReset
+            lastEarnReset: data.lastEarnReset,
+            rule: data.rule || null
         });
     }
+
+    /**
+     * Reads a 'YYYY-MM-DD' date as a local date.
+     * @private
+     * @param {string} value
+     * @returns {Date}
+     */
+    static _parseDay(value) {
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Reads an anniversary date. Date-only strings are local dates (as in ExpiryCycle).
+     * @private
+     * @param {Date|string|null} value
+     * @returns {Date|null}
+     */
+    static _parseAnniversary(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        if (typeof value === 'string') date.setMinutes(date.getMinutes() + date.getTimezoneOffset());
+        date.setHours(0, 0, 0, 0);
+        return date;
+    }
+
+    /**
+     * Gets the anniversary (month and day) in the year of the given date, plus a number of years.
+     * Anniversaries on days a month lacks fall on its last day.
+     * @private
+     * @param {Date} date - Any date in the starting year
+     * @param {Date} anniversary - Local anniversary date
+     * @param {number} years
+     * @returns {Date}
+     */
+    static _addAnniversaryYears(date, anniversary, years) {
+        const year = new Date(date).getFullYear() + years;
+        const lastDay = new Date(year, anniversary.getMonth() + 1, 0).getDate();
+        return new Date(year, anniversary.getMonth(), Math.min(anniversary.getDate(), lastDay));
+    }
 }
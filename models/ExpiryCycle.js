@@ -2,18 +2,37 @@
  * Represents an expiry cycle for benefits.
  * Encapsulates logic for determining when a benefit resets or expires.
  * Uses dependency-injected current datetime for testability.
+ *
+ * The 'custom' frequency follows a schedule:
+ *   { interval, unit: 'months' | 'days', months: [1-12] | null }
+ *   - every `interval` months: calendar periods are counted from January 1
+ *     (every 2 months resets Jan 1, Mar 1, May 1, ...); anniversary periods from the anniversary
+ *   - every `interval` days: calendar periods restart on the 1st of each month, and a short
+ *     remainder joins the month's last period (every 15 days is semi-monthly: the 1st and the 16th),
+ *     so calendar intervals are at most 31 days; anniversary periods run back to back from the anniversary
+ *   - a month list (e.g. [12] for a December-only credit) resets at the start of each listed
+ *     month (or on the anniversary day in it) and is available for one month; interval and
+ *     unit are ignored
  */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+// Calendar day intervals restart each month, so a longer interval could never be reached
+const MAX_CALENDAR_DAY_INTERVAL = 31;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
 class ExpiryCycle {
     /**
      * @param {Object} config
-     * @param {string} config.frequency - 'monthly', 'quarterly', 'biannual', 'annual', 'every-4-years', 'one-time', or 'carryover'
+     * @param {string} config.frequency - 'monthly', 'quarterly', 'biannual', 'annual', 'every-4-years', 'custom', 'one-time', or 'carryover'
      * @param {string|null} config.resetType - 'calendar' or 'anniversary' (null for one-time/carryover)
      * @param {Date|string|null} config.lastReset - Last reset date
      * @param {Date|string|null} config.anniversaryDate - Card anniversary date (for anniversary-based resets)
+     * @param {Object|null} config.schedule - Schedule of the 'custom' frequency {interval, unit, months}
      */
-    constructor({ frequency, resetType = null, lastReset = null, anniversaryDate = null }) {
+    constructor({ frequency, resetType = null, lastReset = null, anniversaryDate = null, schedule = null }) {
         this.frequency = frequency;
         this.resetType = resetType;
+        this.schedule = frequency === 'custom' ? ExpiryCycle.normalizeSchedule(schedule, resetType) : null;
         this.lastReset = lastReset ? new Date(lastReset) : null;
         this.anniversaryDate = anniversaryDate ? new Date(anniversaryDate) : null;
         
@@ -50,6 +69,37 @@ class ExpiryCycle {
         return !this.isOneTime() && !this.isCarryover();
     }
 
+    /**
+     * Checks if this cycle follows a custom schedule.
+     * @returns {boolean}
+     */
+    isCustom() {
+        return this.frequency === 'custom';
+    }
+
+    /**
+     * Checks if the benefit can be used on a date. Only month-list schedules have
+     * gaps: outside the listed months nothing is available until the next reset.
+     * @param {Date} currentDate - The reference date
+     * @returns {boolean}
+     */
+    isAvailable(currentDate) {
+        if (!this._hasWindows() || !this.lastReset) return true;
+        const windowEnd = this._getWindowEnd();
+        return windowEnd !== null && currentDate < windowEnd;
+    }
+
+    /**
+     * Gets the date the current period's credit lapses: the next reset, or the end of
+     * the month for month-list schedules.
+     * @param {Date} currentDate - The reference date
+     * @returns {Date|null} Null if nothing is available on the date
+     */
+    getAvailableUntil(currentDate) {
+        if (!this.isAvailable(currentDate)) return null;
+        return this._hasWindows() ? this._getWindowEnd() : this.calculateNextResetDate(currentDate);
+    }
+
     /**
      * Checks if the benefit has expired and needs to be reset.
      * @param {Date} currentDate - The reference date (usually "today")
@@ -76,6 +126,10 @@ class ExpiryCycle {
         const lastReset = new Date(this.lastReset);
         lastReset.setHours(0, 0, 0, 0);
 
+        if (this.isCustom()) {
+            return this._findCustomReset(lastReset, 1);
+        }
+
         let nextReset = new Date(lastReset.getTime());
 
         if (this.resetType === 'calendar') {
@@ -205,6 +259,11 @@ class ExpiryCycle {
      * @returns {boolean}
      */
     expiresWithin(currentDate, days) {
+        if (this._hasWindows()) {
+            if (!this.isAvailable(currentDate)) return false;
+            const daysLeft = this._daysFrom(currentDate, this._getWindowEnd());
+            return daysLeft > 0 && daysLeft <= days;
+        }
         const daysUntil = this.daysUntilReset(currentDate);
         return daysUntil !== null && daysUntil > 0 && daysUntil <= days;
     }
@@ -226,8 +285,10 @@ class ExpiryCycle {
             return null;
         }
         
-        // For recurring, deadline is the day before next reset
-        const nextReset = this.calculateNextResetDate(currentDate);
+        // For recurring, deadline is the day before next reset (or the end of a month-list window)
+        const nextReset = this._hasWindows() && this._getWindowEnd()
+            ? this._getWindowEnd()
+            : this.calculateNextResetDate(currentDate);
         if (!nextReset) return null;
         
         const periodEnd = new Date(nextReset);
@@ -286,7 +347,8 @@ class ExpiryCycle {
         return {
             frequency: this.frequency,
             resetType: this.resetType,
-            lastReset: this.lastReset ? this.lastReset.toISOString() : null
+            lastReset: this.lastReset ? this.lastReset.toISOString() : null,
+            schedule: this.schedule
         };
     }
 
@@ -301,7 +363,142 @@ class ExpiryCycle {
             frequency: data.frequency,
             resetType: data.resetType,
             lastReset: data.lastReset,
-            anniversaryDate: anniversaryDate
+            anniversaryDate: anniversaryDate,
+            schedule: data.schedule
         });
     }
+
+    // ==================== CUSTOM SCHEDULES ====================
+
+    /**
+     * Cleans up a custom schedule.
+     * Day intervals of calendar resets are capped at MAX_CALENDAR_DAY_INTERVAL.
+     * @param {Object|null} schedule - {interval, unit, months}
+     * @param {string|null} [resetType] - 'calendar' or 'anniversary' (null when not known)
+     * @returns {{interval: number, unit: string, months: Array<number>|null}}
+     */
+    static normalizeSchedule(schedule, resetType = null) {
+        const data = schedule || {};
+        const months = Array.isArray(data.months)
+            ? [...new Set(data.months.map(month => parseInt(month, 10)).filter(month => month >= 1 && month <= 12))].sort((a, b) => a - b)
+            : [];
+        const unit = data.unit === 'days' ? 'days' : 'months';
+        const interval = Math.max(1, parseInt(data.interval, 10) || 1);
+        return {
+            interval: unit === 'days' && resetType === 'calendar' ? Math.min(interval, MAX_CALENDAR_DAY_INTERVAL) : interval,
+            unit,
+            months: months.length > 0 ? months : null
+        };
+    }
+
+    /**
+     * Describes a custom schedule, e.g. "every 2 months" or "Dec only".
+     * @param {Object|null} schedule
+     * @returns {string}
+     */
+    static describeSchedule(schedule) {
+        const { interval, unit, months } = ExpiryCycle.normalizeSchedule(schedule);
+        if (months) return `${months.map(month => MONTH_NAMES[month - 1]).join(', ')} only`;
+        if (unit === 'days' && interval === 15) return 'semi-monthly';
+        return interval === 1 ? `every ${unit.slice(0, -1)}` : `every ${interval} ${unit}`;
+    }
+
+    /**
+     * Checks if the schedule is a month list (available only in the listed months).
+     * @private
+     */
+    _hasWindows() {
+        return this.isCustom() && this.schedule.months !== null;
+    }
+
+    /**
+     * Finds the nearest reset after (direction 1) or on/before (direction -1) a date.
+     * @private
+     */
+    _findCustomReset(date, direction) {
+        const { interval, unit } = this.schedule;
+        const limit = (unit === 'days' ? Math.ceil(interval / 28) : interval) + 13;
+        for (let offset = 0; offset <= limit; offset++) {
+            const points = this._resetPointsInMonth(date.getFullYear(), date.getMonth() + offset * direction);
+            const found = direction > 0
+                ? points.find(point => point > date)
+                : points.reverse().find(point => point <= date);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Lists the reset dates of the schedule that fall in a month, in order.
+     * @private
+     */
+    _resetPointsInMonth(year, month) {
+        const { interval, unit, months } = this.schedule;
+        const first = new Date(year, month, 1);
+        const anniversary = this.resetType === 'anniversary' ? this.anniversaryDate : null;
+        const daysInMonth = new Date(year, month + 1, 0).getDate();
+        const dayInMonth = day => this._dayInMonth(year, month, day);
+
+        if (months) {
+            if (!months.includes(first.getMonth() + 1)) return [];
+            return [anniversary ? dayInMonth(anniversary.getDate()) : first];
+        }
+
+        if (unit === 'months') {
+            const monthIndex = first.getFullYear() * 12 + first.getMonth();
+            const startIndex = anniversary ? anniversary.getFullYear() * 12 + anniversary.getMonth() : 0;
+            if (((monthIndex - startIndex) % interval + interval) % interval !== 0) return [];
+            return [anniversary ? dayInMonth(anniversary.getDate()) : first];
+        }
+
+        const points = [];
+        if (anniversary) {
+            const nextMonth = new Date(first.getFullYear(), first.getMonth() + 1, 1);
+            let step = Math.ceil(Math.round((first - anniversary) / DAY_MS) / interval);
+            let point = new Date(anniversary.getFullYear(), anniversary.getMonth(), anniversary.getDate() + step * interval);
+            while (point < nextMonth) {
+                points.push(point);
+                step++;
+                point = new Date(anniversary.getFullYear(), anniversary.getMonth(), anniversary.getDate() + step * interval);
+            }
+            return points;
+        }
+        // Calendar day intervals restart each month; a remainder shorter than half an interval joins the last period
+        points.push(first);
+        for (let day = 1 + interval; (daysInMonth - day + 1) * 2 >= interval; day += interval) {
+            points.push(new Date(first.getFullYear(), first.getMonth(), day));
+        }
+        return points;
+    }
+
+    /**
+     * End (exclusive) of the month-list window the current period started in,
+     * or null if the period started between windows.
+     * @private
+     */
+    _getWindowEnd() {
+        const start = this._findCustomReset(this.lastReset, -1);
+        if (!start) return null;
+        const end = this.resetType === 'anniversary' && this.anniversaryDate
+            ? this._dayInMonth(start.getFullYear(), start.getMonth() + 1, this.anniversaryDate.getDate())
+            : new Date(start.getFullYear(), start.getMonth() + 1, 1);
+        return this.lastReset < end ? end : null;
+    }
+
+    /**
+     * A day of a month, moved back to the month's last day if the month is shorter (e.g. the 31st).
+     * @private
+     */
+    _dayInMonth(year, month, day) {
+        return new Date(year, month, Math.min(day, new Date(year, month + 1, 0).getDate()));
+    }
+
+    /**
+     * @private
+     */
+    _daysFrom(currentDate, date) {
+        const today = new Date(currentDate);
+        today.setHours(0, 0, 0, 0);
+        return Math.ceil((date.getTime() - today.getTime()) / DAY_MS);
+    }
 }
@@ -0,0 +1,149 @@
+/**
+ * The cardholders of a household that shares one tracker.
+ * Cardholder profiles ({id, name}) are kept once, in the household. Cards only refer to
+ * them by holderId with a role (see Card), and usage entries name the person who used a
+ * credit with their holderId (see UsageLedger).
+ *
+ * The household is saved next to the cards, as the household field of the stored payload
+ * (see SchemaMigrations), and travels the same way in backups, snapshots and sync merges.
+ */
+
+class Household {
+    /**
+     * @param {Object} [data]
+     * @param {Array<Object>} [data.holders] - Cardholder profiles [{id, name}]
+     * @param {string|null} [data.updatedAt] - ISO timestamp of the last saved change
+     */
+    constructor(data = {}) {
+        this.holders = (data.holders || [])
+            .filter(holder => holder && holder.id && typeof holder.name === 'string')
+            .map(holder => ({ id: holder.id, name: holder.name }));
+        this.updatedAt = data.updatedAt || null;
+    }
+
+    /**
+     * Checks if a card belongs to a cardholder, as primary cardholder or authorized user.
+     * @param {Card} card
+     * @param {string|null} holderId - null matches every card
+     * @returns {boolean}
+     */
+    static matchesCard(card, holderId) {
+        if (!holderId) return true;
+        return !!card.hasCardholder && card.hasCardholder(holderId);
+    }
+
+    // ==================== CARDHOLDERS ====================
+
+    /**
+     * Lists the cardholders, sorted by name.
+     * @returns {Array<{id: string, name: string}>}
+     */
+    getHolders() {
+        return [...this.holders].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Finds a cardholder by ID.
+     * @param {string} holderId
+     * @returns {{id: string, name: string}|null}
+     */
+    findHolder(holderId) {
+        return this.holders.find(holder => holder.id === holderId) || null;
+    }
+
+    /**
+     * Adds a cardholder.
+     * @param {string} name - The person's name
+     * @returns {{id: string, name: string}|null} The new cardholder; null when the name is blank
+     */
+    addHolder(name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return null;
+        const holder = { id: `holder-${Math.random().toString(36).substr(2, 9)}`, name: trimmed };
+        this.holders.push(holder);
+        return holder;
+    }
+
+    /**
+     * Renames a cardholder.
+     * @param {string} holderId
+     * @param {string} name
+     * @returns {boolean} True if renamed
+     */
+    renameHolder(holderId, name) {
+        const trimmed = (name || '').trim();
+        if (!trimmed || !this.findHolder(holderId)) return false;
+        this.holders = this.holders.map(holder => (holder.id === holderId ? { ...holder, name: trimmed } : holder));
+        return true;
+    }
+
+    /**
+     * Removes a cardholder from the household and from every card, and their name from the
+     * usage and spend they were credited with.
+     * @param {string} holderId
+     * @param {Array<Card>} cards
+     * @returns {boolean} True if removed
+     */
+    removeHolder(holderId, cards) {
+        if (!this.findHolder(holderId)) return false;
+        this.holders = this.holders.filter(holder => holder.id !== holderId);
+        cards.forEach(card => {
+            if (card.removeCardholder) card.removeCardholder(holderId);
+            [
+                ...card.getBenefitsWithHistory().map(benefit => benefit.getAllUsageEntries()),
+                ...card.minimumSpends.flatMap(minSpend => [
+                    minSpend.spendEntries,
+                    ...minSpend.periodHistory.map(record => record.spendEntries || [])
+                ])
+            ].flat()
+                .filter(entry => entry.holderId === holderId)
+                .forEach(entry => { delete entry.holderId; });
+        });
+        return true;
+    }
+
+    /**
+     * Gets the name of the cardholder credited with a usage entry.
+     * @param {Object} entry - A usage entry
+     * @returns {string|null} null when the entry is not credited to anyone (or to a removed cardholder)
+     */
+    getEntryHolderName(entry) {
+        if (!entry || !entry.holderId) return null;
+        const holder = this.findHolder(entry.holderId);
+        return holder ? holder.name : null;
+    }
+
+    /**
+     * Names the cardholders of a card, primary cardholder first.
+     * @param {Card} card
+     * @returns {{primary: {id: string, name: string}|null, authorized: Array<{id: string, name: string}>}}
+     */
+    getCardholders(card) {
+        const primaryId = card.getPrimaryHolderId ? card.getPrimaryHolderId() : null;
+        const authorizedIds = card.getAuthorizedUserIds ? card.getAuthorizedUserIds() : [];
+        return {
+            primary: primaryId ? this.findHolder(primaryId) : null,
+            authorized: authorizedIds.map(id => this.findHolder(id)).filter(holder => holder)
+        };
+    }
+
+    // ==================== SERIALIZATION ====================
+
+    /**
+     * @returns {{holders: Array<Object>, updatedAt: string|null}} The household saved with the cards
+     */
+    toJSON() {
+        return {
+            holders: this.holders,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * @param {Object|null} data - A saved household (null when none was saved)
+     * @returns {Household}
+     */
+    static fromJSON(data) {
+        return new Household(data || {});
+    }
+}
@@ -1,6 +1,9 @@
 /**
  * Represents a minimum spend requirement that can be associated with benefits.
  * Minimum spends can unlock benefits when a spending threshold is met within a deadline.
+ * Besides the target, a minimum spend can have tiers: further thresholds on the same spend
+ * (e.g. $15k unlocks one reward, $30k another) that benefits can require (see SpendRequirement).
+ * Purchases are logged as dated spend entries (see UsageLedger), which also drive the pace projection.
  */
 class MinimumSpend {
     /**
@@ -9,14 +12,22 @@ class MinimumSpend {
      * @param {string} data.description - Description of the minimum spend requirement
      * @param {number} data.targetAmount - Target spend amount to meet
      * @param {number} data.currentAmount - Current progress toward target
-     * @param {string} data.frequency - 'one-time', 'yearly', 'monthly', 'quarterly', 'biannual', 'annual'
+     * @param {Array<Object>} data.spendEntries - Dated spend log of the current period [{id, amount, date, merchant, note}]
+     * @param {string} data.frequency - 'one-time', 'yearly', 'monthly', 'quarterly', 'biannual', 'annual', 'custom'
+     * @param {Object|null} data.schedule - Schedule of the 'custom' frequency {interval, unit, months} (see ExpiryCycle)
      * @param {string|null} data.resetType - 'calendar' or 'anniversary' (null for one-time)
      * @param {string|null} data.deadline - Specific deadline for one-time minimum spends
      * @param {string|null} data.lastReset - ISO date string of last reset
      * @param {boolean} data.isMet - Whether the minimum spend has been met in the current period
      * @param {string|null} data.metDate - Date when the minimum spend was met
+     * @param {Array<Object>} data.tiers - Further thresholds [{id, description, targetAmount, metDate}], lowest first
      * @param {boolean} data.ignored - Whether minimum spend is currently ignored
      * @param {string|null} data.ignoredEndDate - End date for ignored status
+     * @param {Array<Object>} data.periodHistory - Archived periods [{periodStart, periodEnd, targetAmount, currentAmount, isMet, metDate, tiers, ignored, spendEntries}];
+     *   only the latest keep every spend entry (see UsageLedger.compactArchive)
+     * @param {Array<string>} data.importedTransactionKeys - Statement transactions already counted this period (see StatementImport)
+     * @param {string|null} data.templateKey - Key of the catalog template item this minimum spend was created from (see CardCatalog)
+     * @param {string|null} data.updatedAt - ISO timestamp of the last saved change (used to resolve sync conflicts)
      * @param {Date|string|null} anniversaryDate - Card anniversary date (for anniversary-based cycles)
      */
     constructor(data, anniversaryDate = null) {
@@ -24,14 +35,23 @@ class MinimumSpend {
         this.description = data.description;
         this.targetAmount = data.targetAmount;
         this.currentAmount = data.currentAmount || 0;
+        this.spendEntries = Array.isArray(data.spendEntries)
+            ? data.spendEntries
+            : UsageLedger.fromLegacyAmount(this.currentAmount, data.lastReset, 'Spend before the spend log');
         this.frequency = data.frequency;
         this.resetType = data.resetType || null;
+        this.schedule = data.frequency === 'custom' ? ExpiryCycle.normalizeSchedule(data.schedule, data.resetType) : null;
         this.deadline = data.deadline ? new Date(data.deadline) : null;
         this.lastReset = data.lastReset || null;
         this.isMet = data.isMet || false;
         this.metDate = data.metDate || null;
+        this.setTiers(data.tiers);
         this.ignored = data.ignored || false;
         this.ignoredEndDate = data.ignoredEndDate || null;
+        this.periodHistory = data.periodHistory || [];
+        this.importedTransactionKeys = data.importedTransactionKeys || [];
+        this.templateKey = data.templateKey || null;
+        this.updatedAt = data.updatedAt || null;
 
         // Store anniversary date for cycle calculations
         this._anniversaryDate = anniversaryDate;
@@ -63,7 +83,8 @@ class MinimumSpend {
             frequency: this.frequency,
             resetType: this.resetType,
             lastReset: this.lastReset,
-            anniversaryDate: this._anniversaryDate
+            anniversaryDate: this._anniversaryDate,
+            schedule: this.schedule
         });
     }
 
@@ -147,6 +168,70 @@ class MinimumSpend {
         return !this.isMet && !this.isExpired(currentDate) && !this.isIgnoredActive(currentDate);
     }
 
+    // ==================== TIER METHODS ====================
+
+    /**
+     * Replaces the tiers, sorted by target. Tiers without a positive target are dropped.
+     * @param {Array<{id: string, description: string, targetAmount: number, metDate: string|null}>} tiers
+     */
+    setTiers(tiers) {
+        this.tiers = (tiers || [])
+            .map(tier => ({
+                id: tier.id || `tier-${Math.random().toString(36).substr(2, 9)}`,
+                description: tier.description || '',
+                targetAmount: parseFloat(tier.targetAmount),
+                metDate: tier.metDate || null
+            }))
+            .filter(tier => tier.targetAmount > 0)
+            .sort((a, b) => a.targetAmount - b.targetAmount);
+    }
+
+    /**
+     * Finds a tier by id.
+     * @param {string} tierId
+     * @returns {Object|null}
+     */
+    findTier(tierId) {
+        return this.tiers.find(tier => tier.id === tierId) || null;
+    }
+
+    /**
+     * Checks if a tier (or, without a tier id, the target) has been reached this period.
+     * @param {string|null} tierId
+     * @returns {boolean}
+     */
+    isTierMet(tierId) {
+        if (!tierId) return this.isMet;
+        const tier = this.findTier(tierId);
+        return !!tier && this.currentAmount >= tier.targetAmount;
+    }
+
+    /**
+     * Gets when a tier (or, without a tier id, the target) was reached.
+     * @param {string|null} tierId
+     * @returns {string|null} ISO date string
+     */
+    getTierMetDate(tierId) {
+        if (!tierId) return this.metDate;
+        const tier = this.findTier(tierId);
+        return tier && this.isTierMet(tierId) ? tier.metDate : null;
+    }
+
+    /**
+     * Records when tiers are reached, and forgets tiers that are no longer reached.
+     * @private
+     * @param {Date} currentDate
+     */
+    _syncTiers(currentDate) {
+        this.tiers.forEach(tier => {
+            if (this.currentAmount >= tier.targetAmount) {
+                if (!tier.metDate) tier.metDate = currentDate.toISOString();
+            } else {
+                tier.metDate = null;
+            }
+        });
+    }
+
     // ==================== DEADLINE METHODS ====================
 
     /**
@@ -180,6 +265,60 @@ class MinimumSpend {
         return this._cycle.deadlineWithin(currentDate, days, this.deadline);
     }
 
+    /**
+     * Projects when the target will be reached at the average daily spend of the period so far,
+     * and how much has to be spent per day and week to make the deadline.
+     * @param {Date} currentDate - The reference date
+     * @returns {{dailyRate: number, projectedDate: Date|null, deadline: Date|null, daysAfterDeadline: number|null,
+     *   requiredDaily: number|null, requiredWeekly: number|null}|null}
+     *   projectedDate is null while nothing has been spent; daysAfterDeadline is negative when the target
+     *   is reached early; required amounts are null without a deadline or once it has passed.
+     *   null when the minimum spend is met or its period has no known start.
+     */
+    getPaceProjection(currentDate) {
+        const remaining = this.getRemainingAmount();
+        if (this.isMet || remaining <= 0) return null;
+        const entries = this.getSpendEntries();
+        const startValue = this.lastReset || (entries.length > 0 ? entries[0].date : null);
+        if (!startValue) return null;
+
+        const dayMs = 1000 * 60 * 60 * 24;
+        const today = new Date(currentDate);
+        today.setHours(0, 0, 0, 0);
+        const start = new Date(startValue);
+        start.setHours(0, 0, 0, 0);
+        // Today counts as a spending day
+        const elapsedDays = Math.max(Math.round((today - start) / dayMs) + 1, 1);
+        const dailyRate = Math.round((this.currentAmount / elapsedDays) * 100) / 100;
+
+        let projectedDate = null;
+        if (this.currentAmount > 0) {
+            projectedDate = new Date(today);
+            projectedDate.setDate(projectedDate.getDate() + Math.ceil(remaining / (this.currentAmount / elapsedDays)));
+        }
+
+        const deadline = this.getDeadline(currentDate);
+        let daysAfterDeadline = null;
+        let requiredDaily = null;
+        if (deadline) {
+            const deadlineDay = new Date(deadline);
+            deadlineDay.setHours(0, 0, 0, 0);
+            if (projectedDate) daysAfterDeadline = Math.round((projectedDate - deadlineDay) / dayMs);
+            // The deadline day itself still counts
+            const daysLeft = Math.round((deadlineDay - today) / dayMs) + 1;
+            if (daysLeft > 0) requiredDaily = Math.round((remaining / daysLeft) * 100) / 100;
+        }
+
+        return {
+            dailyRate,
+            projectedDate,
+            deadline,
+            daysAfterDeadline,
+            requiredDaily,
+            requiredWeekly: requiredDaily === null ? null : Math.round(requiredDaily * 7 * 100) / 100
+        };
+    }
+
     // ==================== RESET METHODS ====================
 
     /**
@@ -194,21 +333,60 @@ class MinimumSpend {
     }
 
     /**
-     * Resets the minimum spend for a new period.
+     * Resets the minimum spend for a new period, archiving the period that just ended.
      * @param {Date} currentDate - The current date for lastReset
      */
     reset(currentDate) {
+        this.archiveCurrentPeriod(currentDate);
         this.currentAmount = 0;
         this.isMet = false;
         this.metDate = null;
+        this.tiers.forEach(tier => { tier.metDate = null; });
+        this.spendEntries = [];
+        this.importedTransactionKeys = [];
         this.lastReset = currentDate.toISOString();
         this._syncCycle();
     }
 
+    /**
+     * Appends a record of the current period to the history.
+     * @param {Date} currentDate - The date the period is being closed
+     * @returns {Object} The archived record
+     */
+    archiveCurrentPeriod(currentDate) {
+        this._syncCycle();
+        const nextReset = this._cycle.calculateNextResetDate(currentDate);
+        const periodEnd = new Date(nextReset && nextReset <= currentDate ? nextReset : currentDate);
+        periodEnd.setDate(periodEnd.getDate() - 1);
+
+        const record = {
+            periodStart: this.lastReset ? new Date(this.lastReset).toISOString() : null,
+            periodEnd: periodEnd.toISOString(),
+            targetAmount: this.targetAmount,
+            currentAmount: this.currentAmount,
+            isMet: this.isMet,
+            metDate: this.metDate,
+            tiers: this.tiers.map(tier => ({ ...tier, isMet: this.isTierMet(tier.id) })),
+            ignored: this.isIgnoredActive(currentDate),
+            spendEntries: this.spendEntries
+        };
+        this.periodHistory.push(record);
+        UsageLedger.compactArchive(this.periodHistory, 'spendEntries');
+        return record;
+    }
+
+    /**
+     * Gets archived periods, most recent first.
+     * @returns {Array<Object>}
+     */
+    getPeriodHistory() {
+        return [...this.periodHistory].sort((a, b) => new Date(b.periodEnd) - new Date(a.periodEnd));
+    }
+
     // ==================== MUTATION METHODS ====================
 
     /**
-     * Updates the current spend amount.
+     * Updates the current spend amount. The difference is logged as an adjustment entry.
      * Automatically marks as met when target is reached.
      * @param {number} amount - The new current amount
      * @param {Date} currentDate - The current date (for metDate)
@@ -217,8 +395,19 @@ class MinimumSpend {
     setCurrentAmount(amount, currentDate) {
         if (isNaN(amount) || amount < 0) amount = 0;
         
-        const wasMet = this.isMet;
+        UsageLedger.adjustTo(this.spendEntries, amount, currentDate);
         this.currentAmount = amount;
+        return this._syncMet(currentDate);
+    }
+
+    /**
+     * Records whether the target and tiers are reached by the current amount.
+     * @private
+     * @param {Date} currentDate - When a newly reached target or tier was met
+     * @returns {boolean} True if the target just became met
+     */
+    _syncMet(currentDate) {
+        this._syncTiers(currentDate);
         
         if (this.currentAmount >= this.targetAmount && !this.isMet) {
             this.isMet = true;
@@ -236,27 +425,58 @@ class MinimumSpend {
     }
 
     /**
-     * Adds to the current spend amount.
+     * Adds to the current spend amount and logs it as a dated spend entry.
      * @param {number} amount - The amount to add
      * @param {Date} currentDate - The current date
+     * @param {Object} [details] - Entry details (see UsageLedger.createEntry)
+     * @param {Date|string} [details.date] - When the purchase was made (defaults to currentDate)
+     * @param {string} [details.merchant]
+     * @param {string} [details.note]
+     * @param {string} [details.holderId] - Cardholder who made the purchase
+     * @param {string} [details.transactionKey] - Statement transaction the spend was imported from
      * @returns {boolean} True if this update caused the minimum spend to be met
      */
-    addSpend(amount, currentDate) {
-        if (isNaN(amount) || amount < 0) return false;
-        return this.setCurrentAmount(this.currentAmount + amount, currentDate);
+    addSpend(amount, currentDate, details = {}) {
+        if (isNaN(amount) || amount <= 0) return false;
+        this.spendEntries.push(UsageLedger.createEntry({ ...details, amount, date: details.date || currentDate }));
+        return this.setCurrentAmount(Math.round((this.currentAmount + amount) * 100) / 100, currentDate);
+    }
+
+    /**
+     * Removes a spend entry and takes its amount off the current spend.
+     * @param {string} entryId - The entry ID
+     * @param {Date} currentDate - The current date
+     * @returns {boolean} True if removed
+     */
+    removeSpendEntry(entryId, currentDate) {
+        if (!UsageLedger.removeEntry(this.spendEntries, entryId)) return false;
+        this.setCurrentAmount(Math.max(UsageLedger.getTotal(this.spendEntries), 0), currentDate);
+        return true;
+    }
+
+    /**
+     * Gets the spend entries of the current period, oldest first.
+     * @returns {Array<Object>}
+     */
+    getSpendEntries() {
+        return UsageLedger.sortByDate(this.spendEntries);
     }
 
     /**
-     * Updates minimum spend properties.
+     * Updates minimum spend properties. A changed target or tiers can meet or unmet them.
      * @param {Object} data - New data to merge
+     * @param {Date} [currentDate] - When a target or tier reached by the change was met
      */
-    update(data) {
+    update(data, currentDate = new Date()) {
         Object.assign(this, data);
+        this.schedule = this.frequency === 'custom' ? ExpiryCycle.normalizeSchedule(this.schedule, this.resetType) : null;
+        this.setTiers(this.tiers);
         if (data.deadline) {
             this.deadline = new Date(data.deadline);
             this.deadline.setHours(0, 0, 0, 0);
         }
         this._syncCycle();
+        this._syncMet(currentDate);
     }
 
     // ==================== SERIALIZATION ====================
@@ -271,14 +491,21 @@ class MinimumSpend {
             description: this.description,
             targetAmount: this.targetAmount,
             currentAmount: this.currentAmount,
+            spendEntries: this.spendEntries,
             frequency: this.frequency,
             resetType: this.resetType,
+            schedule: this.schedule,
             deadline: this.deadline ? this.deadline.toISOString() : null,
             lastReset: this.lastReset,
             isMet: this.isMet,
             metDate: this.metDate,
+            tiers: this.tiers,
             ignored: this.ignored,
-            ignoredEndDate: this.ignoredEndDate
+            ignoredEndDate: this.ignoredEndDate,
+            periodHistory: this.periodHistory,
+            importedTransactionKeys: this.importedTransactionKeys,
+            templateKey: this.templateKey,
+            updatedAt: this.updatedAt
         };
     }
 
@@ -0,0 +1,139 @@
+/**
+ * Helpers for the minimum spend requirement that unlocks (or earns) a benefit.
+ * A requirement is a plain object so it serializes as-is:
+ *   { op: 'all' | 'any', items: [{ minimumSpendId, tierId }] }
+ * 'all' needs every item met (AND), 'any' needs one of them (OR). An item without a tierId
+ * needs the minimum spend's target; with a tierId it needs that tier (see MinimumSpend).
+ * Benefits that only link a single minimum spend keep using requiredMinimumSpendId.
+ */
+class SpendRequirement {
+    /**
+     * Validates a requirement. Items without a minimum spend and repeated items are dropped.
+     * @param {Object|null} requirement
+     * @returns {{op: string, items: Array<{minimumSpendId: string, tierId: string|null}>}|null} null when no item is left
+     */
+    static normalize(requirement) {
+        if (!requirement || !Array.isArray(requirement.items)) return null;
+        const seen = new Set();
+        const items = requirement.items
+            .filter(item => item && item.minimumSpendId)
+            .map(item => ({ minimumSpendId: item.minimumSpendId, tierId: item.tierId || null }))
+            .filter(item => {
+                const key = `${item.minimumSpendId}|${item.tierId}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        if (items.length === 0) return null;
+        return { op: requirement.op === 'any' ? 'any' : 'all', items };
+    }
+
+    /**
+     * Gets the requirement of a benefit: its requirement expression, or its single linked minimum spend.
+     * @param {Benefit|Object} benefit
+     * @returns {Object|null}
+     */
+    static fromBenefit(benefit) {
+        const requirement = SpendRequirement.normalize(benefit.minimumSpendRequirement);
+        if (requirement) return requirement;
+        return benefit.requiredMinimumSpendId
+            ? { op: 'all', items: [{ minimumSpendId: benefit.requiredMinimumSpendId, tierId: null }] }
+            : null;
+    }
+
+    /**
+     * Checks if a requirement names a minimum spend.
+     * @param {Object|null} requirement
+     * @param {string} minSpendId
+     * @returns {boolean}
+     */
+    static references(requirement, minSpendId) {
+        return !!requirement && requirement.items.some(item => item.minimumSpendId === minSpendId);
+    }
+
+    /**
+     * Removes every item naming a minimum spend (e.g. when it is deleted).
+     * @param {Object|null} requirement
+     * @param {string} minSpendId
+     * @returns {Object|null} The remaining requirement, or null when no item is left
+     */
+    static withoutMinimumSpend(requirement, minSpendId) {
+        if (!requirement) return null;
+        return SpendRequirement.normalize({
+            op: requirement.op,
+            items: requirement.items.filter(item => item.minimumSpendId !== minSpendId)
+        });
+    }
+
+    /**
+     * Resolves the items of a requirement. Items naming a minimum spend (or tier) that no longer
+     * exists are left out, so they never lock a benefit.
+     * @param {Object|null} requirement
+     * @param {Function} findMinimumSpend - Looks up a MinimumSpend by id
+     * @returns {Array<{minSpend: MinimumSpend, tier: Object|null, isMet: boolean, metDate: string|null, targetAmount: number, description: string}>}
+     */
+    static resolve(requirement, findMinimumSpend) {
+        if (!requirement) return [];
+        return requirement.items
+            .map(item => {
+                const minSpend = findMinimumSpend(item.minimumSpendId);
+                if (!minSpend) return null;
+                const tier = item.tierId && minSpend.findTier ? minSpend.findTier(item.tierId) : null;
+                if (item.tierId && !tier) return null;
+                return {
+                    minSpend,
+                    tier,
+                    isMet: tier ? minSpend.isTierMet(tier.id) : !!minSpend.isMet,
+                    metDate: tier ? minSpend.getTierMetDate(tier.id) : minSpend.metDate,
+                    targetAmount: tier ? tier.targetAmount : minSpend.targetAmount,
+                    description: tier && tier.description
+                        ? `${minSpend.description}: ${tier.description}`
+                        : minSpend.description
+                };
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Checks if a requirement is satisfied. Requirements without resolvable items are satisfied.
+     * @param {Object|null} requirement
+     * @param {Function} findMinimumSpend - Looks up a MinimumSpend by id
+     * @returns {boolean}
+     */
+    static isMet(requirement, findMinimumSpend) {
+        const resolved = SpendRequirement.resolve(requirement, findMinimumSpend);
+        if (resolved.length === 0) return true;
+        return requirement.op === 'any'
+            ? resolved.some(item => item.isMet)
+            : resolved.every(item => item.isMet);
+    }
+
+    /**
+     * Gets when a satisfied requirement was satisfied: when its last item was met ('all'),
+     * or when its first item was met ('any').
+     * @param {Object|null} requirement
+     * @param {Function} findMinimumSpend - Looks up a MinimumSpend by id
+     * @returns {string|null} ISO date string, or null if the requirement is not met
+     */
+    static getMetDate(requirement, findMinimumSpend) {
+        if (!SpendRequirement.isMet(requirement, findMinimumSpend)) return null;
+        const dates = SpendRequirement.resolve(requirement, findMinimumSpend)
+            .filter(item => item.isMet && item.metDate)
+            .map(item => item.metDate)
+            .sort((a, b) => new Date(a) - new Date(b));
+        if (dates.length === 0) return null;
+        return requirement.op === 'any' ? dates[0] : dates[dates.length - 1];
+    }
+
+    /**
+     * Describes a requirement, e.g. "Spend A and Spend B: $30k tier".
+     * @param {Object|null} requirement
+     * @param {Function} findMinimumSpend - Looks up a MinimumSpend by id
+     * @returns {string}
+     */
+    static describe(requirement, findMinimumSpend) {
+        return SpendRequirement.resolve(requirement, findMinimumSpend)
+            .map(item => item.description)
+            .join(requirement && requirement.op === 'any' ? ' or ' : ' and ');
+    }
+}
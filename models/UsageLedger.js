@@ -0,0 +1,229 @@
+/**
+ * Helpers for the dated usage ledger kept on benefits and carryover earned instances.
+ * A ledger is a plain array of entries so it serializes as-is:
+ *   { id, amount, date, merchant, note }
+ * Entries recorded from a statement transaction also carry its transactionKey (see StatementImport),
+ * and entries credited to a household member carry their holderId (see Household).
+ * The used amount of a benefit (or instance) is always the sum of its entries.
+ * Archived periods keep their entries for a while, then only their monthly totals (see compactArchive).
+ */
+
+// Archived periods that keep their individual entries; older ones keep monthly totals
+const ARCHIVE_DETAIL_PERIODS = 12;
+
+class UsageLedger {
+    /**
+     * Creates a normalized ledger entry.
+     * @param {Object} data
+     * @param {string} [data.id] - Unique identifier (generated if omitted)
+     * @param {number} data.amount - Amount of credit consumed (negative for adjustments)
+     * @param {Date|string} [data.date] - When the credit was consumed (defaults to now)
+     * @param {string} [data.merchant] - Merchant name
+     * @param {string} [data.note] - Free-form note
+     * @param {string} [data.transactionKey] - Statement transaction the entry was matched from
+     * @param {string} [data.holderId] - Cardholder who used the credit
+     * @returns {Object} The entry
+     */
+    static createEntry({ id = null, amount, date = null, merchant = '', note = '', transactionKey = null, holderId = null }) {
+        const entryDate = date ? new Date(date) : new Date();
+        const entry = {
+            id: id || `usage-${Math.random().toString(36).substring(2, 11)}`,
+            amount: parseFloat(amount) || 0,
+            date: entryDate.toISOString(),
+            merchant: merchant || '',
+            note: note || ''
+        };
+        if (transactionKey) entry.transactionKey = transactionKey;
+        if (holderId) entry.holderId = holderId;
+        return entry;
+    }
+
+    /**
+     * Builds the ledger for data saved before the ledger existed.
+     * A non-zero scalar used amount becomes a single synthetic entry.
+     * @param {number} usedAmount - The legacy scalar used amount
+     * @param {Date|string|null} date - Best known date for the usage (e.g. lastReset)
+     * @param {string} [note] - Note for the synthetic entry
+     * @returns {Array<Object>}
+     */
+    static fromLegacyAmount(usedAmount, date = null, note = 'Balance before usage history') {
+        const amount = parseFloat(usedAmount) || 0;
+        if (amount === 0) return [];
+        return [UsageLedger.createEntry({
+            amount: amount,
+            date: date,
+            note: note
+        })];
+    }
+
+    /**
+     * Sums the amounts of all entries.
+     * @param {Array<Object>} entries
+     * @returns {number}
+     */
+    static getTotal(entries) {
+        const total = (entries || []).reduce((sum, entry) => sum + (entry.amount || 0), 0);
+        // Avoid floating point residue (e.g. 0.1 + 0.2)
+        return Math.round(total * 100) / 100;
+    }
+
+    /**
+     * Returns a copy of the entries sorted by date (oldest first).
+     * @param {Array<Object>} entries
+     * @returns {Array<Object>}
+     */
+    static sortByDate(entries) {
+        return [...(entries || [])].sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+
+    /**
+     * Appends an entry, capping its amount so the total never exceeds the cap.
+     * @param {Array<Object>} entries - The ledger to mutate
+     * @param {Object} data - Entry data (see createEntry)
+     * @param {number} cap - Maximum total for the ledger (the credit amount)
+     * @returns {Object|null} The created entry, or null if nothing could be recorded
+     */
+    static addEntry(entries, data, cap) {
+        const amount = parseFloat(data.amount);
+        if (isNaN(amount) || amount <= 0) return null;
+        const available = cap - UsageLedger.getTotal(entries);
+        if (available <= 0) return null;
+        const entry = UsageLedger.createEntry({ ...data, amount: Math.min(amount, available) });
+        entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Updates an existing entry in place, keeping the ledger total within the cap.
+     * @param {Array<Object>} entries - The ledger to mutate
+     * @param {string} entryId - The entry ID
+     * @param {Object} changes - Fields to change (amount, date, merchant, note, holderId)
+     * @param {number} cap - Maximum total for the ledger
+     * @returns {Object|null} The updated entry, or null if not found/invalid
+     */
+    static updateEntry(entries, entryId, changes, cap) {
+        const entry = entries.find(e => e.id === entryId);
+        if (!entry) return null;
+
+        if (changes.amount !== undefined) {
+            const amount = parseFloat(changes.amount);
+            if (isNaN(amount) || amount <= 0) return null;
+            const available = cap - (UsageLedger.getTotal(entries) - entry.amount);
+            entry.amount = Math.min(amount, Math.max(available, 0));
+        }
+        if (changes.date) entry.date = new Date(changes.date).toISOString();
+        if (changes.merchant !== undefined) entry.merchant = changes.merchant || '';
+        if (changes.note !== undefined) entry.note = changes.note || '';
+        if (changes.holderId !== undefined) {
+            if (changes.holderId) entry.holderId = changes.holderId;
+            else delete entry.holderId;
+        }
+        return entry;
+    }
+
+    /**
+     * Trims a ledger to a maximum total, taking the excess off the latest entries first
+     * as if they had been recorded after the earlier ones (see addEntry).
+     * @param {Array<Object>} entries - The ledger (not mutated)
+     * @param {number} cap - Maximum total
+     * @returns {Array<Object>} The trimmed ledger; entries trimmed to nothing are dropped
+     */
+    static capTotal(entries, cap) {
+        let excess = Math.round((UsageLedger.getTotal(entries) - cap) * 100) / 100;
+        if (excess <= 0) return entries;
+        const trimmed = new Map();
+        UsageLedger.sortByDate(entries).reverse().forEach(entry => {
+            if (excess <= 0 || entry.amount <= 0) return;
+            const cut = Math.min(entry.amount, excess);
+            trimmed.set(entry.id, Math.round((entry.amount - cut) * 100) / 100);
+            excess = Math.round((excess - cut) * 100) / 100;
+        });
+        return entries
+            .filter(entry => trimmed.get(entry.id) !== 0)
+            .map(entry => (trimmed.has(entry.id) ? { ...entry, amount: trimmed.get(entry.id) } : entry));
+    }
+
+    /**
+     * Removes an entry by ID.
+     * @param {Array<Object>} entries - The ledger to mutate
+     * @param {string} entryId - The entry ID
+     * @returns {boolean} True if removed
+     */
+    static removeEntry(entries, entryId) {
+        const index = entries.findIndex(e => e.id === entryId);
+        if (index === -1) return false;
+        entries.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Records the difference between the current total and a target total as an adjustment entry.
+     * Used by the "set used" stepper so overriding the amount still leaves a dated trail.
+     * @param {Array<Object>} entries - The ledger to mutate
+     * @param {number} targetTotal - The desired total
+     * @param {Date|string} date - Date of the adjustment
+     * @param {string} note - Note for the adjustment entry
+     * @returns {Object|null} The adjustment entry, or null if the total was already correct
+     */
+    static adjustTo(entries, targetTotal, date, note = 'Adjustment') {
+        const delta = Math.round((targetTotal - UsageLedger.getTotal(entries)) * 100) / 100;
+        if (delta === 0) return null;
+        const entry = UsageLedger.createEntry({ amount: delta, date: date, note: note });
+        entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Replaces entries with one entry per month (and cardholder) holding their total.
+     * Summary ids are derived from the month, so devices summarizing the same period agree
+     * and summarizing again changes nothing.
+     * @param {Array<Object>} entries
+     * @returns {Array<Object>} The summary entries, oldest first
+     */
+    static summarizeByMonth(entries) {
+        const groups = new Map();
+        UsageLedger.sortByDate(entries).forEach(entry => {
+            const date = new Date(entry.date);
+            const month = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+            const key = entry.holderId ? `${month}-${entry.holderId}` : month;
+            if (!groups.has(key)) {
+                groups.set(key, { id: `summary-${key}`, amount: 0, date: entry.date, holderId: entry.holderId || null });
+            }
+            groups.get(key).amount += entry.amount || 0;
+        });
+        return [...groups.values()]
+            .map(group => ({ ...group, amount: Math.round(group.amount * 100) / 100 }))
+            .filter(group => group.amount !== 0)
+            .map(group => UsageLedger.createEntry({ ...group, note: 'Monthly total of archived usage' }));
+    }
+
+    /**
+     * Keeps an archive of periods bounded: the latest periods keep their entries, older ones
+     * only their monthly totals (see summarizeByMonth). The recorded period amounts are unchanged.
+     * @param {Array<Object>} records - Archived periods (mutated)
+     * @param {string} field - The ledger of a record ('usageEntries' or 'spendEntries')
+     * @param {number} [keep] - Latest periods that keep their individual entries
+     */
+    static compactArchive(records, field, keep = ARCHIVE_DETAIL_PERIODS) {
+        [...records]
+            .sort((a, b) => new Date(b.periodEnd) - new Date(a.periodEnd))
+            .slice(keep)
+            .forEach(record => {
+                if (Array.isArray(record[field])) record[field] = UsageLedger.summarizeByMonth(record[field]);
+            });
+    }
+
+    /**
+     * Makes sure a carryover earned instance (a plain object) has a ledger,
+     * migrating its scalar usedAmount when needed, and re-derives usedAmount from it.
+     * @param {Object} instance - The earned instance {earnedDate, usedAmount, usageEntries}
+     * @returns {Object} The same instance
+     */
+    static ensureInstanceLedger(instance) {
+        if (!Array.isArray(instance.usageEntries)) {
+            instance.usageEntries = UsageLedger.fromLegacyAmount(instance.usedAmount, instance.earnedDate);
+        }
+        instance.usedAmount = UsageLedger.getTotal(instance.usageEntries);
+        return instance;
+    }
+}
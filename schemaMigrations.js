@@ -0,0 +1,213 @@
+/**
+ * Versioned schema for stored data.
+ *
+ * Stores persist a payload of the form { schemaVersion, cards, household }, where household
+ * holds the cardholder profiles shared by the cards (see Household) or is null. Data saved before
+ * versioning is a bare array of cards and counts as version 0. Every store runs
+ * SchemaMigrations.migrate in loadData, which applies each registered migration
+ * newer than the payload's version, in order.
+ *
+ * To change the stored shape: append a migration with the next version number.
+ * Migrations receive a private copy of the cards (and of the whole state, for data kept
+ * next to the cards) and may mutate it; they must leave data that already has the new shape untouched.
+ */
+const SchemaMigrations = {
+    /**
+     * Ordered migrations; the last version is the current schema version.
+     * @type {Array<{version: number, description: string, migrate: function(Array<Object>, Object): void}>}
+     */
+    MIGRATIONS: [
+        {
+            version: 1,
+            description: 'Carryover benefits: single earnedDate becomes the earnedInstances list',
+            migrate(cards) {
+                SchemaMigrations._forEachBenefit(cards, benefit => {
+                    if (!benefit.earnedDate || Array.isArray(benefit.earnedInstances)) return;
+                    benefit.earnedInstances = [{
+                        earnedDate: benefit.earnedDate,
+                        usedAmount: benefit.usedAmount || 0
+                    }];
+                    delete benefit.earnedDate;
+                    // The used amount belonged to the earned credit, not the benefit
+                    benefit.usedAmount = 0;
+                });
+            }
+        },
+        {
+            version: 2,
+            description: 'Carryover benefits: earnThreshold becomes a linked annual minimum spend',
+            migrate(cards) {
+                cards.forEach(card => {
+                    (card.benefits || []).forEach(benefit => {
+                        if (!('earnThreshold' in benefit)) return;
+                        const threshold = parseFloat(benefit.earnThreshold);
+                        delete benefit.earnThreshold;
+                        if (!(threshold > 0) || benefit.requiredMinimumSpendId) return;
+
+                        // Carryover credits are earned once per calendar year, tracked by lastEarnReset
+                        const periodStart = benefit.lastEarnReset || new Date(new Date().getFullYear(), 0, 1).toISOString();
+                        const earnedThisPeriod = (benefit.earnedInstances || [])
+                            .find(instance => new Date(instance.earnedDate) >= new Date(periodStart));
+                        const minSpend = {
+                            id: `minspend-${benefit.id}`,
+                            description: `Spend $${threshold} to earn ${benefit.description}`,
+                            targetAmount: threshold,
+                            currentAmount: earnedThisPeriod ? threshold : 0,
+                            frequency: 'annual',
+                            resetType: 'calendar',
+                            lastReset: periodStart,
+                            isMet: !!earnedThisPeriod,
+                            metDate: earnedThisPeriod ? earnedThisPeriod.earnedDate : null
+                        };
+                        card.minimumSpends = [...(card.minimumSpends || []), minSpend];
+                        benefit.requiredMinimumSpendId = minSpend.id;
+                    });
+                });
+            }
+        },
+        {
+            version: 3,
+            description: 'Scalar usedAmount becomes a dated usage ledger (benefits and earned carryover credits)',
+            migrate(cards) {
+                SchemaMigrations._forEachBenefit(cards, benefit => {
+                    if (!Array.isArray(benefit.usageEntries)) {
+                        benefit.usageEntries = UsageLedger.fromLegacyAmount(benefit.usedAmount, benefit.lastReset);
+                    }
+                    (benefit.earnedInstances || []).forEach(instance => UsageLedger.ensureInstanceLedger(instance));
+                });
+            }
+        },
+        {
+            version: 4,
+            description: 'Carryover earned instances get an id, as several credits can be earned on the same day',
+            migrate(cards) {
+                // IDs are derived from the data so every device migrating the same payload agrees on them
+                cards.forEach(card => {
+                    [...(card.benefits || []), ...(card.retiredBenefits || [])].forEach(benefit => {
+                        (benefit.earnedInstances || []).forEach((instance, index) => {
+                            if (!instance.id) instance.id = `${benefit.id}-earned-${index}`;
+                        });
+                        // Archived credits with the same dates are told apart by an id as well
+                        const seen = new Set();
+                        (benefit.periodHistory || []).forEach((record, index) => {
+                            const key = `${record.periodStart}|${record.periodEnd}`;
+                            if (seen.has(key) && !record.id) record.id = `${benefit.id}-archived-${index}`;
+                            seen.add(key);
+                        });
+                    });
+                });
+            }
+        },
+        {
+            version: 5,
+            description: 'Carryover credits under a fixed-date rule keep that date, so changing the rule only affects later credits',
+            migrate(cards) {
+                cards.forEach(card => {
+                    [...(card.benefits || []), ...(card.retiredBenefits || [])].forEach(benefit => {
+                        const rule = CarryoverCycle.normalizeRule(benefit.carryoverRule);
+                        if (!benefit.carryoverRule || rule.expiry !== 'date') return;
+                        (benefit.earnedInstances || []).forEach(instance => {
+                            if (!instance.expiryDate) instance.expiryDate = rule.date;
+                        });
+                    });
+                });
+            }
+        },
+        {
+            version: 6,
+            description: 'Cardholder profiles move from the cards to the household; cards keep the holderId and role',
+            migrate(cards, state) {
+                const holders = [];
+                cards.forEach(card => {
+                    if (!Array.isArray(card.cardholders)) return;
+                    card.cardholders = card.cardholders
+                        .filter(holder => holder && (holder.holderId || holder.id))
+                        .map(holder => {
+                            if (holder.holderId) return holder;
+                            if (!holders.some(other => other.id === holder.id)) holders.push({ id: holder.id, name: holder.name });
+                            return { holderId: holder.id, role: holder.role };
+                        });
+                });
+                if (holders.length > 0 && !state.household) {
+                    state.household = { holders, updatedAt: null };
+                }
+            }
+        },
+        {
+            version: 7,
+            description: 'Statement matching rule dates are renamed activeFrom/activeUntil: they bound the offer, not a window within each period',
+            migrate(cards) {
+                cards.forEach(card => {
+                    [...(card.benefits || []), ...(card.retiredBenefits || [])].forEach(benefit => {
+                        (benefit.matchRules || []).forEach(rule => {
+                            if (!('startDate' in rule) && !('endDate' in rule)) return;
+                            rule.activeFrom = rule.startDate || null;
+                            rule.activeUntil = rule.endDate || null;
+                            delete rule.startDate;
+                            delete rule.endDate;
+                        });
+                    });
+                });
+            }
+        }
+    ],
+
+    /**
+     * The schema version written by this build.
+     * @returns {number}
+     */
+    get CURRENT_VERSION() {
+        return this.MIGRATIONS[this.MIGRATIONS.length - 1].version;
+    },
+
+    /**
+     * Wraps the state in a payload tagged with the current schema version.
+     * @param {Object} state
+     * @param {Array<Object>} state.cards - Serialized cards (Card#toJSON)
+     * @param {Object|null} [state.household] - Serialized household (Household#toJSON)
+     * @returns {{schemaVersion: number, cards: Array<Object>, household: Object|null}}
+     */
+    createPayload({ cards, household = null }) {
+        return { schemaVersion: this.CURRENT_VERSION, cards: cards, household: household };
+    },
+
+    /**
+     * Reads a stored payload of any version.
+     * @param {*} payload - A payload object, a legacy card array, or nothing
+     * @returns {{schemaVersion: number, cards: Array<Object>, household: Object|null}}
+     */
+    readPayload(payload) {
+        if (Array.isArray(payload)) return { schemaVersion: 0, cards: payload, household: null };
+        if (payload && Array.isArray(payload.cards)) {
+            return { schemaVersion: payload.schemaVersion || 0, cards: payload.cards, household: payload.household || null };
+        }
+        return { schemaVersion: this.CURRENT_VERSION, cards: [], household: null };
+    },
+
+    /**
+     * Upgrades a stored payload to the current schema version.
+     * @param {*} payload - A payload object, a legacy card array, or nothing
+     * @returns {{schemaVersion: number, cards: Array<Object>, household: Object|null}}
+     * @throws {Error} If the payload was written by a newer version
+     */
+    migrate(payload) {
+        const { schemaVersion, cards, household } = this.readPayload(payload);
+        if (schemaVersion > this.CURRENT_VERSION) {
+            throw new Error(`The data was saved by a newer version of the tracker (schema ${schemaVersion}). Please reload to update.`);
+        }
+
+        const pending = this.MIGRATIONS.filter(migration => migration.version > schemaVersion);
+        if (pending.length === 0) return { schemaVersion, cards, household };
+
+        const migrated = JSON.parse(JSON.stringify({ cards, household }));
+        pending.forEach(migration => migration.migrate(migrated.cards, migrated));
+        return this.createPayload(migrated);
+    },
+
+    /**
+     * @private
+     */
+    _forEachBenefit(cards, fn) {
+        cards.forEach(card => (card.benefits || []).forEach(fn));
+    }
+};
@@ -0,0 +1,344 @@
+/**
+ * Rolling point-in-time snapshots of the tracker state.
+ *
+ * Snapshots are kept in localStorage and, when syncing through CloudStore, in a
+ * sibling object next to the data object (e.g. data.json -> data.snapshots.json).
+ * Snapshot data goes through the EncryptedStore codec, so it is encrypted whenever
+ * the main data is, and is migrated to the current schema when opened.
+ * Snapshots are best effort: failures are logged and never block saving.
+ * Captures and re-encryptions run one at a time, in the order they were requested.
+ * Local snapshots share the localStorage quota with the data, so they are kept within
+ * a size budget and give way entirely when the data itself no longer fits.
+ * Cloud writes are conditional on the ETag of the last load, like CloudStore.
+ */
+
+const SNAPSHOT_STORAGE_KEY = 'creditCardBenefitTracker_snapshots';
+const SNAPSHOT_LIMIT = 20;
+// Characters of localStorage the local snapshots may use, leaving the rest of the quota for the data
+const SNAPSHOT_LOCAL_BUDGET = 1024 * 1024;
+// Attempts at a cloud write when another device keeps writing in between
+const SNAPSHOT_CLOUD_ATTEMPTS = 3;
+// Automatic snapshots are taken at most this often; explicit ones (before deletes etc.) always are
+const SNAPSHOT_INTERVAL_MS = 15 * 60 * 1000;
+
+class SnapshotManager {
+    /**
+     * @param {EncryptedStore} codec - Seals and opens snapshot data
+     * @param {Object} [options]
+     * @param {string|null} [options.cloudUrl] - URL of the cloud snapshot object (null for local only)
+     * @param {number} [options.limit] - Snapshots to keep per location
+     * @param {number} [options.interval] - Minimum time between automatic snapshots in ms
+     * @param {number} [options.localBudget] - Maximum size of the local snapshots in characters
+     */
+    constructor(codec, {
+        cloudUrl = null, limit = SNAPSHOT_LIMIT, interval = SNAPSHOT_INTERVAL_MS, localBudget = SNAPSHOT_LOCAL_BUDGET
+    } = {}) {
+        this.codec = codec;
+        this.cloudUrl = cloudUrl;
+        this.limit = limit;
+        this.interval = interval;
+        this.localBudget = localBudget;
+        this.cloudEtag = null;    // ETag of the cloud snapshot object as last loaded/saved
+        this.cloudExists = null;  // Whether it existed at the last load (null = unknown)
+        this.queue = Promise.resolve(); // Settles when the last queued capture or re-encryption is done
+    }
+
+    /**
+     * Derives the snapshot object URL from the data object URL.
+     * @param {string} url - CloudStore URL
+     * @returns {string}
+     */
+    static getSiblingUrl(url) {
+        const [path, query] = url.split('?');
+        const siblingPath = path.endsWith('.json')
+            ? `${path.slice(0, -'.json'.length)}.snapshots.json`
+            : `${path}.snapshots.json`;
+        return query ? `${siblingPath}?${query}` : siblingPath;
+    }
+
+    /**
+     * Takes a snapshot of the given state.
+     * @param {{cards: Array<Object>, household: Object|null}} state - Serialized cards and household
+     * @param {string|null} reason - Why the snapshot was taken; null for an automatic snapshot
+     * @param {Date} now - Snapshot timestamp
+     * @returns {Promise<Object|null>} The snapshot, or null if an automatic one was taken too recently
+     */
+    capture(state, reason = null, now = new Date()) {
+        return this._enqueue(() => this._capture(state, reason, now));
+    }
+
+    /**
+     * @private
+     */
+    async _capture(state, reason, now) {
+        const local = this._loadLocal();
+        if (!reason && local.length > 0 && now - new Date(local[0].takenAt) < this.interval) {
+            return null;
+        }
+
+        const snapshot = {
+            id: `snapshot-${Math.random().toString(36).substr(2, 9)}`,
+            takenAt: now.toISOString(),
+            reason: reason || 'Automatic snapshot',
+            counts: SnapshotManager.countItems(state),
+            data: await this.codec.seal(state)
+        };
+        this._saveLocal([snapshot, ...local]);
+
+        if (this.cloudUrl) {
+            try {
+                await this._updateCloud(remote => [snapshot, ...remote.filter(s => s.id !== snapshot.id)]);
+            } catch (e) {
+                console.warn('Cloud snapshot failed:', e.message);
+            }
+        }
+        return snapshot;
+    }
+
+    /**
+     * Lists the snapshots from all locations, newest first.
+     * @returns {Promise<Array<Object>>}
+     */
+    async list() {
+        const snapshots = this._loadLocal();
+        if (this.cloudUrl) {
+            try {
+                (await this._loadCloud()).forEach(snapshot => {
+                    if (!snapshots.some(s => s.id === snapshot.id)) snapshots.push(snapshot);
+                });
+            } catch (e) {
+                console.warn('Could not load cloud snapshots:', e.message);
+            }
+        }
+        return snapshots.sort((a, b) => new Date(b.takenAt) - new Date(a.takenAt));
+    }
+
+    /**
+     * Gets the state stored in a snapshot.
+     * @param {Object} snapshot - A snapshot from list()
+     * @returns {Promise<{cards: Array<Object>, household: Object|null}>} Serialized state in the current schema
+     * @throws {PassphraseRequiredError} If the snapshot is encrypted with another passphrase
+     */
+    open(snapshot) {
+        return this.codec.open(snapshot.data);
+    }
+
+    /**
+     * Removes the local snapshots so their space goes to the data.
+     * @returns {boolean} Whether there were any to remove
+     */
+    releaseLocal() {
+        if (localStorage.getItem(SNAPSHOT_STORAGE_KEY) === null) return false;
+        localStorage.removeItem(SNAPSHOT_STORAGE_KEY);
+        return true;
+    }
+
+    /**
+     * Re-encrypts every snapshot around a change of passphrase (or turning encryption off).
+     * Snapshots that cannot be opened with the current key are left as they are.
+     * @param {function(): Promise<void>} changeKey - Performs the key change on the codec
+     * @returns {Promise<void>}
+     */
+    reseal(changeKey) {
+        return this._enqueue(() => this._reseal(changeKey));
+    }
+
+    /**
+     * @private
+     */
+    async _reseal(changeKey) {
+        const locations = [[this._loadLocal(), list => this._saveLocal(list)]];
+        if (this.cloudUrl) {
+            try {
+                // Snapshots another device adds in the meantime are kept as they are
+                locations.push([await this._loadCloud(), list => this._updateCloud(remote => remote.map(snapshot => (
+                    list.find(resealed => resealed.id === snapshot.id) || snapshot
+                )))]);
+            } catch (e) {
+                console.warn('Could not load cloud snapshots:', e.message);
+            }
+        }
+        const opened = await Promise.all(locations.map(([list]) =>
+            Promise.all(list.map(snapshot => this.open(snapshot).catch(() => null)))
+        ));
+
+        await changeKey();
+
+        for (let i = 0; i < locations.length; i++) {
+            const [list, save] = locations[i];
+            const resealed = await Promise.all(list.map(async (snapshot, index) => (
+                opened[i][index] ? { ...snapshot, data: await this.codec.seal(opened[i][index]) } : snapshot
+            )));
+            try {
+                await save(resealed);
+            } catch (e) {
+                console.warn('Could not re-encrypt snapshots:', e.message);
+            }
+        }
+    }
+
+    /**
+     * Runs a task once the tasks queued before it are done, so overlapping captures do not
+     * overwrite each other's snapshot lists or seal with a key that is being replaced.
+     * @private
+     * @param {function(): Promise<*>} task
+     * @returns {Promise<*>} The result of the task
+     */
+    _enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => null);
+        return result;
+    }
+
+    // ==================== DIFF ====================
+
+    /**
+     * Counts the items in a state.
+     * @param {{cards: Array<Object>}} state - Serialized cards and household
+     * @returns {{cards: number, benefits: number, minimumSpends: number}}
+     */
+    static countItems({ cards }) {
+        return {
+            cards: cards.length,
+            benefits: cards.reduce((sum, card) => sum + (card.benefits || []).length, 0),
+            minimumSpends: cards.reduce((sum, card) => sum + (card.minimumSpends || []).length, 0)
+        };
+    }
+
+    /**
+     * Describes what restoring a snapshot would change.
+     * @param {{cards: Array<Object>, household: Object|null}} current - Serialized current state
+     * @param {{cards: Array<Object>, household: Object|null}} snapshot - Serialized snapshot state
+     * @returns {Array<{change: string, label: string, fields: Array<string>}>}
+     *   change is 'restored' (only in the snapshot), 'removed' (only in current state) or 'changed'
+     */
+    static diff(current, snapshot) {
+        const changes = [];
+        const compare = (currentItems, snapshotItems, labelOf, describeChildren) => {
+            snapshotItems.forEach(item => {
+                const match = currentItems.find(other => other.id === item.id);
+                if (!match) {
+                    changes.push({ change: 'restored', label: labelOf(item), fields: [] });
+                    return;
+                }
+                const fields = SnapshotManager._changedFields(match, item);
+                if (fields.length > 0) changes.push({ change: 'changed', label: labelOf(item), fields });
+                if (describeChildren) describeChildren(match, item);
+            });
+            currentItems.forEach(item => {
+                if (!snapshotItems.some(other => other.id === item.id)) {
+                    changes.push({ change: 'removed', label: labelOf(item), fields: [] });
+                }
+            });
+        };
+
+        compare(current.cards, snapshot.cards, card => card.name, (currentCard, snapshotCard) => {
+            compare(currentCard.benefits || [], snapshotCard.benefits || [],
+                benefit => `${snapshotCard.name} › ${benefit.description}`);
+            compare(currentCard.minimumSpends || [], snapshotCard.minimumSpends || [],
+                minSpend => `${snapshotCard.name} › ${minSpend.description}`);
+        });
+        compare((current.household || {}).holders || [], (snapshot.household || {}).holders || [],
+            holder => `Household › ${holder.name}`);
+        return changes;
+    }
+
+    // ==================== INTERNALS ====================
+
+    /**
+     * Lists the top-level fields that differ, ignoring child lists and sync metadata.
+     * Usage ledgers are summarized by their derived usedAmount.
+     * @private
+     */
+    static _changedFields(current, snapshot) {
+        const ignored = ['benefits', 'minimumSpends', 'usageEntries', 'updatedAt'];
+        const fields = [...new Set([...Object.keys(current), ...Object.keys(snapshot)])];
+        return fields.filter(field => !ignored.includes(field)
+            && JSON.stringify(current[field]) !== JSON.stringify(snapshot[field]));
+    }
+
+    /**
+     * @private
+     */
+    _loadLocal() {
+        const stored = localStorage.getItem(SNAPSHOT_STORAGE_KEY);
+        return stored ? JSON.parse(stored) : [];
+    }
+
+    /**
+     * Saves the newest snapshots that fit in the local budget, dropping older ones if the browser quota is exceeded.
+     * @private
+     */
+    _saveLocal(snapshots) {
+        let kept = snapshots.slice(0, this.limit);
+        while (kept.length > 0 && JSON.stringify(kept).length > this.localBudget) {
+            kept = kept.slice(0, -1);
+        }
+        while (kept.length > 0) {
+            try {
+                localStorage.setItem(SNAPSHOT_STORAGE_KEY, JSON.stringify(kept));
+                return;
+            } catch (e) {
+                if (e.name !== 'QuotaExceededError' || kept.length === 1) throw e;
+                kept = kept.slice(0, -1);
+            }
+        }
+        localStorage.removeItem(SNAPSHOT_STORAGE_KEY);
+    }
+
+    /**
+     * @private
+     */
+    async _loadCloud() {
+        const fetchUrl = `${this.cloudUrl}${this.cloudUrl.includes('?') ? '&' : '?'}t=${new Date().getTime()}`;
+        const response = await fetch(fetchUrl, { method: 'GET', cache: 'no-store' });
+        if (response.status === 404) {
+            this.cloudEtag = null;
+            this.cloudExists = false;
+            return [];
+        }
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        const data = await response.json();
+        this.cloudEtag = response.headers.get('ETag');
+        this.cloudExists = true;
+        return data && Array.isArray(data.snapshots) ? data.snapshots : [];
+    }
+
+    /**
+     * Saves the cloud snapshots, failing with StorageConflictError if the object changed since the last load.
+     * @private
+     */
+    async _saveCloud(snapshots) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.cloudEtag) {
+            headers['If-Match'] = this.cloudEtag;
+        } else if (this.cloudExists === false) {
+            headers['If-None-Match'] = '*';
+        }
+        const response = await fetch(this.cloudUrl, {
+            method: 'PUT',
+            headers,
+            body: JSON.stringify({ snapshots: snapshots.slice(0, this.limit) })
+        });
+        if (response.status === 412) throw new StorageConflictError();
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        this.cloudEtag = response.headers.get('ETag');
+        this.cloudExists = true;
+    }
+
+    /**
+     * Applies a change to the cloud snapshots, re-reading and retrying when another device wrote in between.
+     * @param {function(Array<Object>): Array<Object>} change - Returns the new list from the current one
+     * @private
+     */
+    async _updateCloud(change) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                await this._saveCloud(change(await this._loadCloud()));
+                return;
+            } catch (e) {
+                if (!(e instanceof StorageConflictError) || attempt >= SNAPSHOT_CLOUD_ATTEMPTS) throw e;
+            }
+        }
+    }
+}
@@ -0,0 +1,358 @@
+/**
+ * Bank/issuer CSV statement import toward minimum spends.
+ *
+ * A column mapping tells the importer where the date, description and amount are:
+ *   { date, description, amount, debit, credit, dateFormat, spendSign }
+ * Column values are header names. Either `amount` (with `spendSign` 'positive' or
+ * 'negative' saying how purchases are signed) or `debit`/`credit` columns are used.
+ *
+ * Only purchases count as qualifying spend; payments, refunds and other credits are skipped.
+ * Every applied transaction is remembered on the minimum spend by a key derived from
+ * its contents, so importing the same statement again adds nothing.
+ *
+ * The same transactions record benefit usage through per-benefit matching rules
+ * (merchant regex, purchase or statement credit, amount range, date window). Matched
+ * usage entries keep the transaction key, which also makes re-imports idempotent.
+ */
+const StatementImport = {
+    DATE_FORMATS: ['YYYY-MM-DD', 'MM/DD/YYYY', 'DD/MM/YYYY'],
+
+    /**
+     * Parses CSV text into rows of fields (RFC 4180: quoted fields, doubled quotes, CRLF or LF).
+     * @param {string} text - File contents
+     * @returns {Array<Array<string>>} Non-empty rows
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        const source = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    },
+
+    /**
+     * Suggests a mapping from common statement headers.
+     * @param {Array<string>} headers - The header row
+     * @returns {Object} Column mapping
+     */
+    guessMapping(headers) {
+        const find = (...patterns) => headers.find(header =>
+            patterns.some(pattern => pattern.test(header.trim()))) || null;
+        const mapping = {
+            date: find(/^(transaction |trans\.? |posted |post )?date$/i, /date/i),
+            description: find(/^description$/i, /merchant|payee|description|details|name/i),
+            amount: find(/^amount$/i, /amount/i),
+            debit: find(/^debit$/i, /debit|withdrawal/i),
+            credit: find(/^credit$/i, /credit|deposit|payment/i),
+            dateFormat: 'MM/DD/YYYY',
+            spendSign: 'negative'
+        };
+        // Separate debit/credit columns take precedence over a signed amount
+        if (mapping.debit) mapping.amount = null;
+        return mapping;
+    },
+
+    /**
+     * Reads the transactions of a statement.
+     * @param {Array<Array<string>>} rows - Parsed CSV rows, header first
+     * @param {Object} mapping - Column mapping
+     * @returns {{transactions: Array<{key: string, date: Date, description: string, amount: number}>, errors: Array<string>}}
+     *   amount is positive for purchases and negative for credits
+     */
+    readTransactions(rows, mapping) {
+        const [headers, ...records] = rows;
+        const column = name => (mapping[name] ? headers.indexOf(mapping[name]) : -1);
+        const dateIndex = column('date');
+        const descriptionIndex = column('description');
+        const amountIndex = column('amount');
+        const debitIndex = column('debit');
+        const creditIndex = column('credit');
+
+        if (dateIndex === -1) return { transactions: [], errors: ['Choose the date column.'] };
+        if (amountIndex === -1 && debitIndex === -1) {
+            return { transactions: [], errors: ['Choose an amount column or a debit column.'] };
+        }
+
+        const transactions = [];
+        const errors = [];
+        const occurrences = new Map();
+        records.forEach((record, index) => {
+            const line = index + 2;
+            const date = this.parseDate(record[dateIndex], mapping.dateFormat);
+            if (!date) {
+                errors.push(`Line ${line}: unreadable date "${record[dateIndex] || ''}".`);
+                return;
+            }
+
+            let amount;
+            if (amountIndex !== -1) {
+                amount = this.parseAmount(record[amountIndex]);
+                if (amount !== null && mapping.spendSign === 'negative') amount = -amount;
+            } else {
+                const debit = this.parseAmount(record[debitIndex]);
+                const credit = creditIndex !== -1 ? this.parseAmount(record[creditIndex]) : null;
+                amount = debit === null && credit === null
+                    ? null
+                    : Math.abs(debit || 0) - Math.abs(credit || 0);
+            }
+            if (amount === null) {
+                errors.push(`Line ${line}: unreadable amount.`);
+                return;
+            }
+
+            const description = descriptionIndex !== -1 ? (record[descriptionIndex] || '').trim() : '';
+            // Identical lines (two coffees on one day) are told apart by their position among duplicates
+            const base = `${this._formatDate(date)}|${amount.toFixed(2)}|${description.toLowerCase()}`;
+            const occurrence = (occurrences.get(base) || 0) + 1;
+            occurrences.set(base, occurrence);
+            transactions.push({ key: `${base}|${occurrence}`, date, description, amount });
+        });
+        return { transactions, errors };
+    },
+
+    /**
+     * Selects the purchases that count toward a minimum spend's current period.
+     * @param {MinimumSpend} minSpend
+     * @param {Array<Object>} transactions - From readTransactions
+     * @param {Date} currentDate - The reference date
+     * @returns {{qualifying: Array<Object>, duplicates: number, outOfPeriod: number, credits: number}}
+     */
+    selectQualifying(minSpend, transactions, currentDate) {
+        const { start, end } = this.getPeriod(minSpend, currentDate);
+        const imported = new Set(minSpend.importedTransactionKeys);
+        const result = { qualifying: [], duplicates: 0, outOfPeriod: 0, credits: 0 };
+        transactions.forEach(transaction => {
+            if (transaction.amount <= 0) {
+                result.credits++;
+            } else if ((start && transaction.date < start) || (end && transaction.date >= end)) {
+                result.outOfPeriod++;
+            } else if (imported.has(transaction.key)) {
+                result.duplicates++;
+            } else {
+                result.qualifying.push(transaction);
+            }
+        });
+        return result;
+    },
+
+    /**
+     * Adds the qualifying purchases to a minimum spend's spend log and remembers them.
+     * @param {MinimumSpend} minSpend
+     * @param {Array<Object>} transactions - From readTransactions
+     * @param {Date} currentDate - The reference date
+     * @returns {{added: number, total: number, duplicates: number, outOfPeriod: number, credits: number, isNewlyMet: boolean}}
+     */
+    apply(minSpend, transactions, currentDate) {
+        const { qualifying, duplicates, outOfPeriod, credits } = this.selectQualifying(minSpend, transactions, currentDate);
+        const total = Math.round(qualifying.reduce((sum, t) => sum + t.amount, 0) * 100) / 100;
+        const wasMet = minSpend.isMet;
+        qualifying.forEach(transaction => {
+            minSpend.addSpend(transaction.amount, currentDate, {
+                date: transaction.date,
+                merchant: transaction.description,
+                transactionKey: transaction.key
+            });
+        });
+        const isNewlyMet = !wasMet && minSpend.isMet;
+        minSpend.importedTransactionKeys.push(...qualifying.map(t => t.key));
+        return { added: qualifying.length, total, duplicates, outOfPeriod, credits, isNewlyMet };
+    },
+
+    /**
+     * Gets the window of a minimum spend's current period.
+     * @param {MinimumSpend} minSpend
+     * @param {Date} currentDate - The reference date
+     * @returns {{start: Date|null, end: Date|null}} start inclusive, end exclusive (null when open-ended)
+     */
+    getPeriod(minSpend, currentDate) {
+        const start = minSpend.lastReset ? new Date(minSpend.lastReset) : null;
+        if (start) start.setHours(0, 0, 0, 0);
+        const deadline = minSpend.getDeadline(currentDate);
+        let end = null;
+        if (deadline) {
+            // The deadline day itself still counts
+            end = new Date(deadline);
+            end.setHours(0, 0, 0, 0);
+            end.setDate(end.getDate() + 1);
+        }
+        return { start, end };
+    },
+
+    // ==================== BENEFIT MATCHING ====================
+
+    /**
+     * Checks a transaction against a matching rule.
+     * @param {Object} rule - {merchantPattern, transactionType, minAmount, maxAmount, activeFrom, activeUntil};
+     *   activeFrom/activeUntil are absolute dates (YYYY-MM-DD) bounding a limited-time offer, in every period
+     * @param {Object} transaction - From readTransactions
+     * @returns {boolean}
+     */
+    ruleMatches(rule, transaction) {
+        const isCredit = transaction.amount < 0;
+        if (rule.transactionType === 'purchase' && isCredit) return false;
+        if (rule.transactionType === 'credit' && !isCredit) return false;
+
+        const amount = Math.abs(transaction.amount);
+        if (rule.minAmount !== null && rule.minAmount !== undefined && amount < rule.minAmount) return false;
+        if (rule.maxAmount !== null && rule.maxAmount !== undefined && amount > rule.maxAmount) return false;
+
+        const day = this._formatDate(transaction.date);
+        if (rule.activeFrom && day < rule.activeFrom) return false;
+        if (rule.activeUntil && day > rule.activeUntil) return false;
+
+        let pattern;
+        try {
+            pattern = new RegExp(rule.merchantPattern, 'i');
+        } catch (e) {
+            return false;
+        }
+        return pattern.test(transaction.description);
+    },
+
+    /**
+     * Records usage on a benefit for every new transaction one of its rules matches
+     * within the current period. Carryover benefits are not matched.
+     * Matching transactions outside the current period are skipped and counted, as for minimum spends.
+     * @param {Benefit} benefit
+     * @param {Array<Object>} transactions - From readTransactions
+     * @param {Date} currentDate - The reference date
+     * @returns {{matched: Array<Object>, total: number, outOfPeriod: number}} The created usage entries
+     */
+    matchBenefit(benefit, transactions, currentDate) {
+        const matched = [];
+        let outOfPeriod = 0;
+        if (benefit.isCarryoverBenefit() || benefit.matchRules.length === 0) return { matched, total: 0, outOfPeriod };
+
+        const { start, end } = this.getBenefitPeriod(benefit, currentDate);
+        [...transactions]
+            .sort((a, b) => a.date - b.date)
+            .forEach(transaction => {
+                if (benefit.hasTransaction(transaction.key)) return;
+                if (!benefit.matchRules.some(rule => this.ruleMatches(rule, transaction))) return;
+                if ((start && transaction.date < start) || (end && transaction.date >= end)) {
+                    outOfPeriod++;
+                    return;
+                }
+                // The ledger caps usage at the credit amount; null once it is used up
+                const entry = benefit.addUsageEntry({
+                    amount: Math.abs(transaction.amount),
+                    date: transaction.date,
+                    merchant: transaction.description,
+                    note: 'Matched from statement',
+                    transactionKey: transaction.key
+                });
+                if (entry) matched.push(entry);
+            });
+        return { matched, total: UsageLedger.getTotal(matched), outOfPeriod };
+    },
+
+    /**
+     * Gets the window of a benefit's current period.
+     * @param {Benefit} benefit
+     * @param {Date} currentDate - The reference date
+     * @returns {{start: Date|null, end: Date|null}} start inclusive, end exclusive (null when open-ended)
+     */
+    getBenefitPeriod(benefit, currentDate) {
+        const start = benefit.lastReset ? new Date(benefit.lastReset) : null;
+        if (start) start.setHours(0, 0, 0, 0);
+        let end = benefit.getNextResetDate(currentDate);
+        if (!end && benefit.expiryDate) {
+            end = this.parseDate(benefit.expiryDate.slice(0, 10), 'YYYY-MM-DD');
+            if (end) end.setDate(end.getDate() + 1);
+        }
+        return { start, end };
+    },
+
+    /**
+     * Describes a matching rule for display.
+     * @param {Object} rule
+     * @returns {string}
+     */
+    describeRule(rule) {
+        const type = { purchase: 'Purchases', credit: 'Statement credits', any: 'Transactions' }[rule.transactionType] || 'Transactions';
+        const parts = [`${type} matching /${rule.merchantPattern}/`];
+        const hasMin = rule.minAmount !== null && rule.minAmount !== undefined;
+        const hasMax = rule.maxAmount !== null && rule.maxAmount !== undefined;
+        if (hasMin && hasMax) parts.push(`$${rule.minAmount.toFixed(2)}–$${rule.maxAmount.toFixed(2)}`);
+        else if (hasMin) parts.push(`from $${rule.minAmount.toFixed(2)}`);
+        else if (hasMax) parts.push(`up to $${rule.maxAmount.toFixed(2)}`);
+        if (rule.activeFrom || rule.activeUntil) parts.push(`offer active ${rule.activeFrom || '…'} to ${rule.activeUntil || '…'}`);
+        return parts.join(', ');
+    },
+
+    // ==================== VALUES ====================
+
+    /**
+     * Parses a statement date.
+     * @param {string} value
+     * @param {string} format - One of DATE_FORMATS
+     * @returns {Date|null}
+     */
+    parseDate(value, format = 'MM/DD/YYYY') {
+        const parts = (value || '').trim().split(/[-/.]/).map(Number);
+        if (parts.length !== 3 || parts.some(isNaN)) return null;
+
+        let year, month, day;
+        if (format === 'YYYY-MM-DD') [year, month, day] = parts;
+        else if (format === 'DD/MM/YYYY') [day, month, year] = parts;
+        else [month, day, year] = parts;
+        if (year < 100) year += 2000;
+
+        const date = new Date(year, month - 1, day);
+        if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+        return date;
+    },
+
+    /**
+     * Parses an amount such as "1,234.56", "$12.00", "-5" or "(5.00)".
+     * @param {string} value
+     * @returns {number|null} null when empty or unreadable
+     */
+    parseAmount(value) {
+        let text = (value || '').trim();
+        if (!text) return null;
+        const negative = /^\(.*\)$/.test(text) || text.includes('-');
+        text = text.replace(/[()$€£,\s-]/g, '');
+        const amount = parseFloat(text);
+        if (isNaN(amount)) return null;
+        return negative ? -amount : amount;
+    },
+
+    /**
+     * @private
+     */
+    _formatDate(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+};
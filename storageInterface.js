@@ -5,20 +5,75 @@
  */
 class StorageInterface {
     /**
-     * Loads the entire application state.
+     * Loads the stored payload as it is, without migrating it.
      * @param {Object} options - Optional parameters (e.g., { signal: AbortSignal })
-     * @returns {Promise<Array<Object>>} A promise that resolves with the application data.
+     * @returns {Promise<Object|Array|null>} The payload, or null if nothing is stored yet
+     */
+    async loadPayload(options = {}) {
+        throw new Error('StorageInterface.loadPayload() must be implemented');
+    }
+
+    /**
+     * Replaces the stored payload.
+     * @param {Object} payload - A versioned payload ({schemaVersion, cards, household} or {schemaVersion, encrypted})
+     * @returns {Promise<void>} A promise that resolves when saving is complete.
+     */
+    async savePayload(payload) {
+        throw new Error('StorageInterface.savePayload(payload) must be implemented');
+    }
+
+    /**
+     * Loads the entire application state, migrated to the current schema.
+     * @param {Object} options - Optional parameters (e.g., { signal: AbortSignal })
+     * @returns {Promise<{cards: Array<Object>, household: Object|null}>} A promise that resolves with the application data.
      */
     async loadData(options = {}) {
-        throw new Error('StorageInterface.loadData() must be implemented');
+        return this.decodePayload(await this.loadPayload(options));
     }
 
     /**
      * Saves the entire application state.
-     * @param {Array<Object>} data The data to save.
+     * @param {{cards: Array<Object>, household: Object|null}} data The data to save.
      * @returns {Promise<void>} A promise that resolves when saving is complete.
      */
     async saveData(data) {
-        throw new Error('StorageInterface.saveData(data) must be implemented');
+        await this.savePayload(this.encodePayload(data));
+    }
+
+    /**
+     * Converts a stored payload of any schema version into the current-format state.
+     * Every store loads through this so they all run the same migrations.
+     * @protected
+     * @param {*} payload - The payload as stored ({schemaVersion, cards, household} or a legacy card array)
+     * @returns {{cards: Array<Object>, household: Object|null}}
+     * @throws {Error} If the payload is encrypted (see EncryptedStore)
+     */
+    decodePayload(payload) {
+        if (payload && payload.encrypted) {
+            throw new Error('The stored data is encrypted and must be opened by EncryptedStore');
+        }
+        const { cards, household } = SchemaMigrations.migrate(payload);
+        return { cards, household };
+    }
+
+    /**
+     * Wraps the state in a payload tagged with the current schema version.
+     * @protected
+     * @param {{cards: Array<Object>, household: Object|null}} data - Serialized cards and household
+     * @returns {{schemaVersion: number, cards: Array<Object>, household: Object|null}}
+     */
+    encodePayload(data) {
+        return SchemaMigrations.createPayload(data);
+    }
+}
+
+/**
+ * Thrown by a store when a save is rejected because the stored data
+ * changed since it was last loaded (e.g. HTTP 412 Precondition Failed).
+ */
+class StorageConflictError extends Error {
+    constructor(message = 'The stored data was changed by another device') {
+        super(message);
+        this.name = 'StorageConflictError';
     }
 }
@@ -0,0 +1,167 @@
+/**
+ * Minimal chart builders that render plain SVG elements.
+ * No external chart library or service is involved; labels are set via textContent.
+ */
+const SvgCharts = {
+    SVG_NS: 'http://www.w3.org/2000/svg',
+
+    /**
+     * Renders horizontal stacked bars, one row per item.
+     * @param {Array<{label: string, values: Object<string, number>}>} rows - Rows to draw
+     * @param {Array<{key: string, label: string, color: string}>} series - Stack segments in draw order
+     * @param {Object} [options]
+     * @param {number} [options.width] - Total chart width in px
+     * @param {number} [options.rowHeight] - Height of each bar in px
+     * @param {number} [options.labelWidth] - Space reserved for row labels in px
+     * @returns {SVGSVGElement}
+     */
+    stackedBarChart(rows, series, { width = 600, rowHeight = 22, labelWidth = 140 } = {}) {
+        const gap = 10;
+        const valueWidth = 80;
+        const height = Math.max(rows.length, 1) * (rowHeight + gap) + gap;
+        const svg = this._createSvg(width, height);
+        const barArea = width - labelWidth - valueWidth;
+        const maxTotal = Math.max(1, ...rows.map(row => this._sum(row.values, series)));
+
+        rows.forEach((row, index) => {
+            const y = gap + index * (rowHeight + gap);
+            svg.appendChild(this._text(row.label, labelWidth - 8, y + rowHeight / 2, { 'text-anchor': 'end' }));
+
+            let x = labelWidth;
+            series.forEach(segment => {
+                const value = row.values[segment.key] || 0;
+                if (value <= 0) return;
+                const segmentWidth = (value / maxTotal) * barArea;
+                const rect = this._el('rect', { x, y, width: segmentWidth, height: rowHeight, fill: segment.color });
+                rect.appendChild(this._title(`${segment.label}: $${value.toFixed(2)}`));
+                svg.appendChild(rect);
+                x += segmentWidth;
+            });
+
+            svg.appendChild(this._text(`$${this._sum(row.values, series).toFixed(0)}`, x + 6, y + rowHeight / 2));
+        });
+
+        return svg;
+    },
+
+    /**
+     * Renders vertical grouped columns, one group per category.
+     * @param {Array<{label: string, values: Object<string, number>}>} groups - Categories along the x axis
+     * @param {Array<{key: string, label: string, color: string}>} series - Columns within each group
+     * @param {Object} [options]
+     * @param {number} [options.width] - Total chart width in px
+     * @param {number} [options.height] - Total chart height in px
+     * @returns {SVGSVGElement}
+     */
+    groupedColumnChart(groups, series, { width = 600, height = 220 } = {}) {
+        const axisHeight = 20;
+        const axisWidth = 50;
+        const topPadding = 10;
+        const svg = this._createSvg(width, height);
+        const plotHeight = height - axisHeight - topPadding;
+        const plotWidth = width - axisWidth;
+        const maxValue = Math.max(1, ...groups.flatMap(group => series.map(s => group.values[s.key] || 0)));
+        const groupWidth = plotWidth / Math.max(groups.length, 1);
+        const columnWidth = Math.max(2, (groupWidth * 0.8) / series.length);
+        // Thin out x-axis labels so long ranges stay readable
+        const labelEvery = Math.ceil(groups.length / 12);
+
+        // Axis with the maximum value for scale
+        svg.appendChild(this._el('line', {
+            x1: axisWidth, y1: topPadding + plotHeight, x2: width, y2: topPadding + plotHeight, stroke: '#ccc'
+        }));
+        svg.appendChild(this._text(`$${maxValue.toFixed(0)}`, axisWidth - 6, topPadding + 6, { 'text-anchor': 'end' }));
+        svg.appendChild(this._text('$0', axisWidth - 6, topPadding + plotHeight, { 'text-anchor': 'end' }));
+
+        groups.forEach((group, groupIndex) => {
+            const groupX = axisWidth + groupIndex * groupWidth + groupWidth * 0.1;
+            series.forEach((column, seriesIndex) => {
+                const value = group.values[column.key] || 0;
+                const columnHeight = (value / maxValue) * plotHeight;
+                const rect = this._el('rect', {
+                    x: groupX + seriesIndex * columnWidth,
+                    y: topPadding + plotHeight - columnHeight,
+                    width: columnWidth,
+                    height: columnHeight,
+                    fill: column.color
+                });
+                rect.appendChild(this._title(`${group.label} ${column.label}: $${value.toFixed(2)}`));
+                svg.appendChild(rect);
+            });
+            if (groupIndex % labelEvery === 0) {
+                svg.appendChild(this._text(group.label, axisWidth + (groupIndex + 0.5) * groupWidth, height - 8, {
+                    'text-anchor': 'middle'
+                }));
+            }
+        });
+
+        return svg;
+    },
+
+    /**
+     * Builds an HTML legend for a set of series.
+     * @param {Array<{label: string, color: string}>} series
+     * @returns {HTMLElement}
+     */
+    legend(series) {
+        const legend = document.createElement('div');
+        legend.className = 'chart-legend';
+        series.forEach(item => {
+            const entry = document.createElement('span');
+            entry.className = 'chart-legend-item';
+            const swatch = document.createElement('span');
+            swatch.className = 'chart-legend-swatch';
+            swatch.style.backgroundColor = item.color;
+            entry.appendChild(swatch);
+            entry.appendChild(document.createTextNode(item.label));
+            legend.appendChild(entry);
+        });
+        return legend;
+    },
+
+    /**
+     * @private
+     */
+    _createSvg(width, height) {
+        return this._el('svg', {
+            viewBox: `0 0 ${width} ${height}`,
+            width: '100%',
+            preserveAspectRatio: 'xMinYMin meet',
+            class: 'svg-chart'
+        });
+    },
+
+    /**
+     * @private
+     */
+    _el(tag, attributes = {}) {
+        const el = document.createElementNS(this.SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => el.setAttribute(name, value));
+        return el;
+    },
+
+    /**
+     * @private
+     */
+    _text(content, x, y, attributes = {}) {
+        const text = this._el('text', { x, y, 'dominant-baseline': 'middle', 'font-size': 11, ...attributes });
+        text.textContent = content;
+        return text;
+    },
+
+    /**
+     * @private
+     */
+    _title(content) {
+        const title = this._el('title');
+        title.textContent = content;
+        return title;
+    },
+
+    /**
+     * @private
+     */
+    _sum(values, series) {
+        return series.reduce((total, s) => total + (values[s.key] || 0), 0);
+    }
+};
@@ -0,0 +1,383 @@
+/**
+ * Three-way merge of serialized cards for syncing between devices.
+ *
+ * Given the last-synced base snapshot, the local state and the remote state,
+ * entities (cards, benefits, minimum spends, the household and their nested
+ * records) are matched by key and merged field by field:
+ *   - a field changed on one side only takes that side's value
+ *   - a field changed on both sides is a conflict, resolved deterministically:
+ *       * usage/progress amounts: the larger value wins
+ *       * everything else: the side with the later updatedAt wins (remote on ties)
+ *   - an entity deleted on one side and edited on the other is kept
+ *   - totals kept next to a ledger are recomputed from the merged entries, and a
+ *     ledger that merging pushes past its credit amount is trimmed back to it
+ * Every conflict is reported so the user can review what was chosen.
+ */
+const SyncMerge = {
+    /**
+     * Describes how each entity type is merged.
+     *   children   - nested arrays merged as entity lists ({type, key})
+     *   derived    - fields recomputed by the models (taken from local as-is)
+     *   largerWins - numeric fields where the larger value wins a conflict
+     *   groups     - fields that must come from the same side; resolved by the group's first (largerWins) field
+     *   totals     - numeric fields recomputed as the total of a merged ledger ({field: ledger})
+     *   caps       - ledgers trimmed, latest entries first, when merging pushes them past a cap
+     *                ({ledger: function(entity, parent): number})
+     *   sets       - lists of keys merged as sets: additions and removals from either side both apply
+     */
+    SCHEMA: {
+        card: {
+            children: {
+                benefits: { type: 'benefit', key: item => item.id },
+                retiredBenefits: { type: 'benefit', key: item => item.id },
+                minimumSpends: { type: 'minimumSpend', key: item => item.id },
+                lifecycle: { type: 'lifecycleEvent', key: item => item.id },
+                cardholders: { type: 'cardholder', key: item => item.holderId }
+            }
+        },
+        household: {
+            children: {
+                holders: { type: 'holder', key: item => item.id }
+            }
+        },
+        benefit: {
+            derived: ['usedAmount'],
+            groups: [['frequency', 'resetType', 'schedule'], ['requiredMinimumSpendId', 'minimumSpendRequirement']],
+            caps: {
+                // Credit amount of the current period; instances are left out as the model would normalize them in place
+                usageEntries: (benefit, card) => Benefit.fromJSON({ ...benefit, earnedInstances: [] }, card.anniversaryDate).getPeriodAmount()
+            },
+            sets: ['unlinkedTransactionKeys'],
+            children: {
+                usageEntries: { type: 'usageEntry', key: item => item.id },
+                earnedInstances: { type: 'earnedInstance', key: item => item.id || item.earnedDate },
+                periodHistory: { type: 'period', key: item => item.id || `${item.periodStart}|${item.periodEnd}` },
+                matchRules: { type: 'matchRule', key: item => item.id }
+            }
+        },
+        minimumSpend: {
+            largerWins: ['currentAmount'],
+            groups: [['currentAmount', 'isMet', 'metDate', 'tiers'], ['frequency', 'resetType', 'schedule']],
+            totals: { currentAmount: 'spendEntries' },
+            sets: ['importedTransactionKeys'],
+            children: {
+                spendEntries: { type: 'usageEntry', key: item => item.id },
+                periodHistory: { type: 'period', key: item => `${item.periodStart}|${item.periodEnd}` }
+            }
+        },
+        earnedInstance: {
+            derived: ['usedAmount'],
+            children: {
+                usageEntries: { type: 'usageEntry', key: item => item.id }
+            }
+        },
+        usageEntry: {
+            largerWins: ['amount']
+        },
+        period: {},
+        lifecycleEvent: {},
+        cardholder: {},
+        holder: {}
+    },
+
+    /**
+     * Merges local and remote cards against their common base.
+     * @param {Array<Object>|null} base - Serialized cards as last synced (null if unknown)
+     * @param {Array<Object>} local - Serialized local cards
+     * @param {Array<Object>} remote - Serialized remote cards
+     * @returns {{merged: Array<Object>, conflicts: Array<Object>}}
+     */
+    mergeCards(base, local, remote) {
+        const conflicts = [];
+        const merged = this._mergeList('card', base || [], local, remote, item => item.id, conflicts, []);
+        return { merged, conflicts };
+    },
+
+    /**
+     * Merges local and remote state (the cards and the household) against their common base.
+     * @param {{cards: Array<Object>, household: Object|null}|null} base - Serialized state as last synced (null if unknown)
+     * @param {{cards: Array<Object>, household: Object|null}} local - Serialized local state
+     * @param {{cards: Array<Object>, household: Object|null}} remote - Serialized remote state
+     * @returns {{merged: {cards: Array<Object>, household: Object|null}, conflicts: Array<Object>}}
+     */
+    mergeState(base, local, remote) {
+        const { merged: cards, conflicts } = this.mergeCards(base ? base.cards : null, local.cards, remote.cards);
+        // The household is a list of at most one, so adding or deleting it merges like any entity
+        const households = [base, local, remote].map(state => (state && state.household ? [state.household] : []));
+        const [household = null] = this._mergeList('household', ...households, () => 'household', conflicts, []);
+        return { merged: { cards, household }, conflicts };
+    },
+
+    /**
+     * Sets updatedAt on every card, benefit and minimum spend that differs from the base snapshot.
+     * @param {Array<Object>|null} base - Serialized cards as last synced
+     * @param {Array<Card>} cards - Card model instances (mutated)
+     * @param {Date} now - Timestamp to record
+     */
+    stampChanges(base, cards, now) {
+        const timestamp = now.toISOString();
+        const baseCards = base || [];
+        const changed = (model, baseData) => {
+            const { updatedAt: _current, ...data } = this._ownFields('card', model);
+            if (!baseData) return true;
+            const { updatedAt: _base, ...previous } = this._ownFields('card', baseData);
+            return !this._equal(data, previous);
+        };
+
+        cards.forEach(card => {
+            const baseCard = baseCards.find(c => c.id === card.id);
+            if (changed(card.toJSON(), baseCard)) card.updatedAt = timestamp;
+
+            [['benefits', card.benefits], ['minimumSpends', card.minimumSpends]].forEach(([field, models]) => {
+                const baseItems = baseCard ? baseCard[field] || [] : [];
+                models.forEach(model => {
+                    const baseItem = baseItems.find(item => item.id === model.id);
+                    const { updatedAt: _current, ...data } = model.toJSON();
+                    const { updatedAt: _base, ...previous } = baseItem || {};
+                    if (!baseItem || !this._equal(data, previous)) model.updatedAt = timestamp;
+                });
+            });
+        });
+    },
+
+    /**
+     * Sets updatedAt on the household if it differs from the base snapshot.
+     * @param {Object|null} base - Serialized household as last synced
+     * @param {Household} household - The household (mutated)
+     * @param {Date} now - Timestamp to record
+     */
+    stampHousehold(base, household, now) {
+        const { updatedAt: _current, ...data } = household.toJSON();
+        const { updatedAt: _base, ...previous } = base || { holders: [] };
+        if (!this._equal(data, previous)) household.updatedAt = now.toISOString();
+    },
+
+    /**
+     * Formats a conflict for display.
+     * @param {Object} conflict - An entry from mergeCards().conflicts
+     * @returns {string}
+     */
+    describeConflict(conflict) {
+        const where = conflict.path.join(' › ');
+        if (conflict.rule === 'edit-kept') {
+            return `${where}: deleted on ${conflict.deletedOn === 'local' ? 'this device' : 'another device'} but edited on the other; kept the edited version.`;
+        }
+        const reasons = {
+            'larger-wins': 'larger amount kept',
+            'capped': 'usage from both devices capped at the credit amount',
+            'latest-edit': 'latest edit kept'
+        };
+        const reason = reasons[conflict.rule];
+        return `${where} — ${conflict.field}: this device "${this._format(conflict.local)}", other device "${this._format(conflict.remote)}" → "${this._format(conflict.resolved)}" (${reason})`;
+    },
+
+    // ==================== INTERNALS ====================
+
+    /**
+     * Merges two keyed lists of entities against their base list.
+     * @private
+     */
+    _mergeList(type, baseList, localList, remoteList, keyOf, conflicts, path, parent = null) {
+        const index = list => new Map(list.map(item => [keyOf(item), item]));
+        const baseMap = index(baseList);
+        const localMap = index(localList);
+        const remoteMap = index(remoteList);
+
+        // Keep the order of the side that changed it (local first when both did)
+        const baseKeys = [...baseMap.keys()];
+        const localKeys = [...localMap.keys()];
+        const remoteKeys = [...remoteMap.keys()];
+        const localReordered = !this._equal(localKeys, baseKeys);
+        const primary = localReordered ? localKeys : remoteKeys;
+        const secondary = localReordered ? remoteKeys : localKeys;
+        const orderedKeys = [...primary, ...secondary.filter(key => !primary.includes(key))];
+
+        const merged = [];
+        orderedKeys.forEach(key => {
+            const baseItem = baseMap.get(key);
+            const localItem = localMap.get(key);
+            const remoteItem = remoteMap.get(key);
+
+            if (localItem && remoteItem) {
+                merged.push(this._mergeEntity(type, baseItem, localItem, remoteItem, conflicts, path, parent));
+                return;
+            }
+
+            const [item, deletedOn] = localItem ? [localItem, 'remote'] : [remoteItem, 'local'];
+            if (!baseItem) {
+                merged.push(item); // Added on one side
+            } else if (!this._equal(item, baseItem)) {
+                merged.push(item); // Deleted on one side, edited on the other: keep the edit
+                conflicts.push({ path: [...path, this._label(type, item)], field: null, rule: 'edit-kept', deletedOn });
+            }
+            // Otherwise deleted on one side and untouched on the other: drop it
+        });
+        return merged;
+    },
+
+    /**
+     * Merges a single entity field by field.
+     * @private
+     * @param {Object|null} parent - The local version of the entity the list belongs to (e.g. the card of a benefit)
+     */
+    _mergeEntity(type, base, local, remote, conflicts, path, parent) {
+        if (this._equal(local, remote)) return local;
+        if (base && this._equal(local, base)) return remote;
+        if (base && this._equal(remote, base)) return local;
+
+        const schema = this.SCHEMA[type] || {};
+        const children = schema.children || {};
+        const derived = schema.derived || [];
+        const largerWins = schema.largerWins || [];
+        const groups = schema.groups || [];
+        const totals = schema.totals || {};
+        const caps = schema.caps || {};
+        const sets = schema.sets || [];
+        // Name the entity as it was before the edits so the report is recognizable
+        const entityPath = [...path, this._label(type, base || local)];
+        const baseData = base || {};
+        const localIsLatest = (local.updatedAt || '') > (remote.updatedAt || '');
+
+        const fields = [...new Set([...Object.keys(local), ...Object.keys(remote)])];
+        const changedOnBoth = field => !this._equal(local[field], remote[field])
+            && !this._equal(local[field], baseData[field])
+            && !this._equal(remote[field], baseData[field]);
+
+        // Grouped fields are taken together from one side when any of them conflicts
+        const groupWinner = new Map();
+        groups.forEach(group => {
+            if (!group.some(changedOnBoth)) return;
+            const [lead] = group;
+            const useLocal = largerWins.includes(lead)
+                ? (local[lead] || 0) >= (remote[lead] || 0)
+                : localIsLatest;
+            group.forEach(field => groupWinner.set(field, useLocal ? 'local' : 'remote'));
+        });
+
+        const result = {};
+        fields.forEach(field => {
+            if (field === 'updatedAt') {
+                result.updatedAt = localIsLatest ? local.updatedAt : (remote.updatedAt || local.updatedAt || null);
+                return;
+            }
+            if (children[field]) {
+                const child = children[field];
+                result[field] = this._mergeList(child.type, baseData[field] || [], local[field] || [],
+                    remote[field] || [], child.key, conflicts, entityPath, local);
+                return;
+            }
+            if (derived.includes(field) || totals[field]) {
+                result[field] = local[field];
+                return;
+            }
+            if (sets.includes(field)) {
+                result[field] = this._mergeSet(baseData[field] || [], local[field] || [], remote[field] || []);
+                return;
+            }
+
+            const localValue = local[field];
+            const remoteValue = remote[field];
+            if (!changedOnBoth(field)) {
+                result[field] = this._equal(localValue, baseData[field]) && field in remote ? remoteValue : localValue;
+                return;
+            }
+
+            let rule;
+            let useLocal;
+            if (groupWinner.has(field)) {
+                rule = largerWins.includes(groups.find(group => group.includes(field))[0]) ? 'larger-wins' : 'latest-edit';
+                useLocal = groupWinner.get(field) === 'local';
+            } else if (largerWins.includes(field)) {
+                rule = 'larger-wins';
+                useLocal = (localValue || 0) >= (remoteValue || 0);
+            } else {
+                rule = 'latest-edit';
+                useLocal = localIsLatest;
+            }
+            result[field] = useLocal ? localValue : remoteValue;
+            conflicts.push({
+                path: entityPath,
+                field,
+                local: localValue,
+                remote: remoteValue,
+                resolved: result[field],
+                rule
+            });
+        });
+
+        Object.keys(caps).forEach(ledger => {
+            if (!Array.isArray(result[ledger])) return;
+            // Only trim what merging added: either side may already be past the cap on its own
+            const localTotal = UsageLedger.getTotal(local[ledger]);
+            const remoteTotal = UsageLedger.getTotal(remote[ledger]);
+            const cap = Math.max(caps[ledger](result, parent || {}), localTotal, remoteTotal);
+            if (UsageLedger.getTotal(result[ledger]) <= cap) return;
+            result[ledger] = UsageLedger.capTotal(result[ledger], cap);
+            conflicts.push({ path: entityPath, field: 'usedAmount', local: localTotal, remote: remoteTotal, resolved: cap, rule: 'capped' });
+        });
+        Object.keys(totals).forEach(field => {
+            const ledger = totals[field];
+            if (Array.isArray(result[ledger])) result[field] = UsageLedger.getTotal(result[ledger]);
+        });
+        return result;
+    },
+
+    /**
+     * Merges two lists of keys against their base list: keys added on either side are kept,
+     * keys removed on either side are dropped.
+     * @private
+     */
+    _mergeSet(baseList, localList, remoteList) {
+        const removed = key => baseList.includes(key) && !(localList.includes(key) && remoteList.includes(key));
+        return [...new Set([...localList, ...remoteList])].filter(key => !removed(key));
+    },
+
+    /**
+     * Gets the fields of an entity excluding its child lists.
+     * @private
+     */
+    _ownFields(type, data) {
+        const children = (this.SCHEMA[type] || {}).children || {};
+        const own = {};
+        Object.keys(data).forEach(field => {
+            if (!children[field]) own[field] = data[field];
+        });
+        return own;
+    },
+
+    /**
+     * Human-readable name of an entity for conflict reports.
+     * @private
+     */
+    _label(type, item) {
+        switch (type) {
+            case 'card': return item.name;
+            case 'benefit':
+            case 'minimumSpend': return item.description;
+            case 'usageEntry': return `Usage on ${String(item.date).slice(0, 10)}`;
+            case 'earnedInstance': return `Credit earned ${String(item.earnedDate).slice(0, 10)}`;
+            case 'period': return `Period ending ${String(item.periodEnd).slice(0, 10)}`;
+            case 'matchRule': return `Matching rule /${item.merchantPattern}/`;
+            case 'household': return 'Household';
+            case 'cardholder': return `Cardholder role (${item.role})`;
+            case 'holder': return `Cardholder ${item.name}`;
+            default: return type;
+        }
+    },
+
+    /**
+     * @private
+     */
+    _format(value) {
+        if (value === null || value === undefined) return '—';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    },
+
+    /**
+     * @private
+     */
+    _equal(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+};
@@ -36,12 +36,29 @@ function loadModule(filepath) {
 
 // Load all required modules in dependency order
 // __dirname is the tests directory, so we need to go up one level to reach project root
+loadModule(path.join(__dirname, '../schemaMigrations.js'));
+loadModule(path.join(__dirname, '../storageInterface.js'));
+loadModule(path.join(__dirname, '../localStorageStore.js'));
+loadModule(path.join(__dirname, '../indexedDBStore.js'));
+loadModule(path.join(__dirname, '../cloudStore.js'));
+loadModule(path.join(__dirname, '../encryptedStore.js'));
+loadModule(path.join(__dirname, '../snapshotManager.js'));
+loadModule(path.join(__dirname, '../syncMerge.js'));
+loadModule(path.join(__dirname, '../historyManager.js'));
 loadModule(path.join(__dirname, '../models/ExpiryCycle.js'));
 loadModule(path.join(__dirname, '../models/CarryoverCycle.js'));
+loadModule(path.join(__dirname, '../models/UsageLedger.js'));
 loadModule(path.join(__dirname, '../models/MinimumSpend.js'));
+loadModule(path.join(__dirname, '../models/SpendRequirement.js'));
+loadModule(path.join(__dirname, '../models/Household.js'));
 loadModule(path.join(__dirname, '../models/Benefit.js'));
 loadModule(path.join(__dirname, '../models/Card.js'));
 loadModule(path.join(__dirname, '../dateUtils.js'));
+loadModule(path.join(__dirname, '../analytics.js'));
+loadModule(path.join(__dirname, '../backup.js'));
+loadModule(path.join(__dirname, '../csvExport.js'));
+loadModule(path.join(__dirname, '../statementImport.js'));
+loadModule(path.join(__dirname, '../cardCatalog.js'));
 
 // ANSI color codes for terminal output (ESC[<code>m format)
 // Using built-in codes to avoid external dependencies
@@ -142,6 +159,23 @@ function assertDateEquals(actual, expected, message = '') {
     }
 }
 
+// Creates the app without a browser: the DOM is stubbed and rendering does nothing
+function createHeadlessApp({ storage = null, localStorage = null } = {}) {
+    const element = () => ({
+        addEventListener: () => {}, style: {}, textContent: '', value: '', querySelectorAll: () => []
+    });
+    global.document = { getElementById: element, querySelector: element, querySelectorAll: () => [], addEventListener: () => {} };
+    global.localStorage = localStorage || { getItem: () => null, setItem: () => {}, removeItem: () => {} };
+    global.UIRenderer = class { constructor(app) { this.app = app; } };
+    if (typeof BenefitTrackerApp === 'undefined') {
+        loadModule(path.join(__dirname, '../app.js'));
+    }
+    const app = new BenefitTrackerApp();
+    if (storage) app.storage = storage;
+    app.render = () => {};
+    return app;
+}
+
 // Initialize test runner
 const runner = new TestRunner();
 
@@ -730,6 +764,2614 @@ runner.suite('Expiring Soon Detection', ({ test }) => {
     });
 });
 
+// Test Suite 8: Usage Ledger
+runner.suite('Usage Ledger', ({ test }) => {
+    test('Legacy scalar usedAmount migrates into a single synthetic entry', () => {
+        const benefit = Benefit.fromJSON({
+            description: 'Monthly $50 credit',
+            totalAmount: 50,
+            usedAmount: 30,
+            frequency: 'monthly',
+            resetType: 'calendar',
+            lastReset: '2024-01-01'
+        });
+
+        assertArrayLength(benefit.usageEntries, 1, 'Should have one synthetic entry');
+        assertEquals(benefit.usageEntries[0].amount, 30, 'Synthetic entry should carry the old amount');
+        assertEquals(benefit.usedAmount, 30, 'usedAmount should be derived from the ledger');
+
+        const json = benefit.toJSON();
+        assertEquals(json.usedAmount, 30, 'Serialized usedAmount should be kept for older readers');
+        assertArrayLength(json.usageEntries, 1, 'Serialized ledger should contain the entry');
+
+        // Round trip must not duplicate the synthetic entry
+        const restored = Benefit.fromJSON(json);
+        assertArrayLength(restored.usageEntries, 1, 'Round trip should keep a single entry');
+        assertEquals(restored.usedAmount, 30, 'Round trip should keep the used amount');
+    });
+
+    test('Zero legacy usage produces an empty ledger', () => {
+        const benefit = new Benefit({
+            description: 'Monthly $50 credit',
+            totalAmount: 50,
+            frequency: 'monthly',
+            resetType: 'calendar',
+            lastReset: '2024-01-01'
+        });
+        assertArrayLength(benefit.usageEntries, 0, 'Should have no entries');
+        assertEquals(benefit.usedAmount, 0, 'Should have nothing used');
+    });
+
+    test('Add, edit and delete entries keep usedAmount in sync', () => {
+        const benefit = new Benefit({
+            description: 'Uber Cash',
+            totalAmount: 15,
+            frequency: 'monthly',
+            resetType: 'calendar',
+            lastReset: '2024-03-01'
+        });
+
+        const first = benefit.addUsageEntry({ amount: 6, date: '2024-03-04', merchant: 'Uber', note: 'Ride' });
+        benefit.addUsageEntry({ amount: 4.5, date: '2024-03-02', merchant: 'Uber Eats' });
+        assertEquals(benefit.usedAmount, 10.5, 'Should sum both entries');
+        assertEquals(benefit.getUsageEntries()[0].merchant, 'Uber Eats', 'Entries should be sorted by date');
+
+        benefit.updateUsageEntry(first.id, { amount: 8, note: 'Airport ride' });
+        assertEquals(benefit.usedAmount, 12.5, 'Edited amount should be reflected');
+        assertEquals(first.note, 'Airport ride', 'Note should be updated');
+
+        assertTrue(benefit.removeUsageEntry(first.id), 'Should remove the entry');
+        assertEquals(benefit.usedAmount, 4.5, 'Removed entry should no longer count');
+    });
+
+    test('Entries are capped at the credit amount', () => {
+        const benefit = new Benefit({
+            description: 'Uber Cash',
+            totalAmount: 15,
+            frequency: 'monthly',
+            resetType: 'calendar',
+            lastReset: '2024-03-01'
+        });
+
+        const entry = benefit.addUsageEntry({ amount: 20, date: '2024-03-04' });
+        assertEquals(entry.amount, 15, 'Entry should be capped at the remaining credit');
+        assertEquals(benefit.addUsageEntry({ amount: 5, date: '2024-03-05' }), null, 'Nothing left to record');
+        assertEquals(benefit.addUsageEntry({ amount: -5, date: '2024-03-05' }), null, 'Negative amounts are rejected');
+    });
+
+    test('setUsedAmount records an adjustment and reset clears the ledger', () => {
+        const benefit = new Benefit({
+            description: 'Monthly $50 credit',
+            totalAmount: 50,
+            frequency: 'monthly',
+            resetType: 'calendar',
+            lastReset: '2024-01-01'
+        });
+
+        benefit.addUsageEntry({ amount: 10, date: '2024-01-05' });
+        benefit.setUsedAmount(25, new Date('2024-01-10'));
+        assertEquals(benefit.usedAmount, 25, 'Used amount should match the set value');
+        assertArrayLength(benefit.usageEntries, 2, 'Adjustment should be a separate entry');
+        assertEquals(benefit.usageEntries[1].amount, 15, 'Adjustment should record the difference');
+
+        benefit.markFullyClaimed(new Date('2024-01-11'));
+        assertEquals(benefit.getRemainingAmount(), 0, 'Should be fully claimed');
+
+        benefit.reset(new Date('2024-02-01'));
+        assertEquals(benefit.usedAmount, 0, 'Reset should clear usage');
+    });
+
+    test('Carryover instance ledgers are independent', () => {
+        const benefit = new Benefit({
+            description: 'Carryover $300 credit',
+            totalAmount: 300,
+            frequency: 'carryover',
+            isCarryover: true,
+            earnedInstances: [
+                { earnedDate: '2023-06-15', usedAmount: 100 },
+                { earnedDate: '2024-06-15', usedAmount: 0 }
+            ]
+        });
+
+        assertArrayLength(benefit.earnedInstances[0].usageEntries, 1, 'Legacy instance usage should migrate');
+        benefit.addUsageEntry({ amount: 50, date: '2024-07-01', merchant: 'Airline' }, 1);
+
+        assertEquals(benefit.earnedInstances[0].usedAmount, 100, '2023 instance unchanged');
+        assertEquals(benefit.earnedInstances[1].usedAmount, 50, '2024 instance usage derived from its ledger');
+        assertEquals(benefit.usedAmount, 0, 'Benefit-level ledger unaffected');
+        assertEquals(benefit.getTotalCarryoverRemaining(new Date('2024-12-01')), 450, 'Remaining across instances');
+    });
+});
+
+// Test Suite 9: Period History
+runner.suite('Period History', ({ test }) => {
+    test('Reset archives the closing period with its usage', () => {
+        const benefit = new Benefit({
+            description: 'Monthly $50 credit',
+            totalAmount: 50,
+            frequency: 'monthly',
+            resetType: 'calendar',
+            lastReset: new Date(2024, 0, 1).toISOString()
+        });
+        benefit.addUsageEntry({ amount: 20, date: new Date(2024, 0, 10), merchant: 'Store' });
+
+        // Reset applied a few days late still closes the period on Jan 31
+        benefit.reset(new Date(2024, 1, 3));
+
+        assertArrayLength(benefit.periodHistory, 1, 'Should archive one period');
+        const record = benefit.periodHistory[0];
+        assertEquals(new Date(record.periodStart).toDateString(), new Date(2024, 0, 1).toDateString(), 'Period start should be the last reset');
+        assertEquals(new Date(record.periodEnd).toDateString(), new Date(2024, 0, 31).toDateString(), 'Period end should be the day before the scheduled reset');
+        assertEquals(record.usedAmount, 20, 'Should record the used amount');
+        assertEquals(record.totalAmount, 50, 'Should record the credit amount');
+        assertArrayLength(record.usageEntries, 1, 'Should keep the ledger entries');
+        assertFalse(record.autoClaimed, 'Should not be flagged auto-claimed');
+        assertFalse(record.ignored, 'Should not be flagged ignored');
+        assertEquals(benefit.usedAmount, 0, 'New period starts empty');
+    });
+
+    test('Auto-claimed and ignored periods are flagged', () => {
+        const autoClaimed = new Benefit({
+            description: 'Monthly $10 credit',
+            totalAmount: 10,
+            frequency: 'monthly',
+            resetType: 'calendar',
+            lastReset: new Date(2024, 0, 1).toISOString(),
+            autoClaim: true,
+            autoClaimEndDate: new Date(2024, 11, 31).toISOString()
+        });
+        autoClaimed.markFullyClaimed(new Date(2024, 0, 1));
+        autoClaimed.reset(new Date(2024, 1, 1));
+        assertTrue(autoClaimed.periodHistory[0].autoClaimed, 'Should be flagged auto-claimed');
+        assertEquals(autoClaimed.periodHistory[0].usedAmount, 10, 'Auto-claimed period should be fully used');
+
+        const ignored = new Benefit({
+            description: 'Monthly $10 credit',
+            totalAmount: 10,
+            frequency: 'monthly',
+            resetType: 'calendar',
+            lastReset: new Date(2024, 0, 1).toISOString(),
+            ignored: true,
+            ignoredEndDate: new Date(2024, 11, 31).toISOString()
+        });
+        ignored.reset(new Date(2024, 1, 1));
+        assertTrue(ignored.periodHistory[0].ignored, 'Should be flagged ignored');
+    });
+
+    test('History is returned most recent first and survives serialization', () => {
+        const benefit = new Benefit({
+            description: 'Monthly $50 credit',
+            totalAmount: 50,
+            frequency: 'monthly',
+            resetType: 'calendar',
+            lastReset: new Date(2024, 0, 1).toISOString()
+        });
+        benefit.setUsedAmount(50, new Date(2024, 0, 15));
+        benefit.reset(new Date(2024, 1, 1));
+        benefit.setUsedAmount(10, new Date(2024, 1, 15));
+        benefit.reset(new Date(2024, 2, 1));
+
+        const history = benefit.getPeriodHistory();
+        assertArrayLength(history, 2, 'Should have two periods');
+        assertEquals(history[0].usedAmount, 10, 'February should come first');
+        assertEquals(history[1].usedAmount, 50, 'January should come last');
+
+        const restored = Benefit.fromJSON(JSON.parse(JSON.stringify(benefit.toJSON())));
+        assertArrayLength(restored.getPeriodHistory(), 2, 'History should round trip');
+    });
+
+    test('Expired carryover instances are archived instead of dropped', () => {
+        const benefit = new Benefit({
+            description: 'Carryover $300 credit',
+            totalAmount: 300,
+            frequency: 'carryover',
+            isCarryover: true,
+            earnedInstances: [
+                { earnedDate: '2022-06-15', usedAmount: 120 },
+                { earnedDate: '2024-06-15', usedAmount: 0 }
+            ]
+        });
+
+        const archived = benefit.archiveExpiredCarryoverInstances(new Date(2024, 6, 1));
+        assertEquals(archived, 1, 'Should archive the 2022 instance');
+        assertArrayLength(benefit.earnedInstances, 1, 'Only the active instance should remain');
+        assertEquals(benefit.periodHistory[0].usedAmount, 120, 'Archived instance keeps its usage');
+        assertEquals(benefit.archiveExpiredCarryoverInstances(new Date(2024, 6, 1)), 0, 'Nothing left to archive');
+    });
+
+    test('Minimum spend reset archives progress and met status', () => {
+        const minSpend = new MinimumSpend({
+            description: 'Quarterly spend',
+            targetAmount: 1000,
+            frequency: 'quarterly',
+            resetType: 'calendar',
+            lastReset: new Date(2024, 0, 1).toISOString()
+        });
+        minSpend.setCurrentAmount(1200, new Date(2024, 1, 10));
+        minSpend.reset(new Date(2024, 3, 1));
+
+        const history = minSpend.getPeriodHistory();
+        assertArrayLength(history, 1, 'Should archive one period');
+        assertTrue(history[0].isMet, 'Should record that the target was met');
+        assertEquals(history[0].currentAmount, 1200, 'Should record the spend');
+        assertEquals(new Date(history[0].periodEnd).toDateString(), new Date(2024, 2, 31).toDateString(), 'Quarter should end on Mar 31');
+        assertEquals(minSpend.currentAmount, 0, 'New period starts at zero');
+        assertArrayLength(MinimumSpend.fromJSON(minSpend.toJSON()).periodHistory, 1, 'History should round trip');
+    });
+
+    test('Older periods keep only their monthly totals', () => {
+        const benefit = new Benefit({
+            description: 'Monthly $50 credit',
+            totalAmount: 50,
+            frequency: 'monthly',
+            resetType: 'calendar',
+            lastReset: new Date(2023, 0, 1).toISOString()
+        });
+        for (let month = 0; month < 14; month++) {
+            benefit.addUsageEntry({ amount: 15, date: new Date(2023, month, 5), holderId: 'holder-sam' });
+            benefit.addUsageEntry({ amount: 10, date: new Date(2023, month, 20) });
+            benefit.reset(new Date(2023, month + 1, 1));
+        }
+
+        const history = benefit.getPeriodHistory();
+        assertArrayLength(history, 14, 'Every period should stay in the history');
+        assertArrayLength(history[11].usageEntries, 2, 'The latest periods keep their entries');
+        const oldest = history[13];
+        assertEquals(oldest.usedAmount, 25, 'The period total is kept');
+        assertEquals(oldest.usageEntries.map(entry => entry.amount).join(','), '15,10', 'Entries become monthly totals per cardholder');
+        assertEquals(oldest.usageEntries[0].holderId, 'holder-sam', 'Totals keep their cardholder');
+        assertEquals(benefit.getValueCapturedBetween(new Date(2023, 0, 1), new Date(2024, 2, 1)), 350, 'Value captured is unchanged');
+
+        const summarized = JSON.stringify(oldest.usageEntries);
+        UsageLedger.compactArchive(benefit.periodHistory, 'usageEntries');
+        assertEquals(JSON.stringify(oldest.usageEntries), summarized, 'Summarizing again changes nothing');
+
+        const minSpend = new MinimumSpend({ description: 'Monthly spend', targetAmount: 100, frequency: 'monthly', resetType: 'calendar', lastReset: new Date(2023, 0, 1).toISOString() });
+        for (let month = 0; month < 13; month++) {
+            minSpend.addSpend(40, new Date(2023, month, 3));
+            minSpend.addSpend(70, new Date(2023, month, 9));
+            minSpend.reset(new Date(2023, month + 1, 1));
+        }
+        assertEquals(minSpend.getPeriodHistory()[12].spendEntries.map(entry => entry.amount).join(','), '110', 'Spend logs are bounded too');
+    });
+});
+
+// Test Suite 10: Annual Fee and ROI
+runner.suite('Annual Fee and ROI', ({ test }) => {
+    function createFeeCard() {
+        return new Card({
+            name: 'Premium Card',
+            anniversaryDate: '2023-06-15',
+            annualFee: 550,
+            benefits: [
+                {
+                    id: 'travel',
+                    description: 'Annual $300 travel credit',
+                    totalAmount: 300,
+                    frequency: 'annual',
+                    resetType: 'anniversary',
+                    lastReset: new Date(2024, 5, 15).toISOString()
+                },
+                {
+                    id: 'dining',
+                    description: 'Monthly $10 dining credit',
+                    totalAmount: 10,
+                    frequency: 'monthly',
+                    resetType: 'calendar',
+                    lastReset: new Date(2024, 6, 1).toISOString()
+                }
+            ]
+        });
+    }
+
+    test('Card year runs from anniversary to anniversary', () => {
+        const card = createFeeCard();
+        const { start, end } = card.getCardYear(new Date(2024, 8, 1));
+        assertDateEquals(start, new Date(2024, 5, 15), 'Card year should start on the last anniversary');
+        assertDateEquals(end, new Date(2025, 5, 15), 'Card year should end on the next anniversary');
+
+        const onAnniversary = card.getCardYear(new Date(2025, 5, 15));
+        assertDateEquals(onAnniversary.start, new Date(2025, 5, 15), 'A new card year starts on the anniversary');
+    });
+
+    test('Value captured counts usage in the card year, including archived periods', () => {
+        const card = createFeeCard();
+        const dining = card.findBenefit('dining');
+        const travel = card.findBenefit('travel');
+
+        dining.addUsageEntry({ amount: 10, date: new Date(2024, 6, 10) });
+        dining.reset(new Date(2024, 7, 1));
+        dining.addUsageEntry({ amount: 8, date: new Date(2024, 7, 5) });
+        travel.addUsageEntry({ amount: 200, date: new Date(2024, 8, 1) });
+
+        // Usage from the previous card year is excluded
+        travel.periodHistory.push({
+            periodStart: new Date(2023, 5, 15).toISOString(),
+            periodEnd: new Date(2024, 5, 14).toISOString(),
+            totalAmount: 300,
+            usedAmount: 300,
+            usageEntries: [UsageLedger.createEntry({ amount: 300, date: new Date(2023, 9, 1) })]
+        });
+
+        const today = new Date(2024, 8, 10);
+        assertEquals(card.getValueCaptured(today), 218, 'Should sum usage since the anniversary');
+        assertEquals(card.getNetValue(today), -332, 'Net value should subtract the fee');
+    });
+
+    test('Cards below their fee are flagged ahead of renewal', () => {
+        const card = createFeeCard();
+        card.findBenefit('travel').addUsageEntry({ amount: 300, date: new Date(2024, 8, 1) });
+
+        assertFalse(card.isBelowFeeBeforeRenewal(new Date(2024, 9, 1)), 'Too early to flag');
+        assertTrue(card.isBelowFeeBeforeRenewal(new Date(2025, 4, 1)), 'Should flag within 60 days of renewal');
+        assertEquals(card.daysUntilFee(new Date(2025, 5, 5)), 10, 'Should count days to the anniversary');
+
+        card.update(card.name, card.anniversaryDate, { feePostingDate: '2024-07-20' });
+        assertDateEquals(card.getNextFeeDate(new Date(2025, 4, 1)), new Date(2025, 6, 20), 'Custom fee posting date should be used');
+
+        card.findBenefit('dining').addUsageEntry({ amount: 10, date: new Date(2025, 0, 5) });
+        card.findBenefit('travel').periodHistory.push({
+            periodStart: new Date(2024, 5, 15).toISOString(),
+            periodEnd: new Date(2025, 5, 14).toISOString(),
+            totalAmount: 300,
+            usedAmount: 300,
+            usageEntries: [UsageLedger.createEntry({ amount: 250, date: new Date(2025, 1, 1) })]
+        });
+        assertFalse(card.isBelowFeeBeforeRenewal(new Date(2025, 4, 1)), 'Should not flag once the fee is covered');
+    });
+
+    test('No-fee cards are never flagged and fees survive serialization', () => {
+        const noFee = new Card({ name: 'No Fee Card', anniversaryDate: '2023-06-15' });
+        assertEquals(noFee.annualFee, 0, 'Fee should default to 0');
+        assertFalse(noFee.isBelowFeeBeforeRenewal(new Date(2024, 5, 1)), 'No-fee cards are never flagged');
+
+        const restored = Card.fromJSON(JSON.parse(JSON.stringify(createFeeCard().toJSON())));
+        assertEquals(restored.annualFee, 550, 'Fee should round trip');
+        assertEquals(restored.feePostingDate, null, 'Fee posting date should round trip');
+    });
+});
+
+// Test Suite 11: Analytics
+runner.suite('Analytics', ({ test }) => {
+    function createAnalyticsCard() {
+        return new Card({
+            id: 'analytics-card',
+            name: 'Analytics Card',
+            anniversaryDate: '2023-06-15',
+            minimumSpends: [
+                { id: 'ms-1', description: 'Spend $3000', targetAmount: 3000, frequency: 'one-time', deadline: '2024-12-31' }
+            ],
+            benefits: [
+                {
+                    id: 'monthly',
+                    description: 'Monthly $10 credit',
+                    totalAmount: 10,
+                    frequency: 'monthly',
+                    resetType: 'calendar',
+                    lastReset: new Date(2024, 0, 1).toISOString()
+                },
+                {
+                    id: 'locked',
+                    description: 'Bonus $100 credit',
+                    totalAmount: 100,
+                    frequency: 'one-time',
+                    requiredMinimumSpendId: 'ms-1'
+                }
+            ]
+        });
+    }
+
+    test('Used and forfeited value come from ledgers and archived periods', () => {
+        const card = createAnalyticsCard();
+        const monthly = card.findBenefit('monthly');
+
+        monthly.addUsageEntry({ amount: 10, date: new Date(2024, 0, 12) }); // January fully used
+        monthly.reset(new Date(2024, 1, 1));
+        monthly.addUsageEntry({ amount: 4, date: new Date(2024, 1, 8) });   // February: $6 forfeited
+        monthly.reset(new Date(2024, 2, 1));
+
+        const today = new Date(2024, 2, 10);
+        const summary = Analytics.summarize([card], new Date(2024, 0, 1), new Date(2024, 2, 31), today);
+        const cardSummary = summary.cards[0];
+
+        assertEquals(cardSummary.used, 14, 'Should sum ledger usage in range');
+        assertEquals(cardSummary.forfeited, 6, 'Should count unused value of closed periods');
+        assertEquals(cardSummary.available, 10, 'Current month is still available');
+        assertEquals(cardSummary.locked, 100, 'Benefit behind an unmet minimum spend is locked');
+        assertEquals(summary.totals.used, 14, 'Totals should add up card values');
+
+        const februaryOnly = Analytics.summarize([card], new Date(2024, 1, 1), new Date(2024, 1, 29), today);
+        assertEquals(februaryOnly.totals.used, 4, 'Range should exclude January usage');
+        assertEquals(februaryOnly.totals.forfeited, 6, 'February forfeiture should be included');
+    });
+
+    test('Meeting the minimum spend moves locked value to available', () => {
+        const card = createAnalyticsCard();
+        card.findMinimumSpend('ms-1').setCurrentAmount(3000, new Date(2024, 2, 1));
+
+        const summary = Analytics.summarize([card], new Date(2024, 0, 1), new Date(2024, 0, 31), new Date(2024, 0, 10));
+        assertEquals(summary.totals.locked, 0, 'Nothing should be locked');
+        assertEquals(summary.totals.available, 110, 'Bonus credit should be available');
+    });
+
+    test('Pending resets and expired carryover instances count as forfeited', () => {
+        const card = new Card({
+            name: 'Carryover Card',
+            anniversaryDate: '2023-06-15',
+            benefits: [
+                {
+                    description: 'Monthly $10 credit',
+                    totalAmount: 10,
+                    frequency: 'monthly',
+                    resetType: 'calendar',
+                    lastReset: new Date(2024, 0, 1).toISOString()
+                },
+                {
+                    description: 'Carryover $300 credit',
+                    totalAmount: 300,
+                    frequency: 'carryover',
+                    isCarryover: true,
+                    earnedInstances: [{ earnedDate: '2022-06-15', usedAmount: 100 }]
+                }
+            ]
+        });
+
+        // January has ended without a reset; the 2022 instance expired at the end of 2023
+        const summary = Analytics.summarize([card], new Date(2023, 0, 1), new Date(2024, 1, 29), new Date(2024, 1, 5));
+        assertEquals(summary.totals.forfeited, 210, 'Should include the unreset month and the expired instance');
+        assertEquals(summary.totals.available, 0, 'Nothing should be available');
+    });
+
+    test('Month-list credits are only available in their months', () => {
+        const card = new Card({
+            name: 'Holiday Card',
+            anniversaryDate: '2023-06-15',
+            benefits: [{
+                description: 'December $50 credit',
+                totalAmount: 50,
+                frequency: 'custom',
+                resetType: 'calendar',
+                schedule: { months: [12] },
+                lastReset: new Date(2024, 11, 1).toISOString()
+            }]
+        });
+        const benefit = card.benefits[0];
+
+        assertEquals(Analytics.getOutstandingValue(benefit, card, new Date(2024, 11, 20)).available, 50, 'Should be available in December');
+        const january = Analytics.getOutstandingValue(benefit, card, new Date(2025, 0, 10));
+        assertEquals(january.available, 0, 'Should not be available in January');
+        assertEquals(january.locked, 0, 'Should not be locked either');
+    });
+
+    test('Monthly series buckets events by month', () => {
+        const card = createAnalyticsCard();
+        const monthly = card.findBenefit('monthly');
+        monthly.addUsageEntry({ amount: 3, date: new Date(2024, 0, 12) });
+        monthly.reset(new Date(2024, 1, 1));
+
+        const series = Analytics.getMonthlySeries([card], new Date(2024, 0, 1), new Date(2024, 2, 15), new Date(2024, 1, 10));
+        assertArrayLength(series, 3, 'Should have one bucket per month');
+        assertEquals(series[0].used, 3, 'January usage');
+        assertEquals(series[0].forfeited, 7, 'January forfeiture is dated at the period end');
+        assertEquals(series[1].used, 0, 'No February usage');
+    });
+});
+
+// Test Suite 12: IndexedDB Store
+runner.suite('IndexedDB Store', ({ test }) => {
+    function createSerializedCards() {
+        return [
+            new Card({
+                id: 'card-a',
+                name: 'Card A',
+                anniversaryDate: '2024-01-15',
+                annualFee: 95,
+                benefits: [
+                    { id: 'b-2', description: 'Second', totalAmount: 10, frequency: 'monthly', resetType: 'calendar' },
+                    { id: 'b-1', description: 'First', totalAmount: 20, frequency: 'annual', resetType: 'calendar' }
+                ],
+                minimumSpends: [
+                    { id: 'ms-1', description: 'Spend $1000', targetAmount: 1000, frequency: 'one-time' }
+                ]
+            }).toJSON(),
+            new Card({ id: 'card-b', name: 'Card B', anniversaryDate: '2024-03-01' }).toJSON()
+        ];
+    }
+
+    test('Cards are split into per-entity records linked by cardId', () => {
+        const records = IndexedDBStore.splitCards(createSerializedCards());
+
+        assertArrayLength(records.cards, 2, 'Should have one record per card');
+        assertArrayLength(records.benefits, 2, 'Should have one record per benefit');
+        assertArrayLength(records.minimumSpends, 1, 'Should have one record per minimum spend');
+        assertEquals(records.cards[0].benefits, undefined, 'Card records should not embed benefits');
+        assertEquals(records.benefits[0].cardId, 'card-a', 'Benefits should reference their card');
+        assertEquals(records.benefits[1].position, 1, 'Benefits should keep their position');
+    });
+
+    test('Joining records restores the original cards and ordering', () => {
+        const original = createSerializedCards();
+        const records = IndexedDBStore.splitCards(original);
+
+        // Object stores return records sorted by key, not by position
+        const byId = (a, b) => a.id.localeCompare(b.id);
+        const joined = IndexedDBStore.joinRecords({
+            cards: [...records.cards].reverse(),
+            benefits: [...records.benefits].sort(byId),
+            minimumSpends: records.minimumSpends
+        });
+
+        assertEquals(JSON.stringify(joined), JSON.stringify(original), 'Round trip should be lossless');
+    });
+
+    test('Aborted loads reject with an AbortError', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        let error = null;
+        try {
+            await new IndexedDBStore().loadData({ signal: controller.signal });
+        } catch (e) {
+            error = e;
+        }
+        assertTrue(error !== null, 'Should reject');
+        assertEquals(error.name, 'AbortError', 'Should reject with an AbortError like fetch');
+    });
+});
+
+// Test Suite 13: Cloud Save Conflicts
+runner.suite('Cloud Save Conflicts', ({ test }) => {
+    // Minimal fetch mock: records requests and replies with queued responses
+    function mockFetch(responses) {
+        const requests = [];
+        global.fetch = async (url, options = {}) => {
+            requests.push({ url, ...options });
+            const { status = 200, body = null, etag = null } = responses.shift() || {};
+            return {
+                status,
+                ok: status >= 200 && status < 300,
+                statusText: String(status),
+                headers: { get: (name) => (name === 'ETag' ? etag : null) },
+                json: async () => body
+            };
+        };
+        return requests;
+    }
+
+    test('Saves are conditional on the ETag from the last load', async () => {
+        const store = new CloudStore('https://example.com/data.json');
+        const requests = mockFetch([
+            { status: 200, body: [], etag: '"v1"' },
+            { status: 200, etag: '"v2"' },
+            { status: 200, etag: '"v3"' }
+        ]);
+
+        await store.loadData();
+        await store.saveData({ cards: [] });
+        await store.saveData({ cards: [] });
+
+        assertEquals(requests[1].headers['If-Match'], '"v1"', 'First save should match the loaded ETag');
+        assertEquals(requests[2].headers['If-Match'], '"v2"', 'Next save should match the ETag returned by the previous save');
+    });
+
+    test('Creating a missing object uses If-None-Match', async () => {
+        const store = new CloudStore('https://example.com/data.json');
+        const requests = mockFetch([{ status: 404 }, { status: 200, etag: '"v1"' }]);
+
+        await store.loadData();
+        await store.saveData({ cards: [] });
+
+        assertEquals(requests[1].headers['If-None-Match'], '*', 'Should only create the object if it does not exist');
+        assertEquals(requests[1].headers['If-Match'], undefined, 'Should not send If-Match without an ETag');
+    });
+
+    test('A 412 response surfaces as StorageConflictError', async () => {
+        const store = new CloudStore('https://example.com/data.json');
+        mockFetch([{ status: 200, body: [], etag: '"v1"' }, { status: 412 }]);
+
+        await store.loadData();
+        let error = null;
+        try {
+            await store.saveData({ cards: [] });
+        } catch (e) {
+            error = e;
+        }
+        assertTrue(error instanceof StorageConflictError, 'Should throw StorageConflictError');
+    });
+
+    test('saveState re-fetches, merges and retries after a conflict', async () => {
+        const remoteCard = new Card({ id: 'remote-card', name: 'Added elsewhere', anniversaryDate: '2024-01-01' }).toJSON();
+        const saved = [];
+        let conflicts = 1;
+        const storage = {
+            loadData: async () => ({ cards: [remoteCard], household: null }),
+            saveData: async (data) => {
+                if (conflicts-- > 0) throw new StorageConflictError();
+                saved.push(data);
+            }
+        };
+        const app = createHeadlessApp({ storage });
+        app.cards = [new Card({ id: 'local-card', name: 'Added here', anniversaryDate: '2024-01-01' })];
+
+        await app.saveState();
+
+        assertArrayLength(saved, 1, 'Should save once the conflict is resolved');
+        assertEquals(saved[0].cards.map(card => card.id).join(','), 'local-card,remote-card', 'Both devices\' cards should be kept');
+        assertArrayLength(app.cards, 2, 'App state should include the merged cards');
+    });
+});
+
+// Test Suite 14: Three-Way Sync Merge
+runner.suite('Three-Way Sync Merge', ({ test }) => {
+    function createBase() {
+        return [new Card({
+            id: 'card-1',
+            name: 'Travel Card',
+            anniversaryDate: '2024-01-15',
+            benefits: [
+                {
+                    id: 'benefit-1',
+                    description: 'Airline credit',
+                    totalAmount: 200,
+                    frequency: 'annual',
+                    resetType: 'calendar',
+                    lastReset: '2024-01-01',
+                    usageEntries: [],
+                    updatedAt: '2024-03-01T00:00:00.000Z'
+                },
+                {
+                    id: 'benefit-2',
+                    description: 'Hotel credit',
+                    totalAmount: 100,
+                    frequency: 'annual',
+                    resetType: 'calendar',
+                    lastReset: '2024-01-01',
+                    usageEntries: []
+                }
+            ],
+            minimumSpends: [
+                { id: 'ms-1', description: 'Spend $4000', targetAmount: 4000, currentAmount: 1000, frequency: 'one-time', deadline: '2024-06-30' }
+            ]
+        }).toJSON()];
+    }
+    const clone = data => JSON.parse(JSON.stringify(data));
+
+    test('Non-overlapping field edits from both sides are combined', () => {
+        const base = createBase();
+        const local = clone(base);
+        const remote = clone(base);
+        local[0].benefits[0].description = 'Airline incidental credit';
+        remote[0].benefits[0].totalAmount = 250;
+        remote[0].name = 'Travel Card (Platinum)';
+
+        const { merged, conflicts } = SyncMerge.mergeCards(base, local, remote);
+        assertArrayLength(conflicts, 0, 'Should not report conflicts');
+        assertEquals(merged[0].name, 'Travel Card (Platinum)', 'Remote card edit kept');
+        assertEquals(merged[0].benefits[0].description, 'Airline incidental credit', 'Local field edit kept');
+        assertEquals(merged[0].benefits[0].totalAmount, 250, 'Remote field edit kept');
+    });
+
+    test('Usage entries recorded on both devices are all kept', () => {
+        const base = createBase();
+        const local = clone(base);
+        const remote = clone(base);
+        local[0].benefits[0].usageEntries.push(UsageLedger.createEntry({ amount: 50, date: '2024-03-02' }));
+        remote[0].benefits[0].usageEntries.push(UsageLedger.createEntry({ amount: 30, date: '2024-03-03' }));
+
+        const { merged, conflicts } = SyncMerge.mergeCards(base, local, remote);
+        assertArrayLength(conflicts, 0, 'Appending entries is not a conflict');
+        const benefit = Benefit.fromJSON(merged[0].benefits[0]);
+        assertEquals(benefit.usedAmount, 80, 'Used amount should include both devices\' entries');
+    });
+
+    test('Conflicting text edits go to the latest edit', () => {
+        const base = createBase();
+        const local = clone(base);
+        const remote = clone(base);
+        local[0].benefits[0].description = 'Local name';
+        local[0].benefits[0].updatedAt = '2024-03-05T10:00:00.000Z';
+        remote[0].benefits[0].description = 'Remote name';
+        remote[0].benefits[0].updatedAt = '2024-03-05T09:00:00.000Z';
+
+        const { merged, conflicts } = SyncMerge.mergeCards(base, local, remote);
+        assertEquals(merged[0].benefits[0].description, 'Local name', 'Later local edit should win');
+        assertArrayLength(conflicts, 1, 'Should report the conflict');
+        assertEquals(conflicts[0].rule, 'latest-edit', 'Should be resolved by latest edit');
+        assertEquals(conflicts[0].path.join(' › '), 'Travel Card › Airline credit', 'Should name the entity');
+        assertTrue(SyncMerge.describeConflict(conflicts[0]).includes('description'), 'Report should mention the field');
+    });
+
+    test('Minimum spend progress from both devices adds up and keeps its met status', () => {
+        const base = createBase();
+        const addSpend = (cards, amount, date) => {
+            const minimumSpend = MinimumSpend.fromJSON(cards[0].minimumSpends[0]);
+            minimumSpend.addSpend(amount, new Date(date));
+            cards[0].minimumSpends[0] = minimumSpend.toJSON();
+        };
+        const local = clone(base);
+        const remote = clone(base);
+        addSpend(local, 3200, '2024-03-05');
+        addSpend(remote, 500, '2024-03-06');
+
+        const { merged, conflicts } = SyncMerge.mergeCards(base, local, remote);
+        const minimumSpend = merged[0].minimumSpends[0];
+        assertArrayLength(minimumSpend.spendEntries, 3, 'Purchases from both devices should be kept');
+        assertEquals(minimumSpend.currentAmount, 4700, 'Progress should be the total of the merged purchases');
+        assertTrue(minimumSpend.isMet, 'Met status should follow the larger progress');
+        assertArrayLength(conflicts, 0, 'Adding purchases on both devices is not a conflict');
+    });
+
+    test('Usage from both devices is capped at the credit amount', () => {
+        const base = createBase();
+        const local = clone(base);
+        const remote = clone(base);
+        local[0].benefits[1].usageEntries.push(UsageLedger.createEntry({ amount: 80, date: '2024-03-02' }));
+        remote[0].benefits[1].usageEntries.push(UsageLedger.createEntry({ amount: 60, date: '2024-03-03' }));
+
+        const { merged, conflicts } = SyncMerge.mergeCards(base, local, remote);
+        const entries = merged[0].benefits[1].usageEntries;
+        assertEquals(UsageLedger.getTotal(entries), 100, 'Usage should not exceed the credit');
+        assertEquals(entries.map(entry => entry.amount).join(','), '80,20', 'The latest usage should be trimmed');
+        assertArrayLength(conflicts, 1, 'The trimmed usage should be reported');
+        assertEquals(conflicts[0].rule, 'capped');
+        assertTrue(SyncMerge.describeConflict(conflicts[0]).includes('capped at the credit amount'), 'Report should explain the cap');
+    });
+
+    test('Transaction keys from both devices are all kept', () => {
+        const base = createBase();
+        base[0].benefits[0].unlinkedTransactionKeys = ['kept', 'relinked'];
+        base[0].minimumSpends[0].importedTransactionKeys = ['old'];
+        const local = clone(base);
+        const remote = clone(base);
+        local[0].benefits[0].unlinkedTransactionKeys = ['kept', 'local'];
+        remote[0].benefits[0].unlinkedTransactionKeys = ['kept', 'relinked', 'remote'];
+        local[0].minimumSpends[0].importedTransactionKeys = ['old', 'local'];
+        remote[0].minimumSpends[0].importedTransactionKeys = ['old', 'remote'];
+
+        const { merged, conflicts } = SyncMerge.mergeCards(base, local, remote);
+        assertEquals(merged[0].benefits[0].unlinkedTransactionKeys.join(','), 'kept,local,remote', 'Additions from both sides and removals should apply');
+        assertEquals(merged[0].minimumSpends[0].importedTransactionKeys.join(','), 'old,local,remote', 'Imported keys should be combined');
+        assertArrayLength(conflicts, 0, 'Combining keys is not a conflict');
+    });
+
+    test('Deletions apply unless the other side edited the entity', () => {
+        const base = createBase();
+        const local = clone(base);
+        const remote = clone(base);
+        local[0].benefits = local[0].benefits.filter(b => b.id !== 'benefit-2');
+        local[0].minimumSpends = [];
+        remote[0].minimumSpends[0].description = 'Spend $4000 in 6 months';
+
+        const { merged, conflicts } = SyncMerge.mergeCards(base, local, remote);
+        assertArrayLength(merged[0].benefits, 1, 'Untouched benefit deleted locally should be removed');
+        assertArrayLength(merged[0].minimumSpends, 1, 'Remotely edited minimum spend should be kept');
+        assertEquals(conflicts[0].rule, 'edit-kept', 'Should report the kept edit');
+    });
+
+    test('stampChanges only touches entities that changed since the base', () => {
+        const base = createBase();
+        const cards = base.map(data => Card.fromJSON(clone(data)));
+        cards[0].benefits[1].addUsageEntry({ amount: 10, date: '2024-03-04' });
+
+        SyncMerge.stampChanges(base, cards, new Date('2024-03-04T12:00:00.000Z'));
+        assertEquals(cards[0].benefits[1].updatedAt, '2024-03-04T12:00:00.000Z', 'Changed benefit should be stamped');
+        assertEquals(cards[0].benefits[0].updatedAt, '2024-03-01T00:00:00.000Z', 'Unchanged benefit keeps its timestamp');
+        assertEquals(cards[0].updatedAt, null, 'Card fields did not change');
+    });
+});
+
+// Test Suite 15: Encrypted Store
+runner.suite('Encrypted Store', ({ test }) => {
+    // In-memory store standing in for localStorage/IndexedDB/cloud
+    class MemoryStore extends StorageInterface {
+        constructor(data = null) {
+            super();
+            this.data = data;
+        }
+        async loadPayload() { return JSON.parse(JSON.stringify(this.data)); }
+        async savePayload(payload) { this.data = JSON.parse(JSON.stringify(payload)); }
+    }
+    // Few iterations keep the tests fast; real stores use PBKDF2_ITERATIONS
+    const createStore = (inner) => new EncryptedStore(inner, { iterations: 1000 });
+    const state = { cards: [{ id: 'card-1', name: 'Secret Rewards Card', benefits: [], minimumSpends: [] }], household: null };
+
+    test('Without a passphrase data passes through unencrypted', async () => {
+        const inner = new MemoryStore();
+        const store = createStore(inner);
+        await store.saveData(state);
+        assertEquals(inner.data.cards[0].name, 'Secret Rewards Card', 'Plaintext should be stored');
+        assertEquals((await store.loadData()).cards[0].name, 'Secret Rewards Card', 'Plaintext should load');
+        assertFalse(store.isEncrypted, 'Store should not report encryption');
+    });
+
+    test('Encrypted data never reaches the wrapped store in plaintext', async () => {
+        const inner = new MemoryStore();
+        const store = createStore(inner);
+        await store.changePassphrase('correct horse', state);
+        await store.saveData(state);
+
+        assertTrue(EncryptedStore.isEncryptedPayload(inner.data), 'Stored data should be an encrypted payload');
+        assertFalse('cards' in inner.data, 'The encrypted payload should not pose as a card list');
+        assertFalse(JSON.stringify(inner.data).includes('Secret Rewards Card'), 'Card names should not be readable');
+        assertEquals((await store.loadData()).cards[0].name, 'Secret Rewards Card', 'Should decrypt with the unlocked key');
+
+        let error = null;
+        try { await inner.loadData(); } catch (e) { error = e; }
+        assertTrue(error !== null, 'The wrapped store should not read the encrypted payload as cards');
+    });
+
+    test('Another session must unlock with the right passphrase', async () => {
+        const inner = new MemoryStore();
+        await createStore(inner).changePassphrase('correct horse', state);
+
+        const other = createStore(inner);
+        let error = null;
+        try { await other.loadData(); } catch (e) { error = e; }
+        assertTrue(error instanceof PassphraseRequiredError, 'Loading without a key should ask for the passphrase');
+
+        error = null;
+        try { await other.unlock('wrong horse'); } catch (e) { error = e; }
+        assertTrue(error instanceof IncorrectPassphraseError, 'Wrong passphrase should be rejected');
+
+        error = null;
+        try { await other.saveData({ cards: [] }); } catch (e) { error = e; }
+        assertTrue(error instanceof PassphraseRequiredError, 'A locked session must not overwrite encrypted data');
+
+        const unlocked = await other.unlock('correct horse');
+        assertEquals(unlocked.cards[0].name, 'Secret Rewards Card', 'Unlock should return the decrypted cards');
+    });
+
+    test('Re-keying replaces the salt and invalidates the old passphrase', async () => {
+        const inner = new MemoryStore();
+        const store = createStore(inner);
+        await store.changePassphrase('correct horse', state);
+        const oldSalt = inner.data.encrypted.kdf.salt;
+
+        assertTrue(await store.verifyPassphrase('correct horse'), 'Current passphrase should verify');
+        assertFalse(await store.verifyPassphrase('battery staple'), 'Other passphrases should not verify');
+
+        await store.changePassphrase('battery staple', state);
+        assertTrue(inner.data.encrypted.kdf.salt !== oldSalt, 'A new salt should be generated');
+
+        let error = null;
+        try { await createStore(inner).unlock('correct horse'); } catch (e) { error = e; }
+        assertTrue(error instanceof IncorrectPassphraseError, 'Old passphrase should no longer unlock');
+        assertEquals((await createStore(inner).unlock('battery staple')).cards[0].id, 'card-1', 'New passphrase should unlock');
+    });
+
+    test('Encrypted data that cannot be unlocked can be forgotten', async () => {
+        const inner = new MemoryStore();
+        await createStore(inner).changePassphrase('correct horse', state);
+
+        const other = createStore(inner);
+        assertArrayLength((await other.forgetData()).cards, 0, 'Nothing is left to load');
+        assertFalse(other.isEncrypted, 'The store is no longer encrypted');
+        await other.saveData(state);
+        assertEquals(inner.data.cards[0].name, 'Secret Rewards Card', 'New data is saved without a passphrase');
+    });
+
+    test('Forgetting does not delete data another device saved meanwhile', async () => {
+        const inner = new MemoryStore();
+        await createStore(inner).changePassphrase('correct horse', state);
+        const other = createStore(inner);
+        try { await other.loadData(); } catch (e) { /* locked */ }
+        inner.savePayload = async () => { throw new StorageConflictError(); };
+
+        let error = null;
+        try { await other.forgetData(); } catch (e) { error = e; }
+        assertTrue(error instanceof StorageConflictError, 'The conflict is reported');
+        assertTrue(other.isEncrypted, 'The store still holds the encrypted data');
+        assertTrue(EncryptedStore.isEncryptedPayload(inner.data), 'Nothing was deleted');
+    });
+
+    test('Cancelling the passphrase prompt locks the session', async () => {
+        const inner = new MemoryStore();
+        await createStore(inner).changePassphrase('correct horse', state);
+        const alerts = [];
+        global.alert = message => alerts.push(message);
+        try {
+            const app = createHeadlessApp({ storage: createStore(inner) });
+            app.requestPassphrase = async () => ({ action: 'cancel', passphrase: '' });
+            assertArrayLength((await app.loadWithPassphrase()).cards, 0, 'Nothing is loaded');
+            assertTrue(app.isLocked, 'The session is locked');
+
+            const before = JSON.stringify(inner.data);
+            await app.saveState();
+            assertEquals(JSON.stringify(inner.data), before, 'A locked session saves nothing');
+            assertArrayLength(alerts, 2, 'Cancelling and saving both explain the lock');
+        } finally {
+            delete global.alert;
+        }
+    });
+});
+
+// Test Suite 16: Backup Export and Import
+runner.suite('Backup Export and Import', ({ test }) => {
+    function expectParseError(text, fragment) {
+        let error = null;
+        try { Backup.parse(text); } catch (e) { error = e; }
+        assertTrue(error !== null, `Should reject: ${text.slice(0, 40)}`);
+        assertTrue(error.message.includes(fragment), `Error should mention "${fragment}" (got: ${error.message})`);
+    }
+
+    test('Exported documents import back unchanged', () => {
+        const card = new Card({
+            id: 'card-1',
+            name: 'Travel Card',
+            anniversaryDate: '2024-01-15',
+            annualFee: 95,
+            benefits: [{ id: 'b-1', description: 'Airline credit', totalAmount: 200, frequency: 'annual', resetType: 'calendar' }],
+            minimumSpends: [{ id: 'ms-1', description: 'Spend $4000', targetAmount: 4000, frequency: 'one-time' }]
+        });
+        card.benefits[0].addUsageEntry({ amount: 50, date: '2024-02-01' });
+        const state = { cards: [card.toJSON()], household: new Household({ holders: [{ id: 'holder-1', name: 'Alex' }] }).toJSON() };
+
+        const backup = Backup.createDocument(state, new Date('2024-03-01T00:00:00.000Z'));
+        assertEquals(backup.version, Backup.VERSION, 'Document should be versioned');
+        assertEquals(JSON.stringify(Backup.parse(JSON.stringify(backup))), JSON.stringify(state), 'Round trip should be lossless');
+    });
+
+    test('Legacy card arrays are migrated on import', () => {
+        const legacy = [{
+            id: 'card-1',
+            name: 'Old Card',
+            anniversaryDate: '2023-05-01',
+            benefits: [
+                { id: 'b-1', description: 'Companion pass', totalAmount: 100, usedAmount: 40, frequency: 'carryover', isCarryover: true, earnedDate: '2023-06-01' },
+                { id: 'b-2', description: 'Dining credit', totalAmount: 10, usedAmount: 5, frequency: 'monthly', resetType: 'calendar', lastReset: '2023-06-01' }
+            ]
+        }];
+
+        const [card] = Backup.parse(JSON.stringify(legacy)).cards;
+        const carryover = card.benefits[0];
+        assertArrayLength(carryover.earnedInstances, 1, 'earnedDate should become an earned instance');
+        assertEquals(carryover.earnedInstances[0].earnedDate, '2023-06-01', 'Earned date should be kept');
+        assertEquals(carryover.earnedInstances[0].usedAmount, 40, 'Used amount should move to the instance');
+        assertEquals(carryover.earnedDate, undefined, 'Legacy field should be dropped');
+        assertEquals(card.benefits[1].usedAmount, 5, 'Scalar used amount should be kept');
+        assertArrayLength(card.benefits[1].usageEntries, 1, 'Scalar used amount should become a ledger entry');
+    });
+
+    test('Invalid files are rejected with a reason', () => {
+        expectParseError('{not json', 'not valid JSON');
+        expectParseError(JSON.stringify({ hello: 'world' }), 'not a Credit Card Benefit Tracker backup');
+        expectParseError(JSON.stringify({ format: Backup.FORMAT, version: Backup.VERSION + 1, cards: [] }), 'newer version');
+        expectParseError(JSON.stringify([{ id: 'c', benefits: [{ description: 'X', totalAmount: 'lots' }] }]), 'missing name');
+        expectParseError(JSON.stringify([{ id: 'c', name: 'A', benefits: [{ description: 'X', totalAmount: 'lots' }] }]), 'totalAmount');
+        expectParseError(JSON.stringify([{ id: 'c', name: 'A' }, { id: 'c', name: 'B' }]), 'duplicate id');
+    });
+
+    test('Merge by id updates matches and keeps everything else', () => {
+        const existing = [
+            { id: 'card-1', name: 'Card One', benefits: [{ id: 'b-1', description: 'Old' }, { id: 'b-2', description: 'Local only' }], minimumSpends: [] },
+            { id: 'card-2', name: 'Card Two', benefits: [], minimumSpends: [] }
+        ];
+        const imported = [
+            { id: 'card-1', name: 'Card One (renamed)', benefits: [{ id: 'b-1', description: 'New' }, { id: 'b-3', description: 'Imported' }], minimumSpends: [] },
+            { id: 'card-3', name: 'Card Three', benefits: [], minimumSpends: [] }
+        ];
+
+        const merged = Backup.mergeById({ cards: existing, household: null }, { cards: imported, household: null }).cards;
+        assertEquals(merged.map(c => c.id).join(','), 'card-1,card-2,card-3', 'Cards should be matched by id and new ones appended');
+        assertEquals(merged[0].name, 'Card One (renamed)', 'Matching card should take the imported fields');
+        assertEquals(merged[0].benefits.map(b => b.description).join(','), 'New,Local only,Imported', 'Benefits should be merged by id');
+    });
+});
+
+// Test Suite 17: Schema Migrations
+runner.suite('Schema Migrations', ({ test }) => {
+    const migrateCards = (cards, schemaVersion = 0) => SchemaMigrations.migrate({ schemaVersion, cards }).cards;
+
+    test('Version 0 payloads are bare card arrays and migrate to the current version', () => {
+        const payload = SchemaMigrations.migrate([{ id: 'card-1', name: 'Old', benefits: [] }]);
+        assertEquals(payload.schemaVersion, SchemaMigrations.CURRENT_VERSION, 'Should be tagged with the current version');
+        assertEquals(payload.cards[0].id, 'card-1', 'Cards should be kept');
+
+        const versions = SchemaMigrations.MIGRATIONS.map(m => m.version);
+        assertEquals(versions.join(','), versions.map((_, i) => i + 1).join(','), 'Migrations should be numbered in order');
+    });
+
+    test('v1: single carryover earnedDate becomes an earned instance', () => {
+        const [card] = migrateCards([{
+            id: 'card-1',
+            name: 'Airline Card',
+            benefits: [{ id: 'b-1', description: 'Companion pass', totalAmount: 100, usedAmount: 40, isCarryover: true, frequency: 'carryover', earnedDate: '2023-06-01T00:00:00.000Z' }]
+        }]);
+        const benefit = card.benefits[0];
+        assertEquals(benefit.earnedDate, undefined, 'Legacy field should be removed');
+        assertArrayLength(benefit.earnedInstances, 1, 'Should create one earned instance');
+        assertEquals(benefit.earnedInstances[0].usedAmount, 40, 'Used amount should belong to the instance');
+        assertArrayLength(benefit.usageEntries, 0, 'The benefit itself should have no usage');
+    });
+
+    test('v2: earnThreshold becomes a linked annual minimum spend', () => {
+        const [card] = migrateCards([{
+            id: 'card-1',
+            name: 'Hotel Card',
+            benefits: [
+                { id: 'b-1', description: 'Free night', totalAmount: 300, isCarryover: true, frequency: 'carryover', earnThreshold: 15000, lastEarnReset: '2024-01-01T00:00:00.000Z', earnedInstances: [] },
+                { id: 'b-2', description: 'Second night', totalAmount: 300, isCarryover: true, frequency: 'carryover', earnThreshold: 30000, lastEarnReset: '2024-01-01T00:00:00.000Z', earnedInstances: [{ earnedDate: '2024-05-01T00:00:00.000Z', usedAmount: 0 }] },
+                { id: 'b-3', description: 'No threshold', totalAmount: 50, frequency: 'annual', earnThreshold: 0 }
+            ]
+        }], 1);
+
+        assertArrayLength(card.minimumSpends, 2, 'Should create one minimum spend per threshold');
+        const [first, second] = card.minimumSpends;
+        assertEquals(card.benefits[0].requiredMinimumSpendId, first.id, 'Benefit should link to its minimum spend');
+        assertEquals(first.targetAmount, 15000, 'Target should be the old threshold');
+        assertEquals(first.frequency, 'annual', 'Should reset yearly like the carryover earn window');
+        assertEquals(first.lastReset, '2024-01-01T00:00:00.000Z', 'Period should start at the last earn reset');
+        assertFalse(first.isMet, 'Nothing earned yet this year');
+        assertTrue(second.isMet, 'Already earned this year should count as met');
+        assertEquals(second.metDate, '2024-05-01T00:00:00.000Z', 'Met date should be the earned date');
+        assertTrue(card.benefits.every(b => !('earnThreshold' in b)), 'Legacy field should be removed');
+        assertEquals(card.benefits[2].requiredMinimumSpendId, undefined, 'Zero threshold should not create a link');
+    });
+
+    test('v3: scalar usedAmount becomes a usage ledger on benefits and earned instances', () => {
+        const [card] = migrateCards([{
+            id: 'card-1',
+            name: 'Card',
+            benefits: [
+                { id: 'b-1', description: 'Dining', totalAmount: 10, usedAmount: 7.5, frequency: 'monthly', lastReset: '2024-03-01T00:00:00.000Z' },
+                { id: 'b-2', description: 'Pass', totalAmount: 100, isCarryover: true, frequency: 'carryover', earnedInstances: [{ earnedDate: '2024-02-01T00:00:00.000Z', usedAmount: 25 }] }
+            ]
+        }], 2);
+
+        const ledger = card.benefits[0].usageEntries;
+        assertArrayLength(ledger, 1, 'Scalar usage should become one entry');
+        assertEquals(ledger[0].amount, 7.5, 'Entry should carry the amount');
+        assertEquals(ledger[0].date, '2024-03-01T00:00:00.000Z', 'Entry should be dated at the period start');
+        assertEquals(card.benefits[1].earnedInstances[0].usageEntries[0].amount, 25, 'Instance usage should become an entry');
+    });
+
+    test('Current payloads are untouched and newer payloads are refused', () => {
+        const cards = [{ id: 'card-1', name: 'Card', benefits: [{ id: 'b-1', usedAmount: 5 }] }];
+        const payload = SchemaMigrations.migrate(SchemaMigrations.createPayload({ cards }));
+        assertTrue(payload.cards === cards, 'No migration should run at the current version');
+
+        let error = null;
+        try {
+            SchemaMigrations.migrate({ schemaVersion: SchemaMigrations.CURRENT_VERSION + 1, cards: [] });
+        } catch (e) { error = e; }
+        assertTrue(error !== null && error.message.includes('newer version'), 'Newer data should not be loaded');
+    });
+
+    test('Stores migrate legacy data in loadData and save versioned payloads', async () => {
+        const legacy = [{ id: 'card-1', name: 'Card', benefits: [{ id: 'b-1', description: 'Credit', totalAmount: 50, usedAmount: 20, frequency: 'annual' }] }];
+
+        const storage = {};
+        global.localStorage = { getItem: key => storage[key] || null, setItem: (key, value) => { storage[key] = value; } };
+        storage[STORAGE_KEY] = JSON.stringify(legacy);
+        const localStore = new LocalStorageStore();
+        const localState = await localStore.loadData();
+        assertEquals(localState.cards[0].benefits[0].usageEntries[0].amount, 20, 'LocalStorageStore should migrate on load');
+        await localStore.saveData(localState);
+        assertEquals(JSON.parse(storage[STORAGE_KEY]).schemaVersion, SchemaMigrations.CURRENT_VERSION, 'Saved payload should be versioned');
+
+        let sentBody = null;
+        global.fetch = async (url, options = {}) => {
+            if (options.method === 'PUT') sentBody = JSON.parse(options.body);
+            return { status: 200, ok: true, headers: { get: () => null }, json: async () => legacy };
+        };
+        const cloudStore = new CloudStore('https://example.com/data.json');
+        const cloudState = await cloudStore.loadData();
+        assertEquals(cloudState.cards[0].benefits[0].usageEntries[0].amount, 20, 'CloudStore should migrate on load');
+        await cloudStore.saveData(cloudState);
+        assertEquals(sentBody.schemaVersion, SchemaMigrations.CURRENT_VERSION, 'Uploaded payload should be versioned');
+    });
+});
+
+// Test Suite 18: Snapshots
+runner.suite('Snapshots', ({ test }) => {
+    function useMemoryLocalStorage() {
+        const storage = {};
+        global.localStorage = {
+            getItem: key => (key in storage ? storage[key] : null),
+            setItem: (key, value) => { storage[key] = String(value); },
+            removeItem: key => { delete storage[key]; }
+        };
+        return storage;
+    }
+    const createCodec = () => new EncryptedStore(
+        { loadPayload: async () => null, savePayload: async () => {} },
+        { iterations: 1000 }
+    );
+    const state = (name = 'Card') => ({
+        cards: [{ id: 'card-1', name, benefits: [{ id: 'b-1', description: 'Credit', totalAmount: 10 }], minimumSpends: [] }],
+        household: null
+    });
+
+    test('Cloud snapshot objects sit next to the data object', () => {
+        assertEquals(SnapshotManager.getSiblingUrl('https://x.test/b/o/data.json'), 'https://x.test/b/o/data.snapshots.json', 'Should replace the extension');
+        assertEquals(SnapshotManager.getSiblingUrl('https://x.test/o/data.json?sig=abc'), 'https://x.test/o/data.snapshots.json?sig=abc', 'Should keep the query string');
+        assertEquals(SnapshotManager.getSiblingUrl('https://x.test/o/data'), 'https://x.test/o/data.snapshots.json', 'Should append when there is no extension');
+    });
+
+    test('Automatic snapshots are throttled, explicit ones are not, and old ones roll off', async () => {
+        useMemoryLocalStorage();
+        const manager = new SnapshotManager(createCodec(), { limit: 3, interval: 60000 });
+        const at = minutes => new Date(Date.UTC(2024, 0, 1, 12, minutes));
+
+        assertTrue(await manager.capture(state('v1'), null, at(0)) !== null, 'First automatic snapshot should be taken');
+        assertEquals(await manager.capture(state('v2'), null, at(0.5)), null, 'Automatic snapshot within the interval should be skipped');
+        assertTrue(await manager.capture(state('v3'), 'Before deleting card', at(0.6)) !== null, 'Explicit snapshot should always be taken');
+        await manager.capture(state('v4'), null, at(5));
+        await manager.capture(state('v5'), null, at(10));
+
+        const snapshots = await manager.list();
+        assertArrayLength(snapshots, 3, 'Only the newest snapshots should be kept');
+        assertEquals(snapshots[0].takenAt, at(10).toISOString(), 'Newest should come first');
+        assertEquals(snapshots[2].reason, 'Before deleting card', 'Reason should be recorded');
+        assertEquals((await manager.open(snapshots[0])).cards[0].name, 'v5', 'Snapshot should open to its cards');
+    });
+
+    test('Snapshots are encrypted with the data and re-encrypted on a passphrase change', async () => {
+        const storage = useMemoryLocalStorage();
+        const codec = createCodec();
+        await codec.changePassphrase('first passphrase', { cards: [] });
+        const manager = new SnapshotManager(codec);
+        await manager.capture(state('Secret Card'), 'Manual');
+
+        assertFalse(storage[SNAPSHOT_STORAGE_KEY].includes('Secret Card'), 'Snapshot data should be encrypted');
+
+        await manager.reseal(() => codec.changePassphrase('second passphrase', { cards: [] }));
+        const [snapshot] = await manager.list();
+        assertEquals((await manager.open(snapshot)).cards[0].name, 'Secret Card', 'Snapshot should open with the new key');
+    });
+
+    test('Local snapshots stay within their budget and give way to the data', async () => {
+        const storage = useMemoryLocalStorage();
+        const manager = new SnapshotManager(createCodec(), { localBudget: 2000 });
+        for (let i = 0; i < 10; i++) {
+            await manager.capture(state(`Card ${i}`), 'Manual');
+        }
+
+        assertTrue(storage[SNAPSHOT_STORAGE_KEY].length <= 2000, 'Snapshots should stay within the budget');
+        assertEquals((await manager.open((await manager.list())[0])).cards[0].name, 'Card 9', 'The newest snapshot should be kept');
+
+        const app = createHeadlessApp({ localStorage: global.localStorage });
+        app.snapshots = manager;
+        let saves = 0;
+        app.storage = {
+            saveData: async () => {
+                saves++;
+                if (SNAPSHOT_STORAGE_KEY in storage) {
+                    const error = new Error('The quota has been exceeded');
+                    error.name = 'QuotaExceededError';
+                    throw error;
+                }
+            }
+        };
+        await app.saveState();
+        assertEquals(saves, 2, 'The save should be retried once the snapshots are removed');
+        assertFalse(SNAPSHOT_STORAGE_KEY in storage, 'Local snapshots should make way for the data');
+    });
+
+    test('Overlapping captures are all kept', async () => {
+        useMemoryLocalStorage();
+        const manager = new SnapshotManager(createCodec());
+        await Promise.all([manager.capture(state('First'), 'Manual'), manager.capture(state('Second'), 'Manual')]);
+        assertArrayLength(await manager.list(), 2, 'A capture should not overwrite one that was still running');
+    });
+
+    test('Saving does not wait for the snapshot of the replaced state', async () => {
+        const saved = [];
+        const captured = [];
+        let finishCapture = null;
+        const app = createHeadlessApp({ storage: { saveData: async data => { saved.push(data); } } });
+        app.snapshots = {
+            capture: (snapshotState, reason) => {
+                captured.push({ state: snapshotState, reason });
+                return new Promise(resolve => { finishCapture = resolve; });
+            }
+        };
+        app.syncBase = app.serializeState();
+        app.cards = [new Card({ id: 'card-1', name: 'New Card', anniversaryDate: '2024-01-01' })];
+
+        await app.saveState({ snapshotReason: 'Before adding a card' });
+        assertArrayLength(saved, 1, 'The save should finish while the snapshot is still being taken');
+        assertArrayLength(captured, 1, 'The snapshot should be taken after the save');
+        assertArrayLength(captured[0].state.cards, 0, 'The snapshot should hold the state the save replaced');
+        assertEquals(captured[0].reason, 'Before adding a card');
+        finishCapture(null);
+    });
+
+    test('Cloud snapshots are written conditionally and re-read after a conflict', async () => {
+        useMemoryLocalStorage();
+        const requests = [];
+        const responses = [
+            { status: 200, body: { snapshots: [{ id: 'snapshot-a', takenAt: '2024-01-01T00:00:00.000Z' }] }, etag: '"v1"' },
+            { status: 412 },
+            { status: 200, body: { snapshots: [{ id: 'snapshot-b', takenAt: '2024-01-02T00:00:00.000Z' }] }, etag: '"v2"' },
+            { status: 200, etag: '"v3"' }
+        ];
+        global.fetch = async (url, options = {}) => {
+            requests.push({ url, ...options });
+            const { status = 200, body = null, etag = null } = responses.shift() || {};
+            return {
+                status,
+                ok: status >= 200 && status < 300,
+                statusText: String(status),
+                headers: { get: name => (name === 'ETag' ? etag : null) },
+                json: async () => body
+            };
+        };
+        const manager = new SnapshotManager(createCodec(), { cloudUrl: 'https://x.test/data.snapshots.json' });
+        const snapshot = await manager.capture(state(), 'Manual');
+
+        assertEquals(requests[1].headers['If-Match'], '"v1"', 'The write should match the loaded ETag');
+        assertEquals(requests[3].headers['If-Match'], '"v2"', 'The retry should match the re-read ETag');
+        const saved = JSON.parse(requests[3].body).snapshots.map(s => s.id);
+        assertEquals(saved.join(','), `${snapshot.id},snapshot-b`, 'The other device\'s snapshot should be kept');
+        assertEquals(manager.cloudEtag, '"v3"', 'The ETag of the write should be remembered');
+    });
+
+    test('Diff shows what restoring a snapshot would change', () => {
+        const current = {
+            cards: [
+                { id: 'card-1', name: 'Card One', annualFee: 95, benefits: [{ id: 'b-1', description: 'Credit', totalAmount: 10, usedAmount: 5 }], minimumSpends: [] },
+                { id: 'card-2', name: 'Added Later', benefits: [], minimumSpends: [] }
+            ],
+            household: { holders: [{ id: 'holder-1', name: 'Alex' }], updatedAt: null }
+        };
+        const snapshot = {
+            cards: [
+                { id: 'card-1', name: 'Card One', annualFee: 95, benefits: [{ id: 'b-1', description: 'Credit', totalAmount: 10, usedAmount: 0 }, { id: 'b-2', description: 'Lounge', totalAmount: 0 }], minimumSpends: [] },
+                { id: 'card-3', name: 'Deleted Card', benefits: [], minimumSpends: [] }
+            ],
+            household: { holders: [{ id: 'holder-2', name: 'Sam' }], updatedAt: null }
+        };
+
+        const changes = SnapshotManager.diff(current, snapshot).map(c => `${c.change}:${c.label}:${c.fields.join('|')}`);
+        assertTrue(changes.includes('restored:Deleted Card:'), 'Deleted card should be restored');
+        assertTrue(changes.includes('removed:Added Later:'), 'Newer card should be removed');
+        assertTrue(changes.includes('restored:Card One › Lounge:'), 'Deleted benefit should be restored');
+        assertTrue(changes.includes('changed:Card One › Credit:usedAmount'), 'Changed usage should be listed');
+        assertTrue(changes.includes('restored:Household › Sam:'), 'Deleted cardholder should be restored');
+        assertTrue(changes.includes('removed:Household › Alex:'), 'Newer cardholder should be removed');
+        assertArrayLength(changes, 6, 'Unchanged items should not be listed');
+    });
+});
+
+// Test Suite 19: Undo History
+runner.suite('Undo History', ({ test }) => {
+    const createMemoryStorage = () => {
+        const items = {};
+        return {
+            items,
+            getItem: key => (key in items ? items[key] : null),
+            setItem: (key, value) => { items[key] = String(value); }
+        };
+    };
+    const card = (id, name, benefits = []) => ({ id, name, benefits, minimumSpends: [] });
+    const state = (...cards) => ({ cards, household: null });
+
+    test('Undo and redo step through recorded changes', () => {
+        const history = new HistoryManager(null);
+        const v0 = state(card('c1', 'Card'));
+        const v1 = state(card('c1', 'Renamed'));
+        const v2 = state(card('c1', 'Renamed'), card('c2', 'Second'));
+        history.record('Edit card', v0, v1);
+        history.record('Add card', v1, v2);
+
+        const undone = history.undo(v2);
+        assertEquals(undone.label, 'Add card', 'Latest change should be undone first');
+        assertEquals(JSON.stringify(undone.state), JSON.stringify(v1), 'Undo should restore the previous state');
+        assertEquals(JSON.stringify(history.undo(v1).state), JSON.stringify(v0), 'Second undo should restore the first state');
+        assertFalse(history.canUndo(), 'Nothing should be left to undo');
+        assertEquals(history.undo(v0), null, 'Undo with an empty history should return null');
+
+        assertEquals(JSON.stringify(history.redo(v0).state), JSON.stringify(v1), 'Redo should re-apply the change');
+        assertTrue(history.canRedo(), 'The second change should still be redoable');
+    });
+
+    test('Changes that leave the data as it was are not recorded', () => {
+        const history = new HistoryManager(null);
+        assertFalse(history.record('Edit card', state(card('c1', 'Card')), state(card('c1', 'Card'))), 'No-op should not be recorded');
+        assertFalse(history.canUndo(), 'History should stay empty');
+    });
+
+    test('Undo keeps unrelated changes made since', () => {
+        const history = new HistoryManager(null);
+        const before = state(card('c1', 'Card'), card('c2', 'Other'));
+        const after = state(card('c1', 'Renamed'), card('c2', 'Other'));
+        history.record('Edit card', before, after);
+
+        // Another device renamed the second card in the meantime
+        const current = state(card('c1', 'Renamed'), card('c2', 'Other (synced)'));
+        const { cards } = history.undo(current).state;
+        assertEquals(cards[0].name, 'Card', 'Undone change should be reverted');
+        assertEquals(cards[1].name, 'Other (synced)', 'Later unrelated change should be kept');
+    });
+
+    test('A new change clears the redo history', () => {
+        const history = new HistoryManager(null);
+        const v0 = state(card('c1', 'A'));
+        const v1 = state(card('c1', 'B'));
+        history.record('Edit card', v0, v1);
+        history.undo(v1);
+        history.record('Edit card', v0, state(card('c1', 'C')));
+        assertFalse(history.canRedo(), 'Redo should be cleared by a new change');
+    });
+
+    test('History survives a reload and keeps only the newest steps', () => {
+        const storage = createMemoryStorage();
+        const history = new HistoryManager(storage, 2);
+        ['B', 'C', 'D'].forEach((name, i) => {
+            history.record(`Step ${i + 1}`, state(card('c1', String.fromCharCode(65 + i))), state(card('c1', name)));
+        });
+
+        const reloaded = new HistoryManager(storage, 2);
+        assertEquals(reloaded.undo(state(card('c1', 'D'))).label, 'Step 3', 'Restored history should undo the latest step');
+        assertEquals(reloaded.undo(state(card('c1', 'C'))).label, 'Step 2', 'Second step should still be there');
+        assertFalse(reloaded.canUndo(), 'Steps beyond the limit should be dropped');
+    });
+});
+
+// Test Suite 20: CSV Export
+runner.suite('CSV Export', ({ test }) => {
+    function createCsvCard() {
+        return new Card({
+            id: 'csv-card',
+            name: 'Travel, "Premium"',
+            anniversaryDate: '2023-06-15',
+            annualFee: 550,
+            minimumSpends: [
+                { id: 'ms-1', description: 'Spend $3000', targetAmount: 3000, currentAmount: 750, frequency: 'one-time', deadline: '2024-12-31' }
+            ],
+            benefits: [
+                {
+                    id: 'monthly',
+                    description: 'Dining credit',
+                    totalAmount: 10,
+                    frequency: 'monthly',
+                    resetType: 'calendar',
+                    lastReset: new Date(2024, 2, 1).toISOString()
+                },
+                {
+                    id: 'locked',
+                    description: 'Bonus credit',
+                    totalAmount: 100,
+                    frequency: 'one-time',
+                    requiredMinimumSpendId: 'ms-1'
+                }
+            ]
+        });
+    }
+    const parseRows = csv => csv.trim().split('\r\n');
+
+    test('Fields with commas, quotes, line breaks or formulas are escaped', () => {
+        assertEquals(CsvExport.escape('plain'), 'plain', 'Plain text should be unchanged');
+        assertEquals(CsvExport.escape('a,b'), '"a,b"', 'Commas should be quoted');
+        assertEquals(CsvExport.escape('say "hi"'), '"say ""hi"""', 'Quotes should be doubled');
+        assertEquals(CsvExport.escape('line\nbreak'), '"line\nbreak"', 'Line breaks should be quoted');
+        assertEquals(CsvExport.escape('=SUM(A1)'), "'=SUM(A1)", 'Formulas should not be executable');
+        assertEquals(CsvExport.escape(-5), '-5', 'Negative numbers should stay numbers');
+        assertEquals(CsvExport.escape(CsvExport._formatAmount(-95)), '-95.00', 'Negative formatted amounts should stay numbers');
+        assertEquals(CsvExport.escape('-1+cmd'), "'-1+cmd", 'Text starting with a minus sign should still be guarded');
+        assertEquals(CsvExport.escape(null), '', 'Missing values should be empty');
+    });
+
+    test('Benefits sheet has remaining, next reset and status', () => {
+        const card = createCsvCard();
+        card.findBenefit('monthly').addUsageEntry({ amount: 4, date: new Date(2024, 2, 5) });
+        const today = new Date(2024, 2, 10);
+
+        const rows = parseRows(CsvExport.buildBenefits([card], today));
+        assertEquals(rows[0], 'Card,Benefit,Frequency,Reset Type,Amount,Used,Remaining,Next Reset,Expires,Status,Required Minimum Spend', 'Header row');
+        assertEquals(rows[1], '"Travel, ""Premium""",Dining credit,monthly,calendar,10.00,4.00,6.00,2024-04-01,,Available,', 'Monthly benefit row');
+        assertEquals(rows[2], '"Travel, ""Premium""",Bonus credit,one-time,,100.00,0.00,100.00,,,Locked,Spend $3000', 'Locked benefit row');
+    });
+
+    test('Minimum spends sheet has progress and deadline', () => {
+        const card = createCsvCard();
+        const today = new Date(2024, 2, 10);
+        const deadline = CsvExport._formatDate(card.minimumSpends[0].getDeadline(today));
+
+        const rows = parseRows(CsvExport.buildMinimumSpends([card], today));
+        assertEquals(rows[1], `"Travel, ""Premium""",Spend $3000,one-time,,3000.00,750.00,2250.00,25,${deadline},,In progress`, 'Minimum spend row');
+    });
+
+    test('Usage sheet spans all ledgers and honors the date range', () => {
+        const card = createCsvCard();
+        const monthly = card.findBenefit('monthly');
+        monthly.addUsageEntry({ amount: 10, date: new Date(2024, 0, 12), merchant: 'Cafe' });
+        monthly.reset(new Date(2024, 1, 1));
+        monthly.addUsageEntry({ amount: 4, date: new Date(2024, 1, 8), note: '=cmd' });
+
+        const all = parseRows(CsvExport.buildUsage([card]));
+        assertArrayLength(all, 3, 'Header plus one row per entry');
+        assertTrue(all[1].startsWith('2024-01-12,'), 'Entries should be sorted by date');
+        assertTrue(all[1].includes(',Cafe,'), 'Merchant should be included');
+        assertTrue(all[2].endsWith(",'=cmd"), 'Notes should be escaped');
+
+        const february = parseRows(CsvExport.buildUsage([card], new Date(2024, 1, 1), new Date(2024, 1, 29)));
+        assertArrayLength(february, 2, 'Only entries within the range should be included');
+        assertTrue(february[1].startsWith('2024-02-08,'), 'February entry should remain');
+    });
+
+    test('The usage file is only produced when usage has been recorded', () => {
+        const card = createCsvCard();
+        const today = new Date(2024, 2, 10);
+        const names = () => CsvExport.createFiles([card], today).map(file => file.name);
+
+        assertEquals(names().join('|'), 'benefit-tracker-cards-2024-03-10.csv|benefit-tracker-benefits-2024-03-10.csv|benefit-tracker-minimum-spends-2024-03-10.csv', 'No usage file without usage');
+        card.findBenefit('monthly').addUsageEntry({ amount: 1, date: new Date(2024, 2, 2) });
+        assertTrue(names().includes('benefit-tracker-usage-2024-03-10.csv'), 'Usage file should be added');
+    });
+});
+
+// Test Suite 21: Statement Import
+runner.suite('Statement Import', ({ test }) => {
+    const statement = [
+        'Transaction Date,Description,Amount',
+        '03/02/2024,"GROCER, INC",-120.50',
+        '03/05/2024,COFFEE,-4.00',
+        '03/05/2024,COFFEE,-4.00',
+        '03/09/2024,PAYMENT THANK YOU,500.00',
+        '02/20/2024,OLD PURCHASE,-80.00'
+    ].join('\r\n');
+    const createMinSpend = (targetAmount = 200) => new MinimumSpend({
+        id: 'ms-1',
+        description: 'Spend $200 monthly',
+        targetAmount,
+        frequency: 'monthly',
+        resetType: 'calendar',
+        lastReset: new Date(2024, 2, 1).toISOString()
+    });
+    const readStatement = () => {
+        const rows = StatementImport.parseCsv(statement);
+        return StatementImport.readTransactions(rows, StatementImport.guessMapping(rows[0])).transactions;
+    };
+
+    test('CSV parsing handles quotes, escaped quotes and line breaks', () => {
+        const rows = StatementImport.parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\n"multi\nline",2\n\n');
+        assertArrayLength(rows, 3, 'Blank lines should be dropped');
+        assertEquals(rows[1][0], 'x, y', 'Quoted comma should stay in the field');
+        assertEquals(rows[1][1], 'say "hi"', 'Doubled quotes should be unescaped');
+        assertEquals(rows[2][0], 'multi\nline', 'Quoted line break should stay in the field');
+        assertEquals(rows[0][0], 'a', 'Byte order mark should be removed');
+    });
+
+    test('Mappings read signed amounts or debit/credit columns', () => {
+        const transactions = readStatement();
+        assertEquals(transactions[0].amount, 120.5, 'Negative statement amounts should be purchases');
+        assertEquals(transactions[3].amount, -500, 'Payments should be credits');
+        assertDateEquals(transactions[0].date, new Date(2024, 2, 2), 'Dates should follow the date format');
+
+        const rows = StatementImport.parseCsv('Date,Details,Debit,Credit\n2024-03-02,Shop,"1,050.00",\n2024-03-03,Refund,,25.00');
+        const mapping = { ...StatementImport.guessMapping(rows[0]), dateFormat: 'YYYY-MM-DD' };
+        const result = StatementImport.readTransactions(rows, mapping);
+        assertEquals(result.transactions[0].amount, 1050, 'Debits should be purchases');
+        assertEquals(result.transactions[1].amount, -25, 'Credits should be negative');
+        assertArrayLength(result.errors, 0, 'Every line should be readable');
+    });
+
+    test('Only purchases within the current period are added', () => {
+        const minSpend = createMinSpend();
+        const result = StatementImport.apply(minSpend, readStatement(), new Date(2024, 2, 15));
+
+        assertEquals(result.added, 3, 'Both coffees and the grocery purchase should count');
+        assertEquals(result.total, 128.5, 'Qualifying purchases should be summed');
+        assertEquals(result.outOfPeriod, 1, 'Purchase before the period should be skipped');
+        assertEquals(result.credits, 1, 'Payment should be skipped');
+        assertEquals(minSpend.currentAmount, 128.5, 'Spend should be added to the minimum spend');
+    });
+
+    test('Importing the same statement again adds nothing', () => {
+        const minSpend = createMinSpend();
+        const today = new Date(2024, 2, 15);
+        StatementImport.apply(minSpend, readStatement(), today);
+
+        // Saved and reloaded in between
+        const reloaded = MinimumSpend.fromJSON(JSON.parse(JSON.stringify(minSpend.toJSON())));
+        const again = StatementImport.apply(reloaded, readStatement(), today);
+        assertEquals(again.added, 0, 'No transaction should be added twice');
+        assertEquals(again.duplicates, 3, 'Every purchase should be recognized');
+        assertEquals(reloaded.currentAmount, 128.5, 'Progress should not change');
+    });
+
+    test('Reaching the target marks the minimum spend met; a reset forgets imported transactions', () => {
+        const minSpend = createMinSpend(100);
+        const result = StatementImport.apply(minSpend, readStatement(), new Date(2024, 2, 15));
+        assertTrue(result.isNewlyMet, 'Import should report that the target was reached');
+        assertTrue(minSpend.isMet, 'Minimum spend should be met');
+
+        minSpend.reset(new Date(2024, 3, 1));
+        assertArrayLength(minSpend.importedTransactionKeys, 0, 'A new period should start without imported transactions');
+    });
+
+    test('Column mappings are saved with the card', () => {
+        const card = new Card({ name: 'Card', anniversaryDate: '2023-01-01' });
+        card.setStatementMapping(StatementImport.guessMapping(['Posted Date', 'Payee', 'Amount']));
+        const reloaded = Card.fromJSON(JSON.parse(JSON.stringify(card.toJSON())));
+        assertEquals(reloaded.statementMapping.date, 'Posted Date', 'Date column should be remembered');
+        assertEquals(reloaded.statementMapping.description, 'Payee', 'Description column should be remembered');
+    });
+});
+
+// Test Suite 22: Statement Matching Rules
+runner.suite('Statement Matching Rules', ({ test }) => {
+    const createRideBenefit = () => new Benefit({
+        id: 'rides',
+        description: 'Monthly ride credit',
+        totalAmount: 15,
+        frequency: 'monthly',
+        resetType: 'calendar',
+        lastReset: new Date(2024, 2, 1).toISOString(),
+        matchRules: [{ id: 'rule-1', merchantPattern: '^UBER', transactionType: 'purchase', minAmount: null, maxAmount: null, activeFrom: null, activeUntil: null }]
+    });
+    const readStatement = lines => {
+        const rows = StatementImport.parseCsv(['Date,Description,Amount', ...lines].join('\n'));
+        return StatementImport.readTransactions(rows, { date: 'Date', description: 'Description', amount: 'Amount', dateFormat: 'MM/DD/YYYY', spendSign: 'negative' }).transactions;
+    };
+    const today = new Date(2024, 2, 20);
+
+    test('Rules match merchant pattern, transaction type, amount range and offer dates', () => {
+        const [purchase] = readStatement(['03/04/2024,UBER *TRIP,-12.40']);
+        const [credit] = readStatement(['03/05/2024,Uber Cash Credit,15.00']);
+        const rule = { merchantPattern: 'uber', transactionType: 'purchase', minAmount: null, maxAmount: null, activeFrom: null, activeUntil: null };
+
+        assertTrue(StatementImport.ruleMatches(rule, purchase), 'Pattern should match case-insensitively');
+        assertFalse(StatementImport.ruleMatches(rule, credit), 'Purchase rules should skip credits');
+        assertTrue(StatementImport.ruleMatches({ ...rule, transactionType: 'credit' }, credit), 'Credit rules should match statement credits');
+        assertFalse(StatementImport.ruleMatches({ ...rule, maxAmount: 10 }, purchase), 'Amount above the range should not match');
+        assertFalse(StatementImport.ruleMatches({ ...rule, activeFrom: '2024-03-05' }, purchase), 'Transactions before the offer should not match');
+        assertFalse(StatementImport.ruleMatches({ ...rule, activeUntil: '2024-03-03' }, purchase), 'Transactions after the offer should not match');
+        assertFalse(StatementImport.ruleMatches({ ...rule, merchantPattern: '([' }, purchase), 'An invalid pattern should match nothing');
+    });
+
+    test('Matches record usage in the current period up to the credit amount', () => {
+        const benefit = createRideBenefit();
+        const transactions = readStatement([
+            '02/27/2024,UBER *TRIP,-9.00',
+            '03/04/2024,UBER *TRIP,-12.40',
+            '03/06/2024,LYFT RIDE,-8.00',
+            '03/09/2024,UBER *EATS,-7.00'
+        ]);
+
+        const { matched, total, outOfPeriod } = StatementImport.matchBenefit(benefit, transactions, today);
+        assertArrayLength(matched, 2, 'Only UBER transactions this month should match');
+        assertEquals(outOfPeriod, 1, 'The UBER trip from last month should be reported as skipped');
+        assertEquals(total, 15, 'Usage should be capped at the credit amount');
+        assertEquals(benefit.usedAmount, 15, 'Benefit should be fully used');
+        assertEquals(matched[0].merchant, 'UBER *TRIP', 'Entry should carry the merchant');
+        assertTrue(!!matched[0].transactionKey, 'Entry should remember its transaction');
+    });
+
+    test('Importing the same statement again matches nothing new', () => {
+        const benefit = createRideBenefit();
+        const transactions = readStatement(['03/04/2024,UBER *TRIP,-5.00']);
+        StatementImport.matchBenefit(benefit, transactions, today);
+
+        const reloaded = Benefit.fromJSON(JSON.parse(JSON.stringify(benefit.toJSON())));
+        assertArrayLength(StatementImport.matchBenefit(reloaded, transactions, today).matched, 0, 'Nothing should match twice');
+        assertEquals(reloaded.usedAmount, 5, 'Usage should not change');
+    });
+
+    test('Unlinked transactions are removed and never matched again', () => {
+        const benefit = createRideBenefit();
+        const transactions = readStatement(['03/04/2024,UBER *TRIP,-5.00']);
+        const [entry] = StatementImport.matchBenefit(benefit, transactions, today).matched;
+
+        assertTrue(benefit.unlinkTransaction(entry.id), 'Matched entry should be unlinked');
+        assertEquals(benefit.usedAmount, 0, 'Usage should be removed');
+        assertArrayLength(StatementImport.matchBenefit(benefit, transactions, today).matched, 0, 'Unlinked transaction should not be matched again');
+
+        const manual = benefit.addUsageEntry({ amount: 2, date: today });
+        assertFalse(benefit.unlinkTransaction(manual.id), 'Manual entries cannot be unlinked');
+    });
+
+    test('Carryover benefits and benefits without rules are not matched', () => {
+        const transactions = readStatement(['03/04/2024,UBER *TRIP,-5.00']);
+        const noRules = new Benefit({ description: 'Plain', totalAmount: 10, frequency: 'monthly', resetType: 'calendar', lastReset: new Date(2024, 2, 1).toISOString() });
+        const carryover = new Benefit({ description: 'Carry', totalAmount: 10, frequency: 'carryover', isCarryover: true, matchRules: createRideBenefit().matchRules });
+        assertArrayLength(StatementImport.matchBenefit(noRules, transactions, today).matched, 0, 'No rules, no matches');
+        assertArrayLength(StatementImport.matchBenefit(carryover, transactions, today).matched, 0, 'Carryover benefits should be skipped');
+    });
+
+    test('Offer dates keep matching in later periods and older rules are migrated', () => {
+        const benefit = createRideBenefit();
+        benefit.matchRules[0].activeFrom = '2024-03-01';
+        benefit.reset(new Date(2024, 3, 1));
+        const { matched } = StatementImport.matchBenefit(benefit, readStatement(['04/03/2024,UBER *TRIP,-6.00']), new Date(2024, 3, 10));
+        assertArrayLength(matched, 1, 'A rule should match in every period of its offer');
+
+        const [card] = SchemaMigrations.migrate({
+            schemaVersion: 6,
+            cards: [{ id: 'card-1', name: 'Card', benefits: [{ id: 'b-1', matchRules: [{ id: 'rule-1', merchantPattern: 'UBER', startDate: '2024-01-01', endDate: null }] }] }]
+        }).cards;
+        const rule = card.benefits[0].matchRules[0];
+        assertEquals(rule.activeFrom, '2024-01-01', 'The start date becomes the offer start');
+        assertEquals(rule.activeUntil, null);
+        assertFalse('startDate' in rule, 'The old field is dropped');
+    });
+});
+
+// Test Suite 23: Card Catalog
+runner.suite('Card Catalog', ({ test }) => {
+    const createTemplate = () => ({
+        id: 'test-card',
+        issuer: 'Test Bank',
+        name: 'Test Card',
+        version: 1,
+        annualFee: 250,
+        benefits: [
+            { key: 'dining', description: 'Dining credit', totalAmount: 10, frequency: 'monthly', resetType: 'calendar' },
+            { key: 'travel', description: 'Travel credit', totalAmount: 300, frequency: 'annual', resetType: 'anniversary' },
+            { key: 'companion', description: 'Companion certificate', totalAmount: 100, frequency: 'annual', resetType: 'anniversary', requiresMinimumSpend: 'annual-spend' }
+        ],
+        minimumSpends: [
+            { key: 'welcome', description: 'Welcome offer', targetAmount: 4000, frequency: 'one-time', deadlineMonths: 3 },
+            { key: 'annual-spend', description: 'Annual spend', targetAmount: 15000, frequency: 'annual', resetType: 'anniversary' }
+        ]
+    });
+    const today = new Date(2024, 0, 20);
+    const details = { name: 'My Test Card', anniversaryDate: '2024-01-15', annualFee: 250 };
+
+    test('Shipped catalog is valid and every template creates a card', () => {
+        const data = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/card-catalog.json'), 'utf8'));
+        const catalog = CardCatalog.parse(data);
+        assertTrue(catalog.cards.length > 0, 'Catalog should list cards');
+        catalog.cards.forEach(template => {
+            const keys = [...template.benefits, ...template.minimumSpends].map(item => item.key);
+            assertEquals(new Set(keys).size, keys.length, `${template.id} item keys should be unique`);
+            const card = CardCatalog.createCard(template, { anniversaryDate: '2024-01-15' }, today);
+            assertEquals(card.name, template.name, 'Name should default to the template name');
+            assertEquals(card.benefits.length, template.benefits.length, `${template.id} should create every benefit`);
+            card.benefits.forEach(benefit => assertTrue(benefit.getNextResetDate(today) !== undefined, `${benefit.description} should have a schedule`));
+        });
+        assertEquals(CardCatalog.findTemplate(catalog, 'missing'), null, 'Unknown templates should not be found');
+    });
+
+    test('Creates the card with all items, template keys and minimum spend links', () => {
+        const card = CardCatalog.createCard(createTemplate(), details, today);
+
+        assertEquals(card.name, 'My Test Card');
+        assertEquals(card.annualFee, 250);
+        assertEquals(card.template.id, 'test-card');
+        assertEquals(card.template.version, 1);
+        assertArrayLength(card.benefits, 3);
+        assertArrayLength(card.minimumSpends, 2);
+        const welcome = card.minimumSpends.find(ms => ms.templateKey === 'welcome');
+        assertDateEquals(welcome.deadline, new Date(2024, 3, 15), 'One-time deadline should count months from opening');
+        const companion = card.benefits.find(b => b.templateKey === 'companion');
+        const annualSpend = card.minimumSpends.find(ms => ms.templateKey === 'annual-spend');
+        assertEquals(companion.requiredMinimumSpendId, annualSpend.id, 'Benefit should require the linked minimum spend');
+
+        const restored = Card.fromJSON(JSON.parse(JSON.stringify(card.toJSON())));
+        assertEquals(restored.template.id, 'test-card', 'Template should survive serialization');
+        assertEquals(restored.benefits[0].templateKey, 'dining', 'Template keys should survive serialization');
+    });
+
+    test('Deselected items are skipped and not reported as missing', () => {
+        const template = createTemplate();
+        const card = CardCatalog.createCard(template, { ...details, excludedKeys: ['travel', 'annual-spend'] }, today);
+
+        assertArrayLength(card.benefits, 2);
+        assertArrayLength(card.minimumSpends, 1);
+        assertEquals(card.benefits.find(b => b.templateKey === 'companion').requiredMinimumSpendId, null,
+            'Benefits should not link to a deselected minimum spend');
+        assertArrayLength(CardCatalog.diff(card, template), 0, 'An unchanged template should have no differences');
+    });
+
+    test('Diff reports added, removed and changed items against an updated template', () => {
+        const card = CardCatalog.createCard(createTemplate(), details, today);
+        card.addBenefit({ description: 'Hand-added credit', totalAmount: 5, frequency: 'monthly', resetType: 'calendar' });
+        const updated = createTemplate();
+        updated.version = 2;
+        updated.annualFee = 295;
+        updated.benefits = updated.benefits.filter(item => item.key !== 'travel');
+        updated.benefits[0].totalAmount = 15;
+        updated.benefits.push({ key: 'streaming', description: 'Streaming credit', totalAmount: 7, frequency: 'monthly', resetType: 'calendar' });
+
+        const changes = CardCatalog.diff(card, updated);
+        const find = id => changes.find(change => change.id === id);
+        assertArrayLength(changes, 4, 'Hand-added items should be ignored');
+        assertEquals(find('card:annualFee').fields[0].template, 295);
+        assertEquals(find('benefit:dining').change, 'changed');
+        assertEquals(find('benefit:dining').fields[0].field, 'totalAmount');
+        assertEquals(find('benefit:travel').change, 'removed');
+        assertEquals(find('benefit:streaming').change, 'added');
+    });
+
+    test('Applying selected changes updates the card and keeps usage', () => {
+        const card = CardCatalog.createCard(createTemplate(), details, today);
+        const dining = card.benefits.find(b => b.templateKey === 'dining');
+        dining.addUsageEntry({ amount: 4, date: today.toISOString() });
+        const updated = createTemplate();
+        updated.version = 2;
+        updated.annualFee = 295;
+        updated.benefits = updated.benefits.filter(item => item.key !== 'travel');
+        updated.benefits[0].totalAmount = 15;
+
+        const changes = CardCatalog.diff(card, updated);
+        CardCatalog.applyChanges(card, updated, changes.filter(change => change.change !== 'removed'), today);
+
+        assertEquals(card.annualFee, 295);
+        assertEquals(dining.totalAmount, 15, 'Changed fields should take the template value');
+        assertEquals(dining.usedAmount, 4, 'Usage should be kept');
+        assertTrue(card.benefits.some(b => b.templateKey === 'travel'), 'Unselected removals should be kept');
+        assertEquals(card.template.version, 2, 'The card should record the applied template version');
+        assertArrayLength(CardCatalog.diff(card, updated), 1, 'Only the skipped removal should remain');
+    });
+});
+
+// Test Suite 24: Custom Schedules
+runner.suite('Custom Schedules', ({ test }) => {
+    const createCycle = (schedule, resetType, lastReset, anniversaryDate = null) => new ExpiryCycle({
+        frequency: 'custom',
+        resetType,
+        lastReset: lastReset.toISOString(),
+        anniversaryDate,
+        schedule
+    });
+
+    test('Every N months counts calendar periods from January and anniversary periods from the anniversary', () => {
+        const calendar = createCycle({ interval: 2, unit: 'months' }, 'calendar', new Date(2024, 1, 10));
+        assertDateEquals(calendar.calculateNextResetDate(new Date(2024, 1, 10)), new Date(2024, 2, 1), 'Every 2 months should reset Mar 1');
+        assertDateEquals(calendar.getDeadline(new Date(2024, 1, 10)), new Date(2024, 1, 29), 'Period should end the day before');
+
+        const anniversary = createCycle({ interval: 3, unit: 'months' }, 'anniversary', new Date(2024, 0, 10), '2023-11-30');
+        assertDateEquals(anniversary.calculateNextResetDate(new Date(2024, 0, 10)), new Date(2024, 1, 29),
+            'Anniversary on the 30th should reset on the last day of February');
+    });
+
+    test('Semi-monthly calendar periods reset on the 1st and the 16th', () => {
+        const semiMonthly = { interval: 15, unit: 'days' };
+        assertDateEquals(createCycle(semiMonthly, 'calendar', new Date(2024, 1, 10)).calculateNextResetDate(new Date(2024, 1, 10)),
+            new Date(2024, 1, 16), 'First half should end on the 15th');
+        assertDateEquals(createCycle(semiMonthly, 'calendar', new Date(2024, 0, 16)).calculateNextResetDate(new Date(2024, 0, 20)),
+            new Date(2024, 1, 1), 'The 31st should belong to the second half');
+
+        const everyTenDays = createCycle({ interval: 10, unit: 'days' }, 'anniversary', new Date(2024, 5, 3), '2024-05-30');
+        assertDateEquals(everyTenDays.calculateNextResetDate(new Date(2024, 5, 3)), new Date(2024, 5, 9),
+            'Anniversary day intervals should run back to back across months');
+    });
+
+    test('Month-list schedules are only available in the listed months', () => {
+        const december = createCycle({ months: [12] }, 'calendar', new Date(2024, 11, 3));
+        assertDateEquals(december.calculateNextResetDate(new Date(2024, 11, 3)), new Date(2025, 11, 1), 'Should reset next December');
+        assertDateEquals(december.getDeadline(new Date(2024, 11, 3)), new Date(2024, 11, 31), 'Should lapse at the end of December');
+        assertTrue(december.isAvailable(new Date(2024, 11, 20)));
+        assertTrue(december.expiresWithin(new Date(2024, 11, 25), 10), 'Should be expiring at the end of December');
+        assertFalse(december.isAvailable(new Date(2025, 0, 2)), 'Should not be available in January');
+        assertEquals(december.getAvailableUntil(new Date(2025, 0, 2)), null);
+        assertFalse(december.expiresWithin(new Date(2025, 0, 2), 30), 'Unavailable credits should not be expiring');
+
+        const beforeWindow = createCycle({ months: [12] }, 'calendar', new Date(2024, 5, 3));
+        assertFalse(beforeWindow.isAvailable(new Date(2024, 5, 20)), 'Should wait for the first December');
+        assertTrue(beforeWindow.isExpired(new Date(2024, 11, 1)), 'Should reset into the December window');
+    });
+
+    test('Benefits and minimum spends keep their schedule through resets and serialization', () => {
+        const benefit = new Benefit({
+            description: 'Semi-monthly dining',
+            totalAmount: 10,
+            frequency: 'custom',
+            resetType: 'calendar',
+            schedule: { interval: '15', unit: 'days', months: [] },
+            lastReset: new Date(2024, 2, 1).toISOString()
+        });
+        assertEquals(JSON.stringify(benefit.schedule), JSON.stringify({ interval: 15, unit: 'days', months: null }), 'Schedule should be normalized');
+        assertFalse(benefit.needsReset(new Date(2024, 2, 15)));
+        assertTrue(benefit.needsReset(new Date(2024, 2, 16)), 'Should reset on the 16th');
+
+        const restored = Benefit.fromJSON(JSON.parse(JSON.stringify(benefit.toJSON())));
+        assertDateEquals(restored.getNextResetDate(new Date(2024, 2, 5)), new Date(2024, 2, 16), 'Schedule should survive serialization');
+        restored.update({ frequency: 'monthly' });
+        assertEquals(restored.schedule, null, 'Switching to a fixed frequency should drop the schedule');
+
+        const minSpend = new MinimumSpend({
+            description: 'Holiday spend',
+            targetAmount: 1000,
+            frequency: 'custom',
+            resetType: 'calendar',
+            schedule: { months: [11, 12] },
+            lastReset: new Date(2024, 10, 1).toISOString()
+        });
+        assertDateEquals(minSpend.getDeadline(new Date(2024, 10, 5)), new Date(2024, 10, 30), 'Each listed month should be its own period');
+    });
+
+    test('Calendar day intervals are capped at a month', () => {
+        const benefit = new Benefit({
+            description: 'Every 45 days',
+            totalAmount: 10,
+            frequency: 'custom',
+            resetType: 'calendar',
+            schedule: { interval: 45, unit: 'days' },
+            lastReset: new Date(2024, 0, 1).toISOString()
+        });
+        assertEquals(benefit.schedule.interval, 31, 'Calendar day intervals should be capped');
+        assertEquals(ExpiryCycle.describeSchedule(benefit.schedule), 'every 31 days', 'The description should match the cap');
+
+        benefit.update({ resetType: 'anniversary', schedule: { interval: 45, unit: 'days' } });
+        assertEquals(benefit.schedule.interval, 45, 'Anniversary day intervals run back to back and are not capped');
+        assertEquals(ExpiryCycle.normalizeSchedule({ interval: 3, unit: 'months' }, 'calendar').interval, 3, 'Month intervals should not be capped');
+    });
+
+    test('Schedules are described in words', () => {
+        assertEquals(ExpiryCycle.describeSchedule({ interval: 2, unit: 'months' }), 'every 2 months');
+        assertEquals(ExpiryCycle.describeSchedule({ interval: 1, unit: 'months' }), 'every month');
+        assertEquals(ExpiryCycle.describeSchedule({ interval: 15, unit: 'days' }), 'semi-monthly');
+        assertEquals(ExpiryCycle.describeSchedule({ months: [12, 6] }), 'Jun, Dec only');
+    });
+});
+
+// Test Suite 25: Variable Amounts
+runner.suite('Variable Amounts', ({ test }) => {
+    const createBenefit = (overrides = {}) => new Benefit({
+        description: 'Dining Credit',
+        totalAmount: 15,
+        frequency: 'monthly',
+        resetType: 'calendar',
+        lastReset: new Date(2024, 11, 1).toISOString(),
+        amountSchedule: [{ months: [12], amount: 35 }],
+        ...overrides
+    });
+
+    test('A monthly benefit uses the December amount in December only', () => {
+        const benefit = createBenefit();
+        assertEquals(benefit.getPeriodAmount(), 35, 'December period should use the override');
+        assertEquals(benefit.getRemainingAmount(), 35);
+        assertEquals(benefit.getPeriodAmount(new Date(2024, 10, 1)), 15, 'November period should use the base amount');
+    });
+
+    test('Semi-annual entries match the half-year of the period', () => {
+        const benefit = createBenefit({
+            totalAmount: 50,
+            frequency: 'biannual',
+            lastReset: new Date(2024, 6, 1).toISOString(),
+            amountSchedule: [{ months: [1, 2, 3, 4, 5, 6], amount: 50 }, { months: [7, 8, 9, 10, 11, 12], amount: 75 }]
+        });
+        assertEquals(benefit.getPeriodAmount(), 75, 'July period should use the second-half amount');
+        assertEquals(benefit.getPeriodAmount(new Date(2024, 0, 1)), 50);
+    });
+
+    test('Usage and claims are capped at the period amount', () => {
+        const benefit = createBenefit();
+        benefit.setUsedAmount(30, new Date(2024, 11, 5));
+        assertEquals(benefit.usedAmount, 30, 'Usage above the base amount should be allowed in December');
+        assertFalse(benefit.isFullyUsed(new Date(2024, 11, 5)));
+        benefit.markFullyClaimed(new Date(2024, 11, 6));
+        assertEquals(benefit.usedAmount, 35, 'Fully claiming should use the December amount');
+        assertTrue(benefit.isFullyUsed(new Date(2024, 11, 6)));
+    });
+
+    test('Resets archive the period amount and pick up the next period amount', () => {
+        const benefit = createBenefit();
+        benefit.setUsedAmount(20, new Date(2024, 11, 5));
+        benefit.reset(new Date(2025, 0, 1));
+        assertEquals(benefit.periodHistory[0].totalAmount, 35, 'History should record the December amount');
+        assertEquals(benefit.getPeriodAmount(), 15, 'January should use the base amount');
+        assertEquals(benefit.getRemainingAmount(), 15);
+    });
+
+    test('Amount schedules are normalized and survive serialization', () => {
+        const benefit = createBenefit({ amountSchedule: [{ months: ['12', 12, 13], amount: '35' }, { months: [], amount: 10 }] });
+        assertEquals(JSON.stringify(benefit.amountSchedule), JSON.stringify([{ months: [12], amount: 35 }]),
+            'Invalid months and empty entries should be dropped');
+
+        const restored = Benefit.fromJSON(JSON.parse(JSON.stringify(benefit.toJSON())));
+        assertEquals(restored.getPeriodAmount(), 35);
+
+        restored.update({ frequency: 'one-time', resetType: null });
+        assertEquals(restored.getPeriodAmount(), 15, 'One-time benefits should ignore the schedule');
+    });
+});
+
+// Test Suite 26: Carryover Rules
+runner.suite('Carryover Rules', ({ test }) => {
+    const createCarryover = (carryoverRule, earnedDates = [], anniversaryDate = null) => new Benefit({
+        description: 'Free Night Award',
+        totalAmount: 300,
+        frequency: 'carryover',
+        isCarryover: true,
+        carryoverRule,
+        earnedInstances: earnedDates.map(date => ({ earnedDate: date.toISOString(), usedAmount: 0 }))
+    }, anniversaryDate);
+
+    test('The default rule keeps credits until the end of the following year', () => {
+        const benefit = createCarryover(null, [new Date(2024, 2, 15)]);
+        assertTrue(CarryoverCycle.isDefaultRule(benefit.carryoverRule));
+        assertDateEquals(benefit.getCarryoverInstanceExpiryDate(benefit.earnedInstances[0]), new Date(2025, 11, 31));
+        assertFalse(benefit.canEarnCarryoverThisYear(new Date(2024, 10, 1)), 'Only one credit per calendar year');
+        assertTrue(benefit.canEarnCarryoverThisYear(new Date(2025, 0, 1)));
+    });
+
+    test('Credits can expire a number of months after earning', () => {
+        const benefit = createCarryover({ expiry: 'months', months: 12 }, [new Date(2024, 2, 15)]);
+        assertDateEquals(benefit.getCarryoverInstanceExpiryDate(benefit.earnedInstances[0]), new Date(2025, 2, 14),
+            'Should be usable for 12 months');
+        assertEquals(benefit.getActiveCarryoverInstances(new Date(2025, 2, 14)).length, 1);
+        assertEquals(benefit.getActiveCarryoverInstances(new Date(2025, 2, 15)).length, 0, 'Should expire after 12 months');
+
+        const monthEnd = createCarryover({ expiry: 'months', months: 1 }, [new Date(2024, 0, 31)]);
+        assertDateEquals(monthEnd.getCarryoverInstanceExpiryDate(monthEnd.earnedInstances[0]), new Date(2024, 1, 28),
+            'Earned on the 31st should run to the end of the shorter month');
+    });
+
+    test('Credits can expire on a fixed date', () => {
+        const benefit = createCarryover({ expiry: 'date', date: '2025-06-30' }, [new Date(2024, 8, 1)]);
+        assertDateEquals(benefit.getCarryoverExpiryDate(new Date(2025, 0, 1)), new Date(2025, 5, 30));
+        assertEquals(benefit.getExpiringCarryoverInstances(new Date(2025, 5, 10), 30).length, 1, 'Should be expiring in June');
+        assertEquals(benefit.archiveExpiredCarryoverInstances(new Date(2025, 6, 1)), 1);
+        assertDateEquals(new Date(benefit.periodHistory[0].periodEnd), new Date(2025, 5, 30));
+    });
+
+    test('Fixed-date credits keep their date and none are earned after it', () => {
+        const card = new Card({ name: 'Hotel Card', anniversaryDate: '2020-01-01', benefits: [] });
+        const minSpend = card.addMinimumSpend({ description: 'Annual spend', targetAmount: 1000, frequency: 'annual', resetType: 'calendar' });
+        const benefit = card.addBenefit({
+            description: 'Free night', totalAmount: 300, frequency: 'carryover', isCarryover: true,
+            carryoverRule: { expiry: 'date', date: '2025-06-30' }, requiredMinimumSpendId: minSpend.id
+        });
+        minSpend.reset(new Date(2024, 0, 1));
+        minSpend.setCurrentAmount(1000, new Date(2024, 8, 1));
+        card.earnLinkedCarryovers(minSpend.id);
+        assertEquals(benefit.earnedInstances[0].expiryDate, '2025-06-30', 'The credit should keep the certificate date');
+
+        benefit.update({ carryoverRule: { expiry: 'date', date: '2026-06-30' } });
+        assertDateEquals(benefit.getCarryoverInstanceExpiryDate(benefit.earnedInstances[0]), new Date(2025, 5, 30),
+            'A new date should only apply to later credits');
+        assertTrue(benefit.canEarnCarryoverThisYear(new Date(2025, 7, 1)));
+        assertFalse(benefit.canEarnCarryoverThisYear(new Date(2026, 7, 1)), 'No credit should be earned after the date');
+
+        const { cards } = SchemaMigrations.migrate({
+            schemaVersion: 4,
+            cards: [{ id: 'card-1', benefits: [{ id: 'b-1', carryoverRule: { expiry: 'date', date: '2025-06-30' }, earnedInstances: [{ id: 'i-1', earnedDate: '2024-09-01' }] }] }]
+        });
+        assertEquals(cards[0].benefits[0].earnedInstances[0].expiryDate, '2025-06-30', 'Saved credits should get the date from the migration');
+    });
+
+    test('Anniversary earning windows follow the card year', () => {
+        const benefit = createCarryover({ earnWindow: 'anniversary' }, [new Date(2024, 7, 10)], '2023-06-15');
+        assertFalse(benefit.canEarnCarryoverThisYear(new Date(2025, 0, 20)), 'Card year Jun 15 2024 - Jun 14 2025 is used');
+        assertTrue(benefit.canEarnCarryoverThisYear(new Date(2025, 5, 15)), 'A new card year starts on the anniversary');
+        assertDateEquals(benefit.getCarryoverEarnDeadline(new Date(2025, 0, 20)), new Date(2025, 5, 14));
+        assertDateEquals(benefit.getCarryoverInstanceExpiryDate(benefit.earnedInstances[0]), new Date(2026, 5, 14),
+            'Should last until the end of the following card year');
+    });
+
+    test('Rules are normalized, described and survive serialization', () => {
+        assertEquals(CarryoverCycle.normalizeRule({ expiry: 'months' }).expiry, 'following-year', 'Months are required');
+        assertEquals(CarryoverCycle.describeRule({ expiry: 'months', months: 12 }), 'expires 12 months after earning');
+
+        const benefit = createCarryover({ expiry: 'months', months: 6, earnWindow: 'anniversary' });
+        const restored = Benefit.fromJSON(JSON.parse(JSON.stringify(benefit.toJSON())));
+        assertEquals(JSON.stringify(restored.carryoverRule), JSON.stringify({ expiry: 'months', months: 6, date: null, earnWindow: 'anniversary', maxEarns: 1 }));
+
+        restored.update({ frequency: 'annual', resetType: 'calendar', isCarryover: false });
+        assertEquals(restored.carryoverRule, null, 'Non-carryover benefits should not keep a rule');
+    });
+});
+
+// Test Suite 27: Multiple Carryover Earns
+runner.suite('Multiple Carryover Earns', ({ test }) => {
+    const createCarryover = (carryoverRule, earnedDates = []) => new Benefit({
+        description: 'Companion Certificate',
+        totalAmount: 99,
+        frequency: 'carryover',
+        isCarryover: true,
+        carryoverRule,
+        earnedInstances: earnedDates.map(date => ({ earnedDate: date.toISOString(), usedAmount: 0 }))
+    });
+
+    test('One credit per year is the default', () => {
+        const benefit = createCarryover(null, [new Date(2024, 1, 1)]);
+        assertEquals(benefit.carryoverRule.maxEarns, 1);
+        assertEquals(benefit.getCarryoverEarnsRemaining(new Date(2024, 5, 1)), 0);
+        assertFalse(benefit.canEarnCarryoverThisYear(new Date(2024, 5, 1)));
+    });
+
+    test('Credits can be earned up to the maximum per earning year', () => {
+        const benefit = createCarryover({ maxEarns: 3 }, [new Date(2024, 1, 1), new Date(2024, 4, 1)]);
+        assertEquals(benefit.getCarryoverEarnsRemaining(new Date(2024, 5, 1)), 1);
+        assertTrue(benefit.canEarnCarryoverThisYear(new Date(2024, 5, 1)));
+
+        benefit.earnedInstances.push({ earnedDate: new Date(2024, 8, 1).toISOString(), usedAmount: 0 });
+        assertFalse(benefit.canEarnCarryoverThisYear(new Date(2024, 9, 1)), 'The third credit should use up the year');
+        assertEquals(benefit.getCarryoverEarnsRemaining(new Date(2025, 0, 1)), 3, 'The count should restart next year');
+    });
+
+    test('Each instance keeps its own usage and expiry', () => {
+        const benefit = createCarryover({ expiry: 'months', months: 6, maxEarns: 2 }, [new Date(2024, 0, 10), new Date(2024, 3, 10)]);
+        benefit.setCarryoverInstanceUsage(0, 40, new Date(2024, 1, 1));
+        assertEquals(benefit.getTotalCarryoverRemaining(new Date(2024, 4, 1)), 99 - 40 + 99);
+        assertDateEquals(benefit.getCarryoverExpiryDate(new Date(2024, 4, 1)), new Date(2024, 6, 9), 'Earliest expiry should be the first credit');
+        assertEquals(benefit.getActiveCarryoverInstances(new Date(2024, 7, 1)).length, 1, 'The first credit should expire on its own');
+        assertEquals(benefit.getExpiringCarryoverInstances(new Date(2024, 9, 1), 30).length, 1);
+    });
+
+    test('Meeting a recurring minimum spend again earns another credit', () => {
+        const app = createHeadlessApp();
+        const card = new Card({ name: 'Travel Card', anniversaryDate: '2020-01-01', benefits: [] });
+        const minSpend = card.addMinimumSpend({ description: 'Quarterly spend', targetAmount: 5000, frequency: 'quarterly', resetType: 'calendar' });
+        const benefit = card.addBenefit({
+            description: 'Companion Certificate', totalAmount: 99, frequency: 'carryover', isCarryover: true,
+            carryoverRule: { maxEarns: 2 }, requiredMinimumSpendId: minSpend.id
+        });
+
+        [new Date(2024, 1, 15), new Date(2024, 4, 15), new Date(2024, 7, 15)].forEach(date => {
+            app.today = date;
+            app.earnLinkedCarryovers(card, minSpend.id);
+        });
+        assertArrayLength(benefit.earnedInstances, 2, 'The third threshold should not exceed the yearly maximum');
+    });
+
+    test('The maximum is part of the rule and its description', () => {
+        assertEquals(CarryoverCycle.normalizeRule({ maxEarns: '0' }).maxEarns, 1, 'Invalid maximums should fall back to one');
+        assertFalse(CarryoverCycle.isDefaultRule({ maxEarns: 2 }));
+        assertEquals(CarryoverCycle.describeRule({ expiry: 'months', months: 12, maxEarns: 2 }),
+            'expires 12 months after earning (up to 2 per year)');
+        const restored = Benefit.fromJSON(createCarryover({ maxEarns: 4 }).toJSON());
+        assertEquals(restored.carryoverRule.maxEarns, 4);
+    });
+
+    test('Credits earned on the same day stay apart when syncing', () => {
+        const card = new Card({ id: 'card', name: 'Travel Card', anniversaryDate: '2020-01-01', benefits: [] });
+        const benefit = card.addBenefit({
+            id: 'cert', description: 'Companion Certificate', totalAmount: 99, frequency: 'carryover', isCarryover: true,
+            carryoverRule: { expiry: 'months', months: 6, maxEarns: 2 }
+        });
+        const base = JSON.parse(JSON.stringify([card.toJSON()]));
+        const sameDay = new Date(2024, 0, 10).toISOString();
+        benefit.earnedInstances = [
+            { id: CarryoverCycle.createInstanceId(), earnedDate: sameDay, usedAmount: 0, usageEntries: [] },
+            { id: CarryoverCycle.createInstanceId(), earnedDate: sameDay, usedAmount: 0, usageEntries: [] }
+        ];
+        const local = JSON.parse(JSON.stringify([card.toJSON()]));
+        const remote = JSON.parse(JSON.stringify(base));
+        remote[0].benefits[0].description = 'Companion Pass';
+
+        const merged = SyncMerge.mergeCards(base, local, remote).merged;
+        assertArrayLength(merged[0].benefits[0].earnedInstances, 2, 'Both credits should be kept');
+        assertEquals(merged[0].benefits[0].description, 'Companion Pass');
+
+        benefit.archiveExpiredCarryoverInstances(new Date(2024, 8, 1));
+        const archived = JSON.parse(JSON.stringify([card.toJSON()]));
+        assertArrayLength(SyncMerge.mergeCards(base, archived, remote).merged[0].benefits[0].periodHistory, 2,
+            'Both archived credits should be kept');
+    });
+
+    test('Credits saved without an id get one from the migration', () => {
+        const sameDay = new Date(2024, 0, 10).toISOString();
+        const payload = {
+            schemaVersion: 3,
+            cards: [{
+                id: 'card', name: 'Travel Card', anniversaryDate: '2020-01-01', minimumSpends: [],
+                benefits: [{
+                    id: 'cert', description: 'Companion Certificate', totalAmount: 99, isCarryover: true, usageEntries: [],
+                    earnedInstances: [{ earnedDate: sameDay, usedAmount: 0, usageEntries: [] }, { earnedDate: sameDay, usedAmount: 0, usageEntries: [] }],
+                    periodHistory: [
+                        { periodStart: sameDay, periodEnd: sameDay, usageEntries: [] },
+                        { periodStart: sameDay, periodEnd: sameDay, usageEntries: [] }
+                    ]
+                }]
+            }]
+        };
+        const first = SchemaMigrations.migrate(payload).cards[0].benefits[0];
+        const second = SchemaMigrations.migrate(payload).cards[0].benefits[0];
+        assertEquals(first.earnedInstances.map(i => i.id).join(','), 'cert-earned-0,cert-earned-1');
+        assertEquals(JSON.stringify(first), JSON.stringify(second), 'Every device should derive the same ids');
+        assertEquals(first.periodHistory[0].id, undefined, 'Unique periods keep their date key');
+        assertEquals(first.periodHistory[1].id, 'cert-archived-1');
+    });
+});
+
+// Test Suite 28: Automatic Carryover Earning
+runner.suite('Automatic Carryover Earning', ({ test }) => {
+    const createCard = (carryoverRule = null) => {
+        const card = new Card({ name: 'Airline Card', anniversaryDate: '2020-01-01', benefits: [] });
+        const minSpend = card.addMinimumSpend({
+            description: 'Companion spend', targetAmount: 20000, frequency: 'annual', resetType: 'calendar',
+            lastReset: new Date(2024, 0, 1).toISOString()
+        });
+        const benefit = card.addBenefit({
+            description: 'Companion Certificate', totalAmount: 99, frequency: 'carryover', isCarryover: true,
+            carryoverRule, requiredMinimumSpendId: minSpend.id
+        });
+        return { card, minSpend, benefit };
+    };
+
+    test('Meeting the minimum spend earns a credit dated when it was met', () => {
+        const { card, minSpend, benefit } = createCard();
+        minSpend.setCurrentAmount(20000, new Date(2024, 4, 20));
+        const earned = card.earnLinkedCarryovers(minSpend.id);
+        assertArrayLength(earned, 1);
+        assertArrayLength(benefit.earnedInstances, 1);
+        assertDateEquals(new Date(benefit.earnedInstances[0].earnedDate), new Date(2024, 4, 20));
+        assertEquals(benefit.earnedInstances[0].minimumSpendId, minSpend.id);
+    });
+
+    test('A met period earns only once', () => {
+        const { card, minSpend, benefit } = createCard({ maxEarns: 3 });
+        minSpend.setCurrentAmount(20000, new Date(2024, 4, 20));
+        card.earnLinkedCarryovers(minSpend.id);
+        card.earnLinkedCarryovers(minSpend.id);
+        assertArrayLength(benefit.earnedInstances, 1, 'Repeating the earn should not add another credit');
+    });
+
+    test('Reducing the spend below target takes the credit back', () => {
+        const { card, minSpend, benefit } = createCard();
+        minSpend.setCurrentAmount(20000, new Date(2024, 4, 20));
+        card.earnLinkedCarryovers(minSpend.id);
+        minSpend.setCurrentAmount(15000, new Date(2024, 4, 21));
+        const { reversed, kept } = card.reverseLinkedCarryovers(minSpend.id);
+        assertArrayLength(reversed, 1);
+        assertArrayLength(kept, 0);
+        assertArrayLength(benefit.earnedInstances, 0);
+        assertTrue(benefit.canEarnCarryoverThisYear(new Date(2024, 4, 21)), 'The year can be earned again');
+    });
+
+    test('Credits with recorded usage are kept', () => {
+        const { card, minSpend, benefit } = createCard();
+        minSpend.setCurrentAmount(20000, new Date(2024, 4, 20));
+        card.earnLinkedCarryovers(minSpend.id);
+        benefit.setCarryoverInstanceUsage(0, 99, new Date(2024, 5, 1));
+        minSpend.setCurrentAmount(0, new Date(2024, 5, 2));
+        const { reversed, kept } = card.reverseLinkedCarryovers(minSpend.id);
+        assertArrayLength(reversed, 0);
+        assertArrayLength(kept, 1);
+        assertArrayLength(benefit.earnedInstances, 1);
+    });
+
+    test('Progress updates earn and reverse credits with a notice', () => {
+        const app = createHeadlessApp();
+        app.saveState = () => {};
+        const { card, minSpend, benefit } = createCard();
+        app.cards = [card];
+        app.today = new Date(2024, 4, 20);
+        const alerts = [];
+        global.alert = message => alerts.push(message);
+        try {
+            app.handleUpdateMinimumSpendProgress(minSpend.id, 20000);
+            assertArrayLength(benefit.earnedInstances, 1);
+            assertEquals(alerts[0], '"Companion Certificate" credit earned');
+
+            app.handleUpdateMinimumSpendProgress(minSpend.id, 100);
+            assertArrayLength(benefit.earnedInstances, 0);
+            assertEquals(alerts[1], '"Companion Certificate" credit removed');
+        } finally {
+            delete global.alert;
+        }
+    });
+
+    test('Editing the target or linking a met spend earns and reverses credits', () => {
+        const app = createHeadlessApp();
+        app.saveState = () => {};
+        const { card, minSpend, benefit } = createCard();
+        app.cards = [card];
+        app.today = new Date(2024, 4, 20);
+        global.alert = () => {};
+        try {
+            minSpend.setCurrentAmount(15000, new Date(2024, 4, 1));
+            app.handleUpdateMinimumSpend(minSpend.id, { targetAmount: 10000 });
+            assertTrue(minSpend.isMet, 'Lowering the target below the spend meets it');
+            assertArrayLength(benefit.earnedInstances, 1);
+
+            app.handleUpdateMinimumSpend(minSpend.id, { targetAmount: 20000 });
+            assertFalse(minSpend.isMet, 'Raising the target above the spend unmeets it');
+            assertArrayLength(benefit.earnedInstances, 0);
+
+            app.handleLinkBenefitToMinimumSpend(benefit.id, null);
+            minSpend.setCurrentAmount(20000, new Date(2024, 4, 10));
+            app.handleLinkBenefitToMinimumSpend(benefit.id, minSpend.id);
+            assertArrayLength(benefit.earnedInstances, 1, 'Linking a met spend earns a credit');
+            assertDateEquals(new Date(benefit.earnedInstances[0].earnedDate), new Date(2024, 4, 10));
+        } finally {
+            delete global.alert;
+        }
+    });
+});
+
+// Test Suite 29: Tiered Minimum Spends
+runner.suite('Tiered Minimum Spends', ({ test }) => {
+    const createCard = () => {
+        const card = new Card({ name: 'Airline Card', anniversaryDate: '2020-01-01', benefits: [] });
+        const annual = card.addMinimumSpend({
+            description: 'Annual spend', targetAmount: 45000, frequency: 'annual', resetType: 'calendar',
+            lastReset: new Date(2024, 0, 1).toISOString(),
+            tiers: [
+                { targetAmount: 30000, description: 'Second certificate' },
+                { targetAmount: 15000, description: 'Companion certificate' }
+            ]
+        });
+        const bonus = card.addMinimumSpend({
+            description: 'Welcome bonus', targetAmount: 3000, frequency: 'one-time'
+        });
+        return { card, annual, bonus };
+    };
+
+    test('Tiers are sorted and record when they are reached', () => {
+        const { annual } = createCard();
+        const [first, second] = annual.tiers;
+        assertEquals(first.targetAmount, 15000, 'Tiers should be sorted by amount');
+        annual.setCurrentAmount(16000, new Date(2024, 3, 10));
+        assertTrue(annual.isTierMet(first.id));
+        assertFalse(annual.isTierMet(second.id));
+        assertFalse(annual.isMet, 'The full target is not met yet');
+        assertDateEquals(new Date(annual.getTierMetDate(first.id)), new Date(2024, 3, 10));
+        annual.setCurrentAmount(10000, new Date(2024, 3, 11));
+        assertEquals(annual.getTierMetDate(first.id), null, 'Dropping below a tier forgets when it was met');
+    });
+
+    test('A tier requirement unlocks its benefit before the full target', () => {
+        const { card, annual } = createCard();
+        const benefit = card.addBenefit({
+            description: 'Companion Certificate', totalAmount: 99, frequency: 'one-time',
+            minimumSpendRequirement: { op: 'all', items: [{ minimumSpendId: annual.id, tierId: annual.tiers[0].id }] }
+        });
+        assertTrue(card.isBenefitLocked(benefit));
+        annual.setCurrentAmount(15000, new Date(2024, 3, 10));
+        assertFalse(card.isBenefitLocked(benefit));
+        assertArrayLength(card.getUnlockedBenefits(annual.id), 1);
+    });
+
+    test('All and any requirements across minimum spends', () => {
+        const { card, annual, bonus } = createCard();
+        const items = [{ minimumSpendId: annual.id, tierId: annual.tiers[0].id }, { minimumSpendId: bonus.id }];
+        const both = card.addBenefit({ description: 'Both', totalAmount: 100, frequency: 'one-time', minimumSpendRequirement: { op: 'all', items } });
+        const either = card.addBenefit({ description: 'Either', totalAmount: 100, frequency: 'one-time', minimumSpendRequirement: { op: 'any', items } });
+        bonus.setCurrentAmount(3000, new Date(2024, 1, 1));
+        assertTrue(card.isBenefitLocked(both), 'All requirements need the tier too');
+        assertFalse(card.isBenefitLocked(either), 'Any requirement is met by the bonus');
+        annual.setCurrentAmount(15000, new Date(2024, 3, 10));
+        assertFalse(card.isBenefitLocked(both));
+        assertEquals(SpendRequirement.describe(both.getMinimumSpendRequirement(), id => card.findMinimumSpend(id)),
+            'Annual spend: Companion certificate and Welcome bonus');
+    });
+
+    test('A carryover credit is earned when the requirement is completed', () => {
+        const { card, annual, bonus } = createCard();
+        const benefit = card.addBenefit({
+            description: 'Companion Certificate', totalAmount: 99, frequency: 'carryover', isCarryover: true,
+            minimumSpendRequirement: { op: 'all', items: [{ minimumSpendId: annual.id, tierId: annual.tiers[1].id }, { minimumSpendId: bonus.id }] }
+        });
+        bonus.setCurrentAmount(3000, new Date(2024, 1, 1));
+        assertArrayLength(card.earnLinkedCarryovers(bonus.id), 0, 'The tier is still missing');
+        annual.setCurrentAmount(30000, new Date(2024, 6, 15));
+        assertArrayLength(card.earnLinkedCarryovers(annual.id), 1);
+        assertArrayLength(card.earnLinkedCarryovers(bonus.id), 0, 'The requirement earns once per period');
+        assertDateEquals(new Date(benefit.earnedInstances[0].earnedDate), new Date(2024, 6, 15),
+            'The credit is dated when the last requirement was met');
+        annual.setCurrentAmount(20000, new Date(2024, 6, 16));
+        assertArrayLength(card.reverseLinkedCarryovers(annual.id).reversed, 1);
+        assertArrayLength(benefit.earnedInstances, 0);
+    });
+
+    test('Requirements serialize and drop deleted minimum spends', () => {
+        const { card, annual, bonus } = createCard();
+        const benefit = card.addBenefit({
+            description: 'Lounge', totalAmount: 50, frequency: 'one-time',
+            minimumSpendRequirement: { op: 'any', items: [{ minimumSpendId: bonus.id }, { minimumSpendId: annual.id, tierId: annual.tiers[0].id }] }
+        });
+        const restored = Card.fromJSON(JSON.parse(JSON.stringify(card)));
+        const restoredBenefit = restored.findBenefit(benefit.id);
+        assertEquals(restoredBenefit.minimumSpendRequirement.op, 'any');
+        assertEquals(restored.findMinimumSpend(annual.id).tiers.length, 2);
+        restored.removeMinimumSpend(annual.id);
+        assertEquals(restoredBenefit.minimumSpendRequirement, null, 'A single remaining spend is stored as a plain link');
+        assertEquals(restoredBenefit.requiredMinimumSpendId, bonus.id);
+        restored.removeMinimumSpend(bonus.id);
+        assertEquals(restoredBenefit.getMinimumSpendRequirement(), null);
+    });
+});
+
+// Test Suite 30: Minimum Spend Pace
+runner.suite('Minimum Spend Pace', ({ test }) => {
+    const createMinSpend = (data = {}) => new MinimumSpend({
+        description: 'Welcome bonus', targetAmount: 4000, frequency: 'one-time',
+        lastReset: new Date(2024, 0, 1).toISOString(), deadline: new Date(2024, 2, 3).toISOString(),
+        ...data
+    });
+
+    test('addSpend logs dated entries', () => {
+        const minSpend = createMinSpend();
+        minSpend.addSpend(250, new Date(2024, 0, 10), { date: new Date(2024, 0, 8), merchant: 'Grocer' });
+        minSpend.addSpend(100.1, new Date(2024, 0, 10));
+        assertEquals(minSpend.currentAmount, 350.1);
+        const entries = minSpend.getSpendEntries();
+        assertArrayLength(entries, 2);
+        assertDateEquals(new Date(entries[0].date), new Date(2024, 0, 8));
+        assertEquals(entries[0].merchant, 'Grocer');
+    });
+
+    test('Setting the amount logs the difference and deleting an entry takes it off', () => {
+        const minSpend = createMinSpend();
+        minSpend.addSpend(500, new Date(2024, 0, 10));
+        minSpend.setCurrentAmount(800, new Date(2024, 0, 12));
+        assertArrayLength(minSpend.spendEntries, 2, 'The change should be logged as an adjustment');
+        assertEquals(UsageLedger.getTotal(minSpend.spendEntries), 800);
+        minSpend.removeSpendEntry(minSpend.spendEntries[0].id, new Date(2024, 0, 13));
+        assertEquals(minSpend.currentAmount, 300);
+    });
+
+    test('Legacy amounts become a single entry and entries are archived on reset', () => {
+        const minSpend = createMinSpend({ frequency: 'monthly', resetType: 'calendar', deadline: null, currentAmount: 120 });
+        assertArrayLength(minSpend.spendEntries, 1);
+        assertEquals(minSpend.spendEntries[0].amount, 120);
+        minSpend.reset(new Date(2024, 1, 1));
+        assertArrayLength(minSpend.spendEntries, 0);
+        assertEquals(minSpend.periodHistory[0].spendEntries[0].amount, 120);
+    });
+
+    test('Pace projects the date the target is reached and the required spend', () => {
+        const minSpend = createMinSpend();
+        // $1,000 over the first 10 days: $100/day, $3,000 to go
+        minSpend.addSpend(1000, new Date(2024, 0, 10), { date: new Date(2024, 0, 5) });
+        const pace = minSpend.getPaceProjection(new Date(2024, 0, 10));
+        assertEquals(pace.dailyRate, 100);
+        assertDateEquals(pace.projectedDate, new Date(2024, 1, 9));
+        assertEquals(pace.daysAfterDeadline, -23, 'On pace to finish before the deadline');
+        // 54 days left including the deadline day
+        assertEquals(pace.requiredDaily, 55.56);
+        assertEquals(pace.requiredWeekly, 388.92);
+    });
+
+    test('Pace reports a late finish, no rate yet, and nothing once met', () => {
+        const minSpend = createMinSpend();
+        minSpend.addSpend(300, new Date(2024, 0, 10));
+        const late = minSpend.getPaceProjection(new Date(2024, 0, 10));
+        assertTrue(late.daysAfterDeadline > 0);
+        const fresh = createMinSpend().getPaceProjection(new Date(2024, 0, 10));
+        assertEquals(fresh.projectedDate, null);
+        assertTrue(fresh.requiredDaily > 0);
+        minSpend.addSpend(3700, new Date(2024, 0, 11));
+        assertEquals(minSpend.getPaceProjection(new Date(2024, 0, 11)), null);
+    });
+});
+
+// Test Suite 31: Card Lifecycle
+runner.suite('Card Lifecycle', ({ test }) => {
+    const createCard = () => new Card({
+        name: 'Gold Card', anniversaryDate: '2022-05-10', annualFee: 250,
+        benefits: [
+            { id: 'dining', description: 'Dining Credit', totalAmount: 10, frequency: 'monthly', resetType: 'calendar', lastReset: new Date(2024, 5, 1).toISOString() },
+            { id: 'airline', description: 'Airline Credit', totalAmount: 100, frequency: 'annual', resetType: 'anniversary', lastReset: new Date(2024, 4, 10).toISOString() }
+        ]
+    });
+
+    test('Opened and closed dates come from lifecycle events', () => {
+        const card = createCard();
+        assertDateEquals(card.getOpenedDate(), new Date(2022, 4, 10), 'Without an event the anniversary is the opened date');
+        card.update(card.name, card.anniversaryDate, { openedDate: '2022-05-01' });
+        assertDateEquals(card.getOpenedDate(), new Date(2022, 4, 1));
+        assertTrue(!!card.close(new Date(2024, 6, 20)));
+        assertEquals(card.close(new Date(2024, 7, 1)), null, 'A closed card cannot be closed again');
+        assertFalse(card.isClosed(new Date(2024, 6, 19)));
+        assertTrue(card.isClosed(new Date(2024, 6, 20)));
+        card.update(card.name, card.anniversaryDate, { closedDate: null });
+        assertFalse(card.isClosed(new Date(2024, 7, 1)), 'Clearing the closed date reopens the card');
+    });
+
+    test('Benefits of a closed card reset until it was closed', async () => {
+        const app = createHeadlessApp();
+        app.saveState = () => {};
+        app.today = new Date(2024, 8, 15);
+        const card = createCard();
+        card.close(new Date(2024, 6, 20));
+        app.cards = [card];
+        const pending = app.checkAndResetBenefits();
+        assertArrayLength(pending, 1, 'The July reset was due before the card was closed');
+        await app.applyResets(pending);
+        const dining = card.findBenefit('dining');
+        assertEquals(dining.lastReset, new Date(2024, 6, 19).toISOString(), 'The reset should be dated on the last open day');
+        assertDateEquals(new Date(dining.periodHistory[0].periodEnd), new Date(2024, 5, 30), 'June should be archived');
+        assertArrayLength(app.checkAndResetBenefits(), 0, 'No resets should run after the closure');
+
+        const ignoredCard = createCard();
+        ignoredCard.findBenefit('dining').ignored = true;
+        ignoredCard.findBenefit('dining').ignoredEndDate = '2025-01-01';
+        ignoredCard.close(new Date(2024, 5, 20));
+        app.cards = [ignoredCard];
+        assertArrayLength(app.checkAndResetBenefits(), 0);
+        assertEquals(ignoredCard.findBenefit('dining').lastReset, new Date(2024, 5, 1).toISOString(), 'Nothing was due before the closure');
+    });
+
+    test('A product change swaps benefits and keeps the anniversary', () => {
+        const card = createCard();
+        card.findBenefit('dining').addUsageEntry({ amount: 10, date: new Date(2024, 5, 3) });
+        const event = card.changeProduct({
+            type: 'downgraded', date: '2024-06-15', name: 'Green Card', annualFee: 150,
+            keepBenefitIds: ['airline'],
+            benefits: [{ description: 'Transit Credit', totalAmount: 15, frequency: 'monthly', resetType: 'calendar' }]
+        });
+        assertEquals(event.previousName, 'Gold Card');
+        assertEquals(card.name, 'Green Card');
+        assertEquals(card.annualFee, 150);
+        assertEquals(card.anniversaryDate, '2022-05-10');
+        assertEquals(card.benefits.map(b => b.description).join(', '), 'Airline Credit, Transit Credit');
+        assertDateEquals(new Date(card.benefits[1].lastReset), new Date(2024, 5, 15));
+        assertArrayLength(card.retiredBenefits, 1);
+        assertDateEquals(card.findBenefit('airline').getNextResetDate(new Date(2024, 6, 1)), new Date(2025, 4, 10),
+            'Kept benefits continue on the same card year');
+    });
+
+    test('Retired benefits stay in the value captured', () => {
+        const card = createCard();
+        card.findBenefit('dining').addUsageEntry({ amount: 10, date: new Date(2024, 5, 3) });
+        card.changeProduct({ type: 'upgraded', date: '2024-06-15', name: 'Platinum', annualFee: 695 });
+        assertArrayLength(card.benefits, 0);
+        assertEquals(card.getValueCaptured(new Date(2024, 6, 1)), 10);
+        const summary = Analytics.summarize([card], new Date(2024, 0, 1), new Date(2024, 11, 31), new Date(2024, 6, 1));
+        assertEquals(summary.totals.used, 10);
+    });
+
+    test('Lifecycle serializes and unknown types are rejected', () => {
+        const card = createCard();
+        assertEquals(card.addLifecycleEvent('paused', new Date(2024, 0, 1)), null);
+        card.addLifecycleEvent('opened', '2022-05-10');
+        card.changeProduct({ type: 'upgraded', date: new Date(2024, 5, 15), name: 'Platinum', annualFee: 695, keepBenefitIds: ['dining'] });
+        const restored = Card.fromJSON(JSON.parse(JSON.stringify(card)));
+        assertEquals(restored.getLifecycleEvents().map(e => e.type).join(','), 'opened,upgraded');
+        assertEquals(restored.getLifecycleEvents()[1].date, '2024-06-15');
+        assertTrue(restored.retiredBenefits[0] instanceof Benefit);
+        restored.close(new Date(2025, 2, 1));
+        assertFalse(restored.isBelowFeeBeforeRenewal(new Date(2025, 3, 20)), 'Closed cards have no fee to warn about');
+    });
+});
+
+// Test Suite 32: Household Cardholders
+runner.suite('Household Cardholders', ({ test }) => {
+    const createHousehold = () => new Household({ holders: [{ id: 'holder-sam', name: 'Sam' }, { id: 'holder-alex', name: 'Alex' }] });
+    const createCard = (id, name) => new Card({
+        id, name, anniversaryDate: '2023-03-01',
+        benefits: [{ id: `${id}-dining`, description: 'Dining Credit', totalAmount: 10, frequency: 'monthly', resetType: 'calendar', lastReset: new Date(2024, 5, 1).toISOString() }]
+    });
+
+    test('Cards name a primary cardholder and authorized users', () => {
+        const household = createHousehold();
+        const card = createCard('gold', 'Gold Card');
+        card.setPrimaryHolder('holder-alex');
+        assertTrue(!!card.addAuthorizedUser('holder-sam'));
+        assertEquals(card.addAuthorizedUser('holder-alex'), null, 'The primary cardholder is not also an authorized user');
+        assertEquals(household.getCardholders(card).primary.name, 'Alex');
+        assertEquals(household.getCardholders(card).authorized.map(holder => holder.name).join(','), 'Sam');
+
+        card.update(card.name, card.anniversaryDate, { primaryHolderId: 'holder-sam', authorizedUserIds: ['holder-alex', 'holder-sam'] });
+        assertEquals(card.getPrimaryHolderId(), 'holder-sam');
+        assertEquals(card.getAuthorizedUserIds().join(','), 'holder-alex');
+        assertFalse('name' in card.toJSON().cardholders[0], 'Cards keep only the cardholder ID and role');
+
+        const restored = Card.fromJSON(JSON.parse(JSON.stringify({
+            ...card.toJSON(),
+            cardholders: [...card.cardholders, { holderId: 'holder-x', role: 'owner' }]
+        })));
+        assertArrayLength(restored.cardholders, 2, 'Unknown roles are dropped');
+        assertTrue(restored.hasCardholder('holder-alex'));
+    });
+
+    test('The household is saved next to the cards', () => {
+        const household = createHousehold();
+        const gold = createCard('gold', 'Gold Card');
+        gold.setPrimaryHolder('holder-sam');
+        assertEquals(household.getHolders().map(holder => holder.name).join(','), 'Alex,Sam');
+        assertEquals(household.addHolder('  '), null);
+        assertTrue(household.addHolder(' Jo ').id.startsWith('holder-'));
+        assertArrayLength(household.getHolders(), 3, 'Cardholders without cards are kept');
+
+        assertTrue(household.renameHolder('holder-sam', 'Samantha'));
+        assertEquals(household.getCardholders(gold).primary.name, 'Samantha', 'Cards see the new name');
+        assertTrue(Household.matchesCard(gold, 'holder-sam'));
+        assertTrue(Household.matchesCard(gold, null), 'No filter matches every card');
+        assertFalse(Household.matchesCard(gold, 'holder-alex'));
+
+        const saved = SchemaMigrations.createPayload({ cards: [gold.toJSON()], household: household.toJSON() });
+        const { cards, household: loaded } = SchemaMigrations.migrate(JSON.parse(JSON.stringify(saved)));
+        assertArrayLength(cards, 1, 'The household is not stored as a card');
+        assertEquals(Household.fromJSON(loaded).findHolder('holder-sam').name, 'Samantha');
+        assertArrayLength(Household.fromJSON(null).getHolders(), 0, 'Data without a household loads an empty one');
+    });
+
+    test('Cardholder names move from the cards to the household', () => {
+        const data = SchemaMigrations.migrate({
+            schemaVersion: 5,
+            cards: [
+                { id: 'gold', name: 'Gold', cardholders: [{ id: 'holder-alex', name: 'Alex', role: 'primary' }, { id: 'holder-sam', name: 'Sam', role: 'authorized' }] },
+                { id: 'green', name: 'Green', cardholders: [{ id: 'holder-sam', name: 'Sam', role: 'primary' }] }
+            ]
+        });
+        const { cards } = data;
+        const household = Household.fromJSON(data.household);
+        assertEquals(JSON.stringify(cards[0].cardholders), JSON.stringify([{ holderId: 'holder-alex', role: 'primary' }, { holderId: 'holder-sam', role: 'authorized' }]));
+        assertEquals(household.getHolders().map(holder => holder.name).join(','), 'Alex,Sam');
+    });
+
+    test('Cardholders added on two devices are both kept', () => {
+        const base = { cards: [], household: createHousehold().toJSON() };
+        const local = JSON.parse(JSON.stringify(base));
+        const remote = JSON.parse(JSON.stringify(base));
+        local.household.holders.push({ id: 'holder-jo', name: 'Jo' });
+        remote.household.holders.push({ id: 'holder-kim', name: 'Kim' });
+        remote.household.holders[0].name = 'Samantha';
+        const { merged, conflicts } = SyncMerge.mergeState(JSON.parse(JSON.stringify(base)), local, remote);
+        const household = Household.fromJSON(merged.household);
+        assertEquals(household.getHolders().map(holder => holder.name).join(','), 'Alex,Jo,Kim,Samantha');
+        assertArrayLength(conflicts, 0);
+
+        const current = createHousehold();
+        current.addHolder('Jo');
+        SyncMerge.stampHousehold(base.household, current, new Date(2024, 5, 1));
+        assertTrue(!!current.updatedAt, 'Household edits are stamped for sync');
+    });
+
+    test('Usage entries are credited to a cardholder', () => {
+        const household = createHousehold();
+        const card = createCard('gold', 'Gold Card');
+        card.setPrimaryHolder('holder-alex');
+        card.addAuthorizedUser('holder-sam');
+        const benefit = card.findBenefit('gold-dining');
+        const entry = benefit.addUsageEntry({ amount: 4, date: new Date(2024, 5, 3), holderId: 'holder-sam' });
+        benefit.addUsageEntry({ amount: 2, date: new Date(2024, 5, 4) });
+        assertEquals(entry.holderId, 'holder-sam');
+        assertEquals(household.getEntryHolderName(entry), 'Sam');
+
+        const rows = CsvExport.buildUsage([card], null, null, household).trim().split('\r\n');
+        assertTrue(rows[0].includes(',Amount,Used By,Merchant,'), 'The usage sheet has a Used By column');
+        assertTrue(rows[1].includes(',4.00,Sam,'), 'The cardholder is named');
+        assertTrue(rows[2].includes(',2.00,,'), 'Unattributed usage names no one');
+
+        benefit.updateUsageEntry(entry.id, { holderId: null });
+        assertFalse('holderId' in entry, 'Clearing the cardholder removes the attribution');
+    });
+
+    test('Logged minimum spend purchases keep their cardholder', () => {
+        const app = createHeadlessApp();
+        app.saveState = () => {};
+        const card = createCard('gold', 'Gold Card');
+        const minSpend = card.addMinimumSpend({ id: 'ms', description: 'Welcome offer', targetAmount: 4000, frequency: 'onetime' });
+        app.cards = [card];
+        app.today = new Date(2024, 5, 10);
+
+        app.handleAddMinimumSpendEntry('ms', { amount: '120', date: '2024-06-09', merchant: 'Grocer', holderId: 'holder-sam' });
+        app.handleAddMinimumSpendEntry('ms', { amount: '30', holderId: '' });
+        const [sams, unattributed] = minSpend.getSpendEntries();
+        assertEquals(sams.holderId, 'holder-sam');
+        assertFalse('holderId' in unattributed, 'Purchases without a cardholder name no one');
+    });
+
+    test('Removing a cardholder keeps their cards and usage', () => {
+        const household = createHousehold();
+        const card = createCard('gold', 'Gold Card');
+        card.setPrimaryHolder('holder-alex');
+        card.addMinimumSpend({ id: 'ms', description: 'Spend $500', targetAmount: 500, frequency: 'one-time', lastReset: new Date(2024, 5, 1).toISOString() });
+        const entry = card.findBenefit('gold-dining').addUsageEntry({ amount: 5, date: new Date(2024, 5, 3), holderId: 'holder-alex' });
+        card.findMinimumSpend('ms').addSpend(100, new Date(2024, 5, 5), { holderId: 'holder-alex' });
+
+        assertTrue(household.removeHolder('holder-alex', [card]));
+        assertEquals(household.findHolder('holder-alex'), null);
+        assertEquals(card.getPrimaryHolderId(), null);
+        assertFalse('holderId' in entry);
+        assertFalse('holderId' in card.findMinimumSpend('ms').getSpendEntries()[0]);
+        assertEquals(card.findBenefit('gold-dining').usedAmount, 5, 'The usage is kept');
+    });
+
+    test('The card list can be limited to one cardholder', () => {
+        const app = createHeadlessApp();
+        app.saveState = () => {};
+        const [gold, green, blue] = [createCard('gold', 'Gold'), createCard('green', 'Green'), createCard('blue', 'Blue')];
+        gold.setPrimaryHolder('holder-alex');
+        green.setPrimaryHolder('holder-sam');
+        blue.setPrimaryHolder('holder-sam');
+        app.cards = [gold, green, blue];
+        app.household = createHousehold();
+
+        app.handleHolderFilterChange('holder-sam');
+        assertEquals(app.getVisibleCards().map(card => card.name).join(','), 'Green,Blue');
+        app.handleReorderCards(1, 0);
+        assertEquals(app.cards.map(card => card.name).join(','), 'Gold,Blue,Green', 'Indexes are positions in the filtered list');
+
+        gold.addAuthorizedUser('holder-sam');
+        assertArrayLength(app.getVisibleCards(), 3, 'Authorized user cards are included');
+        app.handleHolderFilterChange('holder-alex');
+        assertEquals(app.getVisibleCards().map(card => card.name).join(','), 'Gold');
+
+        app.holderFilter = 'holder-gone';
+        assertArrayLength(app.getVisibleCards(), 3, 'A filter for a removed cardholder shows every card');
+    });
+});
+
 runner.suite('Expiring Soon Filters', ({ test }) => {
     function setupMockDOM() {
         global.document = {
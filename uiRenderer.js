@@ -1,6 +1,10 @@
 /**
  * Handles DOM manipulation and HTML generation.
  */
+
+// Value of the cardholder select option that names a new household member
+const NEW_HOLDER_OPTION = '__new';
+
 class UIRenderer {
     constructor(app) {
         this.app = app; // Reference to the main controller
@@ -32,6 +36,34 @@ class UIRenderer {
             : benefit.frequency === 'one-time';
     }
 
+    /**
+     * Helper to name an earned carryover instance by its earning year ("2024 credit"), or by its
+     * earned date when several credits can be earned in a year ("Credit earned 3/5/2024").
+     * @param {Benefit|Object} benefit
+     * @param {Object} instance - The earned instance {earnedDate, usedAmount}
+     * @param {boolean} [withNoun] - Whether to include the word "credit"
+     * @returns {string}
+     */
+    _getCarryoverInstanceLabel(benefit, instance, withNoun = true) {
+        const rule = CarryoverCycle.normalizeRule(benefit.carryoverRule);
+        const earnedDate = new Date(instance.earnedDate).toLocaleDateString();
+        if (rule.maxEarns > 1) return withNoun ? `Credit earned ${earnedDate}` : `earned ${earnedDate}`;
+        const earnYear = CarryoverCycle.getEarnYear(instance.earnedDate);
+        return withNoun ? `${earnYear} credit` : String(earnYear);
+    }
+
+    /**
+     * Helper to get the credit amount of a benefit's current period.
+     * Works with both Benefit instances and plain objects.
+     * @param {Benefit|Object} benefit
+     * @returns {number}
+     */
+    _getPeriodAmount(benefit) {
+        return benefit.getPeriodAmount
+            ? benefit.getPeriodAmount()
+            : benefit.totalAmount;
+    }
+
     /**
      * Creates a progress bar that animates from the previous value to the new value.
      * @param {string} key - Unique key for the progress bar (e.g., benefit or minSpend id)
@@ -78,14 +110,14 @@ class UIRenderer {
             const li = document.createElement('li');
             li.className = 'expiring-item';
             const benefitDesc = item.earnYear 
-                ? `${item.benefit.description} (${item.earnYear})` 
+                ? `${item.benefit.description} (${this._getCarryoverInstanceLabel(item.benefit, item.instance, false)})` 
                 : item.benefit.description;
             // Check if carryover using helper
             const isCarryover = this._isCarryoverBenefit(item.benefit);
             const dateLabel = isCarryover ? 'Expires' : 'Resets';
             li.innerHTML = `
                 <span class="expiring-item-amount" style="${isFull ? 'color:var(--success)' : ''}">
-                    $${isFull ? item.benefit.totalAmount.toFixed(2) : item.remainingAmount.toFixed(2)}
+                    $${isFull ? this._getPeriodAmount(item.benefit).toFixed(2) : item.remainingAmount.toFixed(2)}
                 </span>
                 <div class="expiring-item-details">
                     <div class="expiring-item-benefit">${benefitDesc}</div>
@@ -108,6 +140,7 @@ class UIRenderer {
                     <div class="expiring-item-benefit">📋 ${item.minSpend.description}</div>
                     <div class="expiring-item-card">${item.cardName}</div>
                     <div class="expiring-item-progress">${progressPercent}% complete ($${item.minSpend.currentAmount.toFixed(2)} / $${item.minSpend.targetAmount.toFixed(2)})</div>
+                    ${item.pace ? `<div class="expiring-item-progress">${this._describePace(item.pace, item.minSpend.targetAmount)}</div>` : ''}
                 </div>
                 <span class="expiring-item-date">Due: ${item.deadline.toLocaleDateString()}</span>
             `;
@@ -173,6 +206,94 @@ class UIRenderer {
         }
     }
 
+    /**
+     * Renders the analytics dashboard (range picker, totals, per-card and monthly charts).
+     * @param {{cards: Array<Object>, totals: Object}} summary - Output of Analytics.summarize
+     * @param {Array<Object>} monthlySeries - Output of Analytics.getMonthlySeries
+     * @param {{start: Date, end: Date}} range - The selected date range
+     */
+    renderDashboard(summary, monthlySeries, range) {
+        const container = document.getElementById('dashboard-container');
+        container.textContent = '';
+
+        const series = [
+            { key: 'used', label: 'Used', color: '#28a745' },
+            { key: 'available', label: 'Still available', color: '#17a2b8' },
+            { key: 'locked', label: 'Locked (min spend)', color: '#ffc107' },
+            { key: 'forfeited', label: 'Forfeited', color: '#dc3545' }
+        ];
+
+        // Range picker
+        const controls = document.createElement('div');
+        controls.className = 'dashboard-controls';
+        controls.innerHTML = `
+            <div class="form-group">
+                <label>From</label>
+                <input type="date" name="start" value="${this._toDateInputValue(range.start)}">
+            </div>
+            <div class="form-group">
+                <label>To</label>
+                <input type="date" name="end" value="${this._toDateInputValue(range.end)}">
+            </div>
+            <small>Used and forfeited cover the selected range; available and locked are as of ${this.app.today.toLocaleDateString()}.</small>
+        `;
+        controls.querySelectorAll('input').forEach(input => {
+            input.onchange = () => {
+                const start = controls.querySelector('input[name="start"]').value;
+                const end = controls.querySelector('input[name="end"]').value;
+                if (start && end) {
+                    this.app.handleDashboardRangeChange(this._fromDateInputValue(start), this._fromDateInputValue(end));
+                }
+            };
+        });
+        container.appendChild(controls);
+
+        // Totals
+        const totals = document.createElement('div');
+        totals.className = 'dashboard-totals';
+        series.forEach(item => {
+            const tile = document.createElement('div');
+            tile.className = 'dashboard-total';
+            tile.style.borderTopColor = item.color;
+            tile.innerHTML = `
+                <span class="dashboard-total-value">$${summary.totals[item.key].toFixed(2)}</span>
+                <span class="dashboard-total-label">${item.label}</span>
+            `;
+            totals.appendChild(tile);
+        });
+        container.appendChild(totals);
+
+        if (summary.cards.length === 0) {
+            const empty = document.createElement('p');
+            empty.textContent = 'No cards added yet.';
+            container.appendChild(empty);
+            return;
+        }
+
+        // Per-card breakdown
+        const cardChart = document.createElement('div');
+        cardChart.className = 'dashboard-chart';
+        cardChart.innerHTML = '<h3>By card</h3>';
+        cardChart.appendChild(SvgCharts.legend(series));
+        cardChart.appendChild(SvgCharts.stackedBarChart(
+            summary.cards.map(card => ({ label: card.name, values: card })),
+            series
+        ));
+        container.appendChild(cardChart);
+
+        // Monthly used vs forfeited
+        const monthlyChart = document.createElement('div');
+        monthlyChart.className = 'dashboard-chart';
+        monthlyChart.innerHTML = '<h3>By month</h3>';
+        const monthlySeriesConfig = series.filter(item => item.key === 'used' || item.key === 'forfeited');
+        monthlyChart.appendChild(SvgCharts.legend(monthlySeriesConfig));
+        monthlyChart.appendChild(SvgCharts.groupedColumnChart(
+            monthlySeries.map(month => ({ label: month.label, values: month })),
+            monthlySeriesConfig
+        ));
+        container.appendChild(monthlyChart);
+    }
+
     createCardElement(card, isCollapsed, collapseSections = false) {
         const cardDiv = document.createElement('div');
         cardDiv.className = 'card';
@@ -181,13 +302,17 @@ class UIRenderer {
         if (isCollapsed) {
             cardDiv.classList.add('card-collapsed');
         }
+        const isClosed = card.isClosed ? card.isClosed(this.app.today) : false;
+        if (isClosed) {
+            cardDiv.classList.add('card-closed');
+        }
 
         // Header
         const cardHeader = document.createElement('div');
         cardHeader.className = 'card-header';
         cardHeader.style.cursor = 'pointer';
         cardHeader.onclick = (e) => {
-            if (e.target.closest('.card-header-actions') || e.target.closest('.edit-form') || e.target.closest('.draggable-card-handle')) return;
+            if (e.target.closest('.card-header-actions') || e.target.closest('.card-lifecycle') || e.target.closest('.edit-form') || e.target.closest('.draggable-card-handle')) return;
             cardDiv.classList.toggle('card-collapsed');
         };
 
@@ -212,8 +337,22 @@ class UIRenderer {
                 return d;
               })();
         cardMeta.textContent = `Anniversary: ${anniversary.toLocaleDateString()}`;
+        if (isClosed) {
+            cardMeta.textContent += ` · 🚫 Closed ${card.getClosedDate().toLocaleDateString()}`;
+        }
+        const holders = this._describeCardholders(card);
+        if (holders) {
+            cardMeta.textContent += ` · 👤 ${holders}`;
+        }
         cardInfo.appendChild(cardMeta);
 
+        if (card.annualFee > 0 && card.getNetValue && !isClosed) {
+            cardInfo.appendChild(this._createCardFeeElement(card));
+        }
+        if (card.lifecycle && card.lifecycle.length > 0) {
+            cardInfo.appendChild(this._createLifecycleElement(card));
+        }
+
         cardHeader.appendChild(dragHandle); // Add handle
         cardHeader.appendChild(cardInfo);
 
@@ -229,6 +368,20 @@ class UIRenderer {
         deleteBtn.textContent = 'Delete';
         deleteBtn.onclick = () => this.app.handleDeleteCard(card.id);
         cardActions.appendChild(editBtn);
+        if (card.changeProduct && !isClosed) {
+            const productBtn = document.createElement('button');
+            productBtn.className = 'secondary-btn';
+            productBtn.textContent = 'Product Change';
+            productBtn.onclick = () => this.renderProductChange(card);
+            cardActions.appendChild(productBtn);
+        }
+        if (card.template) {
+            const templateBtn = document.createElement('button');
+            templateBtn.className = 'secondary-btn';
+            templateBtn.textContent = 'Compare with Template';
+            templateBtn.onclick = () => this.app.openTemplateDiff(card.id);
+            cardActions.appendChild(templateBtn);
+        }
         cardActions.appendChild(deleteBtn);
         cardHeader.appendChild(cardActions);
 
@@ -280,6 +433,438 @@ class UIRenderer {
         return cardDiv;
     }
 
+    /**
+     * Creates the collapsible list of a card's lifecycle events (opened, product changes, closed).
+     * @param {Card} card - The card
+     * @returns {HTMLDetailsElement}
+     */
+    _createLifecycleElement(card) {
+        const detailKey = `lifecycle:${card.id}`;
+        const events = card.getLifecycleEvents();
+
+        const details = document.createElement('details');
+        details.className = 'period-history card-lifecycle';
+        details.dataset.detailKey = detailKey;
+        if (this.app.openDetailKeys && this.app.openDetailKeys.has(detailKey)) {
+            details.setAttribute('open', 'true');
+        }
+
+        const summary = document.createElement('summary');
+        summary.textContent = `🗓️ Card history (${events.length})`;
+        details.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'period-history-list';
+        events.forEach(event => {
+            const item = document.createElement('li');
+            item.className = 'period-history-item';
+            let text;
+            if (event.type === 'opened') {
+                text = 'Opened';
+            } else if (event.type === 'closed') {
+                text = 'Closed';
+            } else {
+                const retired = (event.retiredBenefitIds || []).length;
+                text = `${event.type === 'upgraded' ? 'Upgraded' : 'Downgraded'} from ${event.previousName} to ${event.name}`
+                    + ` (fee $${(event.previousAnnualFee || 0).toFixed(2)} → $${(event.annualFee || 0).toFixed(2)})`
+                    + (retired > 0 ? `, ${retired} benefit${retired === 1 ? '' : 's'} retired` : '');
+            }
+            item.innerHTML = `<span class="period-history-range">${this._fromDateInputValue(event.date).toLocaleDateString()}</span>
+                <span class="period-history-value"></span>`;
+            // Product names are user-entered text
+            item.querySelector('.period-history-value').textContent = text;
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+
+        return details;
+    }
+
+    /**
+     * Renders the product change form of a card: the new product, and which benefits it keeps.
+     * @param {Card} card - The card
+     */
+    renderProductChange(card) {
+        const cardEl = document.querySelector(`.card[data-card-id="${card.id}"]`);
+        if (!cardEl) return;
+
+        const form = document.createElement('div');
+        form.className = 'edit-form';
+        const uId = Math.random().toString(36).substring(2, 11);
+        const templates = this.app.catalog ? this.app.catalog.cards : [];
+        const templateOptions = templates.map(template =>
+            `<option value="${template.id}">${template.issuer} ${template.name}</option>`).join('');
+        const benefitBoxes = card.benefits.map(benefit => `
+                    <label style="display:flex; align-items:center; gap:6px; margin:0; font-weight:normal;">
+                        <input type="checkbox" class="keep-benefit" style="width:auto;" value="${benefit.id}">
+                        ${benefit.description}
+                    </label>`).join('');
+
+        form.innerHTML = `
+            <h3 style="margin: 0;">Product Change: ${card.name}</h3>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Change</label>
+                    <select id="pc-type-${uId}">
+                        <option value="upgraded">Upgrade</option>
+                        <option value="downgraded">Downgrade</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label>Date</label>
+                    <input type="date" id="pc-date-${uId}" value="${this._toDateInputValue(this.app.today)}" required>
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>New Product Name</label>
+                    <input type="text" id="pc-name-${uId}" required>
+                </div>
+                <div class="form-group">
+                    <label>New Annual Fee ($)</label>
+                    <input type="number" id="pc-fee-${uId}" value="0" min="0" step="0.01">
+                </div>
+            </div>
+            <div class="form-row" style="display:${templates.length > 0 ? 'flex' : 'none'};">
+                <div class="form-group">
+                    <label>Benefits from Template (optional)</label>
+                    <select id="pc-template-${uId}">
+                        <option value="">None</option>
+                        ${templateOptions}
+                    </select>
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Benefits to Keep</label>
+                    ${benefitBoxes || '<small style="color: #666;">This card has no benefits.</small>'}
+                    <small style="color: #666;">Unchecked benefits are retired; their usage stays in the history. The anniversary date does not change.</small>
+                </div>
+            </div>
+            <div class="form-row" style="justify-content: flex-end;">
+                <button class="secondary-btn" id="pc-cancel-${uId}">Cancel</button>
+                <button id="pc-save-${uId}">Change Product</button>
+            </div>
+        `;
+
+        cardEl.innerHTML = '';
+        cardEl.appendChild(form);
+
+        const templateSelect = document.getElementById(`pc-template-${uId}`);
+        templateSelect.onchange = () => {
+            const template = templates.find(t => t.id === templateSelect.value);
+            if (!template) return;
+            document.getElementById(`pc-name-${uId}`).value = template.name;
+            document.getElementById(`pc-fee-${uId}`).value = template.annualFee;
+        };
+
+        document.getElementById(`pc-save-${uId}`).onclick = () => {
+            const name = document.getElementById(`pc-name-${uId}`).value.trim();
+            const date = document.getElementById(`pc-date-${uId}`).value;
+            if (!name || !date) {
+                alert('Enter the new product name and the date of the change.');
+                return;
+            }
+            this.app.handleProductChange(card.id, {
+                type: document.getElementById(`pc-type-${uId}`).value,
+                date: date,
+                name: name,
+                annualFee: parseFloat(document.getElementById(`pc-fee-${uId}`).value) || 0,
+                keepBenefitIds: Array.from(form.querySelectorAll('.keep-benefit'))
+                    .filter(input => input.checked)
+                    .map(input => input.value),
+                templateId: templateSelect.value || null
+            });
+        };
+        document.getElementById(`pc-cancel-${uId}`).onclick = () => {
+            this.app.render();
+        };
+    }
+
+    /**
+     * Names how often a benefit or minimum spend resets, e.g. "monthly" or "every 2 months".
+     * @param {Benefit|MinimumSpend} item
+     * @returns {string}
+     */
+    _describeFrequency(item) {
+        return item.frequency === 'custom' ? ExpiryCycle.describeSchedule(item.schedule) : item.frequency;
+    }
+
+    /**
+     * Builds the custom schedule inputs of a benefit or minimum spend form.
+     * @param {string} uId - The form's unique id
+     * @param {Object|null} schedule - The current schedule
+     * @param {boolean} visible - Whether the custom frequency is selected
+     * @returns {string} HTML
+     */
+    _createScheduleFieldsHtml(uId, schedule, visible) {
+        const { interval, unit, months } = ExpiryCycle.normalizeSchedule(schedule);
+        const monthBoxes = MONTH_NAMES.map((name, index) => `
+            <label class="schedule-month"><input type="checkbox" value="${index + 1}" ${months && months.includes(index + 1) ? 'checked' : ''}> ${name}</label>`).join('');
+        return `
+            <div class="form-row schedule-row" id="schedule-row-${uId}" style="display:${visible ? 'flex' : 'none'}; border-top:1px dashed #ccc; padding-top:10px;">
+                <div class="form-group">
+                    <label>Every</label>
+                    <div style="display:flex; gap:8px;">
+                        <input type="number" id="schedule-interval-${uId}" value="${interval}" min="1" step="1" style="width:80px;">
+                        <select id="schedule-unit-${uId}">
+                            <option value="months" ${unit === 'months' ? 'selected' : ''}>Months</option>
+                            <option value="days" ${unit === 'days' ? 'selected' : ''}>Days</option>
+                        </select>
+                    </div>
+                    <small style="color: #666;">Calendar day periods restart each month: every 15 days is semi-monthly.</small>
+                </div>
+                <div class="form-group">
+                    <label>Or Only In</label>
+                    <div class="schedule-months" id="schedule-months-${uId}">${monthBoxes}</div>
+                    <small style="color: #666;">Listed months reset the credit and it can only be used in those months.</small>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Reads the custom schedule inputs of a form.
+     * @param {HTMLElement} container - The form
+     * @param {string} uId - The form's unique id
+     * @param {string} resetType - The selected reset type
+     * @returns {{interval: number, unit: string, months: Array<number>|null}|null} null (after alerting) when invalid
+     */
+    _readScheduleFields(container, uId, resetType) {
+        const months = [...container.querySelectorAll(`#schedule-months-${uId} input:checked`)]
+            .map(checkbox => parseInt(checkbox.value, 10));
+        const schedule = ExpiryCycle.normalizeSchedule({
+            interval: container.querySelector(`#schedule-interval-${uId}`).value,
+            unit: container.querySelector(`#schedule-unit-${uId}`).value,
+            months
+        });
+        if (!schedule.months && schedule.unit === 'days' && resetType === 'calendar' && schedule.interval > MAX_CALENDAR_DAY_INTERVAL) {
+            alert(`Calendar periods restart each month, so they can be at most ${MAX_CALENDAR_DAY_INTERVAL} days. Use an anniversary reset for longer intervals.`);
+            return null;
+        }
+        return schedule;
+    }
+
+    /**
+     * Builds the carryover rule inputs of a benefit form.
+     * @param {string} uId - The form's unique id
+     * @param {Object|null} rule - The current carryover rule
+     * @param {boolean} visible - Whether the carryover frequency is selected
+     * @returns {string} HTML
+     */
+    _createCarryoverRuleFieldsHtml(uId, rule, visible) {
+        const { expiry, months, date, earnWindow, maxEarns } = CarryoverCycle.normalizeRule(rule);
+        return `
+            <div class="form-row" id="carryover-rule-row-${uId}" style="display:${visible ? 'flex' : 'none'}; border-top:1px dashed #ccc; padding-top:10px;">
+                <div class="form-group">
+                    <label>Credits Expire</label>
+                    <select id="carryover-expiry-${uId}">
+                        <option value="following-year" ${expiry === 'following-year' ? 'selected' : ''}>End of the following year</option>
+                        <option value="months" ${expiry === 'months' ? 'selected' : ''}>Months after earning</option>
+                        <option value="date" ${expiry === 'date' ? 'selected' : ''}>On a fixed date</option>
+                    </select>
+                    <div style="display:flex; gap:8px; margin-top:6px;">
+                        <input type="number" id="carryover-months-${uId}" value="${months || ''}" min="1" step="1" placeholder="Months" style="width:90px;">
+                        <input type="date" id="carryover-date-${uId}" value="${date || ''}">
+                    </div>
+                    <small style="color: #666;">E.g., free night awards expire 12 months after they are issued.</small>
+                </div>
+                <div class="form-group">
+                    <label>Earning Year</label>
+                    <select id="carryover-window-${uId}">
+                        <option value="calendar" ${earnWindow === 'calendar' ? 'selected' : ''}>Calendar Year</option>
+                        <option value="anniversary" ${earnWindow === 'anniversary' ? 'selected' : ''}>Card Year (from anniversary)</option>
+                    </select>
+                    <label style="margin-top:10px;">Credits Per Year</label>
+                    <input type="number" id="carryover-max-${uId}" value="${maxEarns}" min="1" step="1" style="width:90px;">
+                    <small style="color: #666;">E.g., one certificate per spend threshold reached.</small>
+                </div>
+            </div>`;
+    }
+
+    /**
+     * Reads the carryover rule inputs of a form.
+     * @param {HTMLElement} container - The form
+     * @param {string} uId - The form's unique id
+     * @returns {Object|null} The rule, or null (after alerting) if the months or date are missing
+     */
+    _readCarryoverRuleFields(container, uId) {
+        const expiry = container.querySelector(`#carryover-expiry-${uId}`).value;
+        const rule = CarryoverCycle.normalizeRule({
+            expiry,
+            months: container.querySelector(`#carryover-months-${uId}`).value,
+            date: container.querySelector(`#carryover-date-${uId}`).value,
+            earnWindow: container.querySelector(`#carryover-window-${uId}`).value,
+            maxEarns: container.querySelector(`#carryover-max-${uId}`).value
+        });
+        if (rule.expiry !== expiry) {
+            alert(expiry === 'months' ? 'Enter how many months carryover credits last.' : 'Enter the date carryover credits expire.');
+            return null;
+        }
+        return rule;
+    }
+
+    /**
+     * Formats an amount schedule for its text input, e.g. "Dec 35; Jan-Jun 50".
+     * @param {Array<{months: Array<number>, amount: number}>} amountSchedule
+     * @returns {string}
+     */
+    _formatAmountSchedule(amountSchedule) {
+        return (amountSchedule || []).map(entry => {
+            const ranges = [];
+            entry.months.forEach(month => {
+                const last = ranges[ranges.length - 1];
+                if (last && last[1] === month - 1) last[1] = month;
+                else ranges.push([month, month]);
+            });
+            const months = ranges
+                .map(([from, to]) => from === to ? MONTH_NAMES[from - 1] : `${MONTH_NAMES[from - 1]}-${MONTH_NAMES[to - 1]}`)
+                .join(',');
+            return `${months} ${entry.amount}`;
+        }).join('; ');
+    }
+
+    /**
+     * Parses the amount schedule text input ("Dec 35; Jan-Jun 50").
+     * @param {string} text
+     * @returns {Array<{months: Array<number>, amount: number}>}
+     * @throws {Error} If an entry cannot be read
+     */
+    _parseAmountSchedule(text) {
+        const monthNumber = name => MONTH_NAMES.findIndex(month => month.toLowerCase() === name.trim().slice(0, 3).toLowerCase()) + 1;
+        return (text || '').split(/[;\n]/).map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^(.+?)\s+\$?(\d+(?:\.\d+)?)$/);
+            if (!match) throw new Error(`Could not read "${part}". Use a month or range and an amount, e.g. "Dec 35".`);
+            const months = [];
+            match[1].split(',').forEach(range => {
+                const [from, to = from] = range.split('-').map(monthNumber);
+                if (!from || !to) throw new Error(`Unknown month in "${part}".`);
+                for (let month = from; month !== to % 12 + 1; month = month % 12 + 1) months.push(month);
+            });
+            return { months: [...new Set(months)].sort((a, b) => a - b), amount: parseFloat(match[2]) };
+        });
+    }
+
+    /**
+     * Formats minimum spend tiers for their text input, e.g. "15000 Companion certificate; 30000 Second certificate".
+     * @param {Array<{targetAmount: number, description: string}>} tiers
+     * @returns {string}
+     */
+    _formatTiers(tiers) {
+        return (tiers || []).map(tier => `${tier.targetAmount}${tier.description ? ` ${tier.description}` : ''}`).join('; ');
+    }
+
+    /**
+     * Parses the tiers text input. Tiers keep their id (and met date) when their amount is unchanged,
+     * so benefits that require them stay linked.
+     * @param {string} text
+     * @param {Array<Object>} [existingTiers] - The minimum spend's current tiers
+     * @returns {Array<{id: string|undefined, targetAmount: number, description: string, metDate: string|null}>}
+     * @throws {Error} If an entry cannot be read
+     */
+    _parseTiers(text, existingTiers = []) {
+        return (text || '').split(/[;\n]/).map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^\$?([\d,]+(?:\.\d+)?)\s*(.*)$/);
+            const targetAmount = match ? parseFloat(match[1].replace(/,/g, '')) : NaN;
+            if (!(targetAmount > 0)) throw new Error(`Could not read tier "${part}". Use an amount and a name, e.g. "30000 Second certificate".`);
+            const existing = existingTiers.find(tier => tier.targetAmount === targetAmount);
+            return {
+                id: existing ? existing.id : undefined,
+                targetAmount,
+                description: match[2].trim(),
+                metDate: existing ? existing.metDate : null
+            };
+        });
+    }
+
+    /**
+     * Creates the minimum spend requirement fields of a benefit form: a checkbox per minimum spend
+     * and tier, and whether all or any of the checked ones are needed.
+     * @param {string} uId - Form instance id
+     * @param {Array<MinimumSpend>} minSpends - The card's minimum spends
+     * @param {Object|null} requirement - The current requirement (see SpendRequirement)
+     * @returns {string} HTML for the inside of the requirement row
+     */
+    _createRequirementFieldsHtml(uId, minSpends, requirement) {
+        const isChecked = (minSpendId, tierId) => !!requirement && requirement.items.some(item =>
+            item.minimumSpendId === minSpendId && (item.tierId || null) === tierId);
+        const checkbox = (ms, tier) => `
+                        <label style="display:flex; align-items:center; gap:6px; margin:0; font-weight:normal;">
+                            <input type="checkbox" class="requirement-item" style="width:auto;" data-min-spend-id="${ms.id}" data-tier-id="${tier ? tier.id : ''}" ${isChecked(ms.id, tier ? tier.id : null) ? 'checked' : ''}>
+                            ${tier ? `${ms.description}: ${tier.description || 'tier'}` : ms.description} ($${(tier ? tier.targetAmount : ms.targetAmount).toFixed(2)})
+                        </label>`;
+        const items = minSpends.map(ms => checkbox(ms, null) + (ms.tiers || []).map(tier => checkbox(ms, tier)).join('')).join('');
+        const op = requirement ? requirement.op : 'all';
+        return `
+                <div class="form-group">
+                    <label>🔗 Required Minimum Spend</label>
+                    ${items || '<small style="color: #666;">This card has no minimum spends yet.</small>'}
+                    <select id="requirement-op-${uId}" style="margin-top:6px;">
+                        <option value="all" ${op === 'all' ? 'selected' : ''}>All of the checked requirements</option>
+                        <option value="any" ${op === 'any' ? 'selected' : ''}>Any of the checked requirements</option>
+                    </select>
+                    <small style="color: #666;">Link this benefit to the minimum spends (or tiers) that unlock it. Leave all unchecked for no requirement.</small>
+                </div>`;
+    }
+
+    /**
+     * Reads the minimum spend requirement fields of a benefit form.
+     * @param {HTMLElement} container - The form
+     * @param {string} uId - Form instance id
+     * @returns {Object|null} The requirement, or null if nothing is checked
+     */
+    _readRequirementFields(container, uId) {
+        const items = Array.from(container.querySelectorAll(`#min-spend-row-${uId} .requirement-item`))
+            .filter(input => input.checked)
+            .map(input => ({ minimumSpendId: input.dataset.minSpendId, tierId: input.dataset.tierId || null }));
+        const opSelect = container.querySelector(`#requirement-op-${uId}`);
+        return SpendRequirement.normalize({ op: opSelect ? opSelect.value : 'all', items });
+    }
+
+    /**
+     * Describes each item of a benefit's minimum spend requirement with its progress,
+     * e.g. "Spend A ($1200.00 / $3000.00) and Spend B: Second certificate ✅".
+     * @param {Benefit} benefit
+     * @returns {string}
+     */
+    _describeRequirementProgress(benefit) {
+        const progress = this.app.getMinimumSpendRequirementProgress(benefit);
+        const requirement = SpendRequirement.fromBenefit(benefit);
+        return progress.map(item => item.isMet
+            ? `${item.description} ✅`
+            : `${item.description} ($${(item.minSpend.currentAmount || 0).toFixed(2)} / $${item.targetAmount.toFixed(2)})`)
+            .join(requirement && requirement.op === 'any' ? ' or ' : ' and ');
+    }
+
+    /**
+     * Creates the annual fee summary (value captured this card year vs fee) for a card header.
+     * @param {Card} card - The card
+     * @returns {HTMLElement}
+     */
+    _createCardFeeElement(card) {
+        const today = this.app.today;
+        const captured = card.getValueCaptured(today);
+        const net = card.getNetValue(today);
+
+        const feeDiv = document.createElement('div');
+        feeDiv.className = 'card-fee-summary';
+
+        const netSpan = document.createElement('span');
+        netSpan.className = net >= 0 ? 'card-net-value positive' : 'card-net-value negative';
+        netSpan.textContent = `Net ${net >= 0 ? '+' : '-'}$${Math.abs(net).toFixed(2)}`;
+        feeDiv.textContent = `Fee: $${card.annualFee.toFixed(2)} · Captured this card year: $${captured.toFixed(2)} · `;
+        feeDiv.appendChild(netSpan);
+
+        if (card.isBelowFeeBeforeRenewal(today)) {
+            const days = card.daysUntilFee(today);
+            const warning = document.createElement('div');
+            warning.className = 'card-fee-warning';
+            warning.textContent = `⚠️ $${Math.abs(net).toFixed(2)} short of the fee, which posts ${days === 0 ? 'today' : `in ${days} day${days === 1 ? '' : 's'}`} (${card.getNextFeeDate(today).toLocaleDateString()}). Consider cancelling or downgrading.`;
+            feeDiv.appendChild(warning);
+        }
+
+        return feeDiv;
+    }
+
     /**
      * Creates the minimum spends section for a card.
      * @param {Card} card - The card
@@ -295,6 +880,14 @@ class UIRenderer {
         const header = document.createElement('div');
         header.className = 'min-spend-header';
         header.innerHTML = `<h4 style="margin: 0; font-size: 0.95rem;">📋 Minimum Spend Requirements (${minimumSpends.length})</h4>`;
+        if (minimumSpends.length > 0 || card.benefits.some(benefit => benefit.matchRules.length > 0)) {
+            const importBtn = document.createElement('button');
+            importBtn.className = 'secondary-btn import-statement-btn';
+            importBtn.textContent = '📄 Import Statement';
+            importBtn.title = 'Add purchases from a CSV statement to minimum spends and benefits with matching rules';
+            importBtn.onclick = () => this.app.openStatementImport(card.id);
+            header.appendChild(importBtn);
+        }
         section.appendChild(header);
 
         // List of minimum spends
@@ -367,7 +960,7 @@ class UIRenderer {
         // Get linked benefits
         const linkedBenefits = card.getBenefitsRequiringMinimumSpend 
             ? card.getBenefitsRequiringMinimumSpend(minSpend.id)
-            : card.benefits.filter(b => b.requiredMinimumSpendId === minSpend.id);
+            : card.benefits.filter(b => SpendRequirement.references(SpendRequirement.fromBenefit(b), minSpend.id));
         
         if (linkedBenefits.length > 0) {
             titleHtml += `<span class="min-spend-badge min-spend-linked-badge">🔗 ${linkedBenefits.length} benefit(s)</span>`;
@@ -402,10 +995,24 @@ class UIRenderer {
         // Meta
         const metaDiv = document.createElement('div');
         metaDiv.className = 'meta';
-        let metaText = `($${minSpend.currentAmount.toFixed(2)} / $${minSpend.targetAmount.toFixed(2)}) - ${minSpend.frequency}`;
+        let metaText = `($${minSpend.currentAmount.toFixed(2)} / $${minSpend.targetAmount.toFixed(2)}) - ${this._describeFrequency(minSpend)}`;
         if (minSpend.frequency !== 'one-time') metaText += ` | ${minSpend.resetType}`;
         metaDiv.textContent = metaText;
 
+        // Tiers
+        const tiers = minSpend.tiers || [];
+        let tiersDiv = null;
+        if (tiers.length > 0) {
+            tiersDiv = document.createElement('div');
+            tiersDiv.className = 'meta min-spend-tiers';
+            tiersDiv.textContent = 'Tiers: ' + tiers.map(tier => {
+                const name = `${tier.description || 'Tier'} ($${tier.targetAmount.toFixed(2)})`;
+                return minSpend.currentAmount >= tier.targetAmount
+                    ? `✅ ${name}`
+                    : `${name}: $${(tier.targetAmount - minSpend.currentAmount).toFixed(2)} to go`;
+            }).join(' · ');
+        }
+
         // Progress bar
         const barColor = isMet ? 'var(--success)' : 'var(--warning)';
         const progressContainer = this._createProgressBar(
@@ -424,7 +1031,17 @@ class UIRenderer {
                 ? `Met on: ${minSpend.metDate ? new Date(minSpend.metDate).toLocaleDateString() : 'N/A'}`
                 : `Deadline: ${deadline.toLocaleDateString()}`;
         } else {
-            deadlineDiv.textContent = minSpend.frequency === 'one-time' ? 'No deadline set' : `${minSpend.frequency} requirement`;
+            deadlineDiv.textContent = minSpend.frequency === 'one-time' ? 'No deadline set' : `${this._describeFrequency(minSpend)} requirement`;
+        }
+
+        // Pace projection
+        const pace = minSpend.getPaceProjection ? minSpend.getPaceProjection(this.app.today) : null;
+        let paceDiv = null;
+        if (pace) {
+            paceDiv = document.createElement('div');
+            paceDiv.className = 'next-reset min-spend-pace';
+            if (pace.daysAfterDeadline > 0) paceDiv.style.color = 'var(--danger)';
+            paceDiv.textContent = this._describePace(pace, minSpend.targetAmount);
         }
 
         // Controls
@@ -516,13 +1133,144 @@ class UIRenderer {
 
         li.appendChild(detailsDiv);
         li.appendChild(metaDiv);
+        if (tiersDiv) li.appendChild(tiersDiv);
         li.appendChild(progressContainer);
         li.appendChild(deadlineDiv);
+        if (paceDiv) li.appendChild(paceDiv);
         li.appendChild(controlsDiv);
+        if (minSpend.getSpendEntries) li.appendChild(this._createSpendLogElement(minSpend, card));
+
+        const history = minSpend.getPeriodHistory ? minSpend.getPeriodHistory() : [];
+        if (history.length > 0) {
+            li.appendChild(this._createPeriodHistoryElement(`history:${minSpend.id}`, history.map(record => ({
+                start: record.periodStart,
+                end: record.periodEnd,
+                value: `$${record.currentAmount.toFixed(2)} / $${record.targetAmount.toFixed(2)} spent`,
+                isComplete: record.isMet,
+                badges: [
+                    record.isMet ? '✅ Met' : null,
+                    record.ignored ? '🚫 Ignored' : null
+                ].filter(Boolean)
+            }))));
+        }
 
         return li;
     }
 
+    /**
+     * Describes a pace projection, e.g. "At your current rate you will reach $4000.00 on Mar 12,
+     * 9 days after the deadline. Spend $120.00/day ($840.00/week) to make it."
+     * @param {Object} pace - From MinimumSpend.getPaceProjection()
+     * @param {number} targetAmount - The minimum spend target
+     * @returns {string}
+     */
+    _describePace(pace, targetAmount) {
+        const parts = [];
+        if (pace.projectedDate) {
+            const date = pace.projectedDate.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+            let text = `At your current rate you will reach $${targetAmount.toFixed(2)} on ${date}`;
+            const days = Math.abs(pace.daysAfterDeadline);
+            if (pace.daysAfterDeadline > 0) {
+                text += `, ${days} day${days === 1 ? '' : 's'} after the deadline`;
+            } else if (pace.daysAfterDeadline < 0) {
+                text += `, ${days} day${days === 1 ? '' : 's'} before the deadline`;
+            } else if (pace.daysAfterDeadline === 0) {
+                text += ', on the deadline';
+            }
+            parts.push(`${text}.`);
+        } else {
+            parts.push('No spend recorded yet.');
+        }
+        if (pace.requiredDaily !== null) {
+            parts.push(`Spend $${pace.requiredDaily.toFixed(2)}/day ($${pace.requiredWeekly.toFixed(2)}/week) to make it.`);
+        }
+        return parts.join(' ');
+    }
+
+    /**
+     * Creates the collapsible spend log of a minimum spend's current period, with a form to log purchases.
+     * @param {MinimumSpend} minSpend - The minimum spend
+     * @param {Card} card - The card of the minimum spend (its cardholders can be credited with spend)
+     * @returns {HTMLDetailsElement}
+     */
+    _createSpendLogElement(minSpend, card) {
+        const detailKey = `spendlog:${minSpend.id}`;
+        const entries = minSpend.getSpendEntries();
+
+        const details = document.createElement('details');
+        details.className = 'usage-ledger';
+        details.dataset.detailKey = detailKey;
+        if (this.app.openDetailKeys && this.app.openDetailKeys.has(detailKey)) {
+            details.setAttribute('open', 'true');
+        }
+
+        const summary = document.createElement('summary');
+        summary.textContent = `🧾 Spend log (${entries.length})`;
+        details.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'usage-ledger-list';
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'usage-ledger-empty';
+            empty.textContent = 'No spend recorded this period.';
+            list.appendChild(empty);
+        }
+        entries.forEach(entry => {
+            const li = document.createElement('li');
+            li.className = 'usage-entry';
+            li.dataset.entryId = entry.id;
+            li.innerHTML = `
+                <span class="usage-entry-date">${new Date(entry.date).toLocaleDateString()}</span>
+                <span class="usage-entry-label"></span>
+                <span class="usage-entry-amount">${entry.amount < 0 ? '−' : ''}$${Math.abs(entry.amount).toFixed(2)}</span>
+            `;
+            // Merchant and note are user-entered text
+            li.querySelector('.usage-entry-label').textContent = [entry.merchant, entry.note].filter(Boolean).join(' — ') || 'Spend';
+            if (entry.transactionKey) {
+                const badge = document.createElement('span');
+                badge.className = 'usage-entry-badge';
+                badge.textContent = '🏦 Imported';
+                badge.title = 'Recorded from an imported statement';
+                li.querySelector('.usage-entry-label').after(badge);
+            }
+            this._addEntryHolderBadge(li, entry);
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'danger-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.onclick = () => this.app.handleDeleteMinimumSpendEntry(minSpend.id, entry.id);
+            li.appendChild(deleteBtn);
+            list.appendChild(li);
+        });
+        details.appendChild(list);
+
+        const form = document.createElement('form');
+        form.className = 'usage-entry-form';
+        form.innerHTML = `
+            <input type="number" name="amount" placeholder="Amount" min="0.01" step="0.01" required>
+            <input type="date" name="date" value="${this._toDateInputValue(this.app.today)}" required>
+            <input type="text" name="merchant" placeholder="Merchant">
+            <input type="text" name="note" placeholder="Note">
+            <button type="submit">Add</button>
+        `;
+        // Usage is credited to the primary cardholder unless someone else is picked
+        this._addEntryHolderSelect(form, card, card.getPrimaryHolderId ? card.getPrimaryHolderId() : null);
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            const formData = new FormData(form);
+            this.app.handleAddMinimumSpendEntry(minSpend.id, {
+                amount: parseFloat(formData.get('amount')),
+                date: this._fromDateInputValue(formData.get('date')),
+                merchant: formData.get('merchant').trim(),
+                note: formData.get('note').trim(),
+                holderId: formData.get('holderId') || null
+            });
+        };
+        details.appendChild(form);
+
+        return details;
+    }
+
     /**
      * Creates the add minimum spend form.
      * @param {string} cardId - The card ID
@@ -546,6 +1294,11 @@ class UIRenderer {
                     <label>Target Amount</label>
                     <input type="number" name="targetAmount" placeholder="3000.00" min="0.01" step="0.01" required>
                 </div>
+                <div class="form-group">
+                    <label>Tiers (optional)</label>
+                    <input type="text" name="tiers" placeholder="E.g., 15000 Companion certificate; 30000 Second certificate">
+                    <small style="color: #666;">Spend levels that unlock rewards before (or beyond) the target.</small>
+                </div>
                 <div class="form-group">
                     <label>Frequency</label>
                     <select name="frequency" id="ms-freq-${uId}" required>
@@ -554,6 +1307,7 @@ class UIRenderer {
                         <option value="yearly">Yearly</option>
                         <option value="quarterly">Quarterly</option>
                         <option value="monthly">Monthly</option>
+                        <option value="custom">Custom Schedule</option>
                     </select>
                 </div>
             </div>
@@ -566,6 +1320,7 @@ class UIRenderer {
                     </select>
                 </div>
             </div>
+            ${this._createScheduleFieldsHtml(uId, null, false)}
             <div class="form-row" id="ms-deadline-row-${uId}" style="display:none; border-top:1px dashed #ccc; padding-top:10px;">
                 <div class="form-group">
                     <label>Deadline</label>
@@ -594,9 +1349,11 @@ class UIRenderer {
         const ignoreRow = form.querySelector(`#ms-ignore-row-${uId}`);
         const igCheck = form.querySelector(`#ms-ig-check-${uId}`);
         const igDateGroup = form.querySelector(`#ms-ig-date-group-${uId}`);
+        const scheduleRow = form.querySelector(`#schedule-row-${uId}`);
 
         freqSelect.onchange = (e) => {
             const isOneTime = e.target.value === 'one-time';
+            scheduleRow.style.display = e.target.value === 'custom' ? 'flex' : 'none';
             if (isOneTime) {
                 resetGroup.style.display = 'none';
                 resetSelect.required = false;
@@ -619,12 +1376,24 @@ class UIRenderer {
             e.preventDefault();
             const formData = new FormData(e.target);
             const frequency = formData.get('frequency');
+            let tiers;
+            try {
+                tiers = this._parseTiers(formData.get('tiers'));
+            } catch (err) {
+                alert(err.message);
+                return;
+            }
+            
+            const schedule = frequency === 'custom' ? this._readScheduleFields(form, uId, formData.get('resetType')) : null;
+            if (frequency === 'custom' && !schedule) return;
             
             const minSpendData = {
                 description: formData.get('description'),
                 targetAmount: parseFloat(formData.get('targetAmount')),
+                tiers: tiers,
                 frequency: frequency,
                 resetType: frequency === 'one-time' ? null : formData.get('resetType'),
+                schedule: schedule,
                 deadline: frequency === 'one-time' ? (formData.get('deadline') || null) : null,
                 ignored: formData.get('ignored') === 'on',
                 ignoredEndDate: formData.get('ignoredEndDate') || null
@@ -632,6 +1401,7 @@ class UIRenderer {
             this.app.handleAddMinimumSpend(cardId, minSpendData);
             e.target.reset();
             resetGroup.style.display = 'none';
+            scheduleRow.style.display = 'none';
             deadlineRow.style.display = 'none';
             ignoreRow.style.display = 'none';
             igDateGroup.style.display = 'none';
@@ -673,6 +1443,10 @@ class UIRenderer {
                     <label>Target Amount</label>
                     <input type="number" id="ms-amt-${uId}" value="${minSpend.targetAmount.toFixed(2)}" min="0.01" step="0.01" required>
                 </div>
+                <div class="form-group">
+                    <label>Tiers (optional)</label>
+                    <input type="text" id="ms-tiers-${uId}" value="${this._formatTiers(minSpend.tiers)}" placeholder="E.g., 15000 Companion certificate; 30000 Second certificate">
+                </div>
                 <div class="form-group">
                     <label>Frequency</label>
                     <select id="ms-freq-${uId}" required>
@@ -680,6 +1454,7 @@ class UIRenderer {
                         <option value="yearly" ${minSpend.frequency === 'yearly' ? 'selected' : ''}>Yearly</option>
                         <option value="quarterly" ${minSpend.frequency === 'quarterly' ? 'selected' : ''}>Quarterly</option>
                         <option value="monthly" ${minSpend.frequency === 'monthly' ? 'selected' : ''}>Monthly</option>
+                        <option value="custom" ${minSpend.frequency === 'custom' ? 'selected' : ''}>Custom Schedule</option>
                     </select>
                 </div>
             </div>
@@ -692,6 +1467,7 @@ class UIRenderer {
                     </select>
                 </div>
             </div>
+            ${this._createScheduleFieldsHtml(uId, minSpend.schedule, minSpend.frequency === 'custom')}
             <div class="form-row" id="ms-deadline-row-${uId}" style="display:${isOneTime ? 'flex' : 'none'}; border-top:1px dashed #ccc; padding-top:10px;">
                 <div class="form-group">
                     <label>Deadline</label>
@@ -726,9 +1502,11 @@ class UIRenderer {
         const igCheck = document.getElementById(`ms-ig-check-${uId}`);
         const igDateGroup = document.getElementById(`ms-ig-date-group-${uId}`);
         const igDateInput = document.getElementById(`ms-ig-date-${uId}`);
+        const scheduleRow = document.getElementById(`schedule-row-${uId}`);
 
         freqSelect.onchange = (e) => {
             const isOneTimeSelected = e.target.value === 'one-time';
+            scheduleRow.style.display = e.target.value === 'custom' ? 'flex' : 'none';
             if (isOneTimeSelected) {
                 resetGroup.style.display = 'none';
                 resetSelect.required = false;
@@ -750,12 +1528,24 @@ class UIRenderer {
         document.getElementById(`ms-save-${uId}`).onclick = () => {
             const frequency = freqSelect.value;
             const isOneTimeSelected = frequency === 'one-time';
+            let tiers;
+            try {
+                tiers = this._parseTiers(document.getElementById(`ms-tiers-${uId}`).value, minSpend.tiers || []);
+            } catch (err) {
+                alert(err.message);
+                return;
+            }
+            
+            const schedule = frequency === 'custom' ? this._readScheduleFields(form, uId, resetSelect.value) : null;
+            if (frequency === 'custom' && !schedule) return;
             
             const newData = {
                 description: document.getElementById(`ms-desc-${uId}`).value.trim(),
                 targetAmount: parseFloat(document.getElementById(`ms-amt-${uId}`).value),
+                tiers: tiers,
                 frequency: frequency,
                 resetType: isOneTimeSelected ? null : resetSelect.value,
+                schedule: schedule,
                 deadline: isOneTimeSelected ? (deadlineInput.value || null) : null,
                 ignored: igCheck.checked,
                 ignoredEndDate: igCheck.checked ? igDateInput.value : null
@@ -783,7 +1573,9 @@ class UIRenderer {
         
         // Check if benefit is locked by minimum spend
         const isLockedByMinSpend = this.app.isBenefitLockedByMinimumSpend(benefit);
-        const lockedByMinSpend = isLockedByMinSpend ? this.app.getLockedByMinimumSpend(benefit) : null;
+        const requirementProgress = this.app.getMinimumSpendRequirementProgress(benefit);
+        // The tier (or target) the benefit is waiting on, for the progress bar
+        const pendingRequirement = requirementProgress.find(item => !item.isMet) || requirementProgress[0] || null;
         
         // For carryover benefits, get active instances
         const activeInstances = isCarryover ? this.app.getActiveCarryoverInstances(benefit) : [];
@@ -803,7 +1595,8 @@ class UIRenderer {
             remaining = benefit.getRemainingAmount 
                 ? benefit.getRemainingAmount() 
                 : benefit.totalAmount - benefit.usedAmount;
-            progressPercent = (benefit.totalAmount > 0) ? (benefit.usedAmount / benefit.totalAmount) * 100 : 0;
+            const periodAmount = this._getPeriodAmount(benefit);
+            progressPercent = (periodAmount > 0) ? (benefit.usedAmount / periodAmount) * 100 : 0;
             isUsed = remaining <= 0;
         }
 
@@ -860,9 +1653,7 @@ class UIRenderer {
         if (isLockedByMinSpend) {
             // Show locked status
             statusSpan.style.color = 'var(--secondary-color)';
-            const minSpendProgress = lockedByMinSpend.currentAmount || 0;
-            const minSpendTarget = lockedByMinSpend.targetAmount || 0;
-            statusSpan.textContent = `🔒 Requires: ${lockedByMinSpend.description} ($${minSpendProgress.toFixed(2)} / $${minSpendTarget.toFixed(2)})`;
+            statusSpan.textContent = `🔒 Requires: ${this._describeRequirementProgress(benefit)}`;
         } else if (isCarryover) {
             if (hasEarnedInstances) {
                 // Show total remaining across all instances
@@ -870,7 +1661,7 @@ class UIRenderer {
                 statusSpan.textContent = `$${remaining.toFixed(2)} remaining`;
             } else if (canEarnThisYear) {
                 // Carryover can earn - check for linked minimum spend
-                if (benefit.requiredMinimumSpendId) {
+                if (requirementProgress.length > 0) {
                     // Has a linked minimum spend - show that the benefit will be earned when met
                     statusSpan.style.color = 'var(--warning)';
                     statusSpan.textContent = 'Pending minimum spend...';
@@ -906,14 +1697,19 @@ class UIRenderer {
         metaDiv.className = 'meta';
         let metaText;
         if (isLockedByMinSpend) {
-            metaText = `Unlocked when minimum spend is met: ${lockedByMinSpend.description}`;
+            metaText = requirementProgress.length > 1
+                ? `Unlocked when ${SpendRequirement.fromBenefit(benefit).op === 'any' ? 'any' : 'all'} of these are met: ${requirementProgress.map(item => item.description).join(', ')}`
+                : `Unlocked when minimum spend is met: ${pendingRequirement.description}`;
         } else if (isCarryover) {
             if (hasEarnedInstances) {
                 const totalUsed = activeInstances.reduce((sum, inst) => sum + (inst.usedAmount || 0), 0);
                 const totalCredit = activeInstances.length * benefit.totalAmount;
                 metaText = `($${totalUsed.toFixed(2)} / $${totalCredit.toFixed(2)}) - ${activeInstances.length} carryover credit(s)`;
+                if (!CarryoverCycle.isDefaultRule(benefit.carryoverRule)) {
+                    metaText += ` | ${CarryoverCycle.describeRule(benefit.carryoverRule)}`;
+                }
             } else if (canEarnThisYear) {
-                if (benefit.requiredMinimumSpendId) {
+                if (requirementProgress.length > 0) {
                     metaText = `Carryover benefit - pending minimum spend requirement`;
                 } else {
                     metaText = `Carryover benefit - link to minimum spend to earn $${benefit.totalAmount.toFixed(2)} credit`;
@@ -922,8 +1718,11 @@ class UIRenderer {
                 metaText = `Carryover benefit - no active credits`;
             }
         } else {
-            metaText = `($${benefit.usedAmount.toFixed(2)} / $${benefit.totalAmount.toFixed(2)}) - ${benefit.frequency} benefit`;
+            metaText = `($${benefit.usedAmount.toFixed(2)} / $${this._getPeriodAmount(benefit).toFixed(2)}) - ${this._describeFrequency(benefit)} benefit`;
             if (benefit.frequency !== 'one-time') metaText += ` | ${benefit.resetType}`;
+            if (benefit.amountSchedule && benefit.amountSchedule.length > 0 && benefit.frequency !== 'one-time') {
+                metaText += ` | amount varies (${this._formatAmountSchedule(benefit.amountSchedule)}; otherwise $${benefit.totalAmount.toFixed(2)})`;
+            }
         }
         metaDiv.textContent = metaText;
 
@@ -931,17 +1730,16 @@ class UIRenderer {
         const progressKey = `benefit:${benefit.id}`;
         let progressContainer;
         if (isLockedByMinSpend) {
-            // Show minimum spend progress
-            const minSpendProgress = lockedByMinSpend.currentAmount || 0;
-            const minSpendTarget = lockedByMinSpend.targetAmount || 1;
+            // Show progress toward the minimum spend (or tier) it is waiting on
+            const minSpendProgress = pendingRequirement ? (pendingRequirement.minSpend.currentAmount || 0) : 0;
+            const minSpendTarget = pendingRequirement ? (pendingRequirement.targetAmount || 1) : 1;
             const minSpendPercent = Math.min((minSpendProgress / minSpendTarget) * 100, 100);
             progressContainer = this._createProgressBar(progressKey, minSpendPercent, 'var(--secondary-color)');
         } else if (isCarryover && canEarnThisYear && !hasEarnedInstances && benefit.requiredMinimumSpendId) {
             // Show linked minimum spend progress for carryover benefits
-            const linkedMinSpend = this.app.findMinimumSpend(benefit.requiredMinimumSpendId);
-            if (linkedMinSpend) {
-                const minSpendProgress = linkedMinSpend.currentAmount || 0;
-                const minSpendTarget = linkedMinSpend.targetAmount || 1;
+            if (pendingRequirement) {
+                const minSpendProgress = pendingRequirement.minSpend.currentAmount || 0;
+                const minSpendTarget = pendingRequirement.targetAmount || 1;
                 const minSpendPercent = Math.min((minSpendProgress / minSpendTarget) * 100, 100);
                 progressContainer = this._createProgressBar(progressKey, minSpendPercent, 'var(--warning)');
             } else {
@@ -960,10 +1758,17 @@ class UIRenderer {
             if (hasEarnedInstances) {
                 // Show expiry info for each instance
                 activeInstances.forEach((instance, index) => {
-                    const expiryDate = CarryoverCycle.calculateExpiryDate(instance.earnedDate);
-                    const earnYear = CarryoverCycle.getEarnYear(instance.earnedDate);
+                    // Use Benefit method if available
+                    const expiryDate = benefit.getCarryoverInstanceExpiryDate
+                        ? benefit.getCarryoverInstanceExpiryDate(instance)
+                        : CarryoverCycle.calculateExpiryDate(instance.earnedDate);
+                    const instanceLabel = this._getCarryoverInstanceLabel(benefit, instance);
                     const instanceRemaining = benefit.totalAmount - (instance.usedAmount || 0);
-                    dateInfo.push(`${earnYear} credit ($${instanceRemaining.toFixed(2)}): expires ${expiryDate.toLocaleDateString()}`);
+                    const earnedBy = instance.minimumSpendId && card.findMinimumSpend
+                        ? card.findMinimumSpend(instance.minimumSpendId)
+                        : null;
+                    dateInfo.push(`${instanceLabel} ($${instanceRemaining.toFixed(2)}): expires ${expiryDate.toLocaleDateString()}`
+                        + (earnedBy ? ` — earned automatically when "${earnedBy.description}" was met` : ''));
                 });
             }
             if (canEarnThisYear) {
@@ -971,7 +1776,10 @@ class UIRenderer {
                 const earnDeadline = benefit.getCarryoverEarnDeadline 
                     ? benefit.getCarryoverEarnDeadline(this.app.today)
                     : DateUtils.calculateCarryoverEarnDeadline(benefit, this.app.today);
-                dateInfo.push(`New credit: earn by ${earnDeadline.toLocaleDateString()}`);
+                const earnsRemaining = benefit.getCarryoverEarnsRemaining ? benefit.getCarryoverEarnsRemaining(this.app.today) : 1;
+                dateInfo.push(earnsRemaining > 1
+                    ? `New credits: ${earnsRemaining} more can be earned by ${earnDeadline.toLocaleDateString()}`
+                    : `New credit: earn by ${earnDeadline.toLocaleDateString()}`);
             }
             nextResetDiv.innerHTML = dateInfo.join('<br>');
         } else {
@@ -982,6 +1790,16 @@ class UIRenderer {
                     ? benefit.getNextResetDate(this.app.today)
                     : DateUtils.calculateNextResetDate(benefit, card, this.app.today);
                 nextResetDiv.textContent = `Resets on: ${nextResetDate.toLocaleDateString()}`;
+                if (benefit.schedule && benefit.schedule.months) {
+                    const availableUntil = benefit.getAvailableUntil(this.app.today);
+                    if (availableUntil) {
+                        const lastDay = new Date(availableUntil);
+                        lastDay.setDate(lastDay.getDate() - 1);
+                        nextResetDiv.textContent = `Available until: ${lastDay.toLocaleDateString()}`;
+                    } else {
+                        nextResetDiv.textContent = `Available from: ${nextResetDate.toLocaleDateString()}`;
+                    }
+                }
             } else {
                 if (benefit.expiryDate) {
                     const expiryDate = new Date(benefit.expiryDate);
@@ -1002,12 +1820,12 @@ class UIRenderer {
             // Show usage controls for each earned instance
             if (hasEarnedInstances) {
                 activeInstances.forEach((instance, index) => {
-                    const earnYear = CarryoverCycle.getEarnYear(instance.earnedDate);
+                    const instanceLabel = this._getCarryoverInstanceLabel(benefit, instance);
                     const instanceContainer = document.createElement('div');
                     instanceContainer.style.cssText = 'display: flex; align-items: center; gap: 10px; margin-top: 5px;';
                     
                     const usageLabel = document.createElement('label');
-                    usageLabel.textContent = `${earnYear} used: $`;
+                    usageLabel.textContent = `${instanceLabel} used: $`;
 
                     const inputWrapper = document.createElement('div');
                     inputWrapper.className = 'smart-input-wrapper';
@@ -1088,7 +1906,7 @@ class UIRenderer {
             updateInput.type = 'number';
             updateInput.value = benefit.usedAmount.toFixed(2);
             updateInput.min = "0";
-            updateInput.max = benefit.totalAmount;
+            updateInput.max = this._getPeriodAmount(benefit);
             updateInput.step = "0.01";
             const incBtn = document.createElement('button');
             incBtn.className = 'smart-stepper-btn';
@@ -1111,7 +1929,7 @@ class UIRenderer {
                     else nextVal = Math.ceil(current / step) * step - step;
                 }
                 if (nextVal < 0) nextVal = 0;
-                if (nextVal > benefit.totalAmount) nextVal = benefit.totalAmount;
+                if (nextVal > this._getPeriodAmount(benefit)) nextVal = this._getPeriodAmount(benefit);
                 nextVal = parseFloat(nextVal.toFixed(2));
                 updateInput.value = nextVal.toFixed(2);
                 this.app.handleUpdateBenefitUsage(benefit.id, nextVal);
@@ -1164,21 +1982,477 @@ class UIRenderer {
         li.appendChild(nextResetDiv);
         li.appendChild(controlsDiv);
 
+        // Usage ledger - one per earned instance for carryover benefits
+        if (isCarryover) {
+            activeInstances.forEach((instance, index) => {
+                li.appendChild(this._createUsageLedgerElement(benefit, card, index, `${this._getCarryoverInstanceLabel(benefit, instance)} usage`));
+            });
+        } else {
+            li.appendChild(this._createUsageLedgerElement(benefit, card, null, 'Usage history'));
+            li.appendChild(this._createMatchRulesElement(benefit));
+        }
+
+        const history = benefit.getPeriodHistory ? benefit.getPeriodHistory() : [];
+        if (history.length > 0) {
+            li.appendChild(this._createPeriodHistoryElement(`history:${benefit.id}`, history.map(record => ({
+                start: record.periodStart,
+                end: record.periodEnd,
+                value: `$${record.usedAmount.toFixed(2)} / $${record.totalAmount.toFixed(2)} used`,
+                isComplete: record.usedAmount >= record.totalAmount,
+                badges: [
+                    record.autoClaimed ? '🔄 Auto-claimed' : null,
+                    record.ignored ? '🚫 Ignored' : null
+                ].filter(Boolean)
+            }))));
+        }
+
         return li;
     }
 
+    /**
+     * Creates the collapsible list of archived periods for a benefit or minimum spend.
+     * @param {string} detailKey - Key used to keep the section open across renders
+     * @param {Array<{start: string|null, end: string, value: string, isComplete: boolean, badges: Array<string>}>} rows
+     * @returns {HTMLDetailsElement}
+     */
+    _createPeriodHistoryElement(detailKey, rows) {
+        const details = document.createElement('details');
+        details.className = 'period-history';
+        details.dataset.detailKey = detailKey;
+        if (this.app.openDetailKeys && this.app.openDetailKeys.has(detailKey)) {
+            details.setAttribute('open', 'true');
+        }
+
+        const summary = document.createElement('summary');
+        summary.textContent = `📜 Past periods (${rows.length})`;
+        details.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'period-history-list';
+        rows.forEach(row => {
+            const item = document.createElement('li');
+            item.className = 'period-history-item';
+            const start = row.start ? new Date(row.start).toLocaleDateString() : '…';
+            const badges = row.badges.map(badge => `<span class="period-history-badge">${badge}</span>`).join('');
+            item.innerHTML = `
+                <span class="period-history-range">${start} – ${new Date(row.end).toLocaleDateString()}</span>
+                <span class="period-history-value" style="color:${row.isComplete ? 'var(--success)' : 'var(--danger)'}">${row.value}</span>
+                ${badges}
+            `;
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+
+        return details;
+    }
+
+    /**
+     * Creates the collapsible usage ledger for a benefit or one of its carryover instances,
+     * with controls to add, edit and delete dated entries.
+     * @param {Benefit} benefit - The benefit
+     * @param {Card} card - The card of the benefit (its cardholders can be credited with usage)
+     * @param {number|null} instanceIndex - Carryover instance index, or null for the benefit itself
+     * @param {string} title - Summary label
+     * @returns {HTMLDetailsElement}
+     */
+    _createUsageLedgerElement(benefit, card, instanceIndex, title) {
+        const detailKey = `ledger:${benefit.id}:${instanceIndex === null ? 'benefit' : instanceIndex}`;
+        const entries = benefit.getUsageEntries(instanceIndex);
+
+        const details = document.createElement('details');
+        details.className = 'usage-ledger';
+        details.dataset.detailKey = detailKey;
+        if (this.app.openDetailKeys && this.app.openDetailKeys.has(detailKey)) {
+            details.setAttribute('open', 'true');
+        }
+
+        const summary = document.createElement('summary');
+        summary.textContent = `🧾 ${title} (${entries.length})`;
+        details.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'usage-ledger-list';
+        if (entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'usage-ledger-empty';
+            empty.textContent = 'No usage recorded this period.';
+            list.appendChild(empty);
+        }
+        entries.forEach(entry => list.appendChild(this._createUsageEntryRow(benefit, card, entry, instanceIndex)));
+        details.appendChild(list);
+
+        // Add entry form
+        const form = document.createElement('form');
+        form.className = 'usage-entry-form';
+        const todayValue = this._toDateInputValue(this.app.today);
+        form.innerHTML = `
+            <input type="number" name="amount" placeholder="Amount" min="0.01" step="0.01" required>
+            <input type="date" name="date" value="${todayValue}" required>
+            <input type="text" name="merchant" placeholder="Merchant">
+            <input type="text" name="note" placeholder="Note">
+            <button type="submit">Add</button>
+        `;
+        // Usage is credited to the primary cardholder unless someone else is picked
+        this._addEntryHolderSelect(form, card, card.getPrimaryHolderId ? card.getPrimaryHolderId() : null);
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            const formData = new FormData(form);
+            this.app.handleAddUsageEntry(benefit.id, {
+                amount: parseFloat(formData.get('amount')),
+                date: this._fromDateInputValue(formData.get('date')),
+                merchant: formData.get('merchant').trim(),
+                note: formData.get('note').trim(),
+                holderId: formData.get('holderId') || null
+            }, instanceIndex);
+        };
+        details.appendChild(form);
+
+        return details;
+    }
+
+    /**
+     * Creates a single ledger row, which can be switched to an inline edit form
+     * (except for negative adjustments, which can only be deleted).
+     * @param {Benefit} benefit - The benefit
+     * @param {Card} card - The card of the benefit
+     * @param {Object} entry - The usage entry
+     * @param {number|null} instanceIndex - Carryover instance index, or null for the benefit itself
+     * @returns {HTMLLIElement}
+     */
+    _createUsageEntryRow(benefit, card, entry, instanceIndex) {
+        const li = document.createElement('li');
+        li.className = 'usage-entry';
+        li.dataset.entryId = entry.id;
+
+        const label = [entry.merchant, entry.note].filter(Boolean).join(' — ') || 'Usage';
+        li.innerHTML = `
+            <span class="usage-entry-date">${new Date(entry.date).toLocaleDateString()}</span>
+            <span class="usage-entry-label"></span>
+            <span class="usage-entry-amount">${entry.amount < 0 ? '−' : ''}$${Math.abs(entry.amount).toFixed(2)}</span>
+        `;
+        // Merchant and note are user-entered text
+        li.querySelector('.usage-entry-label').textContent = label;
+        if (entry.transactionKey) {
+            const badge = document.createElement('span');
+            badge.className = 'usage-entry-badge';
+            badge.textContent = '🏦 Matched';
+            badge.title = 'Recorded from an imported statement by a matching rule';
+            li.querySelector('.usage-entry-label').after(badge);
+        }
+        this._addEntryHolderBadge(li, entry);
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'secondary-btn';
+        editBtn.textContent = 'Edit';
+        editBtn.onclick = () => {
+            li.innerHTML = `
+                <input type="number" name="amount" value="${entry.amount.toFixed(2)}" min="0.01" step="0.01">
+                <input type="date" name="date" value="${this._toDateInputValue(new Date(entry.date))}">
+                <input type="text" name="merchant" placeholder="Merchant">
+                <input type="text" name="note" placeholder="Note">
+            `;
+            li.querySelector('input[name="merchant"]').value = entry.merchant;
+            li.querySelector('input[name="note"]').value = entry.note;
+            const holderSelect = this._addEntryHolderSelect(li, card, entry.holderId || null);
+
+            const saveBtn = document.createElement('button');
+            saveBtn.textContent = 'Save';
+            saveBtn.onclick = () => {
+                const changes = {
+                    amount: parseFloat(li.querySelector('input[name="amount"]').value),
+                    date: this._fromDateInputValue(li.querySelector('input[name="date"]').value),
+                    merchant: li.querySelector('input[name="merchant"]').value.trim(),
+                    note: li.querySelector('input[name="note"]').value.trim()
+                };
+                if (holderSelect) changes.holderId = holderSelect.value || null;
+                this.app.handleUpdateUsageEntry(benefit.id, entry.id, changes, instanceIndex);
+            };
+            const cancelBtn = document.createElement('button');
+            cancelBtn.className = 'secondary-btn';
+            cancelBtn.textContent = 'Cancel';
+            cancelBtn.onclick = () => this.app.render();
+            li.appendChild(saveBtn);
+            li.appendChild(cancelBtn);
+        };
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'danger-btn';
+        if (entry.transactionKey) {
+            // Deleting would let the next import match it again
+            deleteBtn.textContent = 'Unlink';
+            deleteBtn.title = 'Not a use of this credit: remove it and never match this transaction again';
+            deleteBtn.onclick = () => this.app.handleUnlinkTransaction(benefit.id, entry.id, instanceIndex);
+        } else {
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.onclick = () => this.app.handleDeleteUsageEntry(benefit.id, entry.id, instanceIndex);
+        }
+
+        // Negative adjustments (from lowering the used amount) can only be deleted: entry amounts must be positive
+        if (entry.amount > 0) li.appendChild(editBtn);
+        li.appendChild(deleteBtn);
+        return li;
+    }
+
+    /**
+     * Creates the collapsible list of statement matching rules for a benefit, with an add form.
+     * @param {Benefit} benefit - The benefit
+     * @returns {HTMLDetailsElement}
+     */
+    _createMatchRulesElement(benefit) {
+        const detailKey = `rules:${benefit.id}`;
+        const details = document.createElement('details');
+        details.className = 'match-rules';
+        details.dataset.detailKey = detailKey;
+        if (this.app.openDetailKeys && this.app.openDetailKeys.has(detailKey)) {
+            details.setAttribute('open', 'true');
+        }
+
+        const summary = document.createElement('summary');
+        summary.textContent = `🏦 Statement matching rules (${benefit.matchRules.length})`;
+        details.appendChild(summary);
+
+        const list = document.createElement('ul');
+        list.className = 'match-rules-list';
+        benefit.matchRules.forEach(rule => {
+            const item = document.createElement('li');
+            item.className = 'match-rule';
+            const text = document.createElement('span');
+            text.textContent = StatementImport.describeRule(rule);
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'danger-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.onclick = () => this.app.handleDeleteMatchRule(benefit.id, rule.id);
+            item.appendChild(text);
+            item.appendChild(deleteBtn);
+            list.appendChild(item);
+        });
+        details.appendChild(list);
+
+        const form = document.createElement('form');
+        form.className = 'match-rule-form';
+        form.innerHTML = `
+            <input type="text" name="merchantPattern" placeholder="Merchant pattern, e.g. ^UBER" required>
+            <select name="transactionType">
+                <option value="purchase">Purchases</option>
+                <option value="credit">Statement credits</option>
+                <option value="any">Either</option>
+            </select>
+            <input type="number" name="minAmount" placeholder="Min $" min="0" step="0.01">
+            <input type="number" name="maxAmount" placeholder="Max $" min="0" step="0.01">
+            <input type="date" name="activeFrom" title="Limited-time offer: only match from this date on (leave empty to match in every period)">
+            <input type="date" name="activeUntil" title="Limited-time offer: only match until this date (leave empty to match in every period)">
+            <button type="submit">Add Rule</button>
+        `;
+        form.onsubmit = (e) => {
+            e.preventDefault();
+            const formData = new FormData(form);
+            const amount = name => (formData.get(name) === '' ? null : parseFloat(formData.get(name)));
+            this.app.handleAddMatchRule(benefit.id, {
+                merchantPattern: formData.get('merchantPattern').trim(),
+                transactionType: formData.get('transactionType'),
+                minAmount: amount('minAmount'),
+                maxAmount: amount('maxAmount'),
+                activeFrom: formData.get('activeFrom') || null,
+                activeUntil: formData.get('activeUntil') || null
+            });
+        };
+        details.appendChild(form);
+
+        return details;
+    }
+
+    // ==================== CARDHOLDERS ====================
+
+    /**
+     * Fills a cardholder select with the household's members, plus an option to name a new one.
+     * The name input is only shown while that option is selected.
+     * @param {HTMLSelectElement} select - The select to fill
+     * @param {HTMLInputElement} nameInput - Name of a new cardholder
+     * @param {string|null} selectedId - The cardholder to select
+     */
+    fillHolderSelect(select, nameInput, selectedId) {
+        if (!select) return;
+        const holders = this.app.household.getHolders();
+        select.innerHTML = '';
+        [{ id: '', name: 'No cardholder' }, ...holders, { id: NEW_HOLDER_OPTION, name: 'New cardholder…' }].forEach(holder => {
+            const option = document.createElement('option');
+            option.value = holder.id;
+            option.textContent = holder.name;
+            select.appendChild(option);
+        });
+        select.value = holders.some(holder => holder.id === selectedId) ? selectedId : '';
+        const toggleName = () => {
+            nameInput.style.display = select.value === NEW_HOLDER_OPTION ? 'block' : 'none';
+        };
+        select.onchange = toggleName;
+        toggleName();
+    }
+
+    /**
+     * Reads a cardholder select filled by fillHolderSelect.
+     * @param {HTMLSelectElement} select
+     * @param {HTMLInputElement} nameInput - Name of a new cardholder
+     * @returns {{holderId: string|null, newName: string}} newName is set when a new cardholder was named
+     */
+    readHolderSelect(select, nameInput) {
+        if (!select) return { holderId: null, newName: '' };
+        if (select.value === NEW_HOLDER_OPTION) return { holderId: null, newName: nameInput.value.trim() };
+        return { holderId: select.value || null, newName: '' };
+    }
+
+    /**
+     * Fills the cardholder filter of the card list. The filter is hidden until the household has a cardholder.
+     * @param {HTMLSelectElement} select - The filter select
+     * @param {string|null} selectedId - The selected cardholder, or null for everyone
+     */
+    renderHolderFilter(select, selectedId) {
+        if (!select) return;
+        const holders = this.app.household.getHolders();
+        const group = select.closest('.holder-filter');
+        if (group) group.style.display = holders.length > 0 ? 'flex' : 'none';
+        select.innerHTML = '';
+        [{ id: '', name: 'Everyone' }, ...holders].forEach(holder => {
+            const option = document.createElement('option');
+            option.value = holder.id;
+            option.textContent = holder.name;
+            select.appendChild(option);
+        });
+        select.value = holders.some(holder => holder.id === selectedId) ? selectedId : '';
+    }
+
+    /**
+     * Renders the household members in the settings, each with a name field and a Remove button.
+     * @param {HTMLElement} container - The household list
+     */
+    renderHouseholdSettings(container) {
+        if (!container) return;
+        container.innerHTML = '';
+        const holders = this.app.household.getHolders();
+        if (holders.length === 0) {
+            const empty = document.createElement('li');
+            empty.textContent = 'No cardholders yet.';
+            container.appendChild(empty);
+            return;
+        }
+        holders.forEach(holder => {
+            const cardCount = this.app.cards.filter(card => Household.matchesCard(card, holder.id)).length;
+            const li = document.createElement('li');
+            li.innerHTML = `
+                <input type="text" aria-label="Cardholder name">
+                <small style="color: #666;">${cardCount} card${cardCount === 1 ? '' : 's'}</small>
+            `;
+            const nameInput = li.querySelector('input');
+            nameInput.value = holder.name;
+            nameInput.onchange = () => {
+                this.app.handleRenameCardholder(holder.id, nameInput.value);
+                this.renderHouseholdSettings(container);
+            };
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'danger-btn';
+            removeBtn.type = 'button';
+            removeBtn.textContent = 'Remove';
+            removeBtn.onclick = () => {
+                this.app.handleRemoveCardholder(holder.id);
+                this.renderHouseholdSettings(container);
+            };
+            li.appendChild(removeBtn);
+            container.appendChild(li);
+        });
+    }
+
+    /**
+     * Names a card's cardholders, e.g. "Alex (authorized: Sam, Jo)".
+     * @param {Card} card
+     * @returns {string} Empty when the card names no cardholder
+     */
+    _describeCardholders(card) {
+        const { primary, authorized: authorizedUsers } = this.app.household.getCardholders(card);
+        const authorized = authorizedUsers.map(holder => holder.name).join(', ');
+        if (!authorized) return primary ? primary.name : '';
+        return `${primary ? `${primary.name} ` : ''}(authorized: ${authorized})`;
+    }
+
+    /**
+     * Adds a select of the card's cardholders to a usage entry form, before its submit button if it has one.
+     * Nothing is added when the card names no cardholder.
+     * @param {HTMLElement} container - The form (or row being edited)
+     * @param {Card} card - The card the usage is recorded on
+     * @param {string|null} selectedId - The cardholder to select
+     * @returns {HTMLSelectElement|null}
+     */
+    _addEntryHolderSelect(container, card, selectedId) {
+        const { primary, authorized } = this.app.household.getCardholders(card);
+        const cardholders = [
+            ...(primary ? [primary] : []),
+            ...authorized.map(holder => ({ id: holder.id, name: `${holder.name} (authorized user)` }))
+        ];
+        if (cardholders.length === 0) return null;
+        const select = document.createElement('select');
+        select.name = 'holderId';
+        select.setAttribute('aria-label', 'Used by');
+        const options = [{ id: '', name: 'Used by…' }, ...cardholders];
+        // Keep the current attribution selectable if the person has since left the card
+        const former = selectedId && !cardholders.some(holder => holder.id === selectedId)
+            ? this.app.household.findHolder(selectedId)
+            : null;
+        if (former) options.push(former);
+        options.forEach(holder => {
+            const option = document.createElement('option');
+            option.value = holder.id;
+            option.textContent = holder.name;
+            select.appendChild(option);
+        });
+        select.value = options.some(holder => holder.id === selectedId) ? selectedId : '';
+        const submit = container.querySelector('button[type="submit"]');
+        if (submit) container.insertBefore(select, submit);
+        else container.appendChild(select);
+        return select;
+    }
+
+    /**
+     * Names the cardholder credited with a ledger entry next to its label.
+     * @param {HTMLLIElement} li - The ledger row
+     * @param {Object} entry - The usage or spend entry
+     */
+    _addEntryHolderBadge(li, entry) {
+        const name = this.app.household.getEntryHolderName(entry);
+        if (!name) return;
+        const badge = document.createElement('span');
+        badge.className = 'usage-entry-badge';
+        badge.textContent = `👤 ${name}`;
+        li.querySelector('.usage-entry-amount').before(badge);
+    }
+
+    /**
+     * Formats a local date as the value of an <input type="date">.
+     * @param {Date} date
+     * @returns {string} YYYY-MM-DD
+     */
+    _toDateInputValue(date) {
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Parses the value of an <input type="date"> as a local date.
+     * @param {string} value - YYYY-MM-DD
+     * @returns {Date|null}
+     */
+    _fromDateInputValue(value) {
+        if (!value) return null;
+        const [year, month, day] = value.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
     // ... (rest of methods: createAddBenefitForm, renderCardEdit, renderBenefitEdit remain unchanged) ...
     createAddBenefitForm(cardId) {
         const form = document.createElement('form');
         form.className = 'benefit-form';
         const uId = Math.random().toString(36).substring(2, 11);
 
-        // Get minimum spends for dropdown
+        // Get minimum spends for the requirement checkboxes
         const card = this.app.cards.find(c => c.id === cardId);
         const minSpends = card && card.minimumSpends ? card.minimumSpends : [];
-        const minSpendOptions = minSpends.map(ms => 
-            `<option value="${ms.id}">${ms.description} ($${ms.targetAmount.toFixed(2)})</option>`
-        ).join('');
 
         form.innerHTML = `
             <h3 style="margin: 0; font-size: 1.1rem;">Add New Benefit</h3>
@@ -1202,8 +2476,9 @@ class UIRenderer {
                         <option value="biannual">Biannual (2x/yr)</option>
                         <option value="annual">Annual</option>
                         <option value="every-4-years">Every 4 Years</option>
+                        <option value="custom">Custom Schedule</option>
                         <option value="one-time">One-Time</option>
-                        <option value="carryover">Carryover (earn in year X, use til end of year X+1)</option>
+                        <option value="carryover">Carryover (earn once a year, use later)</option>
                     </select>
                 </div>
             </div>
@@ -1214,19 +2489,17 @@ class UIRenderer {
                         <option value="calendar">Calendar (Jan 1, Apr 1, etc.)</option>
                         <option value="anniversary">Anniversary-Dated</option>
                     </select>
+                    <label style="margin-top:10px;">Different Amounts (optional)</label>
+                    <input type="text" name="amountSchedule" placeholder="E.g., Dec 35; Jan-Jun 50">
+                    <small style="color: #666;">Credit amounts for periods that include those months.</small>
                 </div>
             </div>
+            ${this._createScheduleFieldsHtml(uId, null, false)}
+            ${this._createCarryoverRuleFieldsHtml(uId, null, false)}
             
             <!-- Minimum Spend Requirement (for one-time and carryover benefits) -->
             <div class="form-row" id="min-spend-row-${uId}" style="display:none; border-top:1px dashed #ccc; padding-top:10px;">
-                <div class="form-group">
-                    <label>🔗 Required Minimum Spend</label>
-                    <select name="requiredMinimumSpendId" id="min-spend-${uId}">
-                        <option value="">None (no requirement)</option>
-                        ${minSpendOptions}
-                    </select>
-                    <small style="color: #666;">Link this benefit to a minimum spend requirement to unlock it.</small>
-                </div>
+                ${this._createRequirementFieldsHtml(uId, minSpends, null)}
             </div>
             
             <!-- Auto Claim Inputs -->
@@ -1279,10 +2552,14 @@ class UIRenderer {
         const igDateGroup = form.querySelector(`#ig-date-group-${uId}`);
 
         const expiryRow = form.querySelector(`#expiry-row-${uId}`);
+        const scheduleRow = form.querySelector(`#schedule-row-${uId}`);
+        const carryoverRuleRow = form.querySelector(`#carryover-rule-row-${uId}`);
 
         freqSelect.onchange = (e) => {
             const isOneTime = e.target.value === 'one-time';
             const isCarryover = e.target.value === 'carryover';
+            scheduleRow.style.display = e.target.value === 'custom' ? 'flex' : 'none';
+            carryoverRuleRow.style.display = isCarryover ? 'flex' : 'none';
             
             if (isCarryover) {
                 // Show carryover-specific fields - use minimum spend for earning
@@ -1335,12 +2612,27 @@ class UIRenderer {
             const frequency = formData.get('frequency');
             const isCarryover = frequency === 'carryover';
             const isOneTime = frequency === 'one-time';
+            let amountSchedule = [];
+            if (!isCarryover && !isOneTime) {
+                try {
+                    amountSchedule = this._parseAmountSchedule(formData.get('amountSchedule'));
+                } catch (err) {
+                    alert(err.message);
+                    return;
+                }
+            }
+            const carryoverRule = isCarryover ? this._readCarryoverRuleFields(form, uId) : null;
+            if (isCarryover && !carryoverRule) return;
+            const schedule = frequency === 'custom' ? this._readScheduleFields(form, uId, formData.get('resetType')) : null;
+            if (frequency === 'custom' && !schedule) return;
             
             const benefitData = {
                 description: formData.get('description'),
                 totalAmount: parseFloat(formData.get('totalAmount')),
+                amountSchedule: amountSchedule,
                 frequency: isCarryover ? 'carryover' : frequency,
                 resetType: (frequency === 'one-time' || isCarryover) ? null : formData.get('resetType'),
+                schedule: schedule,
                 autoClaim: formData.get('autoClaim') === 'on',
                 autoClaimEndDate: formData.get('autoClaimEndDate') || null,
                 ignored: formData.get('ignored') === 'on',
@@ -1348,13 +2640,16 @@ class UIRenderer {
                 expiryDate: frequency === 'one-time' ? (formData.get('expiryDate') || null) : null,
                 // Carryover-specific fields
                 isCarryover: isCarryover,
+                carryoverRule: carryoverRule,
                 earnedDate: null,
-                // Link to minimum spend for earning (for both carryover and one-time)
-                requiredMinimumSpendId: (isCarryover || isOneTime) ? (formData.get('requiredMinimumSpendId') || null) : null
+                // Minimum spend requirement for earning (for both carryover and one-time)
+                minimumSpendRequirement: (isCarryover || isOneTime) ? this._readRequirementFields(form, uId) : null
             };
             this.app.handleAddBenefit(cardId, benefitData);
             e.target.reset();
             resetGroup.style.display = 'none';
+            scheduleRow.style.display = 'none';
+            carryoverRuleRow.style.display = 'none';
             acRow.style.display = 'none';
             minSpendRow.style.display = 'none';
             acDateGroup.style.display = 'none';
@@ -1374,6 +2669,9 @@ class UIRenderer {
         const form = document.createElement('div');
         form.className = 'edit-form';
         const uId = Math.random().toString(36).substring(2, 11);
+        const events = card.getLifecycleEvents ? card.getLifecycleEvents() : [];
+        const openedEvent = events.find(event => event.type === 'opened');
+        const closedEvent = events.filter(event => event.type === 'closed').pop();
 
         form.innerHTML = `
             <h3 style="margin: 0;">Editing: ${card.name}</h3>
@@ -1387,6 +2685,39 @@ class UIRenderer {
                     <input type="date" id="date-${uId}" value="${card.anniversaryDate}" required>
                 </div>
             </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Annual Fee ($)</label>
+                    <input type="number" id="fee-${uId}" value="${card.annualFee || 0}" min="0" step="0.01">
+                </div>
+                <div class="form-group">
+                    <label>Fee Posting Date (optional)</label>
+                    <input type="date" id="fee-date-${uId}" value="${card.feePostingDate || ''}">
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Opened (optional)</label>
+                    <input type="date" id="opened-${uId}" value="${openedEvent ? openedEvent.date : ''}">
+                </div>
+                <div class="form-group">
+                    <label>Closed (optional)</label>
+                    <input type="date" id="closed-${uId}" value="${closedEvent ? closedEvent.date : ''}">
+                    <small style="color: #666;">Benefits stop resetting once the card is closed. Clear to reopen.</small>
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label>Primary Cardholder</label>
+                    <select id="holder-${uId}"></select>
+                    <input type="text" id="holder-name-${uId}" placeholder="Name" style="display: none; margin-top: 6px;">
+                </div>
+                <div class="form-group">
+                    <label>Authorized Users</label>
+                    <div id="authorized-${uId}"></div>
+                    <input type="text" id="authorized-name-${uId}" placeholder="Add an authorized user">
+                </div>
+            </div>
             <div class="form-row" style="justify-content: flex-end;">
                 <button class="secondary-btn" id="cancel-${uId}">Cancel</button>
                 <button id="save-${uId}">Save Changes</button>
@@ -1396,11 +2727,36 @@ class UIRenderer {
         cardEl.innerHTML = '';
         cardEl.appendChild(form);
 
+        const holderSelect = document.getElementById(`holder-${uId}`);
+        const holderNameInput = document.getElementById(`holder-name-${uId}`);
+        this.fillHolderSelect(holderSelect, holderNameInput, card.getPrimaryHolderId ? card.getPrimaryHolderId() : null);
+        const authorizedList = document.getElementById(`authorized-${uId}`);
+        this.app.household.getHolders().forEach(holder => {
+            const label = document.createElement('label');
+            label.style.cssText = 'display:flex; align-items:center; gap:6px; margin:0; font-weight:normal;';
+            label.innerHTML = '<input type="checkbox" style="width:auto;">';
+            const checkbox = label.querySelector('input');
+            checkbox.value = holder.id;
+            checkbox.checked = !!card.getAuthorizedUserIds && card.getAuthorizedUserIds().includes(holder.id);
+            label.appendChild(document.createTextNode(holder.name));
+            authorizedList.appendChild(label);
+        });
+
         document.getElementById(`save-${uId}`).onclick = () => {
             const newName = document.getElementById(`name-${uId}`).value.trim();
             const newDate = document.getElementById(`date-${uId}`).value;
             if (newName && newDate) {
-                this.app.handleUpdateCard(card.id, newName, newDate);
+                this.app.handleUpdateCard(card.id, newName, newDate, {
+                    annualFee: parseFloat(document.getElementById(`fee-${uId}`).value) || 0,
+                    feePostingDate: document.getElementById(`fee-date-${uId}`).value || null,
+                    openedDate: document.getElementById(`opened-${uId}`).value || null,
+                    closedDate: document.getElementById(`closed-${uId}`).value || null,
+                    primaryHolderId: this.app.resolveHolder(this.readHolderSelect(holderSelect, holderNameInput)),
+                    authorizedUserIds: [
+                        ...[...authorizedList.querySelectorAll('input:checked')].map(checkbox => checkbox.value),
+                        this.app.resolveHolder({ holderId: null, newName: document.getElementById(`authorized-name-${uId}`).value })
+                    ].filter(Boolean)
+                });
             }
         };
         document.getElementById(`cancel-${uId}`).onclick = () => {
@@ -1424,13 +2780,7 @@ class UIRenderer {
         const hasAutoClaim = benefit.autoClaim === true;
         const hasIgnored = benefit.ignored === true;
 
-        // Build minimum spend options
         const minimumSpends = card.minimumSpends || [];
-        let minSpendOptions = '<option value="">None (no requirement)</option>';
-        minimumSpends.forEach(ms => {
-            const selected = benefit.requiredMinimumSpendId === ms.id ? 'selected' : '';
-            minSpendOptions += `<option value="${ms.id}" ${selected}>${ms.description} ($${ms.targetAmount.toFixed(2)})</option>`;
-        });
 
         form.innerHTML = `
             <h3 style="margin: 0; font-size: 1.1rem;">Editing: ${benefit.description}</h3>
@@ -1453,6 +2803,7 @@ class UIRenderer {
                         <option value="biannual" ${benefit.frequency === 'biannual' ? 'selected' : ''}>Biannual</option>
                         <option value="annual" ${benefit.frequency === 'annual' ? 'selected' : ''}>Annual</option>
                         <option value="every-4-years" ${benefit.frequency === 'every-4-years' ? 'selected' : ''}>Every 4 Years</option>
+                        <option value="custom" ${benefit.frequency === 'custom' ? 'selected' : ''}>Custom Schedule</option>
                         <option value="one-time" ${benefit.frequency === 'one-time' ? 'selected' : ''}>One-Time</option>
                         <option value="carryover" ${isCarryover ? 'selected' : ''}>Carryover</option>
                     </select>
@@ -1465,18 +2816,17 @@ class UIRenderer {
                         <option value="calendar" ${benefit.resetType === 'calendar' ? 'selected' : ''}>Calendar</option>
                         <option value="anniversary" ${benefit.resetType === 'anniversary' ? 'selected' : ''}>Anniversary-Dated</option>
                     </select>
+                    <label style="margin-top:10px;">Different Amounts (optional)</label>
+                    <input type="text" id="amounts-${uId}" value="${this._formatAmountSchedule(benefit.amountSchedule)}" placeholder="E.g., Dec 35; Jan-Jun 50">
+                    <small style="color: #666;">Credit amounts for periods that include those months.</small>
                 </div>
             </div>
+            ${this._createScheduleFieldsHtml(uId, benefit.schedule, benefit.frequency === 'custom')}
+            ${this._createCarryoverRuleFieldsHtml(uId, benefit.carryoverRule, isCarryover)}
 
             <!-- Minimum Spend Requirement Link -->
             <div class="form-row" id="min-spend-row-${uId}" style="border-top:1px dashed #ccc; padding-top:10px;">
-                <div class="form-group">
-                    <label>🔗 Required Minimum Spend</label>
-                    <select id="min-spend-${uId}">
-                        ${minSpendOptions}
-                    </select>
-                    <small style="color: #666;">Link this benefit to a minimum spend requirement to unlock it.</small>
-                </div>
+                ${this._createRequirementFieldsHtml(uId, minimumSpends, SpendRequirement.fromBenefit(benefit))}
             </div>
 
             <!-- Auto Claim Edit -->
@@ -1525,7 +2875,6 @@ class UIRenderer {
         const resetSelect = document.getElementById(`reset-${uId}`);
         
         const minSpendRow = document.getElementById(`min-spend-row-${uId}`);
-        const minSpendSelect = document.getElementById(`min-spend-${uId}`);
         
         const acRow = document.getElementById(`auto-claim-row-${uId}`);
         const acCheck = document.getElementById(`ac-check-${uId}`);
@@ -1539,10 +2888,14 @@ class UIRenderer {
 
         const expiryRow = document.getElementById(`expiry-row-${uId}`);
         const expiryDateInput = document.getElementById(`expiry-date-${uId}`);
+        const scheduleRow = document.getElementById(`schedule-row-${uId}`);
+        const carryoverRuleRow = document.getElementById(`carryover-rule-row-${uId}`);
 
         freqSelect.onchange = (e) => {
             const isCarryoverSelected = e.target.value === 'carryover';
             const isOneTimeSelected = e.target.value === 'one-time';
+            scheduleRow.style.display = e.target.value === 'custom' ? 'flex' : 'none';
+            carryoverRuleRow.style.display = isCarryoverSelected ? 'flex' : 'none';
             
             if (isCarryoverSelected) {
                 resetGroup.style.display = 'none';
@@ -1592,12 +2945,27 @@ class UIRenderer {
             const frequency = freqSelect.value;
             const isCarryoverSelected = frequency === 'carryover';
             const isOneTimeSelected = frequency === 'one-time';
+            let amountSchedule = [];
+            if (!isCarryoverSelected && !isOneTimeSelected) {
+                try {
+                    amountSchedule = this._parseAmountSchedule(document.getElementById(`amounts-${uId}`).value);
+                } catch (err) {
+                    alert(err.message);
+                    return;
+                }
+            }
+            const carryoverRule = isCarryoverSelected ? this._readCarryoverRuleFields(form, uId) : null;
+            if (isCarryoverSelected && !carryoverRule) return;
+            const schedule = frequency === 'custom' ? this._readScheduleFields(form, uId, resetSelect.value) : null;
+            if (frequency === 'custom' && !schedule) return;
             
             const newData = {
                 description: document.getElementById(`desc-${uId}`).value.trim(),
                 totalAmount: parseFloat(document.getElementById(`amt-${uId}`).value),
+                amountSchedule: amountSchedule,
                 frequency: frequency,
                 resetType: null,
+                schedule: schedule,
                 autoClaim: acCheck.checked,
                 autoClaimEndDate: acCheck.checked ? acDateInput.value : null,
                 ignored: igCheck.checked,
@@ -1605,8 +2973,9 @@ class UIRenderer {
                 expiryDate: frequency === 'one-time' ? (expiryDateInput.value || null) : null,
                 // Carryover-specific fields
                 isCarryover: isCarryoverSelected,
-                // Minimum spend link (for both carryover and one-time benefits)
-                requiredMinimumSpendId: (isCarryoverSelected || isOneTimeSelected) ? (minSpendSelect.value || null) : null
+                carryoverRule: carryoverRule,
+                // Minimum spend requirement (for both carryover and one-time benefits)
+                minimumSpendRequirement: (isCarryoverSelected || isOneTimeSelected) ? this._readRequirementFields(form, uId) : null
             };
             
             // Preserve existing carryover earned instances if still a carryover benefit